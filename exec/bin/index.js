@@ -18,7 +18,8 @@ program
     .description('Seeds the images to the database')
     .action(async () => {
         const axios = require('axios');
-        const { db } = require('../../handlers/db');
+        const { store } = require('../../handlers/db');
+        const migrator = require('../../handlers/migrator');
         const CatLoggr = require('cat-loggr');
         const log = new CatLoggr();
         const readline = require('readline');
@@ -33,9 +34,8 @@ program
         async function seed() {
         try {
             // First check if there are any images already in the database
-            const existingImages = await db.get('images');
-            if (existingImages && existingImages.length > 0) {
-            rl.question('\'images\' is already set in the database. Do you want to continue seeding? (y/n) ', async (answer) => {
+            if (store.images.count() > 0) {
+            rl.question('there are already images in the database. Do you want to add the seed images as well? (y/n) ', async (answer) => {
                 if (answer.toLowerCase() !== 'y') {
                 log.info('seeding aborted by the user.');
                 rl.close();
@@ -77,7 +77,9 @@ program
             }
 
             if (imageDataArray.length > 0) {
-            await db.set('images', imageDataArray);
+            store.transaction(() => {
+                for (const image of imageDataArray) store.images.save(image);
+            })();
             log.info('seeding complete!');
             } else {
             log.info('no new images to seed.');
@@ -87,7 +89,11 @@ program
         }
         }
 
-        seed();
+        migrator.up().then(seed).catch(err => {
+        log.error('failed to migrate the database:', err);
+        rl.close();
+        process.exit(1);
+        });
 
         process.on('exit', (code) => {
         log.info(`exiting...`);
@@ -105,7 +111,8 @@ program
     .description('Creates a new Admin user')
     .action(async () => {
         const readline = require('readline');
-        const { db } = require('../../handlers/db.js');
+        const { store } = require('../../handlers/db.js');
+        const migrator = require('../../handlers/migrator.js');
         const { v4: uuidv4 } = require('uuid');
         const bcrypt = require('bcrypt');
         const CatLoggr = require('cat-loggr');
@@ -119,51 +126,19 @@ program
         
         
         async function doesUserExist(username) {
-            const users = await db.get('users');
-            if (users) {
-                return users.some(user => user.username === username);
-            } else {
-                return false; // If no users found, return false
-            }
+            return Boolean(store.users.findOne('username', username));
         }
         
         
         async function doesEmailExist(email) {
-            const users = await db.get('users');
-            if (users) {
-                return users.some(user => user.email === email);
-            } else {
-                return false; // If no users found, return false
-            }
-        }
-        
-        // Function to create the users table and add the first user
-        async function initializeUsersTable(username, email, password) {
-            const hashedPassword = await bcrypt.hash(password, saltRounds);
-            const userId = uuidv4();
-            const users = [{ userId, username, email, password: hashedPassword, accessTo: [], admin: true }];
-            return db.set('users', users);
+            return Boolean(store.users.findOne('email', email));
         }
         
-        // Function to add a new user to the existing users table
-        async function addUserToUsersTable(username, email, password) {
+        // Function to add the new admin user
+        async function createUser(username, email, password) {
             const hashedPassword = await bcrypt.hash(password, saltRounds);
             const userId = uuidv4();
-            const users = await db.get('users') || [];
-            users.push({ userId, username, email, password: hashedPassword, accessTo: [], admin: true });
-            return db.set('users', users);
-        }
-        
-        // Function to create a new user
-        async function createUser(username, email, password) {
-            const users = await db.get('users');
-            if (!users) {
-                // If users table doesn't exist, initialize it with the first user
-                return initializeUsersTable(username, email, password);
-            } else {
-                // If users table exists, add the new user to it
-                return addUserToUsersTable(username, email, password);
-            }
+            return store.users.save({ userId, username, email, password: hashedPassword, accessTo: [], admin: true });
         }
         
         function askQuestion(question) {
@@ -206,7 +181,521 @@ program
             rl.close();
         }
         
-        main();        
+        migrator.up().then(main).catch(err => {
+        log.error('failed to migrate the database:', err);
+        rl.close();
+        process.exit(1);
+        });
+    });
+
+program
+    .command('backup [file]')
+    .description('Writes a backup archive of the panel database, settings and storage files')
+    .action(async (file) => {
+        const fs = require('fs');
+        const path = require('path');
+        const migrator = require('../../handlers/migrator.js');
+        const { createBackup } = require('../../handlers/backup.js');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        try {
+            await migrator.up();
+            const { buffer, manifest } = await createBackup();
+            const target = path.resolve(file || `teryxpanel-backup-${manifest.createdAt.replace(/[:.]/g, '-')}.zip`);
+
+            fs.writeFileSync(target, buffer);
+            log.info(`backup written to ${target}`);
+            log.info(Object.entries(manifest.counts).map(([name, count]) => `${count} ${name}`).join(', '));
+        } catch (error) {
+            log.error('backup failed:', error);
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('restore <file>')
+    .description('Restores a backup archive, replacing the current panel data')
+    .option('-n, --dry-run', 'verify the archive and show what would change without restoring it')
+    .option('-y, --yes', 'do not ask for confirmation')
+    .action(async (file, options) => {
+        const fs = require('fs');
+        const readline = require('readline');
+        const migrator = require('../../handlers/migrator.js');
+        const { restoreBackup } = require('../../handlers/backup.js');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        function printReport(report) {
+            const { manifest } = report;
+            log.info(`backup of panel v${manifest.panelVersion} (schema ${manifest.schemaVersion}) from ${manifest.createdAt}`);
+            for (const [name, counts] of Object.entries(report.collections)) {
+                log.info(`  ${name}: ${counts.current} now, ${counts.backup} in backup`);
+            }
+            log.info(`  settings: ${report.settings.join(', ') || 'none'}`);
+            log.info(`  files: ${report.files.join(', ') || 'none'}`);
+        }
+
+        function confirm(question) {
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+            return new Promise((resolve) => {
+                rl.question(question, (answer) => {
+                    rl.close();
+                    resolve(answer.toLowerCase() === 'y');
+                });
+            });
+        }
+
+        try {
+            await migrator.up();
+            const buffer = fs.readFileSync(file);
+
+            const report = await restoreBackup(buffer, { dryRun: true });
+            printReport(report);
+            if (options.dryRun) {
+                log.info('dry run: the archive is valid, nothing was changed.');
+                return;
+            }
+
+            if (!options.yes && !(await confirm('this replaces all current panel data. continue? (y/n) '))) {
+                log.info('restore aborted by the user.');
+                return;
+            }
+
+            await restoreBackup(buffer);
+            log.info('restore complete! restart the panel to pick up the restored data.');
+        } catch (error) {
+            log.error(`restore failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('import-pterodactyl <file>')
+    .description('Imports users, nodes, eggs and servers from a Pterodactyl database dump or API export')
+    .option('-n, --dry-run', 'show what would be imported without changing anything')
+    .option('-r, --report <file>', 'write the full import report to a JSON file')
+    .action(async (file, options) => {
+        const fs = require('fs');
+        const path = require('path');
+        const migrator = require('../../handlers/migrator.js');
+        const { importPterodactyl } = require('../../handlers/pterodactyl.js');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        try {
+            await migrator.up();
+            const report = await importPterodactyl(fs.readFileSync(file, 'utf8'), { dryRun: options.dryRun === true });
+
+            log.info(`read a pterodactyl ${report.format === 'sql' ? 'database dump' : 'api export'}`);
+            for (const [name, created] of Object.entries(report.created)) {
+                log.info(`  ${name}: ${created.length} ${report.dryRun ? 'to create' : 'created'}`);
+            }
+            for (const link of report.linked) {
+                log.info(`  linked ${link.type} ${link.name} to existing ${link.to}`);
+            }
+            for (const item of report.skipped) {
+                log.warn(`  skipped ${item.type} ${item.name}: ${item.reason}`);
+            }
+            for (const item of report.notes) {
+                log.warn(`  ${item.type} ${item.name}: ${item.message}`);
+            }
+
+            if (options.report) {
+                fs.writeFileSync(path.resolve(options.report), JSON.stringify(report, null, 2));
+                log.info(`report written to ${path.resolve(options.report)}`);
+            }
+            log.info(report.dryRun ? 'dry run: nothing was changed.' : 'import complete!');
+        } catch (error) {
+            log.error(`import failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('smtp-sink')
+    .description('Runs a local SMTP server that accepts and prints every email, to test sending without a real mail server')
+    .option('-p, --port <port>', 'port to listen on, set the same port in the SMTP settings', '2525')
+    .option('-f, --fail-rate <rate>', 'share of emails to refuse with a temporary error (451), from 0 to 1', '0')
+    .option('-r, --reject', 'refuse every email with a permanent error (550)')
+    .action((options) => {
+        const net = require('net');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+        const failRate = Math.min(1, Math.max(0, Number(options.failRate) || 0));
+        let received = 0;
+
+        const server = net.createServer((socket) => {
+            let buffer = '';
+            let envelope = { from: '', to: [] };
+            let message = null;
+            const reply = (line) => socket.write(line + '\r\n');
+
+            reply('220 localhost smtp-sink ready');
+            socket.on('data', (chunk) => {
+                buffer += chunk.toString('utf8');
+                let index;
+                while ((index = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+
+                    if (message) {
+                        if (line !== '.') {
+                            message.lines.push(line.startsWith('..') ? line.slice(1) : line);
+                            continue;
+                        }
+                        const subject = (message.lines.find((header) => /^subject:/i.test(header)) || '').slice(8).trim();
+                        if (options.reject) {
+                            log.warn(`rejected email to ${message.to.join(', ')}: ${subject}`);
+                            reply('550 5.7.1 Rejected by smtp-sink');
+                        } else if (Math.random() < failRate) {
+                            log.warn(`deferred email to ${message.to.join(', ')}: ${subject}`);
+                            reply('451 4.3.0 Temporary failure from smtp-sink');
+                        } else {
+                            received += 1;
+                            log.info(`#${received} from ${message.from} to ${message.to.join(', ')}: ${subject}`);
+                            reply(`250 2.0.0 Ok: queued as ${received}`);
+                        }
+                        message = null;
+                        continue;
+                    }
+
+                    const command = line.split(' ')[0].toUpperCase();
+                    if (command === 'EHLO') {
+                        reply('250-localhost');
+                        reply('250 AUTH PLAIN');
+                    } else if (command === 'HELO') {
+                        reply('250 localhost');
+                    } else if (command === 'AUTH') {
+                        reply('235 2.7.0 Accepted');
+                    } else if (command === 'MAIL') {
+                        envelope = { from: line.slice(10).replace(/[<>]/g, '').trim(), to: [] };
+                        reply('250 2.1.0 Ok');
+                    } else if (command === 'RCPT') {
+                        envelope.to.push(line.slice(8).replace(/[<>]/g, '').trim());
+                        reply('250 2.1.5 Ok');
+                    } else if (command === 'DATA') {
+                        message = { ...envelope, lines: [] };
+                        reply('354 End data with <CR><LF>.<CR><LF>');
+                    } else if (command === 'QUIT') {
+                        reply('221 2.0.0 Bye');
+                        socket.end();
+                    } else {
+                        reply('250 2.0.0 Ok');
+                    }
+                }
+            });
+            socket.on('error', () => {});
+        });
+
+        server.listen(Number(options.port), () => {
+            log.info(`smtp-sink listening on port ${options.port}, stop it with ctrl+c`);
+        });
+    });
+
+program
+    .command('mock-idp')
+    .description('Runs a local OpenID Connect provider that signs in anyone, to test single sign-on without a real identity provider')
+    .option('-p, --port <port>', 'port to listen on; add an OpenID Connect provider with issuer http://localhost:<port>', '9400')
+    .option('-e, --email <email>', 'email address of the signed-in user', 'sso-user@example.com')
+    .option('-s, --subject <subject>', 'stable id of the user at the provider', 'mock-user-1')
+    .option('-u, --username <username>', 'preferred username of the user', 'ssouser')
+    .option('-g, --groups <groups>', 'comma separated groups of the user', '')
+    .option('--unverified', 'report the email address as not verified')
+    .option('--auto', 'sign in right away instead of showing a form')
+    .action((options) => {
+        const crypto = require('crypto');
+        const express = require('express');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        const issuer = `http://localhost:${options.port}`;
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const jwk = { ...publicKey.export({ format: 'jwk' }), kid: crypto.randomBytes(4).toString('hex'), use: 'sig', alg: 'RS256' };
+        const codes = new Map();
+        const accessTokens = new Map();
+        const escape = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+        const sign = (claims) => {
+            const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+            const body = `${encode({ alg: 'RS256', typ: 'JWT', kid: jwk.kid })}.${encode(claims)}`;
+            return `${body}.${crypto.sign('sha256', Buffer.from(body), privateKey).toString('base64url')}`;
+        };
+
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+
+        app.get('/.well-known/openid-configuration', (req, res) => {
+            res.json({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+                code_challenge_methods_supported: ['S256'],
+            });
+        });
+
+        app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+        const authorize = (req, res) => {
+            const request = { ...req.query, ...req.body };
+            const back = new URL(request.redirect_uri);
+            if (request.state) back.searchParams.set('state', request.state);
+
+            if (request.deny) {
+                back.searchParams.set('error', 'access_denied');
+                return res.redirect(back.toString());
+            }
+            if (req.method === 'GET' && !options.auto) {
+                const fields = Object.entries(req.query)
+                    .map(([name, value]) => `<input type="hidden" name="${escape(name)}" value="${escape(value)}">`)
+                    .join('');
+                return res.send(`<!DOCTYPE html><title>mock-idp</title><form method="POST" style="font-family:sans-serif;max-width:24rem;margin:4rem auto;display:grid;gap:.5rem">
+                    <h2>Sign in to mock-idp</h2>${fields}
+                    <label>Subject <input name="sub" value="${escape(options.subject)}"></label>
+                    <label>Email <input name="email" value="${escape(options.email)}"></label>
+                    <label><input type="checkbox" name="email_verified" ${options.unverified ? '' : 'checked'}> Email verified</label>
+                    <label>Username <input name="preferred_username" value="${escape(options.username)}"></label>
+                    <label>Groups <input name="groups" value="${escape(options.groups)}"></label>
+                    <button>Sign in</button><button name="deny" value="1">Deny</button></form>`);
+            }
+
+            const fromForm = req.method === 'POST';
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, {
+                clientId: request.client_id,
+                redirectUri: request.redirect_uri,
+                nonce: request.nonce,
+                codeChallenge: request.code_challenge,
+                claims: {
+                    sub: fromForm ? request.sub : options.subject,
+                    email: fromForm ? request.email : options.email,
+                    email_verified: fromForm ? request.email_verified === 'on' : !options.unverified,
+                    preferred_username: fromForm ? request.preferred_username : options.username,
+                    groups: String(fromForm ? request.groups : options.groups).split(',').map((group) => group.trim()).filter(Boolean),
+                },
+            });
+            back.searchParams.set('code', code);
+            log.info(`signed in ${codes.get(code).claims.sub} for client ${request.client_id}`);
+            res.redirect(back.toString());
+        };
+        app.get('/authorize', authorize);
+        app.post('/authorize', authorize);
+
+        app.post('/token', (req, res) => {
+            const grant = codes.get(req.body.code);
+            codes.delete(req.body.code);
+            const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+            const clientId = basic
+                ? decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0])
+                : req.body.client_id;
+
+            if (!grant || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+            const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+            if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+            }
+
+            const now = Math.floor(Date.now() / 1000);
+            const accessToken = crypto.randomBytes(16).toString('hex');
+            accessTokens.set(accessToken, grant.claims);
+            res.json({
+                access_token: accessToken,
+                token_type: 'Bearer',
+                expires_in: 300,
+                id_token: sign({ iss: issuer, aud: clientId, sub: grant.claims.sub, nonce: grant.nonce, iat: now, exp: now + 300 }),
+            });
+        });
+
+        app.get('/userinfo', (req, res) => {
+            const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+            if (!claims) return res.status(401).json({ error: 'invalid_token' });
+            res.json(claims);
+        });
+
+        app.listen(Number(options.port), () => {
+            log.info(`mock-idp listening on ${issuer}, stop it with ctrl+c`);
+        });
+    });
+
+program
+    .command('mock-ldap')
+    .description('Runs a small in-memory LDAP directory, to test LDAP logins without a real directory server')
+    .option('-p, --port <port>', 'port to listen on; set ldap://localhost:<port> as the server URL', '3890')
+    .option('-d, --data <file>', 'JSON file with { "users": [...], "groups": [...] }, read again on every request so it can be edited while running')
+    .action((options) => {
+        const fs = require('fs');
+        const path = require('path');
+        // ldapjs is no longer maintained and is only a dev dependency, kept for its server. The panel
+        // itself talks to directories with ldapts, which has no server.
+        const ldap = require('ldapjs');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        const base = 'dc=example,dc=com';
+        const serviceDn = `cn=admin,${base}`;
+        const servicePassword = 'admin';
+        const sample = {
+            users: [
+                { uid: 'alice', cn: 'Alice Admin', mail: 'alice@example.com', password: 'password', groups: ['panel-admins'] },
+                { uid: 'bob', cn: 'Bob Builder', mail: 'bob@example.com', password: 'password', groups: ['developers'] },
+            ],
+            groups: ['panel-admins', 'developers'],
+        };
+
+        // Every request works on a fresh copy of the directory, so edits to the data file apply at once.
+        const directory = () => {
+            const data = options.data ? JSON.parse(fs.readFileSync(path.resolve(options.data), 'utf8')) : sample;
+            const groupDn = (cn) => `cn=${cn},ou=groups,${base}`;
+            const userDn = (uid) => `uid=${uid},ou=people,${base}`;
+            const entries = [
+                { dn: base, attributes: { objectClass: ['top', 'domain'], dc: ['example'] } },
+                { dn: `ou=people,${base}`, attributes: { objectClass: ['organizationalUnit'], ou: ['people'] } },
+                { dn: `ou=groups,${base}`, attributes: { objectClass: ['organizationalUnit'], ou: ['groups'] } },
+            ];
+            for (const user of data.users || []) {
+                entries.push({
+                    dn: userDn(user.uid),
+                    password: user.password,
+                    attributes: {
+                        objectClass: ['inetOrgPerson'],
+                        uid: [user.uid],
+                        cn: [user.cn || user.uid],
+                        mail: user.mail ? [user.mail] : [],
+                        memberOf: (user.groups || []).map(groupDn),
+                    },
+                });
+            }
+            for (const cn of data.groups || []) {
+                const members = (data.users || []).filter((user) => (user.groups || []).includes(cn));
+                entries.push({
+                    dn: groupDn(cn),
+                    attributes: { objectClass: ['groupOfNames'], cn: [cn], member: members.map((user) => userDn(user.uid)) },
+                });
+            }
+            return entries;
+        };
+
+        const inScope = (entryDn, searchDn, scope) => {
+            const entry = ldap.parseDN(entryDn);
+            if (scope === 'base' || scope === 0) return entry.equals(searchDn);
+            if (scope === 'one' || scope === 1) return entry.parent() !== null && entry.parent().equals(searchDn);
+            return entry.equals(searchDn) || entry.childOf(searchDn);
+        };
+
+        const server = ldap.createServer();
+
+        server.bind(base, (req, res, next) => {
+            const dn = req.dn.toString();
+            const password = req.credentials;
+            const entry = directory().find((item) => ldap.parseDN(item.dn).equals(req.dn));
+            const valid = dn === ldap.parseDN(serviceDn).toString()
+                ? password === servicePassword
+                : Boolean(entry && entry.password && entry.password === password);
+            if (!valid) {
+                log.warn(`bind as ${dn} refused`);
+                return next(new ldap.InvalidCredentialsError());
+            }
+            log.info(`bind as ${dn}`);
+            res.end();
+            return next();
+        });
+
+        server.search(base, (req, res, next) => {
+            // Searches need a bind; anonymous connections see nothing.
+            if (req.connection.ldap.bindDN.toString() === '') {
+                return next(new ldap.InsufficientAccessRightsError());
+            }
+            const entries = directory();
+            if (!entries.some((item) => ldap.parseDN(item.dn).equals(req.dn))) {
+                return next(new ldap.NoSuchObjectError(req.dn.toString()));
+            }
+            // ldapjs compares the requested attribute names case-sensitively with lowercase names.
+            res.attributes = res.attributes.map((name) => name.toLowerCase());
+            let found = 0;
+            for (const entry of entries) {
+                const attributes = Object.fromEntries(
+                    Object.entries(entry.attributes).map(([name, value]) => [name.toLowerCase(), value]),
+                );
+                if (inScope(entry.dn, req.dn, req.scope) && req.filter.matches(attributes)) {
+                    res.send({ dn: entry.dn, attributes: { ...entry.attributes } });
+                    found++;
+                }
+            }
+            log.info(`search ${req.filter.toString()} under ${req.dn.toString()}: ${found} found`);
+            res.end();
+            return next();
+        });
+
+        server.listen(Number(options.port), () => {
+            log.info(`mock-ldap listening on ldap://localhost:${options.port}, stop it with ctrl+c`);
+            log.info(`service account ${serviceDn} / ${servicePassword}, users under ou=people,${base}`);
+            if (!options.data) log.info('users alice (in panel-admins) and bob, both with the password "password"');
+        });
+    });
+
+const migrate = program
+    .command('migrate')
+    .description('Manages the database schema version');
+
+migrate
+    .command('up [version]')
+    .description('Applies pending migrations, up to the given version if one is passed')
+    .action(async (version) => {
+        const migrator = require('../../handlers/migrator.js');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        try {
+            const applied = await migrator.up(version === undefined ? Infinity : Number(version));
+            log.info(applied.length
+                ? `applied ${applied.length} migration(s), schema is now at version ${migrator.status().version}`
+                : 'nothing to migrate, schema is up to date.');
+        } catch (error) {
+            log.error('migration failed:', error);
+            process.exitCode = 1;
+        }
+    });
+
+migrate
+    .command('down [steps]')
+    .description('Reverts the last applied migration, or the given number of migrations')
+    .action(async (steps) => {
+        const migrator = require('../../handlers/migrator.js');
+        const CatLoggr = require('cat-loggr');
+        const log = new CatLoggr();
+
+        try {
+            const reverted = await migrator.down(steps === undefined ? 1 : Number(steps));
+            log.info(reverted.length
+                ? `reverted ${reverted.join(', ')}, schema is now at version ${migrator.status().version}`
+                : 'no migrations to revert.');
+        } catch (error) {
+            log.error('reverting failed:', error);
+            process.exitCode = 1;
+        }
+    });
+
+migrate
+    .command('status')
+    .description('Shows the schema version and pending migrations')
+    .action(() => {
+        const migrator = require('../../handlers/migrator.js');
+        const { version, migrations, pending } = migrator.status();
+
+        console.log(`schema version: ${version}`);
+        for (const migration of migrations) {
+            const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+            console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+        }
+        console.log(`${pending.length} pending migration(s)`);
     });
 
 program.parse(process.argv);
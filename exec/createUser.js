@@ -1,5 +1,6 @@
 const readline = require('readline');
-const { db } = require('../handlers/db.js');
+const { store } = require('../handlers/db.js');
+const migrator = require('../handlers/migrator.js');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
 const CatLoggr = require('cat-loggr');
@@ -13,45 +14,17 @@ const rl = readline.createInterface({
 
 // 7gv.png
 async function doesUserExist(username) {
-    const users = await db.get('users');
-    if (users) {
-        return users.some(user => user.username === username);
-    } else {
-        return false;
-    }
+    return Boolean(store.users.findOne('username', username));
 }
 
 async function doesEmailExist(email) {
-    const users = await db.get('users');
-    if (users) {
-        return users.some(user => user.email === email);
-    } else {
-        return false;
-    }
-}
-
-async function initializeUsersTable(username, email, password) {
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-    const userId = uuidv4();
-    const users = [{ userId, username, email, password: hashedPassword, accessTo: [], admin: true, verified: true }];
-    return db.set('users', users);
+    return Boolean(store.users.findOne('email', email));
 }
 
-async function addUserToUsersTable(username, email, password) {
+async function createUser(username, email, password) {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     const userId = uuidv4();
-    const users = await db.get('users') || [];
-    users.push({ userId, username, email, password: hashedPassword, accessTo: [], admin: true, verified: true });
-    return db.set('users', users);
-}
-
-async function createUser(username, email, password) {
-    const users = await db.get('users');
-    if (!users) {
-        return initializeUsersTable(username, email, password);
-    } else {
-        return addUserToUsersTable(username, email, password);
-    }
+    return store.users.save({ userId, username, email, password: hashedPassword, accessTo: [], admin: true, verified: true });
 }
 
 function askQuestion(question) {
@@ -100,7 +73,7 @@ async function main() {
     }
 }
 
-main().catch(err => {
+migrator.up().then(main).catch(err => {
     console.error('Unexpected error:', err);
     rl.close();
 });
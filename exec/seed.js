@@ -1,5 +1,6 @@
 const axios = require('axios');
-const { db } = require('../handlers/db');
+const { store } = require('../handlers/db');
+const migrator = require('../handlers/migrator');
 const CatLoggr = require('cat-loggr');
 const log = new CatLoggr();
 const readline = require('readline');
@@ -13,9 +14,8 @@ const rl = readline.createInterface({
 
 async function seed() {
   try {
-    const existingImages = await db.get('images');
-    if (existingImages && existingImages.length > 0) {
-      rl.question('\'images\' is already set in the database. Do you want to continue seeding? (y/n) ', async (answer) => {
+    if (store.images.count() > 0) {
+      rl.question('there are already images in the database. Do you want to add the seed images as well? (y/n) ', async (answer) => {
         if (answer.toLowerCase() !== 'y') {
           log.info('seeding aborted by the user.');
           rl.close();
@@ -58,7 +58,9 @@ async function performSeeding() {
     }
 
     if (imageDataArray.length > 0) {
-      await db.set('images', imageDataArray);
+      store.transaction(() => {
+        for (const image of imageDataArray) store.images.save(image);
+      })();
       log.info('seeding complete!');
     } else {
       log.info('no new images to seed.');
@@ -68,7 +70,12 @@ async function performSeeding() {
   }
 }
 
-seed();
+// The tables have to exist before anything can be seeded into them.
+migrator.up().then(seed).catch(err => {
+  log.error('failed to migrate the database:', err);
+  rl.close();
+  process.exit(1);
+});
 
 process.on('exit', (code) => {
   log.info(`exiting...`);
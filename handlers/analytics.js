@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Request analytics. The middleware in utils/analytics.js hands every finished
+ * request to record(), which only bumps an in-memory counter. flush() periodically adds the
+ * counters to per-minute and per-hour rollups by path, method and status, so a page load never
+ * touches the database. Minute rollups are kept for two days, hour rollups for
+ * `analytics.retentionDays` from config.json (90 by default).
+ */
+
+const crypto = require('crypto');
+const { store } = require('./db.js');
+const config = require('../config.json');
+const log = new (require('cat-loggr'))();
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const FLUSH_INTERVAL = 15 * 1000;
+const MINUTE_RETENTION = 2 * DAY;
+const HOUR_RETENTION = ((config.analytics && config.analytics.retentionDays) || 90) * DAY;
+
+/**
+ * Time ranges the analytics page offers. `step` is the width of one point in the traffic chart.
+ */
+const RANGES = {
+    '1h': { span: HOUR, resolution: 'minute', step: MINUTE },
+    '24h': { span: DAY, resolution: 'hour', step: HOUR },
+    '7d': { span: 7 * DAY, resolution: 'hour', step: DAY },
+    '30d': { span: 30 * DAY, resolution: 'hour', step: DAY },
+    '90d': { span: 90 * DAY, resolution: 'hour', step: DAY },
+};
+
+// Rollup rows waiting to be written, keyed by resolution, bucket, method, status and path.
+let pending = new Map();
+let pendingVisitors = new Set();
+let timer = null;
+let lastPrune = 0;
+
+/**
+ * Start of the minute or hour a timestamp falls in, in epoch milliseconds.
+ */
+function bucketStart(timestamp, resolution) {
+    const size = resolution === 'minute' ? MINUTE : HOUR;
+    const time = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+    return time - (time % size);
+}
+
+/**
+ * Collapses ids in a path so requests for different instances, users or files share one rollup:
+ * `/instance/3f2a…/files` becomes `/instance/:id/files`.
+ */
+function normalizePath(path) {
+    const segments = String(path || '/')
+        .slice(0, 256)
+        .split('/')
+        .map((segment) =>
+            /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+            /^[0-9a-f]{16,}$/i.test(segment) ||
+            /^\d+$/.test(segment)
+                ? ':id'
+                : segment,
+        );
+    return segments.join('/') || '/';
+}
+
+/**
+ * Keyed hash of a client address. Unique visitors are counted from these, so addresses are never
+ * stored.
+ */
+function visitorHash(ip) {
+    return crypto
+        .createHmac('sha256', String(config.session_secret || 'secret'))
+        .update(String(ip))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+function count(resolution, bucket, request) {
+    const key = `${resolution}|${bucket}|${request.method}|${request.status}|${request.path}`;
+    let rollup = pending.get(key);
+    if (!rollup) {
+        rollup = {
+            resolution,
+            bucket,
+            path: request.path,
+            method: request.method,
+            status: request.status,
+            count: 0,
+            totalMs: 0,
+            maxMs: 0,
+        };
+        pending.set(key, rollup);
+    }
+    rollup.count++;
+    rollup.totalMs += request.durationMs;
+    rollup.maxMs = Math.max(rollup.maxMs, request.durationMs);
+}
+
+/**
+ * Counts a finished request. Nothing is written until the next flush.
+ *
+ * @param {Object} request
+ * @param {string} request.path - Request path, normalized here.
+ * @param {string} request.method - HTTP method.
+ * @param {number} request.status - Response status code.
+ * @param {number} request.durationMs - Time until the response finished.
+ * @param {string} [request.ip] - Client address, only kept as a hash.
+ * @param {number} [request.timestamp] - When the request finished; defaults to now.
+ */
+function record({ path, method, status, durationMs, ip, timestamp = Date.now() }) {
+    const request = { path: normalizePath(path), method, status, durationMs };
+    count('minute', bucketStart(timestamp, 'minute'), request);
+    count('hour', bucketStart(timestamp, 'hour'), request);
+    if (ip) pendingVisitors.add(`${bucketStart(timestamp, 'hour')}|${visitorHash(ip)}`);
+
+    if (!timer) start();
+}
+
+/**
+ * Writes the buffered counters to the rollup tables and, at most once an hour, drops rollups past
+ * their retention.
+ */
+function flush() {
+    if (pending.size > 0 || pendingVisitors.size > 0) {
+        const rollups = [...pending.values()];
+        const visitors = [...pendingVisitors].map((entry) => {
+            const separator = entry.indexOf('|');
+            return [Number(entry.slice(0, separator)), entry.slice(separator + 1)];
+        });
+        pending = new Map();
+        pendingVisitors = new Set();
+
+        try {
+            store.analytics.record(rollups, visitors);
+        } catch (err) {
+            log.error('Failed to write analytics rollups:', err);
+        }
+    }
+
+    const now = Date.now();
+    if (now - lastPrune >= HOUR) {
+        lastPrune = now;
+        try {
+            store.analytics.prune('minute', now - MINUTE_RETENTION);
+            store.analytics.prune('hour', now - HOUR_RETENTION);
+        } catch (err) {
+            log.error('Failed to prune analytics rollups:', err);
+        }
+    }
+}
+
+/**
+ * Starts the periodic flush. Writes are synchronous, so whatever is still buffered is also
+ * written when the process exits.
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(flush, FLUSH_INTERVAL);
+    timer.unref();
+    process.once('exit', flush);
+}
+
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return ((current - previous) / previous) * 100;
+}
+
+function label(time, step) {
+    const iso = new Date(time).toISOString();
+    if (step === DAY) return iso.slice(0, 10);
+    return iso.slice(11, 16);
+}
+
+/**
+ * Summarizes the rollups for one of the RANGES, ending now. Buffered counters are flushed first so
+ * the report includes the latest requests.
+ *
+ * @param {string} range - A key of RANGES; unknown values fall back to 7d.
+ * @returns {Object} Totals, breakdowns and chart series for the analytics page.
+ */
+function report(range) {
+    const rangeKey = RANGES[range] ? range : '7d';
+    const { span, resolution, step } = RANGES[rangeKey];
+    flush();
+
+    const size = resolution === 'minute' ? MINUTE : HOUR;
+    const to = bucketStart(Date.now(), resolution) + size;
+    const from = to - span;
+
+    const totals = store.analytics.totals(resolution, from, to);
+    const previous = store.analytics.totals(resolution, from - span, from);
+    const uniqueVisitors = store.analytics.visitors(bucketStart(from, 'hour'), to);
+    const previousVisitors = store.analytics.visitors(bucketStart(from - span, 'hour'), bucketStart(from, 'hour'));
+    const hours = span / HOUR;
+
+    // Chart points are aligned to the step, so daily points cover whole UTC days.
+    const first = from - (from % step);
+    const points = new Map();
+    for (let time = first; time < to; time += step) points.set(time, 0);
+    for (const row of store.analytics.series(resolution, from, to)) {
+        const point = row.bucket - (row.bucket % step);
+        points.set(point, (points.get(point) || 0) + row.count);
+    }
+
+    const topPaths = store.analytics.topPaths(resolution, from, to, 5);
+    const statuses = {};
+    for (const row of store.analytics.statuses(resolution, from, to)) {
+        // Entries carried over from the old request list have no status.
+        const group = row.status ? `${Math.floor(row.status / 100)}xx` : 'unknown';
+        statuses[group] = (statuses[group] || 0) + row.count;
+    }
+
+    return {
+        range: rangeKey,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        totalRequests: totals.count,
+        uniqueVisitors,
+        avgRequestsPerHour: totals.count / hours,
+        avgResponseTime: totals.count ? totals.totalMs / totals.count : 0,
+        maxResponseTime: totals.maxMs,
+        topPage: topPaths.length
+            ? { name: topPaths[0].path, views: topPaths[0].count }
+            : { name: 'No pages visited', views: 0 },
+        trafficOverTime: {
+            labels: [...points.keys()].map((time) => label(time, step)),
+            data: [...points.values()],
+        },
+        topPages: {
+            labels: topPaths.map((row) => row.path),
+            data: topPaths.map((row) => row.count),
+        },
+        methods: Object.fromEntries(store.analytics.methods(resolution, from, to).map((row) => [row.method, row.count])),
+        statuses,
+        comparison: {
+            totalRequestsChange: percentChange(totals.count, previous.count),
+            uniqueVisitorsChange: percentChange(uniqueVisitors, previousVisitors),
+            avgRequestsPerHourChange: percentChange(totals.count / hours, previous.count / hours),
+        },
+    };
+}
+
+module.exports = { record, flush, report, bucketStart, normalizePath, visitorHash, RANGES };
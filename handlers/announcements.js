@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Admin announcements, such as planned node maintenance. Admins write them in
+ * Markdown on /admin/announcements with a severity, a time window and an audience. Users in the
+ * audience see them as banners on the server list and instance pages while they are active.
+ *
+ * When an announcement starts, everyone in its audience also gets an entry in the notification
+ * bell (handlers/notifications.js) and, if the admin asked for it, an email. A timer checks for
+ * announcements that have started every minute, so scheduled ones go out on time as well.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const { notifyUsers } = require('./notifications.js');
+const { sendAnnouncementEmail } = require('./email.js');
+const { renderMarkdown, markdownToText } = require('../utils/markdown.js');
+const log = new (require('cat-loggr'))();
+
+const SEVERITIES = {
+    info: 'Info',
+    warning: 'Warning',
+    critical: 'Critical',
+};
+
+/**
+ * Who an announcement is for.
+ */
+const AUDIENCES = {
+    all: 'All users',
+    node: 'Users with servers on a node',
+    admins: 'Admins only',
+};
+
+const POLL_INTERVAL = 60 * 1000;
+
+let timer = null;
+let delivering = false;
+
+/**
+ * Parses a `datetime-local` value, which has no time zone, as the time in the admin's browser.
+ *
+ * @param {string} value - `YYYY-MM-DDTHH:mm`.
+ * @param {number} offset - The browser's `Date#getTimezoneOffset()` in minutes.
+ * @returns {Date|null} The time, or null if the value is empty or invalid.
+ */
+function parseLocalTime(value, offset) {
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(String(value || ''))) return null;
+    const time = new Date(`${String(value).slice(0, 16)}:00Z`).getTime();
+    if (Number.isNaN(time)) return null;
+    return new Date(time + (Number(offset) || 0) * 60 * 1000);
+}
+
+/**
+ * Validates and normalizes an announcement submitted by the admin page.
+ *
+ * @param {Object} input - title, content, severity, audience, nodeId, startsAt, endsAt, tzOffset
+ *   and email.
+ * @returns {{ settings?: Object, error?: string }} The settings to store, or what is wrong with them.
+ */
+function parseAnnouncement(input = {}) {
+    const title = String(input.title || '').trim().slice(0, 150);
+    if (!title) {
+        return { error: 'Give the announcement a title' };
+    }
+
+    const content = String(input.content || '').trim().slice(0, 10000);
+    if (!content) {
+        return { error: 'Write the announcement text' };
+    }
+
+    const severity = String(input.severity || 'info');
+    if (!SEVERITIES[severity]) {
+        return { error: 'Choose a valid severity' };
+    }
+
+    const audience = String(input.audience || 'all');
+    if (!AUDIENCES[audience]) {
+        return { error: 'Choose who should see the announcement' };
+    }
+    const nodeId = audience === 'node' ? String(input.nodeId || '') : null;
+    if (audience === 'node' && !store.nodes.get(nodeId)) {
+        return { error: 'Choose the node whose users should see the announcement' };
+    }
+
+    const startsAt = input.startsAt ? parseLocalTime(input.startsAt, input.tzOffset) : new Date();
+    if (!startsAt) {
+        return { error: 'The start time is not valid' };
+    }
+    const endsAt = input.endsAt ? parseLocalTime(input.endsAt, input.tzOffset) : null;
+    if (input.endsAt && !endsAt) {
+        return { error: 'The end time is not valid' };
+    }
+    if (endsAt && endsAt <= startsAt) {
+        return { error: 'The announcement has to end after it starts' };
+    }
+
+    return {
+        settings: {
+            title,
+            content,
+            severity,
+            audience,
+            nodeId,
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt ? endsAt.toISOString() : null,
+            email: input.email === true || input.email === 'on' || input.email === 'true',
+        },
+    };
+}
+
+/**
+ * Stores a new announcement. It is delivered as soon as it starts.
+ *
+ * @param {Object} settings - As returned by parseAnnouncement.
+ * @param {Object} user - The admin creating it.
+ * @returns {Object} The stored announcement.
+ */
+function createAnnouncement(settings, user) {
+    const announcement = store.announcements.save({
+        id: uuidv4(),
+        ...settings,
+        createdBy: user.username,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null,
+        delivery: null,
+    });
+    setImmediate(deliverDue);
+    return announcement;
+}
+
+/**
+ * Ids of the users whose servers run on a node, as owners or sub-users.
+ */
+function userIdsOnNode(nodeId) {
+    const instances = store.instances.listByNode(nodeId);
+    const instanceIds = new Set(instances.map((instance) => instance.Id));
+    const owners = instances.map((instance) => instance.User);
+    const subUsers = store.users
+        .list()
+        .filter((user) => (user.accessTo || []).some((id) => instanceIds.has(id)))
+        .map((user) => user.userId);
+    return new Set([...owners, ...subUsers].filter(Boolean).map(String));
+}
+
+/**
+ * The users an announcement is for.
+ *
+ * @param {Object} announcement
+ * @returns {Object[]} User records.
+ */
+function audienceOf(announcement) {
+    const users = store.users.list();
+    if (announcement.audience === 'admins') {
+        return users.filter((user) => user.admin === true);
+    }
+    if (announcement.audience === 'node') {
+        const ids = userIdsOnNode(announcement.nodeId);
+        return users.filter((user) => ids.has(String(user.userId)));
+    }
+    return users;
+}
+
+/**
+ * Whether a user belongs to an announcement's audience.
+ */
+function isForUser(announcement, user) {
+    if (announcement.audience === 'admins') return user.admin === true;
+    if (announcement.audience === 'node') return userIdsOnNode(announcement.nodeId).has(String(user.userId));
+    return true;
+}
+
+/**
+ * The announcements a user should see right now, with their content rendered to HTML.
+ *
+ * @param {Object} user - The logged-in user.
+ * @returns {Object[]}
+ */
+function activeFor(user) {
+    return store.announcements
+        .active(new Date().toISOString())
+        .filter((announcement) => isForUser(announcement, user))
+        .map((announcement) => ({
+            id: announcement.id,
+            title: announcement.title,
+            severity: announcement.severity,
+            html: renderMarkdown(announcement.content),
+            endsAt: announcement.endsAt,
+        }));
+}
+
+/**
+ * Notifies and, if asked for, emails the audience of an announcement that has started.
+ */
+async function deliver(announcement) {
+    // Claim the announcement first, so it is not delivered twice.
+    store.announcements.update(announcement.id, (record) => {
+        record.deliveredAt = new Date().toISOString();
+    });
+
+    const users = audienceOf(announcement);
+    notifyUsers(
+        users.map((user) => user.userId),
+        {
+            type: 'announcement',
+            title: announcement.title,
+            message: markdownToText(announcement.content).slice(0, 500),
+            link: '/instances',
+        },
+    );
+
+    const delivery = { notified: users.length, emailed: 0, emailFailed: 0 };
+    if (announcement.email) {
+        for (const user of users.filter((user) => user.email)) {
+            if (await sendAnnouncementEmail(user.email, announcement, { lang: user.lang })) {
+                delivery.emailed++;
+            } else {
+                delivery.emailFailed++;
+            }
+        }
+    }
+
+    store.announcements.update(announcement.id, (record) => {
+        record.delivery = delivery;
+    });
+    log.info(`Announcement "${announcement.title}" delivered to ${users.length} users`);
+}
+
+/**
+ * Delivers every announcement that has started, has not ended and was not delivered yet.
+ */
+async function deliverDue() {
+    if (delivering) return;
+    delivering = true;
+    try {
+        const due = store.announcements
+            .active(new Date().toISOString())
+            .filter((announcement) => !announcement.deliveredAt);
+        for (const announcement of due) {
+            await deliver(announcement);
+        }
+    } catch (error) {
+        log.error('Failed to deliver announcements:', error);
+    } finally {
+        delivering = false;
+    }
+}
+
+/**
+ * Starts checking for announcements that have started. Called once the panel is up.
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(deliverDue, POLL_INTERVAL);
+    timer.unref();
+    setImmediate(deliverDue);
+}
+
+module.exports = {
+    SEVERITIES,
+    AUDIENCES,
+    parseAnnouncement,
+    createAnnouncement,
+    activeFor,
+    start,
+};
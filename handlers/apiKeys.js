@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Scoped API keys. A key only grants the scopes listed on it, can be restricted to
+ * specific users, nodes and client address ranges, and has its own rate limit. Keys are stored in
+ * the api_keys table as:
+ *
+ *   { id, key, name, createdAt, scopes: string[],
+ *     restrictions: { users: string[], nodes: string[], ips: string[] },
+ *     rateLimit: { requests, windowSeconds }, lastUsedAt, lastUsedIp }
+ *
+ * Empty restriction lists mean "no restriction"; a rate limit of 0 requests means unlimited.
+ */
+
+const net = require('net');
+const { store } = require('./db.js');
+
+/**
+ * Every scope a key can hold, with the description shown on the admin page.
+ */
+const SCOPES = {
+    'users:read': 'List and look up users',
+    'users:write': 'Create users and send password resets',
+    'users:admin': 'Create, change and delete admins, and receive password reset tokens when SMTP is not set up',
+    'instances:read': 'List and view instances',
+    'instances:deploy': 'Deploy new instances',
+    'instances:manage': 'Suspend, unsuspend and delete instances',
+    'instances:power': 'Open an instance console and send power actions',
+    'images:read': 'List images',
+    'nodes:read': 'List nodes',
+    'nodes:manage': 'Create, delete and configure nodes',
+    'panel:read': 'Read panel information such as its name',
+    'metrics:read': 'Scrape the Prometheus /metrics endpoint',
+    'audits:read': 'Read the audit log',
+};
+
+const DEFAULT_RATE_LIMIT = { requests: 120, windowSeconds: 60 };
+
+// lastUsedAt is written at most this often per key, so busy keys do not write on every request.
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Request counts of the current rate limit window, by key or token id.
+const windows = new Map();
+const lastUsedWrites = new Map();
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
+    return [];
+}
+
+/**
+ * Parses an address or CIDR range as entered on the admin page.
+ *
+ * @returns {{ address: string, prefix: number, family: string }|null} Null if it is not valid.
+ */
+function parseRange(range) {
+    const [address, prefixText] = String(range).split('/');
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (!family) return null;
+
+    const max = family === 'ipv4' ? 32 : 128;
+    const prefix = prefixText === undefined ? max : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+    return { address, prefix, family };
+}
+
+/**
+ * Validates and normalizes key settings submitted by the admin page or the API.
+ *
+ * @param {Object} input - name, scopes, users, nodes, ips and rateLimit (requests per window).
+ * @returns {{ settings?: Object, error?: string }} The settings to store, or what is wrong with them.
+ */
+function parseKeySettings(input = {}) {
+    const scopes = toList(input.scopes);
+    const unknown = scopes.filter((scope) => !SCOPES[scope]);
+    if (unknown.length) {
+        return { error: `Unknown scope: ${unknown.join(', ')}` };
+    }
+
+    const ips = toList(input.ips);
+    const invalid = ips.filter((range) => !parseRange(range));
+    if (invalid.length) {
+        return { error: `Invalid IP address or range: ${invalid.join(', ')}` };
+    }
+
+    const users = toList(input.users);
+    const missingUser = users.find((userId) => !store.users.get(userId));
+    if (missingUser) {
+        return { error: `Unknown user: ${missingUser}` };
+    }
+
+    const nodes = toList(input.nodes);
+    const missingNode = nodes.find((nodeId) => !store.nodes.get(nodeId));
+    if (missingNode) {
+        return { error: `Unknown node: ${missingNode}` };
+    }
+
+    let requests = DEFAULT_RATE_LIMIT.requests;
+    if (input.rateLimit !== undefined && input.rateLimit !== '') {
+        requests = Number(input.rateLimit);
+        if (!Number.isInteger(requests) || requests < 0) {
+            return { error: 'Rate limit must be a whole number of requests per minute' };
+        }
+    }
+
+    return {
+        settings: {
+            name: String(input.name || '').trim().slice(0, 100),
+            scopes: [...new Set(scopes)],
+            restrictions: { users, nodes, ips },
+            rateLimit: { requests, windowSeconds: DEFAULT_RATE_LIMIT.windowSeconds },
+        },
+    };
+}
+
+function ipAllowed(apiKey, ip) {
+    const ranges = (apiKey.restrictions && apiKey.restrictions.ips) || [];
+    if (ranges.length === 0) return true;
+    if (!ip) return false;
+
+    const client = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const list = new net.BlockList();
+    for (const range of ranges) {
+        const parsed = parseRange(range);
+        if (parsed) list.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    }
+    return list.check(client, net.isIPv4(client) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Counts a request against the rate limit of a key or user token and sets the RateLimit headers.
+ *
+ * @param {Object} credential - The key or token; its `rateLimit` falls back to DEFAULT_RATE_LIMIT.
+ * @param {Object} [res] - When given, rate limit headers are set on it.
+ * @returns {boolean} Whether the request is within the limit.
+ */
+function checkRateLimit(credential, res) {
+    const { requests, windowSeconds } = credential.rateLimit || DEFAULT_RATE_LIMIT;
+    if (!requests) return true;
+
+    const now = Date.now();
+    let window = windows.get(credential.id);
+    if (!window || now - window.start >= windowSeconds * 1000) {
+        window = { start: now, count: 0 };
+        windows.set(credential.id, window);
+    }
+    window.count++;
+
+    const reset = String(Math.ceil((window.start + windowSeconds * 1000 - now) / 1000));
+    if (res) {
+        res.set('RateLimit-Limit', String(requests));
+        res.set('RateLimit-Remaining', String(Math.max(0, requests - window.count)));
+        res.set('RateLimit-Reset', reset);
+        if (window.count > requests) res.set('Retry-After', reset);
+    }
+    return window.count <= requests;
+}
+
+/**
+ * Stores when and from where a key or user token was last used.
+ *
+ * @param {Object} repository - store.apiKeys or store.userTokens.
+ * @param {Object} credential - The key or token.
+ * @param {string} ip - The client address.
+ */
+function recordUse(repository, credential, ip) {
+    const now = Date.now();
+    if (now - (lastUsedWrites.get(credential.id) || 0) < LAST_USED_INTERVAL) return;
+    lastUsedWrites.set(credential.id, now);
+
+    repository.update(credential.id, (record) => {
+        record.lastUsedAt = new Date(now).toISOString();
+        record.lastUsedIp = ip || null;
+    });
+}
+
+/**
+ * Checks the key sent with a request: that it exists and has not expired, that the client address
+ * is allowed, that it is within its rate limit and that it holds the scope.
+ *
+ * @param {Object} req - The request; the key is read from the `x-api-key` header or a bearer token.
+ * @param {string} scope - The scope the endpoint needs.
+ * @param {Object} [res] - When given, rate limit headers are set on it.
+ * @returns {{ apiKey?: Object, status?: number, error?: string }} The key, or the status and message to
+ *   answer with.
+ */
+function authenticateApiKey(req, scope, res) {
+    const authorization = req.headers.authorization || '';
+    const key = req.headers['x-api-key'] || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '');
+    if (!key) {
+        return { status: 401, error: 'API key is required' };
+    }
+
+    const apiKey = store.apiKeys.findOne('key', key);
+    if (!apiKey) {
+        return { status: 401, error: 'Invalid API key' };
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) {
+        return { status: 401, error: 'API key has expired' };
+    }
+
+    if (!ipAllowed(apiKey, req.ip)) {
+        return { status: 403, error: 'API key is not allowed from this address' };
+    }
+
+    if (!checkRateLimit(apiKey, res)) {
+        return { status: 429, error: 'API key rate limit exceeded' };
+    }
+
+    recordUse(store.apiKeys, apiKey, req.ip);
+
+    if (!(apiKey.scopes || []).includes(scope)) {
+        return { status: 403, error: `API key is missing the ${scope} scope` };
+    }
+
+    return { apiKey };
+}
+
+/**
+ * Middleware that requires an API key holding the given scope and puts it on `req.apiKey`.
+ *
+ * @param {string} scope - One of SCOPES.
+ * @returns {Function} Express middleware.
+ */
+function requireApiKey(scope) {
+    if (!SCOPES[scope]) {
+        throw new Error(`Unknown API key scope ${scope}`);
+    }
+
+    return (req, res, next) => {
+        try {
+            const { apiKey, status, error } = authenticateApiKey(req, scope, res);
+            if (!apiKey) {
+                return res.status(status).json({ error });
+            }
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            console.error('API key validation error:', error);
+            res.status(500).json({ error: 'Failed to validate API key' });
+        }
+    };
+}
+
+/**
+ * Whether a key restricted to specific users or nodes may act on the given one.
+ *
+ * @param {Object} apiKey - The key.
+ * @param {'users'|'nodes'} kind - The kind of restriction.
+ * @param {string} id - The user or node id.
+ */
+function keyAllows(apiKey, kind, id) {
+    const allowed = (apiKey.restrictions && apiKey.restrictions[kind]) || [];
+    return allowed.length === 0 || allowed.includes(id);
+}
+
+/**
+ * Whether a key may see or act on an instance: its owner and its node must both be allowed.
+ */
+function keyAllowsInstance(apiKey, instance) {
+    return (
+        keyAllows(apiKey, 'users', instance.User) &&
+        keyAllows(apiKey, 'nodes', instance.Node && instance.Node.id)
+    );
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_RATE_LIMIT,
+    parseKeySettings,
+    checkRateLimit,
+    recordUse,
+    authenticateApiKey,
+    requireApiKey,
+    keyAllows,
+    keyAllowsInstance,
+};
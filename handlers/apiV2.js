@@ -0,0 +1,359 @@
+/**
+ * @fileoverview Building blocks of the v2 REST API in routes/apiV2.js: the error envelope, cursor
+ * pagination, sparse fieldsets, request body validation and the operation registry that the
+ * OpenAPI 3 document at /api/v2/openapi.json is generated from. Every route is declared once with
+ * define(), which both mounts it and describes it, so the document cannot drift from the routes.
+ */
+
+const { authenticateApiKey } = require('./apiKeys.js');
+
+const BASE_PATH = '/api/v2';
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    422: 'validation_failed',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'node_unavailable',
+};
+
+/**
+ * An error a v2 handler throws to answer with the error envelope:
+ * `{ "error": { "status": 404, "code": "not_found", "message": "...", "details": ... } }`.
+ */
+class ApiError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.code = ERROR_CODES[status] || 'error';
+        this.details = details;
+    }
+}
+
+function sendError(res, status, message, details) {
+    const error = { status, code: ERROR_CODES[status] || 'error', message };
+    if (details !== undefined) error.details = details;
+    return res.status(status).json({ error });
+}
+
+function encodeCursor(value) {
+    return Buffer.from(String(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const value = Buffer.from(String(cursor), 'base64url').toString();
+    if (!value || encodeCursor(value) !== cursor) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+    return value;
+}
+
+/**
+ * Reads `limit` from the query string.
+ *
+ * @returns {number} Between 1 and MAX_LIMIT, DEFAULT_LIMIT when absent.
+ */
+function readLimit(query) {
+    if (query.limit === undefined) return DEFAULT_LIMIT;
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ApiError(400, `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    return limit;
+}
+
+/**
+ * Pages through records ordered by a unique key. The cursor names the last record of the previous
+ * page, so pages stay correct when records before it are added or removed.
+ *
+ * @param {Object[]} records - Every matching record.
+ * @param {Object} query - The request query, for `limit` and `cursor`.
+ * @param {Function} key - Returns the unique, sortable key of a record.
+ * @returns {{ items: Object[], pagination: Object }} The page and its pagination block.
+ */
+function paginate(records, query, key) {
+    const limit = readLimit(query);
+    const sorted = [...records].sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+    const after = query.cursor ? decodeCursor(query.cursor) : null;
+    const remaining = after === null ? sorted : sorted.filter((record) => String(key(record)) > after);
+    const items = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    return {
+        items,
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(key(items[items.length - 1])) : null,
+        },
+    };
+}
+
+/**
+ * Applies the `fields` query parameter (`fields=id,name`) to serialized records.
+ *
+ * @param {Object|Object[]} data - A serialized record or a list of them.
+ * @param {Object} query - The request query.
+ * @param {string[]} allowed - The fields the resource has.
+ */
+function selectFields(data, query, allowed) {
+    if (!query.fields) return data;
+
+    const fields = String(query.fields).split(',').map((field) => field.trim()).filter(Boolean);
+    const unknown = fields.filter((field) => !allowed.includes(field));
+    if (unknown.length) {
+        throw new ApiError(400, `Unknown field: ${unknown.join(', ')}`, { allowed });
+    }
+
+    const pick = (record) => Object.fromEntries(fields.map((field) => [field, record[field]]));
+    return Array.isArray(data) ? data.map(pick) : pick(data);
+}
+
+/**
+ * Parses a boolean query parameter.
+ *
+ * @returns {boolean|undefined} Undefined when the parameter is absent.
+ */
+function readBoolean(query, name) {
+    if (query[name] === undefined) return undefined;
+    if (query[name] === 'true') return true;
+    if (query[name] === 'false') return false;
+    throw new ApiError(400, `${name} must be true or false`);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks a request body against the JSON schema of its operation: required properties, property
+ * types and enums. Unknown properties are rejected so typos do not go unnoticed.
+ *
+ * @throws {ApiError} 422 listing every problem.
+ */
+function validateBody(body, schema) {
+    if (typeOf(body) !== 'object') {
+        throw new ApiError(422, 'Request body must be a JSON object');
+    }
+
+    const problems = [];
+    for (const name of schema.required || []) {
+        if (body[name] === undefined || body[name] === '') problems.push({ field: name, message: 'is required' });
+    }
+
+    for (const [name, value] of Object.entries(body)) {
+        const property = schema.properties[name];
+        if (!property) {
+            problems.push({ field: name, message: 'is not a known field' });
+            continue;
+        }
+        const type = typeOf(value);
+        const matches = type === property.type || (property.type === 'number' && type === 'integer');
+        if (!matches) {
+            problems.push({ field: name, message: `must be of type ${property.type}` });
+        } else if (property.enum && !property.enum.includes(value)) {
+            problems.push({ field: name, message: `must be one of ${property.enum.join(', ')}` });
+        }
+    }
+
+    if (problems.length) {
+        throw new ApiError(422, 'Request body is invalid', problems);
+    }
+}
+
+/**
+ * Creates an API: an Express router plus the registry its OpenAPI document is built from.
+ *
+ * @param {express.Router} router - The router operations are mounted on, under BASE_PATH.
+ * @returns {{ schema: Function, define: Function, document: Function }}
+ */
+function createApi(router) {
+    const schemas = {};
+    const operations = [];
+
+    /**
+     * Registers a component schema, referenced by name from operations.
+     */
+    function schema(name, definition) {
+        schemas[name] = definition;
+        return { $ref: `#/components/schemas/${name}` };
+    }
+
+    /**
+     * Mounts and documents an operation.
+     *
+     * @param {string} method - get, post, patch or delete.
+     * @param {string} path - Express path below BASE_PATH, e.g. `/users/:id`.
+     * @param {Object} spec
+     * @param {string} spec.summary - One line for the document.
+     * @param {string} spec.tag - The resource the operation belongs to.
+     * @param {string} spec.scope - The API key scope required.
+     * @param {boolean} [spec.list] - Whether the operation returns a cursor-paginated list.
+     * @param {Object[]} [spec.query] - Extra query parameters: `{ name, type, description }`.
+     * @param {string} [spec.body] - Name of the request body schema; bodies are validated against it.
+     * @param {string} [spec.response] - Name of the schema of the returned record(s).
+     * @param {number} [spec.status=200] - The success status.
+     * @param {Function} handler - `(req, res)`; may be async and may throw ApiError.
+     */
+    function define(method, path, spec, handler) {
+        operations.push({ method, path, ...spec });
+
+        router[method](BASE_PATH + path, async (req, res) => {
+            try {
+                const { apiKey, status, error } = authenticateApiKey(req, spec.scope, res);
+                if (!apiKey) {
+                    return sendError(res, status, error);
+                }
+                req.apiKey = apiKey;
+
+                if (spec.body) {
+                    validateBody(req.body, schemas[spec.body]);
+                }
+
+                await handler(req, res);
+            } catch (error) {
+                if (error instanceof ApiError) {
+                    return sendError(res, error.status, error.message, error.details);
+                }
+                console.error(`API v2 ${method.toUpperCase()} ${path} failed:`, error);
+                sendError(res, 500, 'Internal server error');
+            }
+        });
+    }
+
+    /**
+     * Builds the OpenAPI 3 document for every defined operation.
+     *
+     * @param {Object} info - `title` and `version`.
+     * @param {string} serverUrl - Base URL of the panel.
+     */
+    function document(info, serverUrl) {
+        const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+        const errorResponse = { description: 'Error', content: { 'application/json': { schema: ref('Error') } } };
+        const paths = {};
+
+        for (const operation of operations) {
+            const openApiPath = operation.path.replace(/:(\w+)/g, '{$1}');
+            const parameters = [...operation.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+                name,
+                in: 'path',
+                required: true,
+                schema: { type: 'string' },
+            }));
+
+            if (operation.list) {
+                parameters.push(
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+                    { name: 'cursor', in: 'query', description: 'The nextCursor of the previous page.', schema: { type: 'string' } },
+                );
+            }
+            if (operation.response && operation.method === 'get') {
+                parameters.push({
+                    name: 'fields',
+                    in: 'query',
+                    description: 'Comma separated fields to return.',
+                    schema: { type: 'string' },
+                });
+            }
+            for (const param of operation.query || []) {
+                parameters.push({
+                    name: param.name,
+                    in: 'query',
+                    description: param.description,
+                    schema: param.enum ? { type: param.type, enum: param.enum } : { type: param.type },
+                });
+            }
+
+            const status = String(operation.status || 200);
+            const responses = {};
+            if (operation.response) {
+                const data = operation.list ? { type: 'array', items: ref(operation.response) } : ref(operation.response);
+                const properties = operation.list ? { data, pagination: ref('Pagination') } : { data };
+                responses[status] = {
+                    description: 'Success',
+                    content: { 'application/json': { schema: { type: 'object', properties, required: Object.keys(properties) } } },
+                };
+            } else {
+                responses[status] = { description: 'Success' };
+            }
+            responses.default = errorResponse;
+
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][operation.method] = {
+                summary: operation.summary,
+                description: `Requires an API key with the \`${operation.scope}\` scope.`,
+                operationId: `${operation.method}${openApiPath.replace(/[{}]/g, '').split('/').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`,
+                tags: [operation.tag],
+                parameters,
+                ...(operation.body && {
+                    requestBody: { required: true, content: { 'application/json': { schema: ref(operation.body) } } },
+                }),
+                responses,
+            };
+        }
+
+        return {
+            openapi: '3.0.3',
+            info,
+            servers: [{ url: serverUrl + BASE_PATH }],
+            security: [{ apiKeyHeader: [] }, { bearerAuth: [] }],
+            paths,
+            components: {
+                securitySchemes: {
+                    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                    bearerAuth: { type: 'http', scheme: 'bearer' },
+                },
+                schemas: {
+                    ...schemas,
+                    Pagination: {
+                        type: 'object',
+                        properties: {
+                            limit: { type: 'integer' },
+                            hasMore: { type: 'boolean' },
+                            nextCursor: { type: 'string', nullable: true },
+                        },
+                    },
+                    Error: {
+                        type: 'object',
+                        properties: {
+                            error: {
+                                type: 'object',
+                                properties: {
+                                    status: { type: 'integer' },
+                                    code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                                    message: { type: 'string' },
+                                    details: {},
+                                },
+                                required: ['status', 'code', 'message'],
+                            },
+                        },
+                    },
+                },
+            },
+        };
+    }
+
+    return { schema, define, document };
+}
+
+module.exports = {
+    BASE_PATH,
+    ApiError,
+    sendError,
+    encodeCursor,
+    decodeCursor,
+    readLimit,
+    paginate,
+    selectFields,
+    readBoolean,
+    createApi,
+};
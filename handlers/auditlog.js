@@ -1,4 +1,28 @@
-const { db } = require('./db');
+/**
+ * @fileoverview Audit log. Every entry records who did what, to which resource, what changed and
+ * which request caused it. Entries form a hash chain: each one stores the hash of the entry before
+ * it and a SHA-256 hash over its own content, so editing, removing or reordering entries in the
+ * database is detected by verifyAuditChain().
+ */
+
+const crypto = require('crypto');
+const { store } = require('./db');
+
+// Fields that never end up in an audit entry's change set.
+const redactedFields = new Set([
+    'password',
+    'twoFASecret',
+    'apiKey',
+    'configureKey',
+    'verificationToken',
+    'resetToken',
+    'tokenHash',
+    'key',
+    'pass',
+    'secret',
+    'bindPassword',
+    'recoveryCodes',
+]);
 
 function AdminAudit(userId, username, action, ip) {
     this.userId = userId;
@@ -8,24 +32,143 @@ function AdminAudit(userId, username, action, ip) {
     this.timestamp = new Date().toISOString();
 }
 
-async function logAudit(userId, username, action, ip) {
-    const newAudit = new AdminAudit(userId, username, action, ip);
-    let audits = [];
+/**
+ * Computes the hash of an audit entry from its content and the hash of the entry before it.
+ *
+ * @param {Object} entry - The entry, including `prevHash`.
+ * @returns {string} Hex encoded SHA-256 hash.
+ */
+function hashEntry(entry) {
+    const content = [
+        entry.prevHash || '',
+        entry.timestamp,
+        entry.userId ?? null,
+        entry.username ?? null,
+        entry.action,
+        entry.ip ?? null,
+        entry.resourceType ?? null,
+        entry.resourceId === undefined || entry.resourceId === null ? null : String(entry.resourceId),
+        entry.requestId ?? null,
+        entry.changes ?? null,
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
 
-    try {
-        const data = await db.get('audits');
-        audits = data ? JSON.parse(data) : [];
-    } catch (err) {
-        console.error('Error fetching audits:', err);
+function redact(value) {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(redact);
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        copy[key] = redactedFields.has(key) ? '[redacted]' : redact(field);
     }
+    return copy;
+}
+
+/**
+ * Lists the top-level fields that differ between two versions of a record. A missing `before`
+ * describes a creation, a missing `after` a removal. Secrets are replaced with "[redacted]".
+ *
+ * @param {Object|null} before - The record before the change.
+ * @param {Object|null} after - The record after the change.
+ * @returns {Object|null} `{ field: { before, after } }`, or null if nothing changed.
+ */
+function diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+        changes[key] = redactedFields.has(key)
+            ? { before: from === undefined ? undefined : '[redacted]', after: to === undefined ? undefined : '[redacted]' }
+            : { before: redact(from), after: redact(to) };
+    }
+
+    return Object.keys(changes).length ? changes : null;
+}
 
-    audits.push(newAudit);
+const appendEntry = store.transaction((entry) => {
+    entry.prevHash = store.audits.lastHash();
+    entry.hash = hashEntry({ ...entry, changes: entry.changes ? JSON.stringify(entry.changes) : null });
+    store.audits.append(entry);
+    return entry;
+});
+
+/**
+ * Writes an audit entry.
+ *
+ * @param {string} userId - The acting user.
+ * @param {string} username - The acting user's name.
+ * @param {string} action - What happened, as `resource:verb`.
+ * @param {string} ip - Address the request came from.
+ * @param {Object} [options]
+ * @param {{ type: string, id: string }} [options.resource] - The instance, node, user or setting acted on.
+ * @param {Object} [options.before] - The resource before the change.
+ * @param {Object} [options.after] - The resource after the change.
+ * @param {string} [options.requestId] - Id of the request, see utils/requestId.js.
+ */
+async function logAudit(userId, username, action, ip, options = {}) {
+    const newAudit = new AdminAudit(userId, username, action, ip);
+    const { resource, before, after, requestId } = options;
+
+    if (resource) {
+        newAudit.resourceType = resource.type;
+        newAudit.resourceId = resource.id;
+    }
+    if (before !== undefined || after !== undefined) {
+        newAudit.changes = diff(before ?? null, after ?? null);
+    }
+    newAudit.requestId = requestId;
 
     try {
-        await db.set('audits', JSON.stringify(audits));
+        appendEntry(newAudit);
     } catch (err) {
         console.error('Error saving audits:', err);
     }
 }
 
-module.exports = { logAudit };
+/**
+ * Records something a user did to an instance. These entries make up the instance's Activity tab.
+ *
+ * @param {Object} req - The request, for the acting user, address and request id.
+ * @param {string} instanceId - The instance acted on.
+ * @param {string} action - What happened, as `resource:verb`.
+ * @param {Object} [change] - `before` and/or `after` describing what changed.
+ */
+function logInstanceActivity(req, instanceId, action, { before, after } = {}) {
+    return logAudit(req.user.userId, req.user.username, action, req.ip, {
+        resource: { type: 'instance', id: instanceId },
+        before,
+        after,
+        requestId: req.id,
+    });
+}
+
+/**
+ * Walks the whole audit log and checks every entry against the hash chain.
+ *
+ * @returns {{ valid: boolean, checked: number, brokenAt?: number, reason?: string }} The result,
+ *   with the id of the first entry that does not match if the chain is broken.
+ */
+function verifyAuditChain() {
+    let prevHash = null;
+    let checked = 0;
+
+    for (const entry of store.audits.iterate()) {
+        checked++;
+        if ((entry.prevHash || null) !== prevHash) {
+            return { valid: false, checked, brokenAt: entry.id, reason: 'the entry before it was removed or changed' };
+        }
+        const expected = hashEntry({ ...entry, changes: entry.changes ? JSON.stringify(entry.changes) : null });
+        if (entry.hash !== expected) {
+            return { valid: false, checked, brokenAt: entry.id, reason: 'the entry was modified' };
+        }
+        prevHash = entry.hash;
+    }
+
+    return { valid: true, checked };
+}
+
+module.exports = { logAudit, logInstanceActivity, verifyAuditChain, hashEntry, diff };
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Panel backups. A backup is a single zip archive holding the panel's collections
+ * (the tables listed in `collections`), its settings and the storage files, plus a
+ * manifest with a SHA-256 checksum for every file so damaged or edited archives are refused on
+ * restore. Used by the `backup`/`restore` CLI commands and the admin backup page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const { db, store } = require('./db.js');
+const migrator = require('./migrator.js');
+const config = require('../config.json');
+
+const FORMAT = 'teryxpanel-backup';
+const FORMAT_VERSION = 1;
+
+const collections = {
+    users: store.users,
+    nodes: store.nodes,
+    images: store.images,
+    instances: store.instances,
+    apiKeys: store.apiKeys,
+    audits: store.audits,
+    userTokens: store.userTokens,
+    webhooks: store.webhooks,
+    webhookDeliveries: store.webhookDeliveries,
+    notificationChannels: store.notificationChannels,
+    notifications: store.notifications,
+    announcements: store.announcements,
+    emailTemplates: store.emailTemplates,
+    ssoProviders: store.ssoProviders,
+    userIdentities: store.userIdentities,
+    webauthnCredentials: store.webauthnCredentials,
+};
+
+// Keyv values that make up the panel settings.
+const settingKeys = ['settings', 'name', 'logo', 'smtp_settings', 'skyport_instance', 'ldap_settings', 'security_settings'];
+
+const storageFiles = {
+    'storage/workflows.json': path.join(__dirname, '../storage/workflows.json'),
+    'storage/theme.json': path.join(__dirname, '../storage/theme.json'),
+};
+
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Checksum over the whole archive content, derived from the per-file checksums in the manifest.
+ */
+function archiveChecksum(files) {
+    const lines = Object.keys(files)
+        .sort()
+        .map((name) => `${name}:${files[name].sha256}`);
+    return sha256(Buffer.from(lines.join('\n')));
+}
+
+/**
+ * How many records each collection holds, as shown on the admin backup page.
+ *
+ * @returns {Object<string, number>}
+ */
+function collectionCounts() {
+    const counts = {};
+    for (const [name, collection] of Object.entries(collections)) {
+        counts[name] = collection.count();
+    }
+    return counts;
+}
+
+async function readSettings() {
+    const settings = {};
+    for (const key of settingKeys) {
+        const value = await db.get(key);
+        if (value !== undefined) settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Builds a backup archive of the current panel.
+ *
+ * @returns {Promise<{ buffer: Buffer, manifest: Object }>} The zip archive and its manifest.
+ */
+async function createBackup() {
+    const entries = {};
+    const counts = {};
+
+    for (const [name, collection] of Object.entries(collections)) {
+        const records = collection.list();
+        entries[`data/${name}.json`] = Buffer.from(JSON.stringify(records, null, 2));
+        counts[name] = records.length;
+    }
+    entries['data/settings.json'] = Buffer.from(JSON.stringify(await readSettings(), null, 2));
+
+    for (const [name, file] of Object.entries(storageFiles)) {
+        if (fs.existsSync(file)) entries[name] = fs.readFileSync(file);
+    }
+
+    const files = {};
+    for (const [name, buffer] of Object.entries(entries)) {
+        files[name] = { sha256: sha256(buffer), size: buffer.length };
+    }
+
+    const manifest = {
+        format: FORMAT,
+        formatVersion: FORMAT_VERSION,
+        panelVersion: config.version,
+        schemaVersion: migrator.status().version,
+        createdAt: new Date().toISOString(),
+        counts,
+        files,
+        checksum: archiveChecksum(files),
+    };
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        archive.on('end', resolve);
+        archive.on('error', reject);
+    });
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    for (const [name, buffer] of Object.entries(entries)) {
+        archive.append(buffer, { name });
+    }
+    await archive.finalize();
+    await done;
+
+    return { buffer: Buffer.concat(chunks), manifest };
+}
+
+/**
+ * Opens a backup archive and checks it against its manifest.
+ *
+ * @param {Buffer} buffer - The zip archive.
+ * @returns {Promise<{ manifest: Object, entries: Object<string, Buffer> }>} The verified contents.
+ * @throws {BackupError} If the archive is not a panel backup or fails verification.
+ */
+async function readBackup(buffer) {
+    let directory;
+    try {
+        directory = await unzipper.Open.buffer(buffer);
+    } catch (error) {
+        throw new BackupError('The file is not a valid zip archive');
+    }
+
+    const entries = {};
+    for (const file of directory.files) {
+        if (file.type === 'File') entries[file.path] = await file.buffer();
+    }
+
+    if (!entries['manifest.json']) {
+        throw new BackupError('The archive has no manifest.json');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(entries['manifest.json'].toString('utf8'));
+    } catch (error) {
+        throw new BackupError('The manifest is not valid JSON');
+    }
+    delete entries['manifest.json'];
+
+    if (manifest.format !== FORMAT) {
+        throw new BackupError('The archive is not a panel backup');
+    }
+    if (manifest.formatVersion > FORMAT_VERSION) {
+        throw new BackupError(`Backup format ${manifest.formatVersion} is newer than this panel supports`);
+    }
+    if (!manifest.files || archiveChecksum(manifest.files) !== manifest.checksum) {
+        throw new BackupError('The manifest checksum does not match');
+    }
+
+    for (const [name, info] of Object.entries(manifest.files)) {
+        if (!entries[name]) {
+            throw new BackupError(`${name} is listed in the manifest but missing from the archive`);
+        }
+        if (sha256(entries[name]) !== info.sha256) {
+            throw new BackupError(`${name} does not match its checksum`);
+        }
+    }
+    for (const name of Object.keys(entries)) {
+        if (!manifest.files[name]) {
+            throw new BackupError(`${name} is not listed in the manifest`);
+        }
+    }
+
+    // Migrations only run once per database, so records from another schema version would never
+    // be brought in line with this one.
+    const currentSchema = migrator.status().version;
+    if (manifest.schemaVersion !== currentSchema) {
+        throw new BackupError(
+            `The backup was made at schema version ${manifest.schemaVersion}, this panel is at ${currentSchema}. Restore it with the panel version that created it.`,
+        );
+    }
+
+    return { manifest, entries };
+}
+
+function parseEntry(entries, name, fallback) {
+    if (!entries[name]) return fallback;
+    try {
+        return JSON.parse(entries[name].toString('utf8'));
+    } catch (error) {
+        throw new BackupError(`${name} is not valid JSON`);
+    }
+}
+
+/**
+ * Restores a backup archive over the current panel. Every collection, the settings and the
+ * storage files are replaced with the archive's content. With `dryRun` the archive is only
+ * verified and the returned report describes what a restore would change.
+ *
+ * @param {Buffer} buffer - The zip archive.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Verify and report without changing anything.
+ * @returns {Promise<Object>} Report with the manifest, per-collection counts and restored files.
+ * @throws {BackupError} If the archive fails verification.
+ */
+async function restoreBackup(buffer, { dryRun = false } = {}) {
+    const { manifest, entries } = await readBackup(buffer);
+
+    const data = {};
+    const report = { manifest, dryRun, collections: {}, settings: [], files: [] };
+
+    for (const [name, collection] of Object.entries(collections)) {
+        data[name] = parseEntry(entries, `data/${name}.json`, []);
+        if (!Array.isArray(data[name])) {
+            throw new BackupError(`data/${name}.json does not hold a list`);
+        }
+        report.collections[name] = { current: collection.count(), backup: data[name].length };
+    }
+
+    const settings = parseEntry(entries, 'data/settings.json', {});
+    report.settings = Object.keys(settings).filter((key) => settingKeys.includes(key));
+    report.files = Object.keys(storageFiles).filter((name) => entries[name]);
+
+    for (const name of report.files) {
+        parseEntry(entries, name);
+    }
+
+    if (dryRun) return report;
+
+    store.transaction(() => {
+        for (const [name, collection] of Object.entries(collections)) {
+            collection.replaceAll(data[name]);
+        }
+    })();
+
+    for (const key of report.settings) {
+        await db.set(key, settings[key]);
+    }
+
+    for (const name of report.files) {
+        const file = storageFiles[name];
+        fs.writeFileSync(file, entries[name]);
+
+        // theme.json is required (and cached) by index.js and the admin routes, so update the
+        // cached object in place for the restored theme to show without a restart.
+        const cached = require.cache[require.resolve(file)];
+        if (cached) {
+            const value = JSON.parse(entries[name].toString('utf8'));
+            for (const key of Object.keys(cached.exports)) delete cached.exports[key];
+            Object.assign(cached.exports, value);
+        }
+    }
+
+    return report;
+}
+
+module.exports = { createBackup, readBackup, restoreBackup, collectionCounts, BackupError };
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Chat notifications for instance owners. On the instance's Notifications page,
+ * owners add Discord or Slack incoming webhook URLs and choose which events get posted there.
+ * Posts are formatted for the service the channel points at: Discord gets an embed, and Slack
+ * gets a message with a coloured attachment. Services that accept Slack-compatible webhooks, such
+ * as Mattermost and Rocket.Chat, can use the Slack format.
+ *
+ * Unlike admin webhooks (handlers/webhooks.js), a post is sent once and is not retried. The
+ * outcome of the last post is kept on the channel so the owner can see whether the URL still works.
+ */
+
+const axios = require('axios');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { db, store } = require('./db.js');
+const config = require('../config.json');
+const log = new (require('cat-loggr'))();
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Events an owner can be notified about. `cooldown` is how long repeats of the event for the same
+ * instance are dropped, for events that sources may report over and over.
+ */
+const EVENTS = {
+    installed: {
+        label: 'Installation finished',
+        description: 'The server finished installing and is ready to start',
+        color: 0x22c55e,
+    },
+    install_failed: {
+        label: 'Installation failed',
+        description: 'The server did not become ready after installing',
+        color: 0xef4444,
+    },
+    crashed: {
+        label: 'Server crashed',
+        description: 'The node could not stop the server cleanly',
+        color: 0xef4444,
+        cooldown: 10 * MINUTE,
+    },
+    suspended: {
+        label: 'Server suspended',
+        description: 'An administrator or an automatic check suspended the server',
+        color: 0xf59e0b,
+    },
+    disk_quota: {
+        label: 'Disk quota exceeded',
+        description: 'The server uses more disk space than its plan allows',
+        color: 0xf59e0b,
+        cooldown: 6 * 60 * MINUTE,
+    },
+};
+
+const TYPES = {
+    discord: 'Discord',
+    slack: 'Slack (or Slack-compatible)',
+};
+
+const MAX_CHANNELS = 5;
+const REQUEST_TIMEOUT = 10000;
+
+// When each instance last notified about each event, for the cooldowns above.
+const lastSent = new Map();
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
+    return [];
+}
+
+/**
+ * Guesses the channel type from a webhook URL, for forms submitted without one.
+ *
+ * @param {string} url
+ * @returns {string|undefined} `discord`, `slack`, or undefined if the host is not recognised.
+ */
+function detectType(url) {
+    try {
+        const { hostname } = new URL(url);
+        if (/(^|\.)discord(app)?\.com$/.test(hostname)) return 'discord';
+        if (hostname === 'hooks.slack.com') return 'slack';
+    } catch {
+        // Not a URL; parseChannelSettings reports that.
+    }
+    return undefined;
+}
+
+/**
+ * Validates and normalizes a channel submitted from the instance page. Only public https URLs are
+ * accepted, since owners are not trusted to point the panel at hosts on its own network.
+ *
+ * @param {Object} input - name, type, url, events and enabled.
+ * @returns {{ settings?: Object, error?: string }} The settings to store, or what is wrong with them.
+ */
+function parseChannelSettings(input = {}) {
+    const name = String(input.name || '').trim().slice(0, 100);
+    if (!name) {
+        return { error: 'Give the channel a name' };
+    }
+
+    let url;
+    try {
+        url = new URL(String(input.url || '').trim());
+    } catch {
+        return { error: 'Paste the full webhook URL from Discord or Slack' };
+    }
+    if (url.protocol !== 'https:') {
+        return { error: 'The webhook URL must start with https://' };
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || net.isIP(hostname)) {
+        return { error: 'The webhook URL must use a public host name' };
+    }
+
+    const type = String(input.type || '') || detectType(url.toString());
+    if (!TYPES[type]) {
+        return { error: 'Choose whether this is a Discord or a Slack webhook' };
+    }
+
+    const events = [...new Set(toList(input.events))];
+    const unknown = events.filter((event) => !EVENTS[event]);
+    if (unknown.length) {
+        return { error: `Unknown event: ${unknown.join(', ')}` };
+    }
+    if (events.length === 0) {
+        return { error: 'Choose at least one event' };
+    }
+
+    return {
+        settings: {
+            name,
+            type,
+            url: url.toString(),
+            events,
+            enabled: input.enabled === true || input.enabled === 'on' || input.enabled === 'true',
+        },
+    };
+}
+
+/**
+ * Adds a channel to an instance.
+ *
+ * @param {string} instanceId
+ * @param {Object} settings - As returned by parseChannelSettings.
+ * @param {string} userId - The user adding it.
+ * @returns {{ channel?: Object, error?: string }} The stored channel, or why it was not added.
+ */
+function createChannel(instanceId, settings, userId) {
+    if (store.notificationChannels.listByInstance(instanceId).length >= MAX_CHANNELS) {
+        return { error: `An instance can have at most ${MAX_CHANNELS} notification channels` };
+    }
+    const channel = store.notificationChannels.save({
+        id: uuidv4(),
+        instanceId,
+        ...settings,
+        createdBy: userId,
+        createdAt: new Date().toISOString(),
+        lastDelivery: null,
+    });
+    return { channel };
+}
+
+/**
+ * The channel without its URL, which carries the webhook's token. Used for activity entries.
+ */
+function describeChannel(channel) {
+    return { name: channel.name, type: channel.type, events: channel.events, enabled: channel.enabled };
+}
+
+function instanceLink(instance) {
+    return `${String(config.baseUri || '').replace(/\/+$/, '')}/instance/${instance.Id}`;
+}
+
+/**
+ * Builds the JSON body for a channel type.
+ *
+ * @param {string} type - `discord` or `slack`.
+ * @param {Object} message
+ * @param {string} message.panelName
+ * @param {Object} message.instance
+ * @param {string} message.title
+ * @param {string} message.description
+ * @param {number} message.color - RGB colour as a number.
+ * @param {Array<{ name: string, value: string }>} message.fields
+ * @returns {Object}
+ */
+function formatMessage(type, { panelName, instance, title, description, color, fields }) {
+    const heading = `${instance.Name || instance.Id}: ${title}`;
+    const url = instanceLink(instance);
+    const timestamp = new Date();
+
+    if (type === 'discord') {
+        return {
+            username: panelName,
+            allowed_mentions: { parse: [] },
+            embeds: [
+                {
+                    title: heading,
+                    url,
+                    description,
+                    color,
+                    fields: fields.map((field) => ({ name: field.name, value: field.value, inline: true })),
+                    footer: { text: panelName },
+                    timestamp: timestamp.toISOString(),
+                },
+            ],
+        };
+    }
+
+    return {
+        text: `${heading}. ${description}`,
+        attachments: [
+            {
+                color: '#' + color.toString(16).padStart(6, '0'),
+                title: heading,
+                title_link: url,
+                text: description,
+                fields: fields.map((field) => ({ title: field.name, value: field.value, short: true })),
+                footer: panelName,
+                ts: Math.floor(timestamp.getTime() / 1000),
+            },
+        ],
+    };
+}
+
+async function buildMessage(type, instance, event, details = {}) {
+    const definition = EVENTS[event];
+    const fields = [{ name: 'Server', value: String(instance.Name || instance.Id) }];
+    if (instance.Node && instance.Node.name) {
+        fields.push({ name: 'Node', value: String(instance.Node.name) });
+    }
+    if (details.reason) {
+        fields.push({ name: 'Reason', value: String(details.reason).slice(0, 1000) });
+    }
+    if (details.usage) {
+        fields.push({ name: 'Disk usage', value: String(details.usage) });
+    }
+
+    return formatMessage(type, {
+        panelName: (await db.get('name')) || 'TeryxPanel',
+        instance,
+        title: definition.label,
+        description: definition.description,
+        color: definition.color,
+        fields,
+    });
+}
+
+/**
+ * Posts a message to a channel and records the outcome on it.
+ *
+ * @returns {Promise<Object>} The channel's new lastDelivery.
+ */
+async function post(channel, event, body) {
+    const result = { at: new Date().toISOString(), event };
+    try {
+        const response = await axios.post(channel.url, body, {
+            timeout: REQUEST_TIMEOUT,
+            maxRedirects: 0,
+            headers: { 'User-Agent': `TeryxPanel-Notifications/${config.version}` },
+            validateStatus: () => true,
+        });
+        result.ok = response.status >= 200 && response.status < 300;
+        result.status = response.status;
+        if (!result.ok) result.error = `The service answered with HTTP ${response.status}`;
+    } catch (error) {
+        result.ok = false;
+        result.error = error.code === 'ECONNABORTED' ? `Timed out after ${REQUEST_TIMEOUT / 1000}s` : error.message;
+    }
+
+    store.notificationChannels.update(channel.id, (record) => {
+        record.lastDelivery = result;
+    });
+    return result;
+}
+
+/**
+ * Posts an event to every enabled channel of an instance that subscribed to it. Never throws, so
+ * callers can fire and forget.
+ *
+ * @param {Object|string} instanceOrId - The instance record, or its id.
+ * @param {string} event - A key of EVENTS.
+ * @param {Object} [details] - `reason` (for suspensions) and `usage` (for the disk quota).
+ * @returns {Promise<void>}
+ */
+async function notifyInstance(instanceOrId, event, details = {}) {
+    try {
+        const definition = EVENTS[event];
+        if (!definition) {
+            log.warn(`Unknown chat notification event ${event}`);
+            return;
+        }
+
+        const instance = typeof instanceOrId === 'string' ? store.instances.get(instanceOrId) : instanceOrId;
+        if (!instance) return;
+
+        const channels = store.notificationChannels
+            .listByInstance(instance.Id)
+            .filter((channel) => channel.enabled && channel.events.includes(event));
+        if (channels.length === 0) return;
+
+        if (definition.cooldown) {
+            const key = `${instance.Id}:${event}`;
+            if (Date.now() - (lastSent.get(key) || 0) < definition.cooldown) return;
+            lastSent.set(key, Date.now());
+        }
+
+        for (const channel of channels) {
+            const result = await post(channel, event, await buildMessage(channel.type, instance, event, details));
+            if (!result.ok) {
+                log.warn(`Chat notification ${event} for instance ${instance.Id} failed: ${result.error}`);
+            }
+        }
+    } catch (error) {
+        log.error(`Failed to send chat notification ${event}:`, error);
+    }
+}
+
+/**
+ * Posts a test message to a channel, whatever its events and enabled flag.
+ *
+ * @param {Object} channel
+ * @param {Object} instance
+ * @returns {Promise<Object>} The channel's new lastDelivery.
+ */
+async function sendTest(channel, instance) {
+    const body = formatMessage(channel.type, {
+        panelName: (await db.get('name')) || 'TeryxPanel',
+        instance,
+        title: 'Test notification',
+        description: `Notifications for this server will be posted here. Events: ${channel.events
+            .map((event) => EVENTS[event].label)
+            .join(', ')}.`,
+        color: 0x06b6d4,
+        fields: [{ name: 'Server', value: String(instance.Name || instance.Id) }],
+    });
+    return post(channel, 'test', body);
+}
+
+module.exports = {
+    EVENTS,
+    TYPES,
+    MAX_CHANNELS,
+    parseChannelSettings,
+    createChannel,
+    describeChannel,
+    notifyInstance,
+    sendTest,
+};
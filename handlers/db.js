@@ -1,14 +1,15 @@
 const config = require('../config.json');
+const store = require('./store.js');
 
 if (!config.databaseURL) {
     throw new Error('Database URL not set in config.json');
 }
 
-let db;
+let kv;
 
 if (config.databaseURL.startsWith('sqlite')) {
     const Keyv = require('keyv');
-    db = new Keyv('sqlite://skyport.db');
+    kv = new Keyv('sqlite://skyport.db', { busyTimeout: 10000 });
 } else {
     const Keyv = require('@keyvhq/core');
     const KeyvMysql = require('@keyvhq/mysql');
@@ -19,7 +20,7 @@ if (config.databaseURL.startsWith('sqlite')) {
         keySize: 255,
     };
 
-    db = new Keyv({
+    kv = new Keyv({
         store: new KeyvMysql(mysqlConfig.url, {
             table: mysqlConfig.table,
             keySize: mysqlConfig.keySize
@@ -27,4 +28,176 @@ if (config.databaseURL.startsWith('sqlite')) {
     });
 }
 
-module.exports = { db };
\ No newline at end of file
+/**
+ * Keys that used to hold whole collections in Keyv. They are served from the relational store so
+ * code that still reads or writes them sees the same data as code using the store directly.
+ * New code should call the store's per-row helpers instead of these keys.
+ */
+const collections = [
+    {
+        pattern: /^users$/,
+        get: () => store.users.list(),
+        set: (value) => store.users.replaceAll(value),
+        delete: () => store.users.replaceAll([]),
+    },
+    {
+        pattern: /^instances$/,
+        get: () => store.instances.list(),
+        set: (value) => store.instances.replaceAll(value),
+        delete: () => store.instances.replaceAll([]),
+    },
+    {
+        pattern: /^(.+)_instances$/,
+        get: (userId) => store.instances.listByUser(userId),
+        set: (value, userId) => store.instances.replaceForUser(userId, value),
+        delete: (userId) => store.instances.replaceForUser(userId, []),
+    },
+    {
+        pattern: /^(.+)_instance$/,
+        get: (id) => store.instances.get(id),
+        set: (value, id) => store.instances.save({ ...value, Id: value.Id || id }),
+        delete: (id) => store.instances.remove(id),
+        update: (id, mutator) => store.instances.update(id, mutator),
+    },
+    {
+        pattern: /^nodes$/,
+        get: () => store.nodes.ids(),
+        set: (ids) => {
+            const keep = new Set((ids || []).map(String));
+            for (const id of store.nodes.ids()) {
+                if (!keep.has(id)) store.nodes.remove(id);
+            }
+        },
+        delete: () => store.nodes.replaceAll([]),
+    },
+    {
+        pattern: /^(.+)_node$/,
+        get: (id) => store.nodes.get(id),
+        set: (value, id) => store.nodes.save({ ...value, id: value.id || id }),
+        delete: (id) => store.nodes.remove(id),
+        update: (id, mutator) => store.nodes.update(id, mutator),
+    },
+    {
+        pattern: /^images$/,
+        get: () => store.images.list(),
+        set: (value) => store.images.replaceAll(value),
+        delete: () => store.images.replaceAll([]),
+    },
+    {
+        pattern: /^apiKeys$/,
+        get: () => store.apiKeys.list(),
+        set: (value) => store.apiKeys.replaceAll(value),
+        delete: () => store.apiKeys.replaceAll([]),
+    },
+    {
+        pattern: /^audits$/,
+        get: () => JSON.stringify(store.audits.list()),
+        set: (value) => store.audits.replaceAll(typeof value === 'string' ? JSON.parse(value) : value),
+        delete: () => store.audits.replaceAll([]),
+    },
+];
+
+// Keys that look like collection keys but are plain Keyv values.
+const keyvOnly = new Set(['skyport_instance']);
+
+function resolve(key) {
+    if (keyvOnly.has(key)) return null;
+
+    for (const collection of collections) {
+        const match = collection.pattern.exec(key);
+        if (match) return { collection, arg: match[1] };
+    }
+    return null;
+}
+
+// Tail of the pending update chain for each key, so updates to the same key run one at a time.
+const locks = new Map();
+
+function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const tail = current.catch(() => {});
+
+    locks.set(key, tail);
+    tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key);
+    });
+    return current;
+}
+
+function applyMutator(mutator, current) {
+    const next = mutator(current);
+    if (next && typeof next.then === 'function') {
+        throw new TypeError('db.update mutators for store-backed keys must be synchronous');
+    }
+    return next === undefined ? current : next;
+}
+
+/**
+ * Keyv-compatible database handle. Collection keys go to the relational store, everything else
+ * (settings, name, logo, smtp_settings, ...) stays in Keyv.
+ */
+const db = {
+    async get(key) {
+        const target = resolve(key);
+        return target ? target.collection.get(target.arg) : kv.get(key);
+    },
+
+    async set(key, value) {
+        const target = resolve(key);
+        if (!target) return kv.set(key, value);
+
+        target.collection.set(value, target.arg);
+        return true;
+    },
+
+    async delete(key) {
+        const target = resolve(key);
+        if (!target) return kv.delete(key);
+
+        target.collection.delete(target.arg);
+        return true;
+    },
+
+    /**
+     * Reads, changes and writes a key without losing concurrent updates. Updates to the same key
+     * are queued behind each other; store-backed keys are additionally read and written inside a
+     * single SQLite transaction, so their mutator has to be synchronous. The mutator may change the
+     * value in place or return a replacement.
+     *
+     * Single-record keys (`<id>_instance`, `<id>_node`) are left alone when the record does not
+     * exist, and the mutator is not called.
+     *
+     * @param {string} key - The key to update.
+     * @param {Function} mutator - Receives the current value.
+     * @returns {Promise<*>} The stored value, or undefined if a single-record key does not exist.
+     */
+    update(key, mutator) {
+        return withLock(key, async () => {
+            const target = resolve(key);
+
+            if (!target) {
+                const current = await kv.get(key);
+                const next = await mutator(current);
+                const value = next === undefined ? current : next;
+                await kv.set(key, value);
+                return value;
+            }
+
+            const { collection, arg } = target;
+            if (collection.update) {
+                return collection.update(arg, (current) => applyMutator(mutator, current));
+            }
+
+            return store.transaction(() => {
+                const value = applyMutator(mutator, collection.get(arg));
+                collection.set(value, arg);
+                return value;
+            })();
+        });
+    },
+
+    kv,
+};
+
+module.exports = { db, store };
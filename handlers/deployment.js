@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Deploying and deleting instances on their nodes, shared by the v1 and v2 APIs.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const { serializeInstance } = require('./serializers.js');
+const webhooks = require('./webhooks.js');
+
+/**
+ * Creates a container on a node and stores the new instance.
+ *
+ * @param {Object} options
+ * @param {string} options.image - Docker image to run.
+ * @param {string} [options.imagename] - Name of the panel image, for its environment, scripts and stop command.
+ * @param {Object} options.node - The node record, including its apiKey.
+ * @param {string} options.user - Id of the owning user.
+ * @returns {Promise<{ response: Object, instance?: Object }>} The node's response; `instance` is the
+ *   stored record when the node created the container.
+ */
+async function deployInstance({ image, imagename, memory, cpu, disk, ports, node, name, user, primary, variables }) {
+    const Id = uuidv4().split('-')[0];
+    const requestData = await prepareRequestData(image, memory, cpu, ports, name, node, Id, variables, imagename);
+
+    const response = await axios(requestData);
+    if (response.status !== 201) {
+        return { response };
+    }
+
+    const instance = await updateDatabaseWithNewInstance(
+        response.data,
+        user,
+        node,
+        image,
+        memory,
+        disk,
+        cpu,
+        ports,
+        primary,
+        name,
+        Id,
+        imagename
+    );
+    webhooks.emit('instance.deployed', { instance: serializeInstance(instance) });
+    return { response, instance };
+}
+
+/**
+ * Deletes an instance's container on its node, then the instance record. The record is kept if the
+ * node cannot be reached.
+ *
+ * @param {Object} instance - The instance, including its Node.
+ */
+async function deleteInstance(instance) {
+    try {
+        // First try to delete the instance from the node
+        await axios.delete(
+            `http://${instance.Node.address}:${instance.Node.port}/instances/${instance.ContainerId}`,
+            {
+                auth: {
+                    username: 'Skyport',
+                    password: instance.Node.apiKey
+                }
+            }
+        );
+
+        // Remove the instance record
+        store.instances.remove(instance.Id);
+
+    } catch (error) {
+        console.error(`Error deleting instance ${instance.ContainerId}:`, error);
+        // Even if the node is down, we should clean up our records
+        throw error;
+    }
+}
+
+async function updateDatabaseWithNewInstance(
+    responseData,
+    userId,
+    node,
+    image,
+    memory,
+    disk,
+    cpu,
+    ports,
+    primary,
+    name,
+    Id,
+    imagename
+) {
+    try {
+        const imageData = store.images.findOne('name', imagename);
+
+        const instanceData = {
+            Name: name,
+            Id,
+            Node: {
+                id: node.id,
+                name: node.name,
+                address: node.address,
+                port: node.port,
+                apiKey: node.apiKey // Note: Consider if you really want to store the API key here
+            },
+            User: userId,
+            ContainerId: responseData.containerId,
+            VolumeId: responseData.volumeId || Id,
+            Memory: parseInt(memory),
+            Disk: parseInt(disk) || 0,
+            Cpu: parseInt(cpu),
+            Ports: ports,
+            Primary: primary,
+            Image: image,
+            AltImages: imageData ? imageData.AltImages : [],
+            StopCommand: imageData ? imageData.StopCommand : undefined,
+            imageData,
+            Env: responseData.Env || [],
+            State: responseData.state || 'running',
+            suspended: false,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        store.instances.save(instanceData);
+        return instanceData;
+
+    } catch (error) {
+        console.error('Error updating database with new instance:', error);
+        throw error;
+    }
+}
+
+async function prepareRequestData(image, memory, cpu, ports, name, node, Id, variables, imagename) {
+    const imageData = store.images.findOne('name', imagename);
+
+    const requestData = {
+        method: 'post',
+        url: `http://${node.address}:${node.port}/instances/create`,
+        auth: {
+            username: 'Skyport',
+            password: node.apiKey,
+        },
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        data: {
+            Name: name,
+            Id,
+            Image: image,
+            Env: imageData ? imageData.Env : [],
+            Scripts: imageData ? imageData.Scripts : [],
+            Memory: parseInt(memory),
+            Cpu: parseInt(cpu),
+            ExposedPorts: {},
+            PortBindings: {},
+            variables: variables || {},
+            AltImages: imageData ? imageData.AltImages : [],
+            StopCommand: imageData ? imageData.StopCommand : '',
+            imageData: imageData || {},
+        },
+        timeout: 30000 // 30 seconds timeout
+    };
+
+    if (ports) {
+        const portMappings = typeof ports === 'string' ? ports.split(',') : Array.isArray(ports) ? ports : [];
+
+        portMappings.forEach(portMapping => {
+            if (typeof portMapping !== 'string') return;
+
+            const [containerPort, hostPort] = portMapping.split(':').map(p => p.trim());
+            if (!containerPort) return;
+
+            // Handle TCP ports
+            const tcpKey = `${containerPort}/tcp`;
+            requestData.data.ExposedPorts[tcpKey] = {};
+            requestData.data.PortBindings[tcpKey] = [{ HostPort: hostPort || containerPort }];
+
+            // Handle UDP ports if specified
+            if (containerPort.includes('/udp')) {
+                const udpKey = containerPort;
+                requestData.data.ExposedPorts[udpKey] = {};
+                requestData.data.PortBindings[udpKey] = [{ HostPort: hostPort || containerPort.split('/')[0] }];
+            }
+        });
+    }
+
+    return requestData;
+}
+
+module.exports = { deployInstance, deleteInstance };
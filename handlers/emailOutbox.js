@@ -0,0 +1,320 @@
+/**
+ * @fileoverview The email outbox. handlers/email.js renders a message and queues it here; a worker
+ * then sends it through the SMTP server configured on /admin/settings/smtp. Messages that fail are
+ * retried with growing delays and end up as dead letters once the attempts are used up, or straight
+ * away when the server rejects them for good (5xx replies). The queue lives in the database, so it
+ * survives restarts.
+ *
+ * Admins can follow the outbox on /admin/emails, send dead letters again and purge the log. The
+ * body of an email is dropped once it is sent, since it may hold a password or a reset link.
+ */
+
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { db, store } = require('./db.js');
+const { emailFailures } = require('./metrics.js');
+const log = new (require('cat-loggr'))();
+
+const MINUTE = 60 * 1000;
+
+const STATUSES = {
+    pending: 'Pending',
+    sent: 'Sent',
+    dead: 'Dead letter',
+};
+
+// Delays before the second, third, ... attempt. An email becomes a dead letter after the last one.
+const RETRY_DELAYS = [1, 5, 30, 120, 360].map((minutes) => minutes * MINUTE);
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+const POLL_INTERVAL = 15 * 1000;
+const BATCH_SIZE = 10;
+const RETENTION = 30 * 24 * 60 * MINUTE;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let lastPrune = 0;
+
+/**
+ * Builds a transport from the SMTP settings stored in the database.
+ *
+ * @returns {Promise<{ transporter: Object, smtpSettings: Object }>}
+ * @throws {Error} If no SMTP server is configured.
+ */
+async function getSMTPSettings() {
+    const smtpSettings = await db.get('smtp_settings');
+    if (!smtpSettings) {
+        throw new Error('SMTP settings not found');
+    }
+
+    // 25, 587 and 2525 upgrade with STARTTLS, other ports (usually 465) use TLS from the start.
+    const secure = ![25, 587, 2525].includes(Number(smtpSettings.port));
+    const transporter = nodemailer.createTransport({
+        host: smtpSettings.server,
+        port: smtpSettings.port,
+        secure,
+        auth: {
+            user: smtpSettings.username,
+            pass: smtpSettings.password,
+        },
+        tls: secure ? undefined : { rejectUnauthorized: true },
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 30000,
+    });
+
+    return { transporter, smtpSettings };
+}
+
+/**
+ * Whether an SMTP server is configured. Emails are not queued without one.
+ */
+async function isConfigured() {
+    return Boolean(await db.get('smtp_settings'));
+}
+
+function createEmail(message, { queued = true, maxAttempts = MAX_ATTEMPTS } = {}) {
+    const now = new Date().toISOString();
+    return store.emailOutbox.save({
+        id: uuidv4(),
+        kind: message.kind,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        status: 'pending',
+        attempts: 0,
+        maxAttempts,
+        // Emails sent straight away by the caller have no due time, so the worker leaves them alone.
+        nextAttemptAt: queued ? now : null,
+        createdAt: now,
+        sentAt: null,
+        lastAttempt: null,
+    });
+}
+
+function describeError(error) {
+    if (error.responseCode) return `${error.responseCode}: ${error.response || error.message}`;
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
+/**
+ * Makes one attempt at sending an email and records the outcome: sent, pending again with the next
+ * retry time, or a dead letter.
+ *
+ * @param {Object} email - The outbox record.
+ * @param {Object|Error} smtp - The result of getSMTPSettings(), or why it failed.
+ * @returns {Promise<Object>} The updated record.
+ */
+async function attempt(email, smtp) {
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString() };
+    let permanent = false;
+
+    try {
+        if (smtp instanceof Error) throw smtp;
+        const info = await smtp.transporter.sendMail({
+            from: `${smtp.smtpSettings.fromName} <${smtp.smtpSettings.fromAddress}>`,
+            to: email.to,
+            subject: email.subject,
+            html: email.html,
+            text: email.text,
+        });
+        result.response = info.response;
+    } catch (error) {
+        result.error = describeError(error);
+        permanent = error.responseCode >= 500 && error.responseCode < 600;
+    }
+    result.durationMs = Date.now() - started;
+
+    const updated = store.emailOutbox.update(email.id, (record) => {
+        record.attempts += 1;
+        record.lastAttempt = result;
+        if (!result.error) {
+            record.status = 'sent';
+            record.sentAt = result.at;
+            record.nextAttemptAt = null;
+            record.html = null;
+            record.text = null;
+        } else if (permanent || record.attempts >= record.maxAttempts) {
+            record.status = 'dead';
+            record.nextAttemptAt = null;
+        } else {
+            record.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS[record.attempts - 1]).toISOString();
+        }
+    });
+
+    if (result.error) {
+        log.warn(`Email ${email.id} (${email.kind}) to ${email.to} failed: ${result.error}`);
+        if (updated.status === 'dead') {
+            emailFailures.inc({ kind: email.kind });
+        }
+    }
+    return updated;
+}
+
+function prune() {
+    const now = Date.now();
+    if (now - lastPrune < 60 * MINUTE) return;
+    lastPrune = now;
+    try {
+        store.emailOutbox.prune(new Date(now - RETENTION).toISOString());
+    } catch (error) {
+        log.error('Failed to prune the email outbox:', error);
+    }
+}
+
+async function connect() {
+    try {
+        return await getSMTPSettings();
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Sends every email that is due, a batch at a time and one after the other, so the SMTP server
+ * sees a single connection. Calls made while a run is in progress make that run look for more
+ * work once it is done instead of starting a second one.
+ */
+async function processQueue() {
+    if (running) {
+        rerun = true;
+        return;
+    }
+    running = true;
+
+    try {
+        do {
+            rerun = false;
+            let batch;
+            do {
+                batch = store.emailOutbox.due(new Date().toISOString(), BATCH_SIZE);
+                if (batch.length === 0) break;
+                const smtp = await connect();
+                for (const email of batch) {
+                    await attempt(email, smtp);
+                }
+                if (!(smtp instanceof Error)) smtp.transporter.close();
+            } while (batch.length === BATCH_SIZE);
+        } while (rerun);
+        prune();
+    } catch (error) {
+        log.error('Error processing the email outbox:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Puts an email in the outbox; the worker sends it shortly after.
+ *
+ * @param {Object} message
+ * @param {string} message.kind - The template it was rendered from, e.g. `welcome`.
+ * @param {string} message.to - The recipient's address.
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} message.text
+ * @returns {Promise<Object>} The queued email.
+ * @throws {Error} If no SMTP server is configured.
+ */
+async function queueEmail(message) {
+    if (!(await isConfigured())) {
+        throw new Error('SMTP settings not found');
+    }
+    const email = createEmail(message);
+    setImmediate(processQueue);
+    return email;
+}
+
+/**
+ * Sends an email right away, once, and logs it in the outbox like any other. Used for the test
+ * email, where the admin waits for the result.
+ *
+ * @param {Object} message - As for queueEmail.
+ * @returns {Promise<Object>} The email after the attempt; its status is `sent` or `dead`.
+ */
+async function sendNow(message) {
+    const smtp = await connect();
+    const email = await attempt(createEmail(message, { queued: false, maxAttempts: 1 }), smtp);
+    if (!(smtp instanceof Error)) smtp.transporter.close();
+    return email;
+}
+
+/**
+ * Queues a dead letter again with a fresh set of attempts.
+ *
+ * @param {string} id
+ * @param {Object} user - The admin sending it again.
+ * @returns {Object|undefined} The updated email, or undefined if it is not a dead letter.
+ */
+function resend(id, user) {
+    const email = store.emailOutbox.get(id);
+    if (!email || email.status !== 'dead') return undefined;
+
+    const updated = store.emailOutbox.update(id, (record) => {
+        record.status = 'pending';
+        record.attempts = 0;
+        record.maxAttempts = MAX_ATTEMPTS;
+        record.nextAttemptAt = new Date().toISOString();
+        record.resentAt = record.nextAttemptAt;
+        record.resentBy = user.username;
+    });
+    setImmediate(processQueue);
+    return updated;
+}
+
+/**
+ * Queues every dead letter again.
+ *
+ * @returns {number} How many were queued.
+ */
+function resendDead(user) {
+    const ids = store.emailOutbox.findAll('status', 'dead').map((email) => email.id);
+    for (const id of ids) {
+        resend(id, user);
+    }
+    return ids.length;
+}
+
+/**
+ * Deletes the sent emails or the dead letters from the log.
+ *
+ * @param {string} status - `sent` or `dead`.
+ * @returns {number} How many were deleted.
+ */
+function purge(status) {
+    if (status !== 'sent' && status !== 'dead') return 0;
+    return store.emailOutbox.removeByStatus(status);
+}
+
+/**
+ * The most recent emails, newest first.
+ */
+function listEmails({ status = null, limit = 50, offset = 0 } = {}) {
+    return store.emailOutbox.recent({ status: STATUSES[status] ? status : null, limit, offset });
+}
+
+/**
+ * Starts polling for due emails; called from index.js once the database is migrated.
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(processQueue, POLL_INTERVAL);
+    timer.unref();
+    processQueue();
+}
+
+module.exports = {
+    STATUSES,
+    MAX_ATTEMPTS,
+    queueEmail,
+    sendNow,
+    resend,
+    resendDead,
+    purge,
+    listEmails,
+    countByStatus: () => store.emailOutbox.countByStatus(),
+    start,
+};
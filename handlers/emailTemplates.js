@@ -0,0 +1,319 @@
+/**
+ * @fileoverview EJS templates for the emails the panel sends. Every template has a subject, an HTML
+ * part and a plain-text part. The defaults live in views/emails/<template>/ and take their wording
+ * from the lang/ files, so each language gets its own version. The HTML part is wrapped in
+ * views/emails/layout.ejs.
+ *
+ * Admins can override any template per language on /admin/settings/smtp. Overrides are stored in
+ * the email_templates table. Templates are EJS, so they run as code on the panel and only admins
+ * may change them. If an override fails to render, the default is sent instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const { db, store } = require('./db.js');
+const { loadTranslations } = require('./translation.js');
+const { renderMarkdown, markdownToText } = require('../utils/markdown.js');
+const config = require('../config.json');
+const log = new (require('cat-loggr'))();
+
+const TEMPLATE_DIR = path.join(__dirname, '../views/emails');
+const LANG_DIR = path.join(__dirname, '../lang');
+
+const PARTS = ['subject', 'html', 'text'];
+
+const SEVERITY_COLORS = { info: '#2563eb', warning: '#d97706', critical: '#dc2626' };
+
+// What the server lifecycle emails (handlers/instanceEmails.js) have in common.
+const SERVER_VARIABLES = {
+    username: 'Name of the recipient',
+    serverName: 'Name of the server',
+    serverUrl: 'Link to the server in the panel',
+};
+const SERVER_SAMPLE = { username: 'jane', serverName: 'Survival SMP', serverUrl: `${config.baseUri}/instance/a1b2c3d4` };
+
+/**
+ * The emails the panel sends. `variables` lists what a template can use besides the common
+ * `name`, `baseUri`, `year`, `lang` and `t(key, values)`, and `sample` fills them in for previews.
+ * `accent` is the colour of the bar above the message, blue if not set.
+ */
+const TEMPLATES = {
+    welcome: {
+        label: 'Welcome',
+        description: 'Sent when an account is created, with the login details.',
+        variables: {
+            username: 'Name of the new user',
+            email: 'Their email address',
+            password: 'The password they signed up with',
+        },
+        sample: { username: 'jane', email: 'jane@example.com', password: 'correct-horse-battery' },
+    },
+    verification: {
+        label: 'Email verification',
+        description: 'Sent after signing up when email verification is required.',
+        variables: {
+            username: 'Name of the user, empty if unknown',
+            verifyUrl: 'Link that verifies the address',
+        },
+        sample: { username: 'jane', verifyUrl: `${config.baseUri}/verify/sample-token` },
+    },
+    password_reset: {
+        label: 'Password reset',
+        description: 'Sent when someone asks to reset their password.',
+        variables: {
+            username: 'Name of the user, empty if unknown',
+            resetUrl: 'Link to the page that sets a new password',
+        },
+        sample: { username: 'jane', resetUrl: `${config.baseUri}/auth/reset/sample-token` },
+    },
+    test: {
+        label: 'Test message',
+        description: 'Sent by the test button on this page.',
+        variables: {},
+        sample: {},
+    },
+    announcement: {
+        label: 'Announcement',
+        description: 'Sent for announcements that have email turned on.',
+        variables: {
+            title: 'Title of the announcement',
+            severity: 'info, warning or critical',
+            content: 'Its text rendered to HTML, print it with <%- %>',
+            contentText: 'Its text as plain text',
+        },
+        sample: {
+            title: 'Maintenance on node de-1',
+            severity: 'warning',
+            content: '<p>The node restarts on <strong>Sunday at 02:00 UTC</strong>. Expect up to 15 minutes of downtime.</p>',
+            contentText: 'The node restarts on Sunday at 02:00 UTC. Expect up to 15 minutes of downtime.',
+        },
+    },
+    instance_suspended: {
+        label: 'Server suspended',
+        description: 'Sent to users who asked for it when one of their servers is suspended.',
+        accent: SEVERITY_COLORS.warning,
+        variables: { ...SERVER_VARIABLES, reason: 'Why it was suspended, empty if no reason was recorded' },
+        sample: { ...SERVER_SAMPLE, reason: 'Mining software detected' },
+    },
+    instance_unsuspended: {
+        label: 'Server unsuspended',
+        description: 'Sent to users who asked for it when one of their servers is unsuspended.',
+        variables: SERVER_VARIABLES,
+        sample: SERVER_SAMPLE,
+    },
+    instance_deployed: {
+        label: 'Deployment finished',
+        description: 'Sent to users who asked for it when a new server is ready.',
+        variables: SERVER_VARIABLES,
+        sample: SERVER_SAMPLE,
+    },
+    instance_reinstalled: {
+        label: 'Reinstall finished',
+        description: 'Sent to users who asked for it when one of their servers was reinstalled.',
+        variables: SERVER_VARIABLES,
+        sample: SERVER_SAMPLE,
+    },
+    instance_failed: {
+        label: 'Installation failed',
+        description: 'Sent to users who asked for it when a server does not become ready after installing.',
+        accent: SEVERITY_COLORS.critical,
+        variables: SERVER_VARIABLES,
+        sample: SERVER_SAMPLE,
+    },
+    archive_created: {
+        label: 'Archive finished',
+        description: 'Sent to users who asked for it when an archive of one of their servers is ready.',
+        variables: { ...SERVER_VARIABLES, serverUrl: 'Link to the Archives page of the server' },
+        sample: { ...SERVER_SAMPLE, serverUrl: `${SERVER_SAMPLE.serverUrl}/archives` },
+    },
+};
+
+/**
+ * The languages of the panel, one per directory in lang/.
+ *
+ * @returns {string[]}
+ */
+function languages() {
+    return fs.readdirSync(LANG_DIR).filter((lang) => fs.existsSync(path.join(LANG_DIR, lang, 'lang.json')));
+}
+
+/**
+ * The language to send in: `lang` if the panel has it, English otherwise.
+ */
+function resolveLang(lang) {
+    return lang && languages().includes(lang) ? lang : 'en';
+}
+
+/**
+ * The default source of a template, read from views/emails.
+ *
+ * @param {string} template - A key of TEMPLATES.
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function defaultSource(template) {
+    const source = {};
+    for (const part of PARTS) {
+        source[part] = fs.readFileSync(path.join(TEMPLATE_DIR, template, `${part}.ejs`), 'utf8');
+    }
+    return source;
+}
+
+/**
+ * The source a template is sent with in a language: the admin's override if there is one.
+ *
+ * @param {string} template - A key of TEMPLATES.
+ * @param {string} lang
+ * @returns {{ subject: string, html: string, text: string, custom: boolean, updatedAt?: string, updatedBy?: string }}
+ */
+function getSource(template, lang) {
+    const override = store.emailTemplates.get(`${template}:${lang}`);
+    if (override) {
+        return { ...override.source, custom: true, updatedAt: override.updatedAt, updatedBy: override.updatedBy };
+    }
+    return { ...defaultSource(template), custom: false };
+}
+
+/**
+ * Which languages have an override, per template.
+ *
+ * @returns {Object<string, string[]>}
+ */
+function listOverrides() {
+    const overrides = {};
+    for (const template of Object.keys(TEMPLATES)) {
+        overrides[template] = store.emailTemplates.findAll('template', template).map((override) => override.lang);
+    }
+    return overrides;
+}
+
+/**
+ * The values every template can use, merged with the template's own.
+ */
+async function buildLocals(template, lang, variables) {
+    const translations = { ...loadTranslations('en'), ...loadTranslations(lang) };
+    const name = String((await db.get('name')) || 'Skyport');
+    const locals = {
+        ...Object.fromEntries(Object.keys(TEMPLATES[template].variables).map((key) => [key, ''])),
+        ...variables,
+        name,
+        baseUri: config.baseUri,
+        year: new Date().getFullYear(),
+        lang,
+    };
+    locals.t = (key, values = {}) =>
+        String(translations[key] ?? key).replace(/\{(\w+)\}/g, (match, field) =>
+            field in values ? String(values[field]) : field in locals ? String(locals[field]) : match,
+        );
+    return locals;
+}
+
+/**
+ * Renders a template source. Throws if the EJS is broken or fails to run.
+ */
+function renderSource(source, locals, accent) {
+    const subject = ejs.render(source.subject, locals).replace(/\s+/g, ' ').trim();
+    const body = ejs.render(source.html, locals);
+    const html = ejs.render(fs.readFileSync(path.join(TEMPLATE_DIR, 'layout.ejs'), 'utf8'), {
+        ...locals,
+        subject,
+        body,
+        accent,
+    });
+    const text = ejs.render(source.text, locals).replace(/\n{3,}/g, '\n\n').trim();
+    return { subject, html, text };
+}
+
+function accentOf(template, variables) {
+    if (template === 'announcement') return SEVERITY_COLORS[variables.severity] || SEVERITY_COLORS.info;
+    return TEMPLATES[template].accent || SEVERITY_COLORS.info;
+}
+
+/**
+ * Renders an email in a language, ready to hand to nodemailer.
+ *
+ * @param {string} template - A key of TEMPLATES.
+ * @param {string} lang - The recipient's language. Unknown languages fall back to English.
+ * @param {Object} variables - The values listed in the template's `variables`.
+ * @returns {Promise<{ subject: string, html: string, text: string }>}
+ */
+async function renderEmail(template, lang, variables = {}) {
+    lang = resolveLang(lang);
+    const locals = await buildLocals(template, lang, variables);
+    const source = getSource(template, lang);
+    try {
+        return renderSource(source, locals, accentOf(template, variables));
+    } catch (error) {
+        if (!source.custom) throw error;
+        log.error(`The ${template} email template for ${lang} failed to render, sending the default:`, error);
+        return renderSource(defaultSource(template), locals, accentOf(template, variables));
+    }
+}
+
+/**
+ * Renders an unsaved source with the template's sample values, for the editor's preview and to
+ * check a source before it is saved. Throws the EJS error if it does not render.
+ *
+ * @param {string} template - A key of TEMPLATES.
+ * @param {string} lang
+ * @param {{ subject: string, html: string, text: string }} source
+ * @returns {Promise<{ subject: string, html: string, text: string }>}
+ */
+async function renderPreview(template, lang, source) {
+    const { sample } = TEMPLATES[template];
+    const locals = await buildLocals(template, resolveLang(lang), sample);
+    return renderSource(source, locals, accentOf(template, sample));
+}
+
+/**
+ * Stores an admin's version of a template in a language.
+ *
+ * @param {string} template - A key of TEMPLATES.
+ * @param {string} lang
+ * @param {{ subject: string, html: string, text: string }} source
+ * @param {Object} user - The admin saving it.
+ * @returns {Object} The stored override.
+ */
+function saveOverride(template, lang, source, user) {
+    return store.emailTemplates.save({
+        template,
+        lang,
+        source: { subject: source.subject, html: source.html, text: source.text },
+        updatedAt: new Date().toISOString(),
+        updatedBy: user.username,
+    });
+}
+
+/**
+ * Goes back to the default version of a template in a language.
+ *
+ * @returns {boolean} Whether there was an override.
+ */
+function removeOverride(template, lang) {
+    return store.emailTemplates.remove(`${template}:${lang}`);
+}
+
+/**
+ * The values for the announcement template.
+ */
+function announcementVariables(announcement) {
+    return {
+        title: announcement.title,
+        severity: announcement.severity,
+        content: renderMarkdown(announcement.content),
+        contentText: markdownToText(announcement.content),
+    };
+}
+
+module.exports = {
+    TEMPLATES,
+    PARTS,
+    languages,
+    getSource,
+    listOverrides,
+    renderEmail,
+    renderPreview,
+    saveOverride,
+    removeOverride,
+    announcementVariables,
+};
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Liveness and readiness endpoints for load balancers and service managers.
+ * GET /healthz answers as long as the process is serving requests. GET /readyz checks what the
+ * panel needs to handle users: the database, the session store, a completed init(), seeded images
+ * and loaded plugins, and summarizes node reachability. Both are mounted ahead of the session
+ * middleware in index.js so probes do not create sessions.
+ */
+
+const express = require('express');
+const { db, store } = require('./db.js');
+const migrator = require('./migrator.js');
+const config = require('../config.json');
+
+// How long a single check may take before it counts as failed.
+const CHECK_TIMEOUT = 3000;
+
+let initializedAt = null;
+
+/**
+ * Records that init() finished; called from index.js.
+ */
+function markInitialized() {
+    initializedAt = new Date().toISOString();
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+        }),
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one check. A check returns details to include in the response, or throws to fail.
+ */
+async function runCheck(check) {
+    const started = Date.now();
+    try {
+        const details = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT);
+        return { status: 'ok', latencyMs: Date.now() - started, ...details };
+    } catch (error) {
+        return { status: 'fail', latencyMs: Date.now() - started, error: error.message };
+    }
+}
+
+/**
+ * Builds the readiness checks. The session store and plugin manager are handed in by index.js,
+ * which owns them.
+ *
+ * @param {Object} sessionStorage - The better-sqlite3 connection behind the session store.
+ * @param {Function} getPluginStatus - Returns the plugin manager's load status.
+ * @returns {Object<string, Function>} Check functions by name.
+ */
+function createChecks(sessionStorage, getPluginStatus) {
+    return {
+        database: async () => {
+            store.sqlite.prepare('SELECT 1').get();
+            await db.get('name');
+            const { version, pending } = migrator.status();
+            if (pending.length) throw new Error(`${pending.length} migration(s) pending`);
+            return { schemaVersion: version };
+        },
+
+        sessions: () => {
+            // Writes a row and rolls it back, so a read-only or locked file fails the check.
+            sessionStorage.exec('BEGIN IMMEDIATE');
+            try {
+                sessionStorage
+                    .prepare("INSERT OR REPLACE INTO sessions (sid, sess, expire) VALUES ('readyz', '{}', datetime('now'))")
+                    .run();
+            } finally {
+                sessionStorage.exec('ROLLBACK');
+            }
+            return {};
+        },
+
+        init: () => {
+            if (!initializedAt) throw new Error('init() has not finished');
+            return { initializedAt };
+        },
+
+        images: () => {
+            const count = store.images.count();
+            if (count === 0) throw new Error('no images; run npm run seed');
+            return { count };
+        },
+
+        plugins: () => {
+            const status = getPluginStatus();
+            if (!status.loaded) throw new Error('plugins are still loading');
+            return { enabled: status.enabled, failed: status.failed };
+        },
+    };
+}
+
+/**
+ * Summary of the node statuses recorded by the last status checks. Offline nodes do not make the
+ * panel unready, since the panel itself still works without them.
+ */
+function nodeSummary() {
+    const nodes = store.nodes.list();
+    const online = nodes.filter((node) => node.status === 'Online').length;
+    return { total: nodes.length, online, offline: nodes.length - online };
+}
+
+/**
+ * Creates the router serving /healthz and /readyz.
+ *
+ * @param {Object} options
+ * @param {Object} options.sessionStorage - The better-sqlite3 connection behind the session store.
+ * @param {Function} options.getPluginStatus - Returns the plugin manager's load status.
+ * @returns {express.Router}
+ */
+function createHealthRouter({ sessionStorage, getPluginStatus }) {
+    const router = express.Router();
+    const checks = createChecks(sessionStorage, getPluginStatus);
+
+    router.get('/healthz', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            status: 'ok',
+            version: config.version,
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString(),
+        });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const results = {};
+        for (const [name, check] of Object.entries(checks)) {
+            results[name] = await runCheck(check);
+        }
+
+        let nodes;
+        try {
+            nodes = nodeSummary();
+        } catch (error) {
+            nodes = { error: error.message };
+        }
+
+        const ready = Object.values(results).every((result) => result.status === 'ok');
+        res.set('Cache-Control', 'no-store');
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ready' : 'unavailable',
+            version: config.version,
+            timestamp: new Date().toISOString(),
+            checks: results,
+            nodes,
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter, markInitialized };
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Emails about what happens to a user's servers: suspensions, finished deployments
+ * and reinstalls, failed installs and new archives. They are opt-in. Each user picks the events
+ * they want on /account, and the choice is stored on the user as `emailEvents`. The owner and the
+ * sub-users of a server are each emailed according to their own choice, in their own language.
+ *
+ * Like the bell notifications (handlers/notifications.js), sending never throws, so event sources
+ * call emailInstanceEvent() after the change they report without guarding it. Each event has its
+ * own template in handlers/emailTemplates.js, named after the event.
+ */
+
+const config = require('../config.json');
+const { store } = require('./db.js');
+const { instanceUserIds } = require('./notifications.js');
+const { sendInstanceEventEmail } = require('./email.js');
+const log = new (require('cat-loggr'))();
+
+/**
+ * Events a user can be emailed about, as shown on /account.
+ */
+const EVENTS = {
+    instance_suspended: {
+        label: 'Server suspended',
+        description: 'An administrator or an automatic check suspended one of your servers, with the reason',
+    },
+    instance_unsuspended: {
+        label: 'Server unsuspended',
+        description: 'A suspended server of yours can be started again',
+    },
+    instance_deployed: {
+        label: 'Deployment finished',
+        description: 'A new server finished installing and is ready to start',
+    },
+    instance_reinstalled: {
+        label: 'Reinstall finished',
+        description: 'One of your servers was reinstalled',
+    },
+    instance_failed: {
+        label: 'Installation failed',
+        description: 'A server did not become ready after installing',
+    },
+    archive_created: {
+        label: 'Archive finished',
+        description: 'A new archive of one of your servers is ready',
+    },
+};
+
+/**
+ * The events a user asked to be emailed about.
+ *
+ * @param {Object} user
+ * @returns {string[]} Keys of EVENTS.
+ */
+function getPreferences(user) {
+    return (user.emailEvents || []).filter((event) => EVENTS[event]);
+}
+
+/**
+ * Replaces the events a user is emailed about. Unknown events are dropped.
+ *
+ * @param {string} userId
+ * @param {string|string[]} events - As posted by the form on /account.
+ * @returns {{ before: string[], after: string[] }|undefined} Undefined if there is no such user.
+ */
+function savePreferences(userId, events) {
+    const chosen = [].concat(events || []).map(String);
+    const after = Object.keys(EVENTS).filter((event) => chosen.includes(event));
+    let before;
+    const user = store.users.update(userId, (record) => {
+        before = getPreferences(record);
+        record.emailEvents = after;
+    });
+    return user ? { before, after } : undefined;
+}
+
+function templateVariables(instance, event, user) {
+    const serverUrl = `${config.baseUri}/instance/${instance.Id}`;
+    const variables = {
+        username: user.username,
+        serverName: instance.Name || instance.Id,
+        serverUrl: event === 'archive_created' ? `${serverUrl}/archives` : serverUrl,
+    };
+    if (event === 'instance_suspended') {
+        // The radar check records why it suspended a server; admins suspending by hand give none.
+        variables.reason = instance['suspended-flagg'] || '';
+    }
+    return variables;
+}
+
+/**
+ * Emails the users of an instance who asked to hear about the event.
+ *
+ * @param {Object} instance - The instance as it is after the event.
+ * @param {string} event - A key of EVENTS.
+ * @returns {Promise<number>} How many emails were queued.
+ */
+async function emailInstanceEvent(instance, event) {
+    if (!instance || !EVENTS[event]) return 0;
+
+    let queued = 0;
+    try {
+        const recipients = [...new Set(instanceUserIds(instance).map(String))]
+            .map((userId) => store.users.get(userId))
+            .filter((user) => user && user.email && getPreferences(user).includes(event));
+
+        for (const user of recipients) {
+            const variables = templateVariables(instance, event, user);
+            if (await sendInstanceEventEmail(user.email, event, variables, { lang: user.lang })) {
+                queued++;
+            }
+        }
+    } catch (error) {
+        log.error(`Failed to email the users of instance ${instance.Id} about ${event}:`, error);
+    }
+    return queued;
+}
+
+module.exports = {
+    EVENTS,
+    getPreferences,
+    savePreferences,
+    emailInstanceEvent,
+};
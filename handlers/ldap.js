@@ -0,0 +1,509 @@
+/**
+ * @fileoverview Logins against an LDAP directory or Active Directory, configured on
+ * /admin/settings/ldap. routes/auth.js registers an `ldap` passport strategy that tries the
+ * directory when a username and password do not match a local user.
+ *
+ * A login looks the user up with the service account and the configured search filter, then binds
+ * as the entry that was found with the password the user typed. The entry is matched to a panel
+ * user through an earlier login (the `ldap` field of the user), then through a user with the same
+ * email address. Otherwise a user is created if the settings allow it. Members of the admin groups
+ * are made admins.
+ *
+ * A periodic sync looks every directory user up again. Users the directory no longer returns are
+ * disabled, and enabled again if they come back. Nobody is disabled when the directory cannot be
+ * reached.
+ */
+
+const crypto = require('crypto');
+const { Client, FilterParser, InvalidCredentialsError } = require('ldapts');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { db, store } = require('./db.js');
+const { serializeUser } = require('./serializers.js');
+const { logAudit } = require('./auditlog.js');
+const webhooks = require('./webhooks.js');
+const log = new (require('cat-loggr'))();
+
+const SETTINGS_KEY = 'ldap_settings';
+const SYNC_KEY = 'ldap_sync';
+const TIMEOUT = 10000;
+// How often the sync timer checks whether a sync is due; the interval itself is a setting.
+const POLL_INTERVAL = 60 * 1000;
+// Marks rights and disabled accounts that came from the directory, so only those are undone.
+const SOURCE = 'ldap';
+
+const DEFAULTS = {
+    enabled: false,
+    url: '',
+    startTls: false,
+    verifyCertificate: true,
+    bindDn: '',
+    bindPassword: '',
+    searchBase: '',
+    searchFilter: '(|(uid={{username}})(mail={{username}}))',
+    usernameAttribute: 'uid',
+    emailAttribute: 'mail',
+    groupAttribute: 'memberOf',
+    groupSearchBase: '',
+    groupSearchFilter: '(|(member={{dn}})(uniqueMember={{dn}}))',
+    adminGroups: [],
+    createUsers: true,
+    syncInterval: 60,
+};
+
+let timer = null;
+let syncing = false;
+
+/**
+ * The saved settings, completed with the defaults.
+ *
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+    return { ...DEFAULTS, ...((await db.get(SETTINGS_KEY)) || {}) };
+}
+
+/**
+ * Settings without the service account password, for views.
+ */
+function redact(settings) {
+    const { bindPassword, ...rest } = settings;
+    return { ...rest, hasBindPassword: Boolean(bindPassword) };
+}
+
+/**
+ * Escapes a value for use inside a search filter (RFC 4515), so a username cannot change the
+ * filter.
+ */
+function escapeFilter(value) {
+    return String(value).replace(/[\\*()\0]/g, (c) => `\\${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function fillFilter(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? escapeFilter(values[key]) : match));
+}
+
+function isValidFilter(filter) {
+    try {
+        FilterParser.parseString(filter);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function checked(value) {
+    return value === 'on' || value === 'true' || value === true;
+}
+
+/**
+ * Checks the form of /admin/settings/ldap.
+ *
+ * @param {Object} input - The posted form.
+ * @param {Object} existing - The saved settings. A blank password keeps the saved one.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function parseLdapSettings(input = {}, existing = DEFAULTS) {
+    const url = String(input.url || '').trim();
+    if (!/^ldaps?:\/\/[^/\s]+/i.test(url)) {
+        return { error: 'Enter the address of the directory, e.g. ldap://dc1.example.com:389 or ldaps://dc1.example.com' };
+    }
+
+    const searchBase = String(input.searchBase || '').trim();
+    if (!searchBase) {
+        return { error: 'Enter the base DN users are searched under, e.g. ou=people,dc=example,dc=com' };
+    }
+
+    const searchFilter = String(input.searchFilter || '').trim() || DEFAULTS.searchFilter;
+    if (!searchFilter.includes('{{username}}') || !isValidFilter(fillFilter(searchFilter, { username: 'test' }))) {
+        return { error: 'The user filter must be a valid LDAP filter containing {{username}}' };
+    }
+
+    const groupSearchBase = String(input.groupSearchBase || '').trim();
+    const groupSearchFilter = String(input.groupSearchFilter || '').trim() || DEFAULTS.groupSearchFilter;
+    if (groupSearchBase && (!groupSearchFilter.includes('{{dn}}') || !isValidFilter(fillFilter(groupSearchFilter, { dn: 'cn=test' })))) {
+        return { error: 'The group filter must be a valid LDAP filter containing {{dn}}' };
+    }
+
+    const syncInterval = Number(input.syncInterval);
+    if (!Number.isInteger(syncInterval) || syncInterval < 0 || syncInterval > 7 * 24 * 60) {
+        return { error: 'The sync interval is a number of minutes between 0 (off) and 10080 (a week)' };
+    }
+
+    return {
+        settings: {
+            enabled: checked(input.enabled),
+            url,
+            startTls: checked(input.startTls),
+            verifyCertificate: checked(input.verifyCertificate),
+            bindDn: String(input.bindDn || '').trim(),
+            bindPassword: String(input.bindPassword || '') || existing.bindPassword || '',
+            searchBase,
+            searchFilter,
+            usernameAttribute: String(input.usernameAttribute || '').trim() || DEFAULTS.usernameAttribute,
+            emailAttribute: String(input.emailAttribute || '').trim() || DEFAULTS.emailAttribute,
+            groupAttribute: String(input.groupAttribute || '').trim(),
+            groupSearchBase,
+            groupSearchFilter,
+            adminGroups: [
+                ...new Set(
+                    String(input.adminGroups || '')
+                        .split(/[\n;]+/)
+                        .map((group) => group.trim())
+                        .filter(Boolean),
+                ),
+            ],
+            createUsers: checked(input.createUsers),
+            syncInterval,
+        },
+    };
+}
+
+async function saveSettings(settings) {
+    await db.set(SETTINGS_KEY, settings);
+}
+
+/**
+ * Opens a connection and binds as the service account, or anonymously if none is set. Callers must
+ * close it with `client.unbind()`.
+ */
+async function connect(settings) {
+    const tlsOptions = { rejectUnauthorized: settings.verifyCertificate !== false };
+    // Given TLS options, ldapts opens a TLS connection even for ldap:// addresses. StartTLS takes
+    // them separately.
+    const client = new Client({
+        url: settings.url,
+        timeout: TIMEOUT,
+        connectTimeout: TIMEOUT,
+        ...(/^ldaps:/i.test(settings.url) && { tlsOptions }),
+    });
+    const unbind = () => client.unbind().catch((error) => log.warn(`LDAP unbind failed: ${error.message}`));
+
+    try {
+        if (settings.startTls) {
+            await client.startTLS(tlsOptions);
+        }
+        await client.bind(settings.bindDn, settings.bindPassword);
+    } catch (error) {
+        await unbind();
+        throw error;
+    }
+
+    return {
+        bind: (dn, password) => client.bind(dn, password),
+        search: async (base, options) => (await client.search(base, options)).searchEntries,
+        unbind,
+    };
+}
+
+/**
+ * The values of an attribute of a search result, compared without case like LDAP does.
+ */
+function values(entry, attribute) {
+    const name = String(attribute).toLowerCase();
+    const found = Object.keys(entry).find((key) => key !== 'dn' && key.toLowerCase() === name);
+    return found ? [].concat(entry[found]).map(String) : [];
+}
+
+/**
+ * Looks a user up with the configured filter.
+ *
+ * @returns {Promise<{ dn: string, username: string, email: ?string, groups: string[] }|null>} Null
+ *   if no entry, or more than one, matches.
+ */
+async function findUser(client, settings, username) {
+    const entries = await client.search(settings.searchBase, {
+        scope: 'sub',
+        filter: fillFilter(settings.searchFilter, { username }),
+        attributes: [settings.usernameAttribute, settings.emailAttribute, settings.groupAttribute].filter(Boolean),
+        sizeLimit: 2,
+    });
+    if (entries.length !== 1) {
+        if (entries.length > 1) log.warn(`LDAP: more than one entry matches ${username}, refusing to choose`);
+        return null;
+    }
+
+    const [entry] = entries;
+    const groups = settings.groupAttribute ? values(entry, settings.groupAttribute) : [];
+    if (settings.groupSearchBase) {
+        const groupEntries = await client.search(settings.groupSearchBase, {
+            scope: 'sub',
+            filter: fillFilter(settings.groupSearchFilter, { dn: entry.dn }),
+            attributes: ['dn'],
+        });
+        groups.push(...groupEntries.map((group) => group.dn));
+    }
+
+    return {
+        dn: entry.dn,
+        username: values(entry, settings.usernameAttribute)[0] || username,
+        email: values(entry, settings.emailAttribute)[0] || null,
+        groups: [...new Set(groups)],
+    };
+}
+
+/**
+ * Whether any of the groups is an admin group. Admin groups are given as full DNs or by their
+ * common name.
+ */
+function inAdminGroup(settings, groups) {
+    const wanted = settings.adminGroups.map((group) => group.toLowerCase().replace(/\s*,\s*/g, ','));
+    return groups.some((group) => {
+        const dn = group.toLowerCase().replace(/\s*,\s*/g, ',');
+        const cn = (dn.match(/^cn=([^,]+)/) || [])[1];
+        return wanted.includes(dn) || (cn && wanted.includes(cn));
+    });
+}
+
+function availableUsername(name) {
+    const base = String(name || '').replace(/[^A-Za-z0-9_.-]+/g, '').slice(0, 24) || 'user';
+    const taken = new Set(store.users.list().map((user) => user.username.toLowerCase()));
+    let username = base;
+    for (let suffix = 2; taken.has(username.toLowerCase()); suffix++) {
+        username = `${base}${suffix}`;
+    }
+    return username;
+}
+
+function audit(action, user, change) {
+    logAudit(null, 'system', action, null, { resource: { type: 'user', id: user.userId }, ...change });
+}
+
+/**
+ * Brings a panel user in line with their directory entry: the link, the admin rights from the
+ * admin groups and, if the directory had disabled them, their account.
+ *
+ * @returns {{ user: Object, adminChange: ?Object, enabled: boolean }}
+ */
+function applyEntry(settings, user, entry) {
+    let adminChange = null;
+    let enabled = false;
+    const updated = store.users.update(user.userId, (record) => {
+        record.ldap = { dn: entry.dn, username: entry.username, syncedAt: new Date().toISOString() };
+        if (record.disabled && record.disabledBy === SOURCE) {
+            record.disabled = false;
+            delete record.disabledBy;
+            delete record.disabledReason;
+            enabled = true;
+        }
+        if (settings.adminGroups.length === 0) return;
+        const member = inAdminGroup(settings, entry.groups);
+        if (member && record.admin !== true) {
+            record.admin = true;
+            record.adminSource = SOURCE;
+            adminChange = { before: false, after: true };
+        } else if (!member && record.admin === true && record.adminSource === SOURCE) {
+            record.admin = false;
+            delete record.adminSource;
+            adminChange = { before: true, after: false };
+        }
+    });
+    return { user: updated, adminChange, enabled };
+}
+
+async function createUser(entry) {
+    const user = {
+        userId: uuidv4(),
+        username: availableUsername(entry.username),
+        email: entry.email,
+        // The directory checks the password; the local one is never used.
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), 10),
+        accessTo: [],
+        admin: false,
+        welcomeEmailSent: false,
+        verified: true,
+        verificationToken: null,
+        lang: 'en',
+    };
+    store.users.save(user);
+    webhooks.emit('user.created', { user: serializeUser(user) });
+    return user;
+}
+
+/**
+ * Checks a username and password against the directory and finds the panel user for them.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{ user?: Object, created?: boolean, adminChange?: Object, error?: string }>}
+ *   `error` says why nobody was signed in; it is logged, not shown to the user.
+ */
+async function authenticate(username, password) {
+    const settings = await getSettings();
+    if (!settings.enabled) return { error: 'LDAP logins are turned off' };
+    // Many directories treat a bind with an empty password as an anonymous bind, which succeeds.
+    if (!username || !password) return { error: 'Missing username or password' };
+
+    let entry;
+    let client;
+    try {
+        client = await connect(settings);
+        entry = await findUser(client, settings, username);
+        if (!entry) return { error: `No directory entry matches ${username}` };
+        await client.bind(entry.dn, password);
+    } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+            return { error: `Wrong password for ${entry ? entry.dn : username}` };
+        }
+        log.error(`LDAP login of ${username} failed: ${error.message}`);
+        return { error: error.message };
+    } finally {
+        if (client) client.unbind();
+    }
+
+    const dn = entry.dn.toLowerCase();
+    const email = entry.email ? entry.email.toLowerCase() : null;
+    const users = store.users.list();
+    let user =
+        users.find((candidate) => candidate.ldap && candidate.ldap.dn.toLowerCase() === dn) ||
+        (email && users.find((candidate) => String(candidate.email || '').toLowerCase() === email));
+    let created = false;
+
+    if (!user) {
+        if (!settings.createUsers || !entry.email) {
+            return { error: `${entry.dn} has no panel user and none is created for it` };
+        }
+        user = await createUser(entry);
+        created = true;
+    }
+
+    const result = applyEntry(settings, user, entry);
+    if (result.user.disabled) {
+        return { error: `${result.user.username} is disabled` };
+    }
+    return { user: result.user, created, adminChange: result.adminChange };
+}
+
+/**
+ * Looks every user who signed in through the directory up again. Users it no longer returns are
+ * disabled, users it returns again are enabled, and admin rights follow the admin groups.
+ *
+ * @returns {Promise<Object>} What was done, as also saved for the settings page.
+ */
+async function sync() {
+    if (syncing) return { error: 'A sync is already running' };
+    syncing = true;
+
+    const result = { at: new Date().toISOString(), checked: 0, disabled: [], enabled: [], adminChanges: 0 };
+    let client;
+    try {
+        const settings = await getSettings();
+        client = await connect(settings);
+        const linked = store.users.list().filter((user) => user.ldap);
+        for (const user of linked) {
+            const entry = await findUser(client, settings, user.ldap.username);
+            result.checked++;
+
+            if (entry && entry.dn.toLowerCase() === user.ldap.dn.toLowerCase()) {
+                const applied = applyEntry(settings, user, entry);
+                if (applied.enabled) {
+                    result.enabled.push(user.username);
+                    audit('user:enable', user, { before: { disabled: true }, after: { disabled: false } });
+                }
+                if (applied.adminChange) {
+                    result.adminChanges++;
+                    audit('user:edit', user, { before: { admin: applied.adminChange.before }, after: { admin: applied.adminChange.after } });
+                }
+            } else if (!user.disabled) {
+                store.users.update(user.userId, (record) => {
+                    record.disabled = true;
+                    record.disabledBy = SOURCE;
+                    record.disabledReason = 'No longer in the directory';
+                });
+                result.disabled.push(user.username);
+                audit('user:disable', user, { before: { disabled: false }, after: { disabled: true } });
+            }
+        }
+    } catch (error) {
+        // Disabling everyone because the directory is down would lock the whole company out.
+        result.error = error.message;
+        log.error(`LDAP sync failed, nobody was disabled: ${error.message}`);
+    } finally {
+        if (client) client.unbind();
+        syncing = false;
+    }
+
+    if (result.disabled.length || result.enabled.length) {
+        log.info(`LDAP sync: disabled ${result.disabled.length}, enabled ${result.enabled.length} of ${result.checked} users`);
+    }
+    await db.set(SYNC_KEY, result);
+    return result;
+}
+
+/**
+ * The outcome of the last sync, if there was one.
+ */
+async function lastSync() {
+    return (await db.get(SYNC_KEY)) || null;
+}
+
+/**
+ * Tries settings before they are saved: connects, binds as the service account, searches the base
+ * and, if a username is given, looks that user up.
+ *
+ * @param {Object} settings - As returned by parseLdapSettings.
+ * @param {string} [username]
+ * @returns {Promise<{ ok: boolean, steps: string[], entry?: Object }>}
+ */
+async function testConnection(settings, username) {
+    const steps = [];
+    let client;
+    try {
+        client = await connect(settings);
+        steps.push(settings.bindDn ? `Connected and signed in as ${settings.bindDn}` : 'Connected and bound anonymously');
+
+        await client.search(settings.searchBase, { scope: 'base', attributes: ['dn'] });
+        steps.push(`Read the search base ${settings.searchBase}`);
+
+        if (!username) return { ok: true, steps };
+        const entry = await findUser(client, settings, username);
+        if (!entry) {
+            steps.push(`No single entry matches ${username} with the user filter`);
+            return { ok: false, steps };
+        }
+        steps.push(`Found ${entry.dn}`);
+        if (settings.adminGroups.length) {
+            steps.push(inAdminGroup(settings, entry.groups) ? 'The user is in an admin group' : 'The user is in none of the admin groups');
+        }
+        return { ok: true, steps, entry };
+    } catch (error) {
+        steps.push(`Failed: ${error.message}`);
+        return { ok: false, steps };
+    } finally {
+        if (client) client.unbind();
+    }
+}
+
+async function syncIfDue() {
+    try {
+        const settings = await getSettings();
+        if (!settings.enabled || !settings.syncInterval) return;
+        const last = await lastSync();
+        if (last && Date.now() - new Date(last.at).getTime() < settings.syncInterval * 60 * 1000) return;
+        await sync();
+    } catch (error) {
+        log.error('LDAP sync failed:', error);
+    }
+}
+
+/**
+ * Starts the periodic sync; called from index.js once the database is migrated.
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(syncIfDue, POLL_INTERVAL);
+    timer.unref();
+}
+
+module.exports = {
+    DEFAULTS,
+    getSettings,
+    redact,
+    parseLdapSettings,
+    saveSettings,
+    authenticate,
+    sync,
+    lastSync,
+    testConnection,
+    start,
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Prometheus metrics for the panel process, served by routes/metrics.js. Counters and
+ * histograms are updated where things happen; node and instance gauges are read from the store
+ * when Prometheus scrapes, so they always match what the admin pages show.
+ */
+
+const client = require('prom-client');
+const { store } = require('./db.js');
+
+const PREFIX = 'teryxpanel_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const httpRequests = new client.Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests handled, by method, path and status code.',
+    labelNames: ['method', 'path', 'status'],
+    registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'Time until the response finished, by method, path and status code.',
+    labelNames: ['method', 'path', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+});
+
+const websocketSessions = new client.Gauge({
+    name: `${PREFIX}websocket_sessions`,
+    help: 'Open console and stats WebSocket sessions.',
+    labelNames: ['type'],
+    registers: [registry],
+});
+
+const emailFailures = new client.Counter({
+    name: `${PREFIX}email_send_failures_total`,
+    help: 'Emails that could not be sent, by kind of email.',
+    labelNames: ['kind'],
+    registers: [registry],
+});
+
+const containerStateChecks = new client.Counter({
+    name: `${PREFIX}container_state_checks_total`,
+    help: 'Polls of a node for the state of a new container, by outcome.',
+    labelNames: ['outcome'],
+    registers: [registry],
+});
+
+new client.Gauge({
+    name: `${PREFIX}node_up`,
+    help: 'Whether the last status check reached the node (1) or not (0).',
+    labelNames: ['node', 'name'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        for (const node of store.nodes.list()) {
+            this.set({ node: node.id, name: node.name || '' }, node.status === 'Online' ? 1 : 0);
+        }
+    },
+});
+
+new client.Gauge({
+    name: `${PREFIX}instances`,
+    help: 'Instances by InternalState.',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        const counts = {};
+        for (const instance of store.instances.list()) {
+            const state = instance.InternalState || 'UNKNOWN';
+            counts[state] = (counts[state] || 0) + 1;
+        }
+        for (const [state, total] of Object.entries(counts)) this.set({ state }, total);
+    },
+});
+
+new client.Gauge({
+    name: `${PREFIX}instances_suspended`,
+    help: 'Suspended instances.',
+    registers: [registry],
+    collect() {
+        this.set(store.instances.list().filter((instance) => instance.suspended === true).length);
+    },
+});
+
+// Label values for the WebSocket gauge start at zero instead of being absent until first use.
+for (const type of ['console', 'stats']) websocketSessions.set({ type }, 0);
+
+/**
+ * Middleware that counts every request and times it until the response has finished. Requests are
+ * labelled with the route pattern (`/instance/:id/files`) rather than the raw path so the number of
+ * series stays bounded; anything no route handled, static files included, is "unmatched".
+ */
+function httpMetrics(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        const path = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        const labels = { method: req.method, path, status: res.statusCode };
+        httpRequests.inc(labels);
+        end(labels);
+    });
+    next();
+}
+
+/**
+ * Counts a WebSocket session as open until the socket closes.
+ *
+ * @param {string} type - "console" or "stats".
+ * @param {WebSocket} ws - The client socket.
+ */
+function trackWebSocket(type, ws) {
+    websocketSessions.inc({ type });
+    ws.once('close', () => websocketSessions.dec({ type }));
+}
+
+module.exports = {
+    registry,
+    httpMetrics,
+    trackWebSocket,
+    emailFailures,
+    containerStateChecks,
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Runs the versioned schema migrations in /migrations. Each file is named
+ * `<version>_<name>.js` and exports `up` and `down` functions; applied versions are recorded in the
+ * `schema_migrations` table so every migration runs exactly once per database.
+ *
+ * A migration and the change to `schema_migrations` are committed in one transaction, so a
+ * migration that fails leaves the database as it was. That transaction is synchronous: Keyv has its
+ * own connection (or lives in MySQL), which would wait on the open transaction forever. A migration
+ * that needs Keyv data reads it in an optional async `prepare` that runs first and is handed to `up`
+ * as `prepared`; its writes to Keyv are held back until the transaction has been committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { db, store } = require('./db.js');
+const CatLoggr = require('cat-loggr');
+const log = new CatLoggr();
+
+const migrationsDir = path.join(__dirname, '../migrations');
+
+const { sqlite } = store;
+
+sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )
+`);
+
+/**
+ * Reads the migration files from disk, ordered by version.
+ *
+ * @returns {Object[]} Migrations with their file id, version, name and module.
+ */
+function loadMigrations() {
+    return fs
+        .readdirSync(migrationsDir)
+        .filter((file) => /^\d+_.+\.js$/.test(file))
+        .map((file) => {
+            const [, version, name] = /^(\d+)_(.+)\.js$/.exec(file);
+            return {
+                id: path.basename(file, '.js'),
+                version: Number(version),
+                name,
+                module: require(path.join(migrationsDir, file)),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+function appliedVersions() {
+    return sqlite.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+function context(kvWrites, prepared) {
+    const kv = {
+        set: (key, value) => {
+            kvWrites.push(() => db.kv.set(key, value));
+        },
+        delete: (key) => {
+            kvWrites.push(() => db.kv.delete(key));
+        },
+    };
+    return { sqlite, store, db, kv, log, prepared };
+}
+
+/**
+ * Runs one direction of a migration and records it, all in one transaction that is rolled back
+ * if either throws. Migrations may nest `sqlite.transaction`, which then uses savepoints.
+ *
+ * @param {Object} migration - The migration from loadMigrations.
+ * @param {'up'|'down'} direction
+ * @param {Function} record - Updates schema_migrations.
+ */
+async function runMigration(migration, direction, record) {
+    const kvWrites = [];
+    const { module } = migration;
+    const prepared = direction === 'up' && module.prepare
+        ? await module.prepare({ sqlite, db, kv: db.kv, log })
+        : undefined;
+
+    sqlite.transaction(() => {
+        const result = module[direction](context(kvWrites, prepared));
+        if (result && typeof result.then === 'function') {
+            throw new Error(`Migration ${migration.id} must read Keyv in prepare, ${direction} cannot be async`);
+        }
+        record();
+    })();
+
+    for (const write of kvWrites) {
+        await write();
+    }
+}
+
+/**
+ * Describes the schema version of the database and which migrations are still pending.
+ *
+ * @returns {Object} The current version and every known migration with its state.
+ */
+function status() {
+    const applied = new Map(appliedVersions().map((row) => [row.version, row]));
+    const migrations = loadMigrations().map(({ version, name, module }) => ({
+        version,
+        name,
+        description: module.description || '',
+        appliedAt: applied.has(version) ? applied.get(version).applied_at : null,
+    }));
+
+    return {
+        version: applied.size ? Math.max(...applied.keys()) : 0,
+        migrations,
+        pending: migrations.filter((migration) => !migration.appliedAt),
+    };
+}
+
+/**
+ * Applies pending migrations in order.
+ *
+ * @param {number} [target] - Highest version to apply. Defaults to the latest migration.
+ * @returns {Promise<number[]>} The versions that were applied.
+ */
+async function up(target = Infinity) {
+    const applied = new Set(appliedVersions().map((row) => row.version));
+    const done = [];
+
+    for (const migration of loadMigrations()) {
+        if (migration.version > target || applied.has(migration.version)) continue;
+
+        log.info(`applying migration ${migration.id}`);
+        await runMigration(migration, 'up', () => {
+            sqlite
+                .prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, new Date().toISOString());
+        });
+        done.push(migration.version);
+    }
+
+    return done;
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ *
+ * @param {number} [steps=1] - How many migrations to revert.
+ * @returns {Promise<number[]>} The versions that were reverted.
+ */
+async function down(steps = 1) {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+    const reverted = [];
+
+    for (const row of appliedVersions().reverse().slice(0, steps)) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+            throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+        }
+
+        log.info(`reverting migration ${migration.id}`);
+        await runMigration(migration, 'down', () => {
+            sqlite.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+        });
+        reverted.push(migration.version);
+    }
+
+    return reverted;
+}
+
+module.exports = { status, up, down };
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview In-panel notifications. Things the panel has to tell a user, such as the suspension
+ * of one of their servers or access to a new one, are stored per user and shown in the bell menu of
+ * the panel header until they are read. The menu polls GET /notifications, see
+ * routes/notifications.js.
+ *
+ * Creating a notification never throws, so event sources can call these helpers after the change
+ * they report without guarding them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const log = new (require('cat-loggr'))();
+
+/**
+ * Kinds of notification, with the icon the bell menu shows for them.
+ */
+const TYPES = {
+    instance_suspended: { icon: 'fa-ban', color: 'red' },
+    instance_reinstalled: { icon: 'fa-rotate', color: 'green' },
+    archive_created: { icon: 'fa-box-archive', color: 'indigo' },
+    subuser_added: { icon: 'fa-user-plus', color: 'indigo' },
+    announcement: { icon: 'fa-bullhorn', color: 'yellow' },
+};
+
+// Older notifications beyond this are deleted when a user gets a new one.
+const MAX_PER_USER = 100;
+
+/**
+ * Stores a notification for each of the given users.
+ *
+ * @param {string[]} userIds
+ * @param {Object} notification
+ * @param {string} notification.type - A key of TYPES.
+ * @param {string} notification.title
+ * @param {string} [notification.message]
+ * @param {string} [notification.link] - Panel path the notification opens.
+ * @returns {Object[]} The stored notifications.
+ */
+function notifyUsers(userIds, { type, title, message = '', link = null }) {
+    if (!TYPES[type]) {
+        log.warn(`Unknown notification type ${type}`);
+        return [];
+    }
+
+    const created = [];
+    const createdAt = new Date().toISOString();
+    for (const userId of new Set(userIds.filter(Boolean).map(String))) {
+        try {
+            created.push(store.notifications.save({
+                id: uuidv4(),
+                userId,
+                type,
+                title: String(title).slice(0, 200),
+                message: String(message).slice(0, 2000),
+                link,
+                read: false,
+                createdAt,
+                readAt: null,
+            }));
+            store.notifications.trim(userId, MAX_PER_USER);
+        } catch (error) {
+            log.error(`Failed to store notification for user ${userId}:`, error);
+        }
+    }
+    return created;
+}
+
+/**
+ * The owner of an instance and the sub-users who were given access to it.
+ *
+ * @param {Object} instance
+ * @returns {string[]} User ids.
+ */
+function instanceUserIds(instance) {
+    const subUsers = store.users
+        .list()
+        .filter((user) => (user.accessTo || []).includes(instance.Id))
+        .map((user) => user.userId);
+    return [instance.User, ...subUsers].filter(Boolean);
+}
+
+function notifyInstanceUsers(instance, notification) {
+    try {
+        return notifyUsers(instanceUserIds(instance), notification);
+    } catch (error) {
+        log.error(`Failed to notify the users of instance ${instance.Id}:`, error);
+        return [];
+    }
+}
+
+function instanceName(instance) {
+    return instance.Name || instance.Id;
+}
+
+/**
+ * Tells everyone with access to an instance that it was suspended, with the reason the radar check
+ * recorded in `suspended-flagg` if there is one.
+ */
+function notifyInstanceSuspended(instance) {
+    const reason = instance['suspended-flagg'];
+    return notifyInstanceUsers(instance, {
+        type: 'instance_suspended',
+        title: `${instanceName(instance)} was suspended`,
+        message: reason
+            ? `Reason: ${reason}`
+            : 'An administrator suspended this server. Contact support if you think this is a mistake.',
+        link: '/instances',
+    });
+}
+
+function notifyInstanceReinstalled(instance) {
+    return notifyInstanceUsers(instance, {
+        type: 'instance_reinstalled',
+        title: `${instanceName(instance)} was reinstalled`,
+        message: 'The reinstall finished and the server is ready to start.',
+        link: `/instance/${instance.Id}`,
+    });
+}
+
+function notifyArchiveCreated(instance) {
+    return notifyInstanceUsers(instance, {
+        type: 'archive_created',
+        title: `Archive of ${instanceName(instance)} finished`,
+        message: 'A new archive is available on the Archives page.',
+        link: `/instance/${instance.Id}/archives`,
+    });
+}
+
+/**
+ * Tells a user they were made a sub-user of an instance.
+ *
+ * @param {string} userId - The new sub-user.
+ * @param {Object} instance
+ * @param {string} grantedBy - Username of who added them.
+ */
+function notifySubUserAdded(userId, instance, grantedBy) {
+    return notifyUsers([userId], {
+        type: 'subuser_added',
+        title: `You have access to ${instanceName(instance)}`,
+        message: `${grantedBy} added you as a sub-user of this server.`,
+        link: `/instance/${instance.Id}`,
+    });
+}
+
+/**
+ * A user's latest notifications and how many of all of theirs are unread.
+ *
+ * @param {string} userId
+ * @param {number} [limit=20]
+ * @returns {{ unread: number, notifications: Object[] }}
+ */
+function listNotifications(userId, limit = 20) {
+    return {
+        unread: store.notifications.unreadCount(userId),
+        notifications: store.notifications.recent(userId, limit).map((notification) => ({
+            ...notification,
+            ...TYPES[notification.type],
+        })),
+    };
+}
+
+/**
+ * Marks notifications of a user as read.
+ *
+ * @param {string} userId
+ * @param {string[]} [ids] - Which ones; all of the user's when omitted.
+ * @returns {number} How many were unread.
+ */
+function markRead(userId, ids) {
+    return store.notifications.markRead(userId, ids, new Date().toISOString());
+}
+
+module.exports = {
+    TYPES,
+    notifyUsers,
+    instanceUserIds,
+    notifyInstanceSuspended,
+    notifyInstanceReinstalled,
+    notifyArchiveCreated,
+    notifySubUserAdded,
+    listNotifications,
+    markRead,
+};
@@ -0,0 +1,559 @@
+/**
+ * @fileoverview Imports users, nodes, eggs and servers from a Pterodactyl panel. The source is
+ * either a MySQL dump of the Pterodactyl database or a JSON export of its application API. Both
+ * are normalized to the same shape first, then mapped onto panel users, nodes, images and
+ * instances. Anything that cannot be carried over is listed in the returned report instead of
+ * being dropped silently. Used by the `import-pterodactyl` CLI command.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const { parseSqlDump } = require('../utils/sqlDump.js');
+
+const PANEL = 'pterodactyl';
+
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function normalizeVariable(variable) {
+    return {
+        id: variable.id,
+        eggId: variable.egg_id,
+        name: variable.name,
+        description: variable.description || '',
+        env: variable.env_variable,
+        default: variable.default_value ?? '',
+        rules: variable.rules || '',
+        userViewable: Boolean(variable.user_viewable),
+        userEditable: Boolean(variable.user_editable),
+    };
+}
+
+function dockerImagesOf(egg) {
+    const images = parseJson(egg.docker_images, null);
+    if (Array.isArray(images)) return images;
+    if (images && typeof images === 'object') return Object.values(images);
+    return egg.docker_image ? [egg.docker_image] : [];
+}
+
+/**
+ * Normalizes the tables of a Pterodactyl database dump.
+ *
+ * @param {string} text - The mysqldump output.
+ * @returns {Object} Users, locations, nodes, eggs, servers and subusers.
+ */
+function fromSqlDump(text) {
+    const tables = parseSqlDump(text);
+    if (!tables.users && !tables.servers) {
+        throw new ImportError('The dump holds no Pterodactyl users or servers tables');
+    }
+
+    const rows = (name) => tables[name] || [];
+    const nests = new Map(rows('nests').map((nest) => [nest.id, nest]));
+    const eggRows = new Map(rows('eggs').map((egg) => [egg.id, egg]));
+    const variables = rows('egg_variables').map(normalizeVariable);
+    const allocations = rows('allocations');
+
+    // Eggs can inherit their stop command and install script from another egg.
+    const inherited = (egg, field, seen = new Set()) => {
+        if (!egg || seen.has(egg.id)) return null;
+        seen.add(egg.id);
+        if (egg[field]) return egg[field];
+        const parent = field === 'script_install' ? egg.copy_script_from : egg.config_from;
+        return inherited(eggRows.get(parent), field, seen);
+    };
+
+    return {
+        users: rows('users').map((user) => ({
+            id: user.id,
+            uuid: user.uuid,
+            username: user.username,
+            email: user.email,
+            password: user.password || null,
+            admin: Boolean(user.root_admin),
+            totp: Boolean(user.use_totp),
+        })),
+        locations: rows('locations').map((location) => ({ id: location.id, short: location.short })),
+        nodes: rows('nodes').map((node) => ({
+            id: node.id,
+            uuid: node.uuid,
+            name: node.name,
+            fqdn: node.fqdn,
+            memory: Number(node.memory) || 0,
+            disk: Number(node.disk) || 0,
+            locationId: node.location_id,
+        })),
+        eggs: rows('eggs').map((egg) => ({
+            id: egg.id,
+            uuid: egg.uuid,
+            name: egg.name,
+            nestName: nests.has(egg.nest_id) ? nests.get(egg.nest_id).name : null,
+            dockerImages: dockerImagesOf(egg),
+            startup: egg.startup || '',
+            stop: inherited(egg, 'config_stop'),
+            installScript: inherited(egg, 'script_install'),
+            variables: variables.filter((variable) => variable.eggId === egg.id),
+        })),
+        servers: rows('servers').map((server) => {
+            const values = new Map(
+                rows('server_variables')
+                    .filter((value) => value.server_id === server.id)
+                    .map((value) => [value.variable_id, value.variable_value]),
+            );
+            const environment = {};
+            for (const variable of variables.filter((item) => item.eggId === server.egg_id)) {
+                environment[variable.env] = values.has(variable.id) ? values.get(variable.id) : variable.default;
+            }
+
+            return {
+                id: server.id,
+                uuid: server.uuid,
+                name: server.name,
+                ownerId: server.owner_id,
+                nodeId: server.node_id,
+                eggId: server.egg_id,
+                memory: Number(server.memory) || 0,
+                disk: Number(server.disk) || 0,
+                cpu: Number(server.cpu) || 0,
+                image: server.image,
+                startup: server.startup || '',
+                suspended: server.status === 'suspended' || Boolean(server.suspended),
+                environment,
+                allocations: allocations
+                    .filter((allocation) => allocation.server_id === server.id)
+                    .map((allocation) => ({
+                        ip: allocation.ip,
+                        port: Number(allocation.port),
+                        primary: allocation.id === server.allocation_id,
+                    })),
+            };
+        }),
+        subusers: rows('subusers').map((subuser) => ({ userId: subuser.user_id, serverId: subuser.server_id })),
+    };
+}
+
+/**
+ * Unwraps the `{ object, attributes }` envelopes the Pterodactyl API puts around every resource.
+ */
+function unwrap(value) {
+    if (Array.isArray(value)) return value.map(unwrap);
+    if (value && value.object === 'list' && Array.isArray(value.data)) return value.data.map(unwrap);
+    if (value && value.attributes) {
+        const attributes = { ...value.attributes };
+        for (const [name, relation] of Object.entries(attributes.relationships || {})) {
+            attributes[name] = unwrap(relation);
+        }
+        delete attributes.relationships;
+        return attributes;
+    }
+    return value;
+}
+
+/**
+ * Normalizes a JSON export of the Pterodactyl application API. The export is an object with
+ * `users`, `nodes`, `locations`, `eggs` (or `nests` including their eggs) and `servers`, each
+ * holding the API response or its data list. Eggs should be exported with `?include=variables`
+ * and servers with `?include=allocations,subusers`.
+ *
+ * @param {Object} data - The parsed export.
+ * @returns {Object} Users, locations, nodes, eggs, servers and subusers.
+ */
+function fromApiExport(data) {
+    if (!data || (!data.users && !data.servers)) {
+        throw new ImportError('The export holds no Pterodactyl users or servers');
+    }
+
+    const list = (name) => unwrap(data[name] || []);
+    const nests = list('nests');
+    const eggs = [...list('eggs'), ...nests.flatMap((nest) => (nest.eggs || []).map((egg) => ({ ...egg, nestName: nest.name })))];
+    const nestNames = new Map(nests.map((nest) => [nest.id, nest.name]));
+    const subusers = [];
+
+    const servers = list('servers').map((server) => {
+        for (const subuser of server.subusers || []) {
+            subusers.push({ userId: subuser.user_id, serverId: server.id });
+        }
+        const limits = server.limits || {};
+        const container = server.container || {};
+
+        return {
+            id: server.id,
+            uuid: server.uuid,
+            name: server.name,
+            ownerId: server.user,
+            nodeId: server.node,
+            eggId: server.egg,
+            memory: Number(limits.memory) || 0,
+            disk: Number(limits.disk) || 0,
+            cpu: Number(limits.cpu) || 0,
+            image: container.image,
+            startup: container.startup_command || '',
+            suspended: server.suspended === true || server.status === 'suspended',
+            environment: Object.fromEntries(
+                Object.entries(container.environment || {}).filter(([name]) => !/^(STARTUP|P_SERVER_\w+|SERVER_\w+)$/.test(name)),
+            ),
+            allocations: (server.allocations || []).map((allocation) => ({
+                ip: allocation.ip,
+                port: Number(allocation.port),
+                primary: allocation.id === server.allocation,
+            })),
+        };
+    });
+
+    return {
+        users: list('users').map((user) => ({
+            id: user.id,
+            uuid: user.uuid,
+            username: user.username,
+            email: user.email,
+            password: null,
+            admin: Boolean(user.root_admin),
+            totp: Boolean(user['2fa']),
+        })),
+        locations: list('locations').map((location) => ({ id: location.id, short: location.short })),
+        nodes: list('nodes').map((node) => ({
+            id: node.id,
+            uuid: node.uuid,
+            name: node.name,
+            fqdn: node.fqdn,
+            memory: Number(node.memory) || 0,
+            disk: Number(node.disk) || 0,
+            locationId: node.location_id,
+        })),
+        eggs: eggs.map((egg) => ({
+            id: egg.id,
+            uuid: egg.uuid,
+            name: egg.name,
+            nestName: egg.nestName || nestNames.get(egg.nest) || null,
+            dockerImages: dockerImagesOf(egg),
+            startup: egg.startup || '',
+            stop: egg.config ? egg.config.stop : null,
+            installScript: egg.script ? egg.script.install : null,
+            variables: (egg.variables || []).map(normalizeVariable),
+        })),
+        servers,
+        subusers,
+    };
+}
+
+/**
+ * Reads an import source, telling a JSON API export apart from a SQL dump by its content.
+ *
+ * @param {string} text - The file content.
+ * @returns {{ format: string, data: Object }} The source format and the normalized data.
+ * @throws {ImportError} If the content is neither.
+ */
+function readSource(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new ImportError('The file looks like JSON but could not be parsed');
+        }
+        return { format: 'api', data: fromApiExport(data) };
+    }
+    return { format: 'sql', data: fromSqlDump(text) };
+}
+
+/**
+ * Maps an egg variable's Laravel validation rules onto an image variable definition.
+ */
+function mapVariable(variable) {
+    const rules = String(variable.rules || '').split('|').map((rule) => rule.trim()).filter(Boolean);
+    const definition = {
+        type: 'text',
+        default: variable.default,
+        required: rules.includes('required'),
+        description: variable.description || variable.name,
+    };
+
+    const inRule = rules.find((rule) => rule.startsWith('in:'));
+    if (rules.includes('boolean')) {
+        definition.type = 'boolean';
+    } else if (inRule) {
+        definition.type = 'select';
+        definition.options = inRule.slice(3).split(',').map((value) => ({ value, label: value }));
+    } else if (rules.includes('numeric') || rules.includes('integer')) {
+        definition.type = 'number';
+        for (const rule of rules) {
+            const [name, value] = rule.split(':');
+            if (name === 'min' || name === 'max') definition[name] = Number(value);
+            if (name === 'between') {
+                [definition.min, definition.max] = value.split(',').map(Number);
+            }
+        }
+        if (rules.includes('integer')) definition.step = 1;
+    }
+
+    return definition;
+}
+
+function importedFrom(record) {
+    return { panel: PANEL, id: record.id, uuid: record.uuid || null };
+}
+
+function isImported(existing, record) {
+    return existing.some((item) => item.importedFrom && item.importedFrom.panel === PANEL && item.importedFrom.uuid === record.uuid);
+}
+
+// Laravel writes bcrypt hashes with the $2y$ prefix, which is the same algorithm as $2b$.
+function convertPassword(hash) {
+    if (typeof hash === 'string' && /^\$2[aby]\$/.test(hash)) return hash.replace(/^\$2y\$/, '$2b$');
+    return null;
+}
+
+/**
+ * Imports a Pterodactyl panel into this one. Users are matched by email, so running the import
+ * again or against a panel that already has some of the users links them instead of creating
+ * duplicates; nodes, images and instances remember where they came from and are skipped the
+ * second time. With `dryRun` nothing is written and the report describes what would happen.
+ *
+ * @param {string} text - Content of a Pterodactyl SQL dump or JSON API export.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report without changing anything.
+ * @returns {Promise<Object>} Report with the created, linked and skipped records and the notes on
+ *   everything that could not be mapped.
+ * @throws {ImportError} If the source cannot be read.
+ */
+async function importPterodactyl(text, { dryRun = false } = {}) {
+    const { format, data } = readSource(text);
+    const report = {
+        format,
+        dryRun,
+        created: { users: [], nodes: [], images: [], instances: [] },
+        linked: [],
+        skipped: [],
+        notes: [],
+    };
+    const skip = (type, name, reason) => report.skipped.push({ type, name, reason });
+    const note = (type, name, message) => report.notes.push({ type, name, message });
+
+    const existing = {
+        users: store.users.list(),
+        nodes: store.nodes.list(),
+        images: store.images.list(),
+        instances: store.instances.list(),
+    };
+    const records = { users: [], nodes: [], images: [], instances: [] };
+
+    // Pterodactyl ids -> records of this panel, filled in as each kind is mapped.
+    const users = new Map();
+    const nodes = new Map();
+    const images = new Map();
+
+    // Users
+    for (const user of data.users) {
+        const byEmail = existing.users.find((item) => item.email && user.email && item.email.toLowerCase() === user.email.toLowerCase());
+        if (byEmail) {
+            users.set(user.id, byEmail);
+            report.linked.push({ type: 'user', name: user.username, to: byEmail.username });
+            continue;
+        }
+        if (existing.users.some((item) => item.username === user.username) || records.users.some((item) => item.username === user.username)) {
+            skip('user', user.username, 'a different user with this username already exists');
+            continue;
+        }
+
+        let password = convertPassword(user.password);
+        if (!password) {
+            password = await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10);
+            note('user', user.username, 'no password hash in the source; a random password was set, use "Forgot password" to sign in');
+        }
+        if (user.totp) {
+            note('user', user.username, 'two-factor authentication was enabled in Pterodactyl and has to be set up again');
+        }
+
+        const record = {
+            userId: user.uuid || uuidv4(),
+            username: user.username,
+            email: user.email,
+            password,
+            accessTo: [],
+            admin: user.admin,
+            verified: true,
+            importedFrom: importedFrom(user),
+        };
+        users.set(user.id, record);
+        records.users.push(record);
+    }
+
+    // Nodes
+    const locations = new Map(data.locations.map((location) => [location.id, location.short]));
+    for (const node of data.nodes) {
+        const match = existing.nodes.find((item) => isImported([item], node));
+        if (match) {
+            nodes.set(node.id, match);
+            skip('node', node.name, 'already imported');
+            continue;
+        }
+
+        const record = {
+            id: uuidv4(),
+            name: node.name,
+            tags: locations.get(node.locationId) || '',
+            ram: Math.ceil(node.memory / 1024),
+            disk: Math.ceil(node.disk / 1024),
+            processor: '',
+            address: node.fqdn,
+            port: 3002,
+            apiKey: null,
+            configureKey: uuidv4(),
+            status: 'Unconfigured',
+            importedFrom: importedFrom(node),
+        };
+        nodes.set(node.id, record);
+        records.nodes.push(record);
+        note('node', node.name, 'Wings cannot be reused; install the Skyport daemon on this node and configure it from the node page');
+    }
+
+    // Eggs become images
+    for (const egg of data.eggs) {
+        const match = existing.images.find((item) => isImported([item], egg) || item.Name === egg.name);
+        if (match) {
+            images.set(egg.id, match);
+            skip('image', egg.name, match.importedFrom ? 'already imported' : 'an image with this name already exists');
+            continue;
+        }
+        if (!egg.dockerImages.length) {
+            skip('image', egg.name, 'the egg has no docker image');
+            continue;
+        }
+
+        const record = {
+            Id: uuidv4(),
+            Name: egg.name,
+            Image: egg.dockerImages[0],
+            AltImages: egg.dockerImages.slice(1),
+            StopCommand: egg.stop || '',
+            Env: egg.variables.map((variable) => `${variable.env}=${variable.default}`),
+            Variables: Object.fromEntries(egg.variables.map((variable) => [variable.env, mapVariable(variable)])),
+            importedFrom: importedFrom(egg),
+        };
+        images.set(egg.id, record);
+        records.images.push(record);
+
+        if (egg.installScript) {
+            note('image', egg.name, 'the egg install script was not imported; add install steps to the image if it needs them');
+        }
+        if (egg.startup) {
+            note('image', egg.name, `the startup command "${egg.startup}" has to be part of the image entrypoint`);
+        }
+        if (egg.stop && egg.stop.startsWith('^')) {
+            note('image', egg.name, `the stop signal "${egg.stop}" is not a console command and will not stop the server`);
+        }
+    }
+
+    // Servers become instances
+    for (const server of data.servers) {
+        if (existing.instances.some((item) => item.Id === server.uuid || isImported([item], server))) {
+            skip('instance', server.name, 'already imported');
+            continue;
+        }
+        const owner = users.get(server.ownerId);
+        const node = nodes.get(server.nodeId);
+        const image = images.get(server.eggId);
+        if (!owner) {
+            skip('instance', server.name, 'its owner was not imported');
+            continue;
+        }
+        if (!node) {
+            skip('instance', server.name, 'its node was not imported');
+            continue;
+        }
+        if (!image) {
+            skip('instance', server.name, 'its egg was not imported');
+            continue;
+        }
+
+        const primary = server.allocations.find((allocation) => allocation.primary) || server.allocations[0];
+        const Id = server.uuid || uuidv4();
+        const record = {
+            Name: server.name,
+            Id,
+            Node: node,
+            User: owner.userId,
+            // There is no container on a Skyport daemon yet; reinstalling the instance creates it.
+            ContainerId: Id,
+            VolumeId: Id,
+            Memory: server.memory,
+            Disk: Math.ceil(server.disk / 1024),
+            Cpu: Math.max(1, Math.ceil(server.cpu / 100)),
+            Ports: server.allocations.map((allocation) => `${allocation.port}:${allocation.port}`).join(','),
+            Primary: primary ? String(primary.port) : '',
+            Image: server.image || image.Image,
+            AltImages: image.AltImages,
+            StopCommand: image.StopCommand,
+            imageData: image,
+            Env: Object.entries(server.environment).map(([name, value]) => `${name}=${value ?? ''}`),
+            State: 'UNKNOWN',
+            suspended: server.suspended,
+            importedFrom: importedFrom(server),
+        };
+        records.instances.push(record);
+
+        for (const [name, variable] of Object.entries(server.environment)) {
+            if (!(name in (image.Variables || {}))) {
+                note('instance', server.name, `variable ${name}=${variable} has no matching image variable`);
+            }
+        }
+        if (!server.cpu) {
+            note('instance', server.name, 'the CPU limit was unlimited and is now 1 thread');
+        }
+        if (!server.allocations.length) {
+            note('instance', server.name, 'the server had no allocations, so no ports are mapped');
+        }
+        note('instance', server.name, 'server files were not copied; reinstall the instance once its node is configured, then copy the files over');
+    }
+
+    // Subusers become accessTo entries
+    const instanceIds = new Map(records.instances.map((instance) => [instance.importedFrom.id, instance.Id]));
+    const accessChanges = new Map();
+    for (const subuser of data.subusers) {
+        const user = users.get(subuser.userId);
+        const instanceId = instanceIds.get(subuser.serverId);
+        if (!user || !instanceId) continue;
+        const list = accessChanges.get(user.userId) || [];
+        list.push(instanceId);
+        accessChanges.set(user.userId, list);
+    }
+
+    for (const [name, list] of Object.entries(records)) {
+        report.created[name] = list.map((record) => record.username || record.name || record.Name);
+    }
+    if (dryRun) return report;
+
+    store.transaction(() => {
+        for (const record of records.users) store.users.save(record);
+        for (const record of records.nodes) store.nodes.save(record);
+        for (const record of records.images) store.images.save(record);
+        for (const record of records.instances) store.instances.save(record);
+
+        for (const [userId, list] of accessChanges) {
+            store.users.update(userId, (user) => {
+                user.accessTo = [...new Set([...(user.accessTo || []), ...list])];
+            });
+        }
+    })();
+
+    return report;
+}
+
+module.exports = { importPterodactyl, readSource, ImportError };
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Panel-wide security policies, set on /admin/settings/security: whether users may
+ * sign in with a passkey instead of their password, whether admin accounts must verify with a
+ * security key, what passwords are accepted and for how long, when repeated wrong passwords lock an
+ * account, and who must set up two-factor authentication. The keys themselves are handled by
+ * handlers/webauthn.js.
+ *
+ * The policies are applied where passwords are set (registration, password changes and resets,
+ * the admin user forms), by the local login strategy in routes/auth.js, and to signed-in sessions
+ * by utils/securityPolicy.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { db, store } = require('./db.js');
+const { needsSecondFactor } = require('./webauthn.js');
+
+const SETTINGS_KEY = 'security_settings';
+const BREACHED_LIST = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+    passkeyLogin: true,
+    adminHardwareKey: false,
+    passwordMinLength: 8,
+    passwordMixedCase: false,
+    passwordNumber: false,
+    passwordSymbol: false,
+    passwordBlockBreached: false,
+    // 0 turns expiry off.
+    passwordMaxAgeDays: 0,
+    // 0 turns the lockout off.
+    lockoutAttempts: 0,
+    lockoutMinutes: 15,
+    require2fa: 'off',
+    twoFactorGraceDays: 7,
+    // When require2fa last changed; grace periods that started earlier no longer count.
+    require2faSince: null,
+};
+
+const REQUIRE_2FA = ['off', 'admins', 'all'];
+
+// Login page messages, by the `err` query parameter the login routes redirect with.
+const LOGIN_ERRORS = {
+    AccountLocked:
+        'Too many wrong passwords. This account is locked for a while; try again later or reset your password.',
+};
+
+// Allowed range of each number on the form.
+const LIMITS = {
+    passwordMinLength: [6, 128, 'Minimum password length'],
+    passwordMaxAgeDays: [0, 3650, 'Password expiry'],
+    lockoutAttempts: [0, 100, 'Failed attempts before lockout'],
+    lockoutMinutes: [1, 1440, 'Lockout duration'],
+    twoFactorGraceDays: [0, 365, 'Grace period'],
+};
+
+let breachedPasswords = null;
+
+/**
+ * The saved settings, completed with the defaults.
+ *
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+    return { ...DEFAULTS, ...((await db.get(SETTINGS_KEY)) || {}) };
+}
+
+async function saveSettings(settings) {
+    await db.set(SETTINGS_KEY, settings);
+}
+
+function checked(value) {
+    return value === 'on' || value === 'true' || value === true;
+}
+
+/**
+ * Checks the form of /admin/settings/security.
+ *
+ * @param {Object} input - The posted form.
+ * @param {Object} current - The settings in effect, to tell when the 2FA requirement changes.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function parseSecuritySettings(input = {}, current = DEFAULTS) {
+    const numbers = {};
+    for (const [key, [min, max, label]] of Object.entries(LIMITS)) {
+        const value = Number(input[key]);
+        if (input[key] === undefined || String(input[key]).trim() === '' || !Number.isInteger(value)) {
+            return { error: `${label} must be a whole number.` };
+        }
+        if (value < min || value > max) {
+            return { error: `${label} must be between ${min} and ${max}.` };
+        }
+        numbers[key] = value;
+    }
+
+    const require2fa = input.require2fa || 'off';
+    if (!REQUIRE_2FA.includes(require2fa)) {
+        return { error: 'Choose who has to use two-factor authentication.' };
+    }
+
+    return {
+        settings: {
+            passkeyLogin: checked(input.passkeyLogin),
+            adminHardwareKey: checked(input.adminHardwareKey),
+            passwordMixedCase: checked(input.passwordMixedCase),
+            passwordNumber: checked(input.passwordNumber),
+            passwordSymbol: checked(input.passwordSymbol),
+            passwordBlockBreached: checked(input.passwordBlockBreached),
+            ...numbers,
+            require2fa,
+            require2faSince:
+                require2fa === current.require2fa ? current.require2faSince : new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Whether the user has to verify with a security key: admins do when the policy is on.
+ *
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+async function requiresHardwareKey(user) {
+    return Boolean(user && user.admin === true && (await getSettings()).adminHardwareKey);
+}
+
+/**
+ * Whether the password is on the bundled list of breached passwords. The list is read on first use.
+ *
+ * @param {string} password
+ * @returns {boolean}
+ */
+function isBreachedPassword(password) {
+    if (!breachedPasswords) {
+        breachedPasswords = new Set(
+            fs
+                .readFileSync(BREACHED_LIST, 'utf8')
+                .split('\n')
+                .map((line) => line.trim())
+                .filter((line) => line && !line.startsWith('#')),
+        );
+    }
+    return breachedPasswords.has(String(password).toLowerCase());
+}
+
+/**
+ * What a new password has to look like, for forms. A rule with a `pattern` can be checked in the
+ * browser while the user types.
+ *
+ * @param {Object} settings
+ * @returns {{ id: string, label: string, pattern: ?string }[]}
+ */
+function passwordRules(settings) {
+    const rules = [
+        { id: 'length', label: `At least ${settings.passwordMinLength} characters`, pattern: `^[\\s\\S]{${settings.passwordMinLength},}$` },
+    ];
+    if (settings.passwordMixedCase) {
+        rules.push({ id: 'mixed-case', label: 'Uppercase and lowercase letters', pattern: '(?=.*[a-z])(?=.*[A-Z])' });
+    }
+    if (settings.passwordNumber) {
+        rules.push({ id: 'number', label: 'At least one number', pattern: '\\d' });
+    }
+    if (settings.passwordSymbol) {
+        rules.push({ id: 'symbol', label: 'At least one symbol', pattern: '[^A-Za-z0-9]' });
+    }
+    if (settings.passwordBlockBreached) {
+        rules.push({ id: 'breached', label: 'Not a commonly used or leaked password', pattern: null });
+    }
+    return rules;
+}
+
+/**
+ * Checks a new password against the password policy.
+ *
+ * @param {string} password
+ * @param {Object} settings
+ * @returns {string|null} Why the password is refused, or null if it is accepted.
+ */
+function checkPassword(password, settings) {
+    password = String(password || '');
+    if (password.length < settings.passwordMinLength) {
+        return `The password must be at least ${settings.passwordMinLength} characters long.`;
+    }
+    if (settings.passwordMixedCase && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+        return 'The password must contain uppercase and lowercase letters.';
+    }
+    if (settings.passwordNumber && !/\d/.test(password)) {
+        return 'The password must contain a number.';
+    }
+    if (settings.passwordSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        return 'The password must contain a symbol.';
+    }
+    if (settings.passwordBlockBreached && isBreachedPassword(password)) {
+        return 'This password is too common and appears in data breaches. Choose another one.';
+    }
+    return null;
+}
+
+/**
+ * Until when the user's account is locked after too many wrong passwords.
+ *
+ * @param {Object} user
+ * @returns {Date|null} Null when the account is not locked.
+ */
+function lockedUntil(user) {
+    const until = user.lockedUntil ? new Date(user.lockedUntil) : null;
+    return until && until > new Date() ? until : null;
+}
+
+/**
+ * Counts a wrong password for the user and locks the account once the policy's number of attempts
+ * is reached. Attempts older than the lockout duration are forgotten.
+ *
+ * @param {string} userId
+ * @param {Object} settings
+ * @returns {Date|null} Until when the account is locked, if this attempt locked it.
+ */
+function recordFailedLogin(userId, settings) {
+    if (!settings.lockoutAttempts) return null;
+
+    const now = new Date();
+    const window = settings.lockoutMinutes * 60 * 1000;
+    let locked = null;
+    store.users.update(userId, (user) => {
+        const recent = user.lastFailedLoginAt && now - new Date(user.lastFailedLoginAt) < window;
+        user.failedLogins = (recent ? user.failedLogins || 0 : 0) + 1;
+        user.lastFailedLoginAt = now.toISOString();
+        if (user.failedLogins >= settings.lockoutAttempts) {
+            locked = new Date(now.getTime() + window);
+            user.lockedUntil = locked.toISOString();
+            user.failedLogins = 0;
+        }
+    });
+    return locked;
+}
+
+/**
+ * Forgets the user's wrong passwords and lifts a lockout.
+ *
+ * @param {string} userId
+ */
+function clearFailedLogins(userId) {
+    store.users.update(userId, (user) => {
+        delete user.failedLogins;
+        delete user.lastFailedLoginAt;
+        delete user.lockedUntil;
+    });
+}
+
+function twoFactorRequired(user, settings) {
+    return settings.require2fa === 'all' || (settings.require2fa === 'admins' && user.admin === true);
+}
+
+/**
+ * Whether the policy makes the user set up two-factor authentication, and by when. The grace period
+ * starts the first time the policy finds the user without a second factor.
+ *
+ * @param {Object} user
+ * @param {Object} settings
+ * @returns {{ deadline: Date, overdue: boolean }|null} Null when the user has nothing to do.
+ */
+function twoFactorStatus(user, settings) {
+    if (!twoFactorRequired(user, settings) || needsSecondFactor(user)) return null;
+
+    let since = user.twoFactorRequiredAt;
+    if (!since || (settings.require2faSince && since < settings.require2faSince)) {
+        since = new Date().toISOString();
+        store.users.update(user.userId, (record) => {
+            record.twoFactorRequiredAt = since;
+        });
+    }
+    const deadline = new Date(new Date(since).getTime() + settings.twoFactorGraceDays * DAY);
+    return { deadline, overdue: deadline <= new Date() };
+}
+
+/**
+ * Whether the user's password is older than the policy allows. Passwords set before expiry was
+ * turned on count from the first time they are checked.
+ *
+ * @param {Object} user
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+function passwordExpired(user, settings) {
+    if (!settings.passwordMaxAgeDays) return false;
+
+    if (!user.passwordChangedAt) {
+        store.users.update(user.userId, (record) => {
+            record.passwordChangedAt = new Date().toISOString();
+        });
+        return false;
+    }
+    return Date.now() - new Date(user.passwordChangedAt) > settings.passwordMaxAgeDays * DAY;
+}
+
+module.exports = {
+    DEFAULTS,
+    REQUIRE_2FA,
+    LOGIN_ERRORS,
+    getSettings,
+    saveSettings,
+    parseSecuritySettings,
+    requiresHardwareKey,
+    isBreachedPassword,
+    passwordRules,
+    checkPassword,
+    lockedUntil,
+    recordFailedLogin,
+    clearFailedLogins,
+    twoFactorStatus,
+    passwordExpired,
+};
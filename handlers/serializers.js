@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Public representations of the panel's records. API v2 responses and webhook
+ * payloads use these, so integrations see the same fields everywhere and never node credentials,
+ * password hashes or other secrets.
+ */
+
+function serializeUser(user) {
+    return {
+        id: user.userId,
+        username: user.username,
+        email: user.email,
+        admin: user.admin === true,
+        verified: user.verified === true,
+        twoFactorEnabled: user.twoFAEnabled === true,
+        accessTo: user.accessTo || [],
+        createdAt: user.createdAt || null,
+    };
+}
+
+function serializeInstance(instance) {
+    return {
+        id: instance.Id,
+        name: instance.Name,
+        userId: instance.User,
+        nodeId: instance.Node ? instance.Node.id : null,
+        containerId: instance.ContainerId,
+        image: instance.Image,
+        memory: instance.Memory,
+        cpu: instance.Cpu,
+        disk: Number(instance.Disk) || 0,
+        ports: instance.Ports,
+        primary: instance.Primary,
+        state: instance.InternalState || instance.State || null,
+        suspended: instance.suspended === true,
+        createdAt: instance.createdAt || null,
+    };
+}
+
+function serializeNode(node) {
+    return {
+        id: node.id,
+        name: node.name,
+        status: node.status,
+        tags: node.tags,
+        address: node.address,
+        port: Number(node.port),
+        ram: Number(node.ram) || null,
+        disk: Number(node.disk) || null,
+        processor: node.processor,
+        versionFamily: node.versionFamily,
+        versionRelease: node.versionRelease,
+        createdAt: node.createdAt || null,
+    };
+}
+
+function serializeImage(image) {
+    return {
+        id: image.Id,
+        name: image.Name,
+        image: image.Image,
+        altImages: image.AltImages || [],
+        stopCommand: image.StopCommand || '',
+        variables: image.Variables || {},
+    };
+}
+
+module.exports = { serializeUser, serializeInstance, serializeNode, serializeImage };
@@ -0,0 +1,705 @@
+/**
+ * @fileoverview Single sign-on through OpenID Connect and OAuth2 identity providers. Admins add
+ * providers on /admin/settings/sso and each enabled one gets a button on the login page. The login
+ * itself is the authorization code flow with PKCE, driven by routes/sso.js.
+ *
+ * Provider types are plug-ins in TYPES: each knows where its endpoints are and how to turn the
+ * tokens it hands out into a profile (a stable subject, an email address and whether the provider
+ * verified it, a username and a list of groups). `oidc` reads everything from the issuer's
+ * discovery document and checks the ID token signature against its keys; `oauth2` covers other
+ * providers through a userinfo URL; `github` and `discord` are presets for community logins.
+ *
+ * After a login the account at the provider (an identity) is matched to a panel user: through an
+ * earlier link, then through a user with the same, verified, email address. Otherwise a user is
+ * created if registration is open. Providers can grant admin rights to members of some groups.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { db, store } = require('./db.js');
+const { serializeUser } = require('./serializers.js');
+const webhooks = require('./webhooks.js');
+const config = require('../config.json');
+const log = new (require('cat-loggr'))();
+
+const REQUEST_TIMEOUT = 10000;
+const DISCOVERY_TTL = 60 * 60 * 1000;
+// Seconds of clock difference tolerated when checking when an ID token expires.
+const CLOCK_SKEW = 60;
+
+/**
+ * Why a login did not work, as shown on the login page. Routes redirect with `?sso=<key>`.
+ */
+const LOGIN_ERRORS = {
+    unavailable: 'This sign-in option is not available.',
+    denied: 'The sign-in was cancelled at the identity provider.',
+    expired: 'The sign-in took too long or was started in another browser. Please try again.',
+    failed: 'Single sign-on failed. Please try again, or contact an administrator if it keeps failing.',
+    no_email: 'Your identity provider did not share a verified email address, so no account could be found or created for you.',
+    no_account: 'There is no account for you yet and sign-ups are closed. Ask an administrator for an account.',
+    taken: 'This login is already connected to another account.',
+    disabled: 'Your account is disabled. Contact an administrator.',
+};
+
+/**
+ * Where a provider type sends users and how it describes them. `endpoints(provider)` resolves the
+ * URLs of the flow, `profile(provider, endpoints, tokens, context)` reads the user's profile.
+ */
+const TYPES = {
+    oidc: {
+        label: 'OpenID Connect',
+        scopes: 'openid email profile',
+        groups: 'The claim named below, e.g. groups or roles',
+        endpoints: oidcEndpoints,
+        profile: oidcProfile,
+    },
+    oauth2: {
+        label: 'OAuth2',
+        scopes: '',
+        groups: 'The field named below in the userinfo response',
+        endpoints: async (provider) => ({
+            authorizationUrl: provider.authorizationUrl,
+            tokenUrl: provider.tokenUrl,
+            userinfoUrl: provider.userinfoUrl,
+        }),
+        profile: oauth2Profile,
+    },
+    github: {
+        label: 'GitHub',
+        scopes: 'read:user user:email read:org',
+        groups: 'Organization names (logins)',
+        endpoints: async () => ({
+            authorizationUrl: 'https://github.com/login/oauth/authorize',
+            tokenUrl: 'https://github.com/login/oauth/access_token',
+        }),
+        profile: githubProfile,
+    },
+    discord: {
+        label: 'Discord',
+        scopes: 'identify email guilds',
+        groups: 'Ids of the Discord servers (guilds) the user is in',
+        endpoints: async () => ({
+            authorizationUrl: 'https://discord.com/oauth2/authorize',
+            tokenUrl: 'https://discord.com/api/oauth2/token',
+        }),
+        profile: discordProfile,
+    },
+};
+
+// Discovery documents and key sets, by URL.
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
+    return [];
+}
+
+function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function parseUrl(value) {
+    try {
+        const url = new URL(String(value || '').trim());
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The URL providers send users back to after they signed in. It has to be registered at the
+ * provider.
+ */
+function redirectUri(provider) {
+    return `${config.baseUri}/auth/sso/${provider.slug}/callback`;
+}
+
+/**
+ * Checks the provider form of /admin/settings/sso.
+ *
+ * @param {Object} input - The posted form.
+ * @param {Object} [existing] - The provider being edited. A blank client secret keeps its secret.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function parseProviderSettings(input = {}, existing = null) {
+    const name = String(input.name || '').trim().slice(0, 50);
+    if (!name) {
+        return { error: 'Give the provider a name; it is shown on the login button' };
+    }
+
+    const type = String(input.type || '');
+    if (!TYPES[type]) {
+        return { error: 'Choose the type of the provider' };
+    }
+
+    const slug = String(input.slug || name)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+    if (!slug) {
+        return { error: 'The URL name may only use letters, digits and dashes' };
+    }
+    const clash = store.ssoProviders.findOne('slug', slug);
+    if (clash && (!existing || clash.id !== existing.id)) {
+        return { error: `Another provider already uses the URL name ${slug}` };
+    }
+
+    const clientId = String(input.clientId || '').trim();
+    if (!clientId) {
+        return { error: 'Enter the client id the provider gave you' };
+    }
+    const clientSecret = String(input.clientSecret || '').trim() || (existing ? existing.clientSecret : '');
+
+    const settings = {
+        name,
+        slug,
+        type,
+        clientId,
+        clientSecret,
+        scopes: toList(input.scopes).join(' ') || TYPES[type].scopes,
+        groupsClaim: String(input.groupsClaim || '').trim() || 'groups',
+        adminGroups: [...new Set(toList(input.adminGroups))],
+        trustEmail: input.trustEmail === 'on' || input.trustEmail === 'true' || input.trustEmail === true,
+        enabled: input.enabled === 'on' || input.enabled === 'true' || input.enabled === true,
+    };
+
+    if (type === 'oidc') {
+        if (!parseUrl(input.issuer)) {
+            return { error: 'Enter the issuer URL of the provider, e.g. https://login.example.com/realms/main' };
+        }
+        // Issuers are compared as strings, so keep what the admin typed rather than a normalized URL.
+        settings.issuer = String(input.issuer).trim();
+    }
+    if (type === 'oauth2') {
+        for (const [field, label] of [
+            ['authorizationUrl', 'authorization URL'],
+            ['tokenUrl', 'token URL'],
+            ['userinfoUrl', 'userinfo URL'],
+        ]) {
+            settings[field] = parseUrl(input[field]);
+            if (!settings[field]) {
+                return { error: `Enter the ${label} of the provider, including http:// or https://` };
+            }
+        }
+    }
+
+    return { settings };
+}
+
+/**
+ * Adds a provider.
+ *
+ * @param {Object} settings - As returned by parseProviderSettings.
+ * @returns {Object} The stored provider.
+ */
+function createProvider(settings) {
+    const now = new Date().toISOString();
+    return store.ssoProviders.save({ id: uuidv4(), ...settings, createdAt: now, updatedAt: now });
+}
+
+function updateProvider(id, settings) {
+    discoveryCache.clear();
+    return store.ssoProviders.update(id, (provider) => {
+        Object.assign(provider, settings, { updatedAt: new Date().toISOString() });
+    });
+}
+
+/**
+ * A provider without its client secret, for views and the audit log.
+ */
+function redact(provider) {
+    if (!provider) return provider;
+    const { clientSecret, ...rest } = provider;
+    return { ...rest, hasSecret: Boolean(clientSecret) };
+}
+
+/**
+ * The enabled providers, for the buttons on the login page.
+ *
+ * @returns {{ name: string, slug: string, type: string }[]}
+ */
+function loginProviders() {
+    return store.ssoProviders
+        .list()
+        .filter((provider) => provider.enabled)
+        .map(({ name, slug, type }) => ({ name, slug, type }));
+}
+
+async function fetchJson(url, options = {}) {
+    const response = await axios.get(url, {
+        timeout: REQUEST_TIMEOUT,
+        ...options,
+        headers: { Accept: 'application/json', 'User-Agent': 'TeryxPanel', ...(options.headers || {}) },
+    });
+    return response.data;
+}
+
+function bearer(tokens) {
+    return { headers: { Authorization: `Bearer ${tokens.access_token}` } };
+}
+
+async function discover(issuer) {
+    const cached = discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+        return cached.document;
+    }
+
+    const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const document = await fetchJson(url);
+    if (!document || document.issuer !== issuer) {
+        throw new Error(`The discovery document at ${url} is for issuer ${document && document.issuer}, not ${issuer}`);
+    }
+    discoveryCache.set(issuer, { document, fetchedAt: Date.now() });
+    return document;
+}
+
+async function oidcEndpoints(provider) {
+    const document = await discover(provider.issuer);
+    const authMethods = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    return {
+        issuer: document.issuer,
+        authorizationUrl: document.authorization_endpoint,
+        tokenUrl: document.token_endpoint,
+        userinfoUrl: document.userinfo_endpoint,
+        jwksUri: document.jwks_uri,
+        tokenAuth: authMethods.includes('client_secret_basic') ? 'client_secret_basic' : 'client_secret_post',
+    };
+}
+
+const SIGNING_ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' },
+    RS384: { hash: 'sha384', kty: 'RSA' },
+    RS512: { hash: 'sha512', kty: 'RSA' },
+    PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    HS256: { hash: 'sha256', hmac: true },
+    HS384: { hash: 'sha384', hmac: true },
+    HS512: { hash: 'sha512', hmac: true },
+};
+
+function decodeJwt(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new Error('The ID token is not a JWT');
+    }
+    const [header, payload] = parts
+        .slice(0, 2)
+        .map((part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8')));
+    return { header, payload, signedPart: `${parts[0]}.${parts[1]}`, signature: Buffer.from(parts[2], 'base64url') };
+}
+
+async function signingKey(jwksUri, header, algorithm) {
+    const matches = (key) =>
+        key.kty === algorithm.kty &&
+        (!header.kid || key.kid === header.kid) &&
+        (!key.use || key.use === 'sig') &&
+        (!key.alg || key.alg === header.alg);
+
+    // Providers rotate keys, so an unknown key id is looked up again once before giving up.
+    for (const refresh of [false, true]) {
+        if (refresh || !jwksCache.has(jwksUri)) {
+            const { keys } = await fetchJson(jwksUri);
+            jwksCache.set(jwksUri, keys || []);
+        }
+        const key = jwksCache.get(jwksUri).find(matches);
+        if (key) return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+    throw new Error(`No key of the provider matches the ID token (kid ${header.kid})`);
+}
+
+/**
+ * Checks the signature and the claims of an ID token and returns its claims.
+ */
+async function verifyIdToken(idToken, provider, endpoints, nonce) {
+    const jwt = decodeJwt(idToken);
+    const algorithm = SIGNING_ALGORITHMS[jwt.header.alg];
+    if (!algorithm) {
+        throw new Error(`ID tokens signed with ${jwt.header.alg} are not supported`);
+    }
+
+    let valid;
+    if (algorithm.hmac) {
+        const expected = crypto.createHmac(algorithm.hash, provider.clientSecret).update(jwt.signedPart).digest();
+        valid = expected.length === jwt.signature.length && crypto.timingSafeEqual(expected, jwt.signature);
+    } else {
+        const key = await signingKey(endpoints.jwksUri, jwt.header, algorithm);
+        valid = crypto.verify(
+            algorithm.hash,
+            Buffer.from(jwt.signedPart),
+            {
+                key,
+                padding: algorithm.padding,
+                saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+                dsaEncoding: algorithm.dsaEncoding,
+            },
+            jwt.signature,
+        );
+    }
+    if (!valid) {
+        throw new Error('The signature of the ID token is invalid');
+    }
+
+    const claims = jwt.payload;
+    const audience = [].concat(claims.aud);
+    if (claims.iss !== endpoints.issuer) {
+        throw new Error(`The ID token was issued by ${claims.iss}, not ${endpoints.issuer}`);
+    }
+    if (!audience.includes(provider.clientId) || (audience.length > 1 && claims.azp && claims.azp !== provider.clientId)) {
+        throw new Error('The ID token was issued to another client');
+    }
+    if (!(claims.exp > Date.now() / 1000 - CLOCK_SKEW)) {
+        throw new Error('The ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+        throw new Error('The ID token does not belong to this login');
+    }
+    return claims;
+}
+
+/**
+ * Reads a claim, following dots into nested objects (e.g. `realm_access.roles`).
+ */
+function claim(claims, path) {
+    return String(path)
+        .split('.')
+        .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+function claimsProfile(provider, claims) {
+    return {
+        subject: String(claims.sub ?? claims.id ?? ''),
+        email: claims.email ? String(claims.email) : null,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        username: claims.preferred_username || claims.nickname || claims.login || claims.username || claims.name || null,
+        groups: toList(claim(claims, provider.groupsClaim || 'groups')),
+    };
+}
+
+async function oidcProfile(provider, endpoints, tokens, { nonce }) {
+    if (!tokens.id_token) {
+        throw new Error('The provider did not return an ID token; is the openid scope requested?');
+    }
+    const claims = await verifyIdToken(tokens.id_token, provider, endpoints, nonce);
+
+    // Many providers keep the email address and groups out of the ID token and only hand them out
+    // on the userinfo endpoint.
+    if (endpoints.userinfoUrl) {
+        try {
+            const userinfo = await fetchJson(endpoints.userinfoUrl, bearer(tokens));
+            if (userinfo && userinfo.sub === claims.sub) {
+                return claimsProfile(provider, { ...claims, ...userinfo });
+            }
+        } catch (error) {
+            log.warn(`Could not read userinfo from ${provider.name}: ${error.message}`);
+        }
+    }
+    return claimsProfile(provider, claims);
+}
+
+async function oauth2Profile(provider, endpoints, tokens) {
+    return claimsProfile(provider, await fetchJson(endpoints.userinfoUrl, bearer(tokens)));
+}
+
+async function githubProfile(provider, endpoints, tokens) {
+    const api = (path) => fetchJson(`https://api.github.com${path}`, {
+        headers: { ...bearer(tokens).headers, Accept: 'application/vnd.github+json' },
+    });
+    const user = await api('/user');
+    const emails = await api('/user/emails').catch(() => []);
+    const verified = emails.find((email) => email.primary && email.verified) || emails.find((email) => email.verified);
+    const orgs = await api('/user/orgs').catch(() => []);
+    return {
+        subject: String(user.id),
+        email: verified ? verified.email : user.email || null,
+        emailVerified: Boolean(verified),
+        username: user.login,
+        groups: orgs.map((org) => org.login),
+    };
+}
+
+async function discordProfile(provider, endpoints, tokens) {
+    const user = await fetchJson('https://discord.com/api/users/@me', bearer(tokens));
+    const guilds = await fetchJson('https://discord.com/api/users/@me/guilds', bearer(tokens)).catch(() => []);
+    return {
+        subject: String(user.id),
+        email: user.email || null,
+        emailVerified: Boolean(user.email) && user.verified === true,
+        username: user.username,
+        groups: guilds.map((guild) => String(guild.id)),
+    };
+}
+
+/**
+ * Starts a login: the URL to send the user to, and the values the callback has to check. The
+ * caller keeps them in the session.
+ *
+ * @param {Object} provider
+ * @returns {Promise<{ url: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+async function beginLogin(provider) {
+    const endpoints = await TYPES[provider.type].endpoints(provider);
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    const url = new URL(endpoints.authorizationUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri(provider));
+    if (provider.scopes) url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (provider.type === 'oidc') url.searchParams.set('nonce', nonce);
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+async function exchangeCode(provider, endpoints, code, codeVerifier) {
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri(provider),
+        code_verifier: codeVerifier,
+    });
+    const headers = { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (endpoints.tokenAuth === 'client_secret_basic' && provider.clientSecret) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        params.set('client_id', provider.clientId);
+        if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+    }
+
+    const response = await axios.post(endpoints.tokenUrl, params.toString(), {
+        headers,
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true,
+    });
+    const tokens = response.data || {};
+    // GitHub reports failures with a 200 and an `error` field.
+    if (response.status >= 400 || tokens.error || !tokens.access_token) {
+        throw new Error(`The token request failed: ${tokens.error_description || tokens.error || `HTTP ${response.status}`}`);
+    }
+    return tokens;
+}
+
+/**
+ * Finishes a login: trades the code for tokens and reads the user's profile.
+ *
+ * @param {Object} provider
+ * @param {Object} login
+ * @param {string} login.code - The code the provider sent back.
+ * @param {string} login.nonce - From beginLogin().
+ * @param {string} login.codeVerifier - From beginLogin().
+ * @returns {Promise<{ subject: string, email: ?string, emailVerified: boolean, username: ?string, groups: string[] }>}
+ */
+async function completeLogin(provider, { code, nonce, codeVerifier }) {
+    const type = TYPES[provider.type];
+    const endpoints = await type.endpoints(provider);
+    const tokens = await exchangeCode(provider, endpoints, code, codeVerifier);
+    const profile = await type.profile(provider, endpoints, tokens, { nonce });
+    if (!profile.subject) {
+        throw new Error('The provider did not say who the user is');
+    }
+    if (provider.trustEmail && profile.email) {
+        profile.emailVerified = true;
+    }
+    return profile;
+}
+
+/**
+ * A username for a new user that nobody has yet, based on what the provider calls them.
+ */
+function availableUsername(profile) {
+    const base =
+        String(profile.username || String(profile.email || '').split('@')[0] || '')
+            .replace(/[^A-Za-z0-9_.-]+/g, '')
+            .slice(0, 24) || 'user';
+    const taken = new Set(store.users.list().map((user) => user.username.toLowerCase()));
+    let username = base;
+    for (let suffix = 2; taken.has(username.toLowerCase()); suffix++) {
+        username = `${base}${suffix}`;
+    }
+    return username;
+}
+
+async function createUser(profile, lang) {
+    const user = {
+        userId: uuidv4(),
+        username: availableUsername(profile),
+        email: profile.email,
+        // Nobody knows this password. The user can sign in with the provider, or set a password
+        // through the password reset.
+        password: await bcrypt.hash(randomToken(), 10),
+        accessTo: [],
+        admin: false,
+        welcomeEmailSent: false,
+        verified: true,
+        verificationToken: null,
+        lang: lang || 'en',
+    };
+    store.users.save(user);
+    webhooks.emit('user.created', { user: serializeUser(user) });
+    return user;
+}
+
+function saveIdentity(provider, profile, userId) {
+    const now = new Date().toISOString();
+    const key = `${provider.id}:${profile.subject}`;
+    const existing = store.userIdentities.get(key);
+    return store.userIdentities.save({
+        providerId: provider.id,
+        subject: profile.subject,
+        userId,
+        email: profile.email,
+        username: profile.username,
+        linkedAt: existing ? existing.linkedAt : now,
+        lastLoginAt: now,
+    });
+}
+
+/**
+ * Grants or takes back admin rights according to the provider's admin groups. Rights are only
+ * taken back from users who got them this way, so local admins keep theirs.
+ *
+ * @returns {{ before: boolean, after: boolean }|null} The change, if there was one.
+ */
+function applyAdminGroups(provider, user, groups) {
+    if (!provider.adminGroups || provider.adminGroups.length === 0) return null;
+
+    const member = groups.some((group) => provider.adminGroups.includes(group));
+    const source = `sso:${provider.id}`;
+    if (member && user.admin !== true) {
+        store.users.update(user.userId, (record) => {
+            record.admin = true;
+            record.adminSource = source;
+        });
+        return { before: false, after: true };
+    }
+    if (!member && user.admin === true && user.adminSource === source) {
+        store.users.update(user.userId, (record) => {
+            record.admin = false;
+            delete record.adminSource;
+        });
+        return { before: true, after: false };
+    }
+    return null;
+}
+
+/**
+ * Finds the panel user for a profile, linking or creating one where needed.
+ *
+ * @param {Object} provider
+ * @param {Object} profile - As returned by completeLogin().
+ * @param {Object} [options]
+ * @param {Object} [options.linkTo] - The signed-in user, when they are connecting this login to
+ *   their account from /account.
+ * @param {string} [options.lang] - Language of a user created for the profile.
+ * @returns {Promise<{ user?: Object, identity?: Object, linked?: boolean, created?: boolean,
+ *   adminChange?: Object, error?: string }>} `error` is a key of LOGIN_ERRORS.
+ */
+async function resolveUser(provider, profile, { linkTo = null, lang } = {}) {
+    const key = `${provider.id}:${profile.subject}`;
+    const existing = store.userIdentities.get(key);
+    let user = existing ? store.users.get(existing.userId) : undefined;
+    let linked = false;
+    let created = false;
+
+    if (linkTo) {
+        if (user && user.userId !== linkTo.userId) {
+            return { error: 'taken' };
+        }
+        linked = !user;
+        user = store.users.get(linkTo.userId);
+    } else if (!user) {
+        if (!profile.email || !profile.emailVerified) {
+            return { error: 'no_email' };
+        }
+        const email = profile.email.toLowerCase();
+        user = store.users.list().find((candidate) => String(candidate.email || '').toLowerCase() === email);
+        linked = Boolean(user);
+
+        if (user && !user.verified) {
+            // The provider has verified the address, so the emailed link is no longer needed.
+            store.users.update(user.userId, (record) => {
+                record.verified = true;
+                record.verificationToken = null;
+            });
+        }
+        if (!user) {
+            const settings = (await db.get('settings')) || {};
+            if (settings.register !== true) {
+                return { error: 'no_account' };
+            }
+            user = await createUser(profile, lang);
+            created = true;
+        }
+    }
+
+    if (user.disabled) {
+        return { error: 'disabled' };
+    }
+
+    const identity = saveIdentity(provider, profile, user.userId);
+    const adminChange = applyAdminGroups(provider, user, profile.groups);
+    return { user: store.users.get(user.userId), identity, linked, created, adminChange };
+}
+
+/**
+ * The logins a user connected, with the name of their provider.
+ *
+ * @param {string} userId
+ * @returns {Object[]}
+ */
+function listIdentities(userId) {
+    const providers = new Map(store.ssoProviders.list().map((provider) => [provider.id, provider]));
+    return store.userIdentities
+        .findAll('user_id', userId)
+        .filter((identity) => providers.has(identity.providerId))
+        .map((identity) => ({
+            ...identity,
+            id: `${identity.providerId}:${identity.subject}`,
+            providerName: providers.get(identity.providerId).name,
+            providerSlug: providers.get(identity.providerId).slug,
+        }));
+}
+
+/**
+ * Disconnects a login from a user.
+ *
+ * @returns {Object|undefined} The removed identity, if it belonged to the user.
+ */
+function unlinkIdentity(userId, id) {
+    const identity = store.userIdentities.get(id);
+    if (!identity || identity.userId !== userId) return undefined;
+    store.userIdentities.remove(id);
+    return identity;
+}
+
+module.exports = {
+    TYPES,
+    LOGIN_ERRORS,
+    redirectUri,
+    parseProviderSettings,
+    createProvider,
+    updateProvider,
+    redact,
+    loginProviders,
+    beginLogin,
+    completeLogin,
+    resolveUser,
+    listIdentities,
+    unlinkIdentity,
+};
@@ -0,0 +1,744 @@
+/**
+ * @fileoverview Relational storage for the panel's core collections. Users, instances, nodes,
+ * images, API keys, user tokens, webhooks, notification channels, notifications, announcements,
+ * email templates, the email outbox, single sign-on providers and identities, WebAuthn credentials
+ * and audits live in their own better-sqlite3 tables instead of whole-array Keyv values, so a route
+ * only reads and writes the rows it actually touches.
+ *
+ * Every table keeps the full record as JSON in a `data` column next to the indexed columns the
+ * panel looks things up by, which keeps the record shapes the routes and views already use.
+ */
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config.json');
+
+/**
+ * Resolves the database file used for the relational tables. SQLite panels keep everything in the
+ * file named by `databaseURL`; MySQL-backed panels keep the tables in a local skyport.db.
+ *
+ * @returns {string} Absolute path of the SQLite database file.
+ */
+function resolveStorePath() {
+    const url = config.databaseURL || '';
+    const file = url.startsWith('sqlite://') ? url.slice('sqlite://'.length) : 'skyport.db';
+    return path.resolve(process.cwd(), file);
+}
+
+const sqlite = new Database(resolveStorePath(), { timeout: 10000 });
+sqlite.pragma('journal_mode = WAL');
+
+// Tables are created and changed by the migrations in /migrations, so statements are prepared on
+// first use rather than when this module loads.
+const prepared = new Map();
+
+function prepare(sql) {
+    if (!prepared.has(sql)) {
+        prepared.set(sql, sqlite.prepare(sql));
+    }
+    return prepared.get(sql);
+}
+
+/**
+ * Builds the data-access object for a JSON-backed table.
+ *
+ * @param {string} table - Name of the table.
+ * @param {Object} options
+ * @param {Function} options.id - Returns the primary key of a record.
+ * @param {Object<string, Function>} options.columns - Indexed columns and how to derive them from a record.
+ * @returns {Object} Repository with per-row read and write helpers.
+ */
+function createRepository(table, { id, columns }) {
+    const columnNames = Object.keys(columns);
+    const allColumns = ['id', ...columnNames, 'data'];
+
+    const statements = {
+        list: `SELECT data FROM ${table} ORDER BY rowid`,
+        get: `SELECT data FROM ${table} WHERE id = ?`,
+        ids: `SELECT id FROM ${table} ORDER BY rowid`,
+        count: `SELECT COUNT(*) AS total FROM ${table}`,
+        remove: `DELETE FROM ${table} WHERE id = ?`,
+        upsert: `INSERT INTO ${table} (${allColumns.join(', ')})
+             VALUES (${allColumns.map((column) => '@' + column).join(', ')})
+             ON CONFLICT(id) DO UPDATE SET ${allColumns
+                 .slice(1)
+                 .map((column) => `${column} = excluded.${column}`)
+                 .join(', ')}`,
+        findOne: {},
+        findAll: {},
+    };
+
+    for (const column of columnNames) {
+        statements.findOne[column] = `SELECT data FROM ${table} WHERE ${column} = ? ORDER BY rowid LIMIT 1`;
+        statements.findAll[column] = `SELECT data FROM ${table} WHERE ${column} = ? ORDER BY rowid`;
+    }
+
+    const parse = (row) => (row ? JSON.parse(row.data) : undefined);
+
+    function toRow(record) {
+        const key = id(record);
+        if (!key) {
+            throw new Error(`Cannot store a ${table} record without an id`);
+        }
+
+        const row = { id: String(key), data: JSON.stringify(record) };
+        for (const column of columnNames) {
+            const value = columns[column](record);
+            row[column] = typeof value === 'boolean' ? Number(value) : value ?? null;
+        }
+        return row;
+    }
+
+    function column(name) {
+        if (!statements.findOne[name]) {
+            throw new Error(`Unknown column ${name} on ${table}`);
+        }
+        return name;
+    }
+
+    const repository = {
+        list() {
+            return prepare(statements.list).all().map(parse);
+        },
+
+        ids() {
+            return prepare(statements.ids).all().map((row) => row.id);
+        },
+
+        count() {
+            return prepare(statements.count).get().total;
+        },
+
+        get(key) {
+            if (key === undefined || key === null) return undefined;
+            return parse(prepare(statements.get).get(String(key)));
+        },
+
+        findOne(name, value) {
+            if (value === undefined || value === null) return undefined;
+            return parse(prepare(statements.findOne[column(name)]).get(value));
+        },
+
+        findAll(name, value) {
+            if (value === undefined || value === null) return [];
+            return prepare(statements.findAll[column(name)]).all(value).map(parse);
+        },
+
+        save(record) {
+            prepare(statements.upsert).run(toRow(record));
+            return record;
+        },
+
+        remove(key) {
+            return prepare(statements.remove).run(String(key)).changes > 0;
+        },
+
+        /**
+         * Reads, changes and writes a single row inside one transaction. The mutator must be
+         * synchronous; it may change the record in place or return a replacement.
+         *
+         * @param {string} key - Primary key of the row.
+         * @param {Function} mutator - Receives the current record.
+         * @returns {Object|undefined} The stored record, or undefined if the row does not exist.
+         */
+        update: sqlite.transaction((key, mutator) => {
+            const current = repository.get(key);
+            if (!current) return undefined;
+
+            const next = mutator(current) || current;
+            repository.save(next);
+            return next;
+        }),
+
+        /**
+         * Makes the table hold exactly the given records, removing rows that are not in the list.
+         * Only used where callers still hand over a whole collection.
+         */
+        replaceAll: sqlite.transaction((records) => {
+            const rows = (records || []).map(toRow);
+            const keep = new Set(rows.map((row) => row.id));
+
+            for (const key of repository.ids()) {
+                if (!keep.has(key)) prepare(statements.remove).run(key);
+            }
+            for (const row of rows) {
+                prepare(statements.upsert).run(row);
+            }
+        }),
+    };
+
+    return repository;
+}
+
+const users = createRepository('users', {
+    id: (user) => user.userId,
+    columns: {
+        username: (user) => user.username,
+        email: (user) => user.email,
+        admin: (user) => user.admin === true,
+        verification_token: (user) => user.verificationToken,
+        reset_token: (user) => user.resetToken,
+    },
+});
+
+/**
+ * Looks a user up by username, or by email when the identifier contains an '@'.
+ *
+ * @param {string} identifier - Username or email address.
+ * @returns {Object|undefined} The matching user.
+ */
+users.findByLogin = (identifier) =>
+    users.findOne(String(identifier).includes('@') ? 'email' : 'username', identifier);
+
+const nodes = createRepository('nodes', {
+    id: (node) => node.id,
+    columns: {
+        name: (node) => node.name,
+        status: (node) => node.status,
+    },
+});
+
+const instances = createRepository('instances', {
+    id: (instance) => instance.Id,
+    columns: {
+        user_id: (instance) => instance.User,
+        node_id: (instance) => instance.Node && instance.Node.id,
+        container_id: (instance) => instance.ContainerId,
+        suspended: (instance) => instance.suspended === true,
+    },
+});
+
+instances.listByUser = (userId) => instances.findAll('user_id', userId);
+instances.listByNode = (nodeId) => instances.findAll('node_id', nodeId);
+
+/**
+ * Makes the given records the complete set of instances owned by a user.
+ */
+instances.replaceForUser = sqlite.transaction((userId, records) => {
+    const keep = new Set();
+    for (const record of records || []) {
+        instances.save({ ...record, User: record.User || userId });
+        keep.add(String(record.Id));
+    }
+    for (const instance of instances.listByUser(userId)) {
+        if (!keep.has(String(instance.Id))) instances.remove(instance.Id);
+    }
+});
+
+const images = createRepository('images', {
+    id: (image) => image.Id,
+    columns: {
+        name: (image) => image.Name,
+    },
+});
+
+const apiKeys = createRepository('api_keys', {
+    id: (apiKey) => apiKey.id,
+    columns: {
+        key: (apiKey) => apiKey.key,
+    },
+});
+
+const userTokens = createRepository('user_tokens', {
+    id: (token) => token.id,
+    columns: {
+        user_id: (token) => token.userId,
+        token_hash: (token) => token.tokenHash,
+    },
+});
+
+const webhooks = createRepository('webhooks', {
+    id: (webhook) => webhook.id,
+    columns: {},
+});
+
+const webhookDeliveries = createRepository('webhook_deliveries', {
+    id: (delivery) => delivery.id,
+    columns: {
+        webhook_id: (delivery) => delivery.webhookId,
+        status: (delivery) => delivery.status,
+        next_attempt_at: (delivery) => delivery.nextAttemptAt,
+        created_at: (delivery) => delivery.createdAt,
+    },
+});
+
+/**
+ * Pending deliveries whose next attempt is due, oldest first.
+ */
+webhookDeliveries.due = (now, limit) =>
+    prepare(
+        "SELECT data FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?",
+    )
+        .all(now, limit)
+        .map((row) => JSON.parse(row.data));
+
+/**
+ * The most recent deliveries to a webhook, newest first.
+ */
+webhookDeliveries.recent = (webhookId, limit) =>
+    prepare('SELECT data FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(webhookId, limit)
+        .map((row) => JSON.parse(row.data));
+
+webhookDeliveries.removeForWebhook = (webhookId) =>
+    prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhookId).changes;
+
+/**
+ * Deletes finished deliveries created before `before`; pending ones are kept until they finish.
+ */
+webhookDeliveries.prune = (before) =>
+    prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?").run(before).changes;
+
+const notificationChannels = createRepository('notification_channels', {
+    id: (channel) => channel.id,
+    columns: {
+        instance_id: (channel) => channel.instanceId,
+    },
+});
+
+notificationChannels.listByInstance = (instanceId) => notificationChannels.findAll('instance_id', instanceId);
+
+// Notification channels belong to their instance and are deleted with it.
+const removeInstanceRow = instances.remove;
+instances.remove = sqlite.transaction((key) => {
+    prepare('DELETE FROM notification_channels WHERE instance_id = ?').run(String(key));
+    return removeInstanceRow(key);
+});
+
+const notifications = createRepository('notifications', {
+    id: (notification) => notification.id,
+    columns: {
+        user_id: (notification) => notification.userId,
+        read: (notification) => notification.read === true,
+        created_at: (notification) => notification.createdAt,
+    },
+});
+
+/**
+ * A user's notifications, newest first.
+ */
+notifications.recent = (userId, limit) =>
+    prepare('SELECT data FROM notifications WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+        .all(userId, limit)
+        .map((row) => JSON.parse(row.data));
+
+notifications.unreadCount = (userId) =>
+    prepare('SELECT COUNT(*) AS total FROM notifications WHERE user_id = ? AND read = 0').get(userId).total;
+
+/**
+ * Marks notifications of a user as read: the given ids, or all of them when `ids` is omitted.
+ *
+ * @returns {number} How many were unread before.
+ */
+notifications.markRead = sqlite.transaction((userId, ids, readAt) => {
+    const unread = prepare('SELECT data FROM notifications WHERE user_id = ? AND read = 0')
+        .all(userId)
+        .map((row) => JSON.parse(row.data))
+        .filter((notification) => !ids || ids.includes(notification.id));
+    for (const notification of unread) {
+        notifications.save({ ...notification, read: true, readAt });
+    }
+    return unread.length;
+});
+
+/**
+ * Deletes all but the newest `keep` notifications of a user.
+ */
+notifications.trim = (userId, keep) =>
+    prepare(
+        `DELETE FROM notifications WHERE user_id = ? AND id NOT IN (
+            SELECT id FROM notifications WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+        )`,
+    ).run(userId, userId, keep).changes;
+
+// A user's notifications and single sign-on links are deleted with the account.
+const removeUserRow = users.remove;
+users.remove = sqlite.transaction((key) => {
+    prepare('DELETE FROM notifications WHERE user_id = ?').run(String(key));
+    prepare('DELETE FROM user_identities WHERE user_id = ?').run(String(key));
+    prepare('DELETE FROM webauthn_credentials WHERE user_id = ?').run(String(key));
+    return removeUserRow(key);
+});
+
+const announcements = createRepository('announcements', {
+    id: (announcement) => announcement.id,
+    columns: {
+        starts_at: (announcement) => announcement.startsAt,
+        ends_at: (announcement) => announcement.endsAt,
+    },
+});
+
+/**
+ * Announcements shown at `now`, the most recently started first.
+ */
+announcements.active = (now) =>
+    prepare(
+        'SELECT data FROM announcements WHERE starts_at <= ? AND (ends_at IS NULL OR ends_at > ?) ORDER BY starts_at DESC',
+    )
+        .all(now, now)
+        .map((row) => JSON.parse(row.data));
+
+/**
+ * All announcements, the latest to start first.
+ */
+announcements.newest = () =>
+    prepare('SELECT data FROM announcements ORDER BY starts_at DESC, rowid DESC')
+        .all()
+        .map((row) => JSON.parse(row.data));
+
+const emailTemplates = createRepository('email_templates', {
+    id: (override) => `${override.template}:${override.lang}`,
+    columns: {
+        template: (override) => override.template,
+        lang: (override) => override.lang,
+    },
+});
+
+const emailOutbox = createRepository('email_outbox', {
+    id: (email) => email.id,
+    columns: {
+        status: (email) => email.status,
+        next_attempt_at: (email) => email.nextAttemptAt,
+        created_at: (email) => email.createdAt,
+    },
+});
+
+/**
+ * Pending emails whose next attempt is due, oldest first.
+ */
+emailOutbox.due = (now, limit) =>
+    prepare("SELECT data FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?")
+        .all(now, limit)
+        .map((row) => JSON.parse(row.data));
+
+/**
+ * The most recent emails, newest first, optionally only those with one status.
+ */
+emailOutbox.recent = ({ status = null, limit = 50, offset = 0 } = {}) =>
+    prepare(
+        'SELECT data FROM email_outbox WHERE (@status IS NULL OR status = @status) ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset',
+    )
+        .all({ status, limit, offset })
+        .map((row) => JSON.parse(row.data));
+
+/**
+ * How many emails there are per status.
+ *
+ * @returns {Object<string, number>}
+ */
+emailOutbox.countByStatus = () =>
+    Object.fromEntries(
+        prepare('SELECT status, COUNT(*) AS total FROM email_outbox GROUP BY status')
+            .all()
+            .map((row) => [row.status, row.total]),
+    );
+
+/**
+ * Deletes every email with a status.
+ */
+emailOutbox.removeByStatus = (status) => prepare('DELETE FROM email_outbox WHERE status = ?').run(status).changes;
+
+/**
+ * Deletes finished emails created before `before`; pending ones are kept until they finish.
+ */
+emailOutbox.prune = (before) =>
+    prepare("DELETE FROM email_outbox WHERE status != 'pending' AND created_at < ?").run(before).changes;
+
+const ssoProviders = createRepository('sso_providers', {
+    id: (provider) => provider.id,
+    columns: {
+        slug: (provider) => provider.slug,
+    },
+});
+
+/**
+ * Links between panel users and their accounts at an identity provider, keyed by the provider and
+ * the account's subject (its stable id at the provider).
+ */
+const userIdentities = createRepository('user_identities', {
+    id: (identity) => `${identity.providerId}:${identity.subject}`,
+    columns: {
+        provider_id: (identity) => identity.providerId,
+        user_id: (identity) => identity.userId,
+    },
+});
+
+// Links to a provider are deleted with it.
+const removeProviderRow = ssoProviders.remove;
+ssoProviders.remove = sqlite.transaction((key) => {
+    prepare('DELETE FROM user_identities WHERE provider_id = ?').run(String(key));
+    return removeProviderRow(key);
+});
+
+/**
+ * Security keys and passkeys, keyed by their base64url credential id.
+ */
+const webauthnCredentials = createRepository('webauthn_credentials', {
+    id: (credential) => credential.id,
+    columns: {
+        user_id: (credential) => credential.userId,
+    },
+});
+
+const auditColumns = `id, user_id AS userId, username, action, ip, timestamp, resource_type AS resourceType,
+    resource_id AS resourceId, request_id AS requestId, changes, prev_hash AS prevHash, hash`;
+
+const auditStatements = {
+    insert: `INSERT INTO audits (user_id, username, action, ip, timestamp, resource_type, resource_id, request_id, changes, prev_hash, hash)
+             VALUES (@userId, @username, @action, @ip, @timestamp, @resourceType, @resourceId, @requestId, @changes, @prevHash, @hash)`,
+    list: `SELECT ${auditColumns} FROM audits ORDER BY id`,
+    get: `SELECT ${auditColumns} FROM audits WHERE id = ?`,
+    last: 'SELECT hash FROM audits ORDER BY id DESC LIMIT 1',
+    count: 'SELECT COUNT(*) AS total FROM audits',
+    clear: 'DELETE FROM audits',
+    actions: 'SELECT DISTINCT action FROM audits ORDER BY action',
+    actors: 'SELECT user_id AS userId, MAX(username) AS username FROM audits WHERE user_id IS NOT NULL GROUP BY user_id ORDER BY username',
+    resourceTypes: 'SELECT DISTINCT resource_type AS resourceType FROM audits WHERE resource_type IS NOT NULL ORDER BY resource_type',
+};
+
+function parseAudit(row) {
+    return { ...row, changes: row.changes ? JSON.parse(row.changes) : null };
+}
+
+/**
+ * Builds the WHERE clause for an audit query. Dates are ISO strings or `YYYY-MM-DD`; a bare `to`
+ * date includes the whole day.
+ */
+function auditFilter({ actor, action, resourceType, resourceId, from, to, beforeId } = {}) {
+    const clauses = [];
+    const params = {};
+
+    if (beforeId) {
+        clauses.push('id < @beforeId');
+        params.beforeId = Number(beforeId);
+    }
+    if (actor) {
+        clauses.push('(user_id = @actor OR username = @actor)');
+        params.actor = actor;
+    }
+    if (action) {
+        clauses.push('action = @action');
+        params.action = action;
+    }
+    if (resourceType) {
+        clauses.push('resource_type = @resourceType');
+        params.resourceType = resourceType;
+    }
+    if (resourceId) {
+        clauses.push('resource_id = @resourceId');
+        params.resourceId = resourceId;
+    }
+    if (from) {
+        clauses.push('timestamp >= @from');
+        params.from = new Date(from).toISOString();
+    }
+    if (to) {
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+        clauses.push('timestamp < @to');
+        params.to = end.toISOString();
+    }
+
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+const audits = {
+    /**
+     * Inserts an entry as given. Callers go through handlers/auditlog.js, which computes the hash
+     * chain; restores hand over entries that already carry theirs.
+     */
+    append(entry) {
+        prepare(auditStatements.insert).run({
+            userId: entry.userId ?? null,
+            username: entry.username ?? null,
+            action: entry.action,
+            ip: entry.ip ?? null,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            resourceType: entry.resourceType ?? null,
+            resourceId: entry.resourceId === undefined || entry.resourceId === null ? null : String(entry.resourceId),
+            requestId: entry.requestId ?? null,
+            changes: entry.changes ? JSON.stringify(entry.changes) : null,
+            prevHash: entry.prevHash ?? null,
+            hash: entry.hash ?? null,
+        });
+        return entry;
+    },
+
+    list() {
+        return prepare(auditStatements.list).all().map(parseAudit);
+    },
+
+    /**
+     * Iterates every entry oldest first without loading the whole table.
+     */
+    iterate() {
+        const rows = prepare(auditStatements.list).iterate();
+        return (function* () {
+            for (const row of rows) yield parseAudit(row);
+        })();
+    },
+
+    get(id) {
+        const row = prepare(auditStatements.get).get(Number(id));
+        return row ? parseAudit(row) : undefined;
+    },
+
+    lastHash() {
+        const row = prepare(auditStatements.last).get();
+        return row ? row.hash : null;
+    },
+
+    count() {
+        return prepare(auditStatements.count).get().total;
+    },
+
+    /**
+     * Finds entries matching the filters, newest first.
+     *
+     * @param {Object} [filters] - actor (user id or username), action, resourceType, resourceId, from, to,
+     *   and beforeId to continue after a known entry.
+     * @param {Object} [page] - limit and offset; without a limit every match is returned.
+     * @returns {{ entries: Object[], total: number }} The page of entries and the number of matches.
+     */
+    query(filters = {}, { limit, offset = 0 } = {}) {
+        const { where, params } = auditFilter(filters);
+        const total = prepare(`SELECT COUNT(*) AS total FROM audits ${where}`).get(params).total;
+        const paging = limit ? 'LIMIT @limit OFFSET @offset' : '';
+        const entries = prepare(`SELECT ${auditColumns} FROM audits ${where} ORDER BY id DESC ${paging}`)
+            .all(limit ? { ...params, limit, offset } : params)
+            .map(parseAudit);
+        return { entries, total };
+    },
+
+    /**
+     * The distinct actions, actors and resource types, for filter menus.
+     */
+    facets() {
+        return {
+            actions: prepare(auditStatements.actions).all().map((row) => row.action),
+            actors: prepare(auditStatements.actors).all(),
+            resourceTypes: prepare(auditStatements.resourceTypes).all().map((row) => row.resourceType),
+        };
+    },
+
+    replaceAll: sqlite.transaction((entries) => {
+        prepare(auditStatements.clear).run();
+        for (const entry of entries || []) {
+            audits.append(entry);
+        }
+    }),
+};
+
+const analyticsStatements = {
+    upsert: `INSERT INTO analytics_rollups (resolution, bucket, path, method, status, count, total_ms, max_ms)
+        VALUES (@resolution, @bucket, @path, @method, @status, @count, @totalMs, @maxMs)
+        ON CONFLICT (resolution, bucket, path, method, status) DO UPDATE SET
+            count = count + excluded.count,
+            total_ms = total_ms + excluded.total_ms,
+            max_ms = MAX(max_ms, excluded.max_ms)`,
+    visit: 'INSERT OR IGNORE INTO analytics_visitors (bucket, visitor) VALUES (?, ?)',
+    prune: 'DELETE FROM analytics_rollups WHERE resolution = ? AND bucket < ?',
+    pruneVisitors: 'DELETE FROM analytics_visitors WHERE bucket < ?',
+    totals: `SELECT COALESCE(SUM(count), 0) AS count, COALESCE(SUM(total_ms), 0) AS totalMs, COALESCE(MAX(max_ms), 0) AS maxMs
+        FROM analytics_rollups WHERE resolution = @resolution AND bucket >= @from AND bucket < @to`,
+    series: `SELECT bucket, SUM(count) AS count FROM analytics_rollups
+        WHERE resolution = @resolution AND bucket >= @from AND bucket < @to GROUP BY bucket ORDER BY bucket`,
+    paths: `SELECT path, SUM(count) AS count FROM analytics_rollups
+        WHERE resolution = @resolution AND bucket >= @from AND bucket < @to GROUP BY path ORDER BY count DESC LIMIT @limit`,
+    methods: `SELECT method, SUM(count) AS count FROM analytics_rollups
+        WHERE resolution = @resolution AND bucket >= @from AND bucket < @to GROUP BY method ORDER BY count DESC`,
+    statuses: `SELECT status, SUM(count) AS count FROM analytics_rollups
+        WHERE resolution = @resolution AND bucket >= @from AND bucket < @to GROUP BY status ORDER BY status`,
+    visitors: 'SELECT COUNT(DISTINCT visitor) AS total FROM analytics_visitors WHERE bucket >= @from AND bucket < @to',
+};
+
+/**
+ * Request rollups written by handlers/analytics.js. `resolution` is "minute" or "hour" and `bucket`
+ * the start of the period in epoch milliseconds; ranges are `[from, to)`.
+ */
+const analytics = {
+    /**
+     * Adds buffered counters to their rollup rows and records the visitors seen, in one transaction.
+     *
+     * @param {Object[]} rollups - `{ resolution, bucket, path, method, status, count, totalMs, maxMs }`.
+     * @param {Array<[number, string]>} visitors - `[hourBucket, visitorHash]` pairs.
+     */
+    record: sqlite.transaction((rollups, visitors) => {
+        const upsert = prepare(analyticsStatements.upsert);
+        for (const rollup of rollups) upsert.run(rollup);
+        const visit = prepare(analyticsStatements.visit);
+        for (const [bucket, visitor] of visitors) visit.run(bucket, visitor);
+    }),
+
+    /**
+     * Deletes rollups of a resolution older than `before`; hourly pruning also drops visitors.
+     */
+    prune(resolution, before) {
+        const removed = prepare(analyticsStatements.prune).run(resolution, before).changes;
+        if (resolution === 'hour') prepare(analyticsStatements.pruneVisitors).run(before);
+        return removed;
+    },
+
+    totals(resolution, from, to) {
+        return prepare(analyticsStatements.totals).get({ resolution, from, to });
+    },
+
+    series(resolution, from, to) {
+        return prepare(analyticsStatements.series).all({ resolution, from, to });
+    },
+
+    topPaths(resolution, from, to, limit = 5) {
+        return prepare(analyticsStatements.paths).all({ resolution, from, to, limit });
+    },
+
+    methods(resolution, from, to) {
+        return prepare(analyticsStatements.methods).all({ resolution, from, to });
+    },
+
+    statuses(resolution, from, to) {
+        return prepare(analyticsStatements.statuses).all({ resolution, from, to });
+    },
+
+    /**
+     * Number of distinct visitors seen in the hourly buckets within the range.
+     */
+    visitors(from, to) {
+        return prepare(analyticsStatements.visitors).get({ from, to }).total;
+    },
+};
+
+const meta = {
+    get(key) {
+        const row = prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    },
+
+    set(key, value) {
+        prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+            .run(key, JSON.stringify(value));
+    },
+};
+
+module.exports = {
+    sqlite,
+    transaction: (fn) => sqlite.transaction(fn),
+    meta,
+    users,
+    nodes,
+    instances,
+    images,
+    apiKeys,
+    userTokens,
+    webhooks,
+    webhookDeliveries,
+    notificationChannels,
+    notifications,
+    announcements,
+    emailTemplates,
+    emailOutbox,
+    ssoProviders,
+    userIdentities,
+    webauthnCredentials,
+    audits,
+    analytics,
+};
@@ -18,3 +18,4 @@ function translationMiddleware(req, res, next) {
 }
 
 module.exports = translationMiddleware;
+module.exports.loadTranslations = loadTranslations;
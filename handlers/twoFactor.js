@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Recovery codes for two-factor authentication, and the reset admins use when a user
+ * lost their second factor.
+ *
+ * A user gets a set of one-time recovery codes when they set up their first second factor, and can
+ * replace it with a new set on /account/recovery-codes. The codes are shown once and only their
+ * hashes are stored on the user (`recoveryCodes`). Each code can be used once at /2fa instead of
+ * the authenticator app or security key.
+ */
+
+const crypto = require('crypto');
+const { store } = require('./db.js');
+
+const CODE_COUNT = 10;
+// Without 0/o, 1/l/i, so codes can be read off paper.
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Lowercases a typed code and drops spaces and dashes.
+ */
+function normalizeCode(code) {
+    return String(code || '')
+        .toLowerCase()
+        .replace(/[\s-]/g, '');
+}
+
+function randomCode() {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+        code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * How many unused recovery codes the user has.
+ *
+ * @param {Object} user
+ * @returns {number}
+ */
+function remainingRecoveryCodes(user) {
+    return (user.recoveryCodes || []).filter((code) => !code.usedAt).length;
+}
+
+/**
+ * Replaces the user's recovery codes with a new set. Earlier codes stop working.
+ *
+ * @param {string} userId
+ * @returns {string[]} The new codes, to show the user once.
+ */
+function generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: CODE_COUNT }, randomCode);
+    store.users.update(userId, (user) => {
+        user.recoveryCodes = codes.map((code) => ({ hash: hashCode(normalizeCode(code)), usedAt: null }));
+        user.recoveryCodesCreatedAt = new Date().toISOString();
+    });
+    return codes;
+}
+
+/**
+ * Uses up one of the user's recovery codes.
+ *
+ * @param {string} userId
+ * @param {string} code - The code as the user typed it.
+ * @returns {number|null} How many codes are left, or null if the code is wrong or used.
+ */
+function useRecoveryCode(userId, code) {
+    const hash = Buffer.from(hashCode(normalizeCode(code)));
+    let remaining = null;
+    store.users.update(userId, (user) => {
+        const match = (user.recoveryCodes || []).find(
+            (entry) => !entry.usedAt && crypto.timingSafeEqual(Buffer.from(entry.hash), hash),
+        );
+        if (match) {
+            match.usedAt = new Date().toISOString();
+            remaining = remainingRecoveryCodes(user);
+        }
+    });
+    return remaining;
+}
+
+function clearRecoveryCodes(userId) {
+    store.users.update(userId, (user) => {
+        delete user.recoveryCodes;
+        delete user.recoveryCodesCreatedAt;
+    });
+}
+
+/**
+ * A summary of the user's second factors, for audits and the admin user page.
+ */
+function describeSecondFactors(user) {
+    return {
+        totp: Boolean(user.twoFAEnabled),
+        securityKeys: store.webauthnCredentials.findAll('user_id', user.userId).length,
+        unusedRecoveryCodes: remainingRecoveryCodes(user),
+    };
+}
+
+/**
+ * Turns off every second factor of a user: the authenticator app, their security keys and their
+ * recovery codes. They sign in with just their password afterwards and can set up new factors.
+ *
+ * @param {string} userId
+ * @returns {{ before: Object, after: Object }|null} The factors before and after, or null if there
+ *   is no such user.
+ */
+function resetSecondFactors(userId) {
+    const user = store.users.get(userId);
+    if (!user) return null;
+
+    const before = describeSecondFactors(user);
+    store.transaction(() => {
+        for (const credential of store.webauthnCredentials.findAll('user_id', userId)) {
+            store.webauthnCredentials.remove(credential.id);
+        }
+        store.users.update(userId, (current) => {
+            current.twoFAEnabled = false;
+            current.twoFASecret = null;
+            delete current.recoveryCodes;
+            delete current.recoveryCodesCreatedAt;
+        });
+    })();
+    return { before, after: describeSecondFactors(store.users.get(userId)) };
+}
+
+module.exports = {
+    CODE_COUNT,
+    remainingRecoveryCodes,
+    generateRecoveryCodes,
+    useRecoveryCode,
+    clearRecoveryCodes,
+    describeSecondFactors,
+    resetSecondFactors,
+};
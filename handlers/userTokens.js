@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Personal API tokens. Users create them on their account page to script their own
+ * instances through /api/client. A token acts as the user who owns it, so it reaches exactly the
+ * instances isUserAuthorizedForContainer lets that user's session reach. Tokens are shown once and
+ * only their SHA-256 hash is kept, in the user_tokens table:
+ *
+ *   { id, userId, name, tokenHash, hint, createdAt, expiresAt, lastUsedAt, lastUsedIp }
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const { checkRateLimit, recordUse } = require('./apiKeys.js');
+
+const TOKEN_PREFIX = 'hpu_';
+const MAX_TOKENS_PER_USER = 25;
+
+/**
+ * Lifetimes offered on the account page, in days; 0 means the token does not expire.
+ */
+const EXPIRY_OPTIONS = [30, 90, 365, 0];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Lists a user's tokens, newest first.
+ *
+ * @param {string} userId - The owner.
+ * @returns {Object[]} The token records; they hold the hash, never the token.
+ */
+function listUserTokens(userId) {
+    return store.userTokens
+        .findAll('user_id', userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Creates a token for a user.
+ *
+ * @param {string} userId - The owner.
+ * @param {Object} input - `name` and `expiresInDays` as submitted by the account page.
+ * @returns {{ token?: string, record?: Object, error?: string }} The token, which cannot be read
+ *   back later, and its stored record; or what is wrong with the input.
+ */
+function createUserToken(userId, input = {}) {
+    const name = String(input.name || '').trim().slice(0, 100);
+    if (!name) {
+        return { error: 'Give the token a name' };
+    }
+
+    const expiresInDays = Number(input.expiresInDays || 0);
+    if (!EXPIRY_OPTIONS.includes(expiresInDays)) {
+        return { error: 'Choose one of the offered lifetimes' };
+    }
+
+    if (store.userTokens.findAll('user_id', userId).length >= MAX_TOKENS_PER_USER) {
+        return { error: `You can have at most ${MAX_TOKENS_PER_USER} tokens` };
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const record = {
+        id: uuidv4(),
+        userId,
+        name,
+        tokenHash: hashToken(token),
+        hint: token.slice(-4),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        lastUsedAt: null,
+        lastUsedIp: null,
+    };
+
+    store.userTokens.save(record);
+    return { token, record };
+}
+
+/**
+ * Checks the bearer token sent with a request: that it exists, has not expired, belongs to an
+ * existing user and is within the rate limit.
+ *
+ * @param {Object} req - The request; the token is read from `Authorization: Bearer <token>`.
+ * @param {Object} [res] - When given, rate limit headers are set on it.
+ * @returns {{ user?: Object, token?: Object, status?: number, error?: string }} The owner and token
+ *   record, or the status and message to answer with.
+ */
+function authenticateUserToken(req, res) {
+    const authorization = req.headers.authorization || '';
+    const value = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+    if (!value) {
+        return { status: 401, error: 'API token is required' };
+    }
+
+    const token = value.startsWith(TOKEN_PREFIX) && store.userTokens.findOne('token_hash', hashToken(value));
+    if (!token) {
+        return { status: 401, error: 'Invalid API token' };
+    }
+
+    if (token.expiresAt && new Date(token.expiresAt) < new Date()) {
+        return { status: 401, error: 'API token has expired' };
+    }
+
+    const user = store.users.get(token.userId);
+    if (!user) {
+        return { status: 401, error: 'Invalid API token' };
+    }
+    if (user.disabled) {
+        return { status: 403, error: 'The account of this token is disabled' };
+    }
+
+    if (!checkRateLimit(token, res)) {
+        return { status: 429, error: 'API token rate limit exceeded' };
+    }
+
+    recordUse(store.userTokens, token, req.ip);
+    return { user, token };
+}
+
+/**
+ * Middleware for /api/client that authenticates a user token and puts its owner on `req.user`, so
+ * the authorization helpers and activity log treat the request like one from the owner's session.
+ */
+function requireUserToken(req, res, next) {
+    try {
+        const { user, token, status, error } = authenticateUserToken(req, res);
+        if (!user) {
+            return res.status(status).json({ error });
+        }
+        req.user = user;
+        req.userToken = token;
+        next();
+    } catch (error) {
+        console.error('API token validation error:', error);
+        res.status(500).json({ error: 'Failed to validate API token' });
+    }
+}
+
+/**
+ * Removes one of a user's tokens.
+ *
+ * @returns {Object|undefined} The removed record, or undefined if the user has no such token.
+ */
+function revokeUserToken(userId, tokenId) {
+    const token = store.userTokens.get(tokenId);
+    if (!token || token.userId !== userId) return undefined;
+    store.userTokens.remove(tokenId);
+    return token;
+}
+
+module.exports = {
+    EXPIRY_OPTIONS,
+    listUserTokens,
+    createUserToken,
+    authenticateUserToken,
+    requireUserToken,
+    revokeUserToken,
+};
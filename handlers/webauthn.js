@@ -0,0 +1,286 @@
+/**
+ * @fileoverview WebAuthn security keys and passkeys. Users register authenticators on /account and
+ * use them as a second factor after their password, or to sign in without a password when passkey
+ * logins are allowed on /admin/settings/security. The browser side runs with
+ * @simplewebauthn/browser; this module makes the options the browser needs and checks what the
+ * authenticator answered.
+ *
+ * The relying party is the host of `baseUri` in config.json, so keys only work on that address.
+ * A challenge is kept in the session between the options request and the answer, and is used once.
+ */
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const config = require('../config.json');
+const { store } = require('./db.js');
+const log = new (require('cat-loggr'))();
+
+// How long the browser has to answer a challenge.
+const CHALLENGE_TIMEOUT = 5 * 60 * 1000;
+const NAME_LENGTH = 64;
+
+function relyingParty() {
+    const url = new URL(config.baseUri);
+    return { id: url.hostname, origin: url.origin };
+}
+
+/**
+ * A credential without its public key, for views.
+ */
+function redact(credential) {
+    const { publicKey, ...rest } = credential;
+    return rest;
+}
+
+function cleanName(name) {
+    return String(name || '').trim().slice(0, NAME_LENGTH);
+}
+
+/**
+ * The user's security keys and passkeys, oldest first.
+ *
+ * @param {string} userId
+ * @returns {Object[]}
+ */
+function listCredentials(userId) {
+    return store.webauthnCredentials
+        .findAll('user_id', userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(redact);
+}
+
+function hasCredentials(userId) {
+    return store.webauthnCredentials.findAll('user_id', userId).length > 0;
+}
+
+/**
+ * The second factors a user has set up. Having a security key makes it required after the password,
+ * like an authenticator app.
+ *
+ * @param {Object} user
+ * @returns {{ totp: boolean, webauthn: boolean }}
+ */
+function secondFactors(user) {
+    return { totp: Boolean(user.twoFAEnabled), webauthn: hasCredentials(user.userId) };
+}
+
+function needsSecondFactor(user) {
+    const factors = secondFactors(user);
+    return factors.totp || factors.webauthn;
+}
+
+/**
+ * Keeps the challenge of a ceremony in the session until the browser answers.
+ *
+ * @param {Object} session - The express session.
+ * @param {string} purpose - `register`, `verify` or `login`; an answer is only accepted for the
+ *   ceremony it was started for.
+ * @param {Object} options - The options sent to the browser.
+ */
+function saveChallenge(session, purpose, options) {
+    session.webauthn = { purpose, challenge: options.challenge, startedAt: Date.now() };
+}
+
+/**
+ * Takes the challenge of a ceremony out of the session.
+ *
+ * @returns {string|null} The challenge, or null if there is none or it expired.
+ */
+function takeChallenge(session, purpose) {
+    const pending = session.webauthn;
+    delete session.webauthn;
+    if (!pending || pending.purpose !== purpose || Date.now() - pending.startedAt > CHALLENGE_TIMEOUT) {
+        return null;
+    }
+    return pending.challenge;
+}
+
+/**
+ * Options for registering a new authenticator. Keys the user already has are excluded, so the same
+ * key is not registered twice.
+ *
+ * @param {Object} user
+ * @param {string} rpName - Name of the panel, shown by the browser.
+ */
+async function registrationOptions(user, rpName) {
+    return generateRegistrationOptions({
+        rpName,
+        rpID: relyingParty().id,
+        userID: Buffer.from(user.userId),
+        userName: user.username,
+        userDisplayName: user.email || user.username,
+        attestationType: 'none',
+        timeout: CHALLENGE_TIMEOUT,
+        excludeCredentials: store.webauthnCredentials
+            .findAll('user_id', user.userId)
+            .map((credential) => ({ id: credential.id, transports: credential.transports })),
+        authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+    });
+}
+
+/**
+ * Checks the browser's answer to registration options and saves the new credential.
+ *
+ * @param {Object} user
+ * @param {Object} response - The registration response from the browser.
+ * @param {string} challenge - The challenge taken from the session.
+ * @param {string} name - What the user called the key.
+ * @returns {Promise<{ credential?: Object, error?: string }>}
+ */
+async function verifyRegistration(user, response, challenge, name) {
+    const { id, origin } = relyingParty();
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: challenge,
+            expectedOrigin: origin,
+            expectedRPID: id,
+            requireUserVerification: false,
+        });
+    } catch (error) {
+        log.warn(`Security key registration for ${user.username} failed: ${error.message}`);
+        return { error: 'The security key could not be registered. Please try again.' };
+    }
+    if (!verification.verified) {
+        return { error: 'The security key could not be registered. Please try again.' };
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (store.webauthnCredentials.get(credential.id)) {
+        return { error: 'This security key is already registered.' };
+    }
+
+    const record = {
+        id: credential.id,
+        userId: user.userId,
+        name: cleanName(name) || (credentialDeviceType === 'multiDevice' ? 'Passkey' : 'Security key'),
+        publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+        counter: credential.counter,
+        transports: credential.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+    };
+    store.webauthnCredentials.save(record);
+    return { credential: redact(record) };
+}
+
+/**
+ * Options for signing in with an authenticator. With a user, only their keys are allowed (second
+ * factor); without one, the browser offers the passkeys it has for the panel (passwordless login).
+ *
+ * @param {Object|null} user
+ */
+async function authenticationOptions(user = null) {
+    return generateAuthenticationOptions({
+        rpID: relyingParty().id,
+        timeout: CHALLENGE_TIMEOUT,
+        allowCredentials: user
+            ? store.webauthnCredentials
+                  .findAll('user_id', user.userId)
+                  .map((credential) => ({ id: credential.id, transports: credential.transports }))
+            : [],
+        userVerification: user ? 'preferred' : 'required',
+    });
+}
+
+/**
+ * Checks the browser's answer to authentication options. A passwordless login must have verified
+ * the user at the authenticator (PIN or biometrics), since there is no password.
+ *
+ * @param {Object} response - The authentication response from the browser.
+ * @param {string} challenge - The challenge taken from the session.
+ * @param {Object|null} user - The user who has to own the key, or null for a passwordless login.
+ * @returns {Promise<{ userId?: string, credential?: Object, error?: string }>}
+ */
+async function verifyAuthentication(response, challenge, user = null) {
+    const credential = response && response.id ? store.webauthnCredentials.get(String(response.id)) : undefined;
+    if (!credential || (user && credential.userId !== user.userId)) {
+        return { error: 'This security key is not registered.' };
+    }
+
+    const { id, origin } = relyingParty();
+    let verification;
+    try {
+        verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: challenge,
+            expectedOrigin: origin,
+            expectedRPID: id,
+            credential: {
+                id: credential.id,
+                publicKey: Buffer.from(credential.publicKey, 'base64url'),
+                counter: credential.counter,
+                transports: credential.transports,
+            },
+            requireUserVerification: !user,
+        });
+    } catch (error) {
+        log.warn(`Security key login with ${credential.id} failed: ${error.message}`);
+        return { error: 'The security key could not be verified. Please try again.' };
+    }
+    if (!verification.verified) {
+        return { error: 'The security key could not be verified. Please try again.' };
+    }
+
+    const updated = store.webauthnCredentials.update(credential.id, (current) => {
+        current.counter = verification.authenticationInfo.newCounter;
+        current.backedUp = verification.authenticationInfo.credentialBackedUp;
+        current.lastUsedAt = new Date().toISOString();
+    });
+    return { userId: credential.userId, credential: redact(updated) };
+}
+
+/**
+ * Renames one of the user's keys.
+ *
+ * @returns {{ before: Object, after: Object }|{ error: string }|null} Null if the user has no such
+ *   key.
+ */
+function renameCredential(userId, id, name) {
+    const credential = store.webauthnCredentials.get(id);
+    if (!credential || credential.userId !== userId) return null;
+
+    const cleaned = cleanName(name);
+    if (!cleaned) {
+        return { error: 'Enter a name for the security key.' };
+    }
+    const updated = store.webauthnCredentials.update(id, (current) => {
+        current.name = cleaned;
+    });
+    return { before: redact(credential), after: redact(updated) };
+}
+
+/**
+ * Removes one of the user's keys.
+ *
+ * @returns {Object|null} The removed key, or null if the user has no such key.
+ */
+function removeCredential(userId, id) {
+    const credential = store.webauthnCredentials.get(id);
+    if (!credential || credential.userId !== userId) return null;
+
+    store.webauthnCredentials.remove(id);
+    return redact(credential);
+}
+
+module.exports = {
+    listCredentials,
+    hasCredentials,
+    secondFactors,
+    needsSecondFactor,
+    saveChallenge,
+    takeChallenge,
+    registrationOptions,
+    verifyRegistration,
+    authenticationOptions,
+    verifyAuthentication,
+    renameCredential,
+    removeCredential,
+};
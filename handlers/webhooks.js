@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Outgoing webhooks. Admins register endpoints on /admin/webhooks and choose the
+ * events each one receives. emit() stores a delivery for every enabled webhook subscribed to the
+ * event and sends it from a queue kept in the database, so failed deliveries are retried with
+ * growing delays and survive a restart.
+ *
+ * Every delivery is a POST of
+ *
+ *   { "id": "<event id>", "event": "instance.suspended", "createdAt": "...", "data": { ... } }
+ *
+ * where `data` holds the records involved, in the same shape as API v2 resources. The request is
+ * signed with the webhook's secret: `X-Webhook-Signature` is `sha256=` followed by the hex
+ * HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>`. Receivers should recompute it, reject stale
+ * timestamps and use `id`, which stays the same on redelivery, to drop duplicates.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { store } = require('./db.js');
+const { serializeNode } = require('./serializers.js');
+const config = require('../config.json');
+const log = new (require('cat-loggr'))();
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Events a webhook can subscribe to.
+ */
+const EVENTS = {
+    'instance.deployed': 'An instance was deployed',
+    'instance.ready': 'An instance finished installing and is ready',
+    'instance.failed': 'An instance failed to become ready',
+    'instance.suspended': 'An instance was suspended',
+    'instance.unsuspended': 'An instance was unsuspended',
+    'archive.created': 'A backup archive of an instance was created',
+    'user.created': 'A user account was created',
+    'node.offline': 'A node stopped responding',
+    'node.online': 'A node is reachable again',
+};
+
+// Delays before the second, third, ... attempt. A delivery fails for good after the last one.
+const RETRY_DELAYS = [1, 5, 30, 120, 360].map((minutes) => minutes * MINUTE);
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+const REQUEST_TIMEOUT = 10000;
+const POLL_INTERVAL = 15 * 1000;
+const BATCH_SIZE = 10;
+const RETENTION = 30 * 24 * 60 * MINUTE;
+const MAX_RESPONSE_LENGTH = 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let lastPrune = 0;
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+    if (typeof value === 'string') return value.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
+    return [];
+}
+
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Computes the signature header for a request body.
+ *
+ * @param {string} secret - The webhook's secret.
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp.
+ * @param {string} body - The exact request body.
+ * @returns {string} `sha256=<hex>`.
+ */
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Validates and normalizes webhook settings submitted by the admin page.
+ *
+ * @param {Object} input - name, url, events and enabled.
+ * @returns {{ settings?: Object, error?: string }} The settings to store, or what is wrong with them.
+ */
+function parseWebhookSettings(input = {}) {
+    const name = String(input.name || '').trim().slice(0, 100);
+    if (!name) {
+        return { error: 'Give the webhook a name' };
+    }
+
+    let url;
+    try {
+        url = new URL(String(input.url || '').trim());
+    } catch {
+        return { error: 'Enter the full URL of the endpoint, including http:// or https://' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: 'The URL must start with http:// or https://' };
+    }
+
+    const events = [...new Set(toList(input.events))];
+    const unknown = events.filter((event) => !EVENTS[event]);
+    if (unknown.length) {
+        return { error: `Unknown event: ${unknown.join(', ')}` };
+    }
+    if (events.length === 0) {
+        return { error: 'Choose at least one event' };
+    }
+
+    return {
+        settings: {
+            name,
+            url: url.toString(),
+            events,
+            enabled: input.enabled === true || input.enabled === 'on' || input.enabled === 'true',
+        },
+    };
+}
+
+/**
+ * Creates a webhook with a new signing secret.
+ *
+ * @param {Object} settings - As returned by parseWebhookSettings.
+ * @returns {Object} The stored webhook.
+ */
+function createWebhook(settings) {
+    return store.webhooks.save({
+        id: uuidv4(),
+        ...settings,
+        secret: generateSecret(),
+        createdAt: new Date().toISOString(),
+        lastDelivery: null,
+    });
+}
+
+/**
+ * Replaces a webhook's signing secret. Deliveries sent from then on are signed with the new one.
+ *
+ * @returns {Object|undefined} The updated webhook.
+ */
+function rotateSecret(id) {
+    return store.webhooks.update(id, (webhook) => {
+        webhook.secret = generateSecret();
+    });
+}
+
+/**
+ * Removes a webhook along with its delivery log.
+ *
+ * @returns {Object|undefined} The removed webhook.
+ */
+function deleteWebhook(id) {
+    const webhook = store.webhooks.get(id);
+    if (!webhook) return undefined;
+    store.webhookDeliveries.removeForWebhook(id);
+    store.webhooks.remove(id);
+    return webhook;
+}
+
+function createDelivery(webhook, payload, { queued = true, maxAttempts = MAX_ATTEMPTS } = {}) {
+    const now = new Date().toISOString();
+    return store.webhookDeliveries.save({
+        id: uuidv4(),
+        webhookId: webhook.id,
+        event: payload.event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        maxAttempts,
+        // Deliveries sent straight away by the caller have no due time, so the queue leaves them alone.
+        nextAttemptAt: queued ? now : null,
+        createdAt: now,
+        deliveredAt: null,
+        lastAttempt: null,
+    });
+}
+
+function describeError(error) {
+    if (error.code === 'ECONNABORTED') return `Timed out after ${REQUEST_TIMEOUT / 1000}s`;
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+}
+
+/**
+ * Makes one attempt at a delivery and records the outcome: delivered on a 2xx response, otherwise
+ * pending again with the next retry time, or failed once the attempts are used up.
+ *
+ * @param {Object} delivery - The delivery record.
+ * @returns {Promise<Object>} The updated delivery.
+ */
+async function attempt(delivery) {
+    const webhook = store.webhooks.get(delivery.webhookId);
+    if (!webhook || (!webhook.enabled && delivery.event !== 'webhook.test')) {
+        return store.webhookDeliveries.update(delivery.id, (record) => {
+            record.status = 'failed';
+            record.nextAttemptAt = null;
+            record.lastAttempt = { at: new Date().toISOString(), error: 'The webhook was disabled or deleted' };
+        });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString() };
+
+    try {
+        const response = await axios.post(webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `TeryxPanel-Webhooks/${config.version}`,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+            },
+            timeout: REQUEST_TIMEOUT,
+            maxRedirects: 0,
+            responseType: 'text',
+            transformResponse: (data) => data,
+            validateStatus: () => true,
+        });
+        result.status = response.status;
+        result.response = String(response.data || '').slice(0, MAX_RESPONSE_LENGTH);
+        if (response.status < 200 || response.status >= 300) {
+            result.error = `Endpoint answered ${response.status}`;
+        }
+    } catch (error) {
+        result.error = describeError(error);
+    }
+    result.durationMs = Date.now() - started;
+
+    const updated = store.webhookDeliveries.update(delivery.id, (record) => {
+        record.attempts += 1;
+        record.lastAttempt = result;
+        if (!result.error) {
+            record.status = 'delivered';
+            record.deliveredAt = result.at;
+            record.nextAttemptAt = null;
+        } else if (record.attempts >= record.maxAttempts) {
+            record.status = 'failed';
+            record.nextAttemptAt = null;
+        } else {
+            record.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS[record.attempts - 1]).toISOString();
+        }
+    });
+
+    store.webhooks.update(webhook.id, (record) => {
+        record.lastDelivery = { at: result.at, event: delivery.event, status: updated.status, error: result.error || null };
+    });
+
+    if (result.error) {
+        log.warn(`Webhook ${webhook.id} delivery ${delivery.id} (${delivery.event}) failed: ${result.error}`);
+    }
+    return updated;
+}
+
+function prune() {
+    const now = Date.now();
+    if (now - lastPrune < 60 * MINUTE) return;
+    lastPrune = now;
+    try {
+        store.webhookDeliveries.prune(new Date(now - RETENTION).toISOString());
+    } catch (error) {
+        log.error('Failed to prune webhook deliveries:', error);
+    }
+}
+
+/**
+ * Sends every delivery that is due, a batch at a time. Calls made while a run is in progress
+ * make that run look for more work once it is done instead of starting a second one.
+ */
+async function processQueue() {
+    if (running) {
+        rerun = true;
+        return;
+    }
+    running = true;
+
+    try {
+        do {
+            rerun = false;
+            let batch;
+            do {
+                batch = store.webhookDeliveries.due(new Date().toISOString(), BATCH_SIZE);
+                await Promise.all(batch.map(attempt));
+            } while (batch.length === BATCH_SIZE);
+        } while (rerun);
+        prune();
+    } catch (error) {
+        log.error('Error processing webhook deliveries:', error);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Queues an event for every enabled webhook subscribed to it. Never throws, so callers can emit
+ * after a change without guarding against webhook problems.
+ *
+ * @param {string} event - A key of EVENTS.
+ * @param {Object} data - The records involved, e.g. `{ instance }` serialized as in API v2.
+ */
+function emit(event, data) {
+    try {
+        const webhooks = store.webhooks
+            .list()
+            .filter((webhook) => webhook.enabled && (webhook.events || []).includes(event));
+        if (webhooks.length === 0) return;
+
+        const payload = { id: uuidv4(), event, createdAt: new Date().toISOString(), data };
+        for (const webhook of webhooks) {
+            createDelivery(webhook, payload);
+        }
+        setImmediate(processQueue);
+    } catch (error) {
+        log.error(`Failed to queue webhook event ${event}:`, error);
+    }
+}
+
+/**
+ * Emits node.offline or node.online when a status check changes a node's status. Nodes that were
+ * never online do not count as going offline.
+ *
+ * @param {string} previousStatus - The status before the check.
+ * @param {Object} node - The node after the check.
+ */
+function emitNodeStatus(previousStatus, node) {
+    if (previousStatus === 'Online' && node.status !== 'Online') {
+        emit('node.offline', { node: serializeNode(node), previousStatus });
+    } else if (previousStatus !== 'Online' && node.status === 'Online') {
+        emit('node.online', { node: serializeNode(node), previousStatus: previousStatus || null });
+    }
+}
+
+/**
+ * Sends a `webhook.test` event to a webhook right away, whether or not it is enabled. Tests are
+ * not retried.
+ *
+ * @returns {Promise<Object>} The finished delivery.
+ */
+function sendTest(webhook, user) {
+    const payload = {
+        id: uuidv4(),
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { webhook: { id: webhook.id, name: webhook.name }, triggeredBy: user ? user.username : null },
+    };
+    return attempt(createDelivery(webhook, payload, { queued: false, maxAttempts: 1 }));
+}
+
+/**
+ * Sends the payload of an earlier delivery again, once, as a new delivery. The event id in the
+ * payload is unchanged.
+ *
+ * @returns {Promise<Object|undefined>} The new delivery, or undefined if the original is unknown.
+ */
+async function redeliver(webhook, deliveryId) {
+    const original = store.webhookDeliveries.get(deliveryId);
+    if (!original || original.webhookId !== webhook.id) return undefined;
+    return attempt(createDelivery(webhook, original.payload, { queued: false, maxAttempts: 1 }));
+}
+
+/**
+ * The most recent deliveries to a webhook, newest first.
+ */
+function listDeliveries(webhookId, limit = 50) {
+    return store.webhookDeliveries.recent(webhookId, limit);
+}
+
+/**
+ * Starts polling for due retries; called from index.js once the database is migrated.
+ */
+function start() {
+    if (timer) return;
+    timer = setInterval(processQueue, POLL_INTERVAL);
+    timer.unref();
+    processQueue();
+}
+
+module.exports = {
+    EVENTS,
+    MAX_ATTEMPTS,
+    sign,
+    parseWebhookSettings,
+    createWebhook,
+    rotateSecret,
+    deleteWebhook,
+    emit,
+    emitNodeStatus,
+    sendTest,
+    redeliver,
+    listDeliveries,
+    start,
+};
@@ -15,12 +15,22 @@ const app = express();
 const path = require("path");
 const chalk = require("chalk");
 const expressWs = require("express-ws")(app);
-const { db } = require("./handlers/db.js");
+const { db, store } = require("./handlers/db.js");
 const translationMiddleware = require("./handlers/translation");
 const cookieParser = require("cookie-parser");
 const rateLimit = require("express-rate-limit");
 const theme = require("./storage/theme.json");
 const analytics = require("./utils/analytics.js");
+const { requestId } = require("./utils/requestId.js");
+const { securityPolicy } = require("./utils/securityPolicy.js");
+const { httpMetrics } = require("./handlers/metrics.js");
+const { createHealthRouter, markInitialized } = require("./handlers/health.js");
+const webhooks = require("./handlers/webhooks.js");
+const announcements = require("./handlers/announcements.js");
+const sso = require("./handlers/sso.js");
+const security = require("./handlers/security.js");
+const ldap = require("./handlers/ldap.js");
+const emailOutbox = require("./handlers/emailOutbox.js");
 
 const sqlite = require("better-sqlite3");
 const SqliteStore = require("better-sqlite3-session-store")(session);
@@ -33,6 +43,14 @@ const { init } = require("./handlers/init.js");
 
 const log = new (require("cat-loggr"))();
 
+// Health probes are answered before the session middleware so they never create sessions. The
+// plugin manager is required further down; its status is only read once requests come in.
+app.use(
+  createHealthRouter({
+    sessionStorage,
+    getPluginStatus: () => pluginRoutes.getPluginStatus(),
+  }),
+);
 
 app.use(
   session({
@@ -56,6 +74,8 @@ app.use(
  * reads route files from the 'routes' directory, and applies WebSocket enhancements to each route.
  * Finally, it sets up static file serving and starts listening on a specified port.
  */
+app.use(requestId);
+app.use(httpMetrics);
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 app.use(cookieParser());
@@ -137,7 +157,13 @@ app.get("/setLanguage", async (req, res) => {
       httpOnly: true,
       sameSite: "strict",
     });
-    req.user.lang = lang;
+    // Remembered on the account too, so emails go out in the same language.
+    if (req.user) {
+      req.user.lang = lang;
+      store.users.update(req.user.userId, (user) => {
+        user.lang = lang;
+      });
+    }
     res.json({ success: true });
   } else {
     res.json({ success: false });
@@ -163,6 +189,34 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Announcement banners are shown on the server list and the instance pages.
+app.use(["/instances", "/instance"], (req, res, next) => {
+  if (req.method === "GET" && req.user) {
+    try {
+      res.locals.announcements = announcements.activeFor(req.user);
+    } catch (error) {
+      log.error("Error loading announcements:", error);
+    }
+  }
+  next();
+});
+
+// The login page offers the enabled single sign-on providers and passkeys, and explains failed SSO
+// logins and locked accounts.
+app.use("/login", async (req, res, next) => {
+  if (req.method === "GET") {
+    try {
+      res.locals.ssoProviders = sso.loginProviders();
+      res.locals.ssoError = sso.LOGIN_ERRORS[req.query.sso] || null;
+      res.locals.passkeyLogin = (await security.getSettings()).passkeyLogin;
+      res.locals.securityError = security.LOGIN_ERRORS[req.query.err] || null;
+    } catch (error) {
+      log.error("Error loading login options:", error);
+    }
+  }
+  next();
+});
+
 if (config.mode === "production" || false) {
   app.use((req, res, next) => {
     res.setHeader("Cache-Control", "no-store");
@@ -185,6 +239,14 @@ app.set("view engine", "ejs");
  * number to indicate successful startup.
  */
 app.use(express.static("public"));
+// The WebAuthn browser helper is served from its npm package rather than a CDN.
+app.use(
+  "/assets/simplewebauthn",
+  express.static(path.join(__dirname, "node_modules/@simplewebauthn/browser/dist/bundle"))
+);
+
+// Users the security policy holds back (expired password, overdue 2FA) only reach their account.
+app.use(securityPolicy);
 
 /**
  * Dynamically loads all route modules from the 'routes' directory, applying WebSocket support to each.
@@ -223,13 +285,23 @@ const PluginViewsDir = fs
   .map((addonName) => path.join(pluginDir, addonName, "views"));
 app.set("views", [path.join(__dirname, "views"), ...PluginViewsDir]);
 
-// Init
-init();
-
-console.log(chalk.gray(ascii) + chalk.white(`version v${config.version}\n`));
-app.listen(config.port, () =>
-  log.info(`TeryxPanel is listening on port ${config.port}`),
-);
+// Init runs the pending database migrations, so only start listening once it is done.
+init()
+  .then(() => {
+    markInitialized();
+    webhooks.start();
+    emailOutbox.start();
+    announcements.start();
+    ldap.start();
+    console.log(chalk.gray(ascii) + chalk.white(`version v${config.version}\n`));
+    app.listen(config.port, () =>
+      log.info(`TeryxPanel is listening on port ${config.port}`),
+    );
+  })
+  .catch((error) => {
+    log.error("Failed to initialize the panel:", error);
+    process.exit(1);
+  });
 
 app.get("*", async function (req, res) {
   res.render("errors/404", {
@@ -0,0 +1,77 @@
+/**
+ * Creates the relational tables that replace the whole-array Keyv collections.
+ */
+
+module.exports = {
+    description: 'Create tables for users, nodes, instances, images, API keys and audits',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                email TEXT UNIQUE,
+                admin INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS nodes (
+                id TEXT PRIMARY KEY,
+                name TEXT,
+                status TEXT,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS instances (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                node_id TEXT,
+                container_id TEXT,
+                suspended INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS instances_user_id ON instances (user_id);
+            CREATE INDEX IF NOT EXISTS instances_node_id ON instances (node_id);
+            CREATE INDEX IF NOT EXISTS instances_container_id ON instances (container_id);
+
+            CREATE TABLE IF NOT EXISTS images (
+                id TEXT PRIMARY KEY,
+                name TEXT,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                key TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS audits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT,
+                username TEXT,
+                action TEXT NOT NULL,
+                ip TEXT,
+                timestamp TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS audits_timestamp ON audits (timestamp);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec(`
+            DROP TABLE IF EXISTS audits;
+            DROP TABLE IF EXISTS api_keys;
+            DROP TABLE IF EXISTS images;
+            DROP TABLE IF EXISTS instances;
+            DROP TABLE IF EXISTS nodes;
+            DROP TABLE IF EXISTS users;
+            DROP TABLE IF EXISTS meta;
+        `);
+    },
+};
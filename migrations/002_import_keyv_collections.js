@@ -0,0 +1,164 @@
+/**
+ * Copies the collections older panels kept as whole-array Keyv values into the relational tables.
+ * The Keyv values are left untouched; reverting writes the table contents back to them so an older
+ * panel can be started against the same database.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+function insertJsonRows(sqlite, table, columns, records) {
+    const names = ['id', ...Object.keys(columns), 'data'];
+    const insert = sqlite.prepare(
+        `INSERT OR IGNORE INTO ${table} (${names.join(', ')}) VALUES (${names.map((name) => '@' + name).join(', ')})`,
+    );
+
+    let inserted = 0;
+    for (const { id, record } of records) {
+        const row = { id: String(id), data: JSON.stringify(record) };
+        for (const [column, read] of Object.entries(columns)) {
+            const value = read(record);
+            row[column] = typeof value === 'boolean' ? Number(value) : value ?? null;
+        }
+        inserted += insert.run(row).changes;
+    }
+    return inserted;
+}
+
+function readJsonRows(sqlite, table) {
+    return sqlite.prepare(`SELECT data FROM ${table} ORDER BY rowid`).all().map((row) => JSON.parse(row.data));
+}
+
+module.exports = {
+    description: 'Import users, nodes, instances, images, API keys and audits from Keyv',
+
+    async prepare({ sqlite, kv, log }) {
+        const imported = sqlite.prepare("SELECT value FROM meta WHERE key = 'legacyImportedAt'").get();
+        if (imported) return null;
+
+        const [users, instances, nodeIds, images, apiKeys, audits] = await Promise.all([
+            kv.get('users'),
+            kv.get('instances'),
+            kv.get('nodes'),
+            kv.get('images'),
+            kv.get('apiKeys'),
+            kv.get('audits'),
+        ]);
+
+        const nodes = [];
+        for (const id of nodeIds || []) {
+            const node = await kv.get(id + '_node');
+            if (node) nodes.push({ ...node, id: node.id || id });
+        }
+
+        const instanceRecords = [];
+        for (const instance of instances || []) {
+            if (!instance || !instance.Id) continue;
+            const record = await kv.get(instance.Id + '_instance');
+            instanceRecords.push({ ...instance, ...(record || {}) });
+        }
+
+        let auditEntries = [];
+        try {
+            auditEntries = audits ? JSON.parse(audits) : [];
+        } catch (error) {
+            log.error('could not parse legacy audits, skipping them:', error);
+        }
+
+        return { users, nodes, instanceRecords, images, apiKeys, auditEntries };
+    },
+
+    up({ sqlite, log, prepared }) {
+        if (!prepared) return;
+        const { users, nodes, instanceRecords, images, apiKeys, auditEntries } = prepared;
+
+        const counts = sqlite.transaction(() => {
+            const userExists = sqlite.prepare('SELECT 1 FROM users WHERE username = ? OR email = ?');
+            const result = {
+                users: 0,
+                nodes: 0,
+                instances: 0,
+            };
+
+            for (const user of users || []) {
+                if (!user || !user.userId || !user.username) continue;
+                if (userExists.get(user.username, user.email ?? null)) {
+                    log.warn('skipping duplicate user during import: ' + user.username);
+                    continue;
+                }
+                result.users += insertJsonRows(sqlite, 'users', {
+                    username: (record) => record.username,
+                    email: (record) => record.email,
+                    admin: (record) => record.admin === true,
+                }, [{ id: user.userId, record: user }]);
+            }
+
+            result.nodes = insertJsonRows(sqlite, 'nodes', {
+                name: (record) => record.name,
+                status: (record) => record.status,
+            }, nodes.map((node) => ({ id: node.id, record: node })));
+
+            result.instances = insertJsonRows(sqlite, 'instances', {
+                user_id: (record) => record.User,
+                node_id: (record) => record.Node && record.Node.id,
+                container_id: (record) => record.ContainerId,
+                suspended: (record) => record.suspended === true,
+            }, instanceRecords.map((instance) => ({ id: instance.Id, record: instance })));
+
+            insertJsonRows(sqlite, 'images', {
+                name: (record) => record.Name,
+            }, (images || []).map((image) => {
+                const record = { ...image, Id: image.Id || uuidv4() };
+                return { id: record.Id, record };
+            }));
+
+            insertJsonRows(sqlite, 'api_keys', {
+                key: (record) => record.key,
+            }, (apiKeys || []).filter((apiKey) => apiKey && apiKey.id && apiKey.key).map((apiKey) => ({ id: apiKey.id, record: apiKey })));
+
+            const insertAudit = sqlite.prepare(
+                'INSERT INTO audits (user_id, username, action, ip, timestamp) VALUES (?, ?, ?, ?, ?)',
+            );
+            for (const entry of auditEntries) {
+                if (!entry || !entry.action) continue;
+                insertAudit.run(entry.userId ?? null, entry.username ?? null, entry.action, entry.ip ?? null, entry.timestamp || new Date().toISOString());
+            }
+
+            return result;
+        })();
+
+        if (counts.users || counts.nodes || counts.instances) {
+            log.info(`imported ${counts.users} users, ${counts.nodes} nodes and ${counts.instances} instances from keyv`);
+        }
+    },
+
+    down({ sqlite, kv }) {
+        const users = readJsonRows(sqlite, 'users');
+        const nodes = readJsonRows(sqlite, 'nodes');
+        const instances = readJsonRows(sqlite, 'instances');
+
+        kv.set('users', users);
+        kv.set('images', readJsonRows(sqlite, 'images'));
+        kv.set('apiKeys', readJsonRows(sqlite, 'api_keys'));
+        kv.set('audits', JSON.stringify(
+            sqlite.prepare('SELECT user_id AS userId, username, action, ip, timestamp FROM audits ORDER BY id').all(),
+        ));
+
+        kv.set('nodes', nodes.map((node) => node.id));
+        for (const node of nodes) {
+            kv.set(node.id + '_node', node);
+        }
+
+        kv.set('instances', instances);
+        const byUser = {};
+        for (const instance of instances) {
+            kv.set(instance.Id + '_instance', instance);
+            (byUser[instance.User] = byUser[instance.User] || []).push(instance);
+        }
+        for (const user of users) {
+            kv.set(user.userId + '_instances', byUser[user.userId] || []);
+        }
+
+        sqlite.exec('DELETE FROM audits; DELETE FROM api_keys; DELETE FROM images; DELETE FROM instances; DELETE FROM nodes; DELETE FROM users;');
+        sqlite.prepare("DELETE FROM meta WHERE key = 'legacyImportedAt'").run();
+    },
+};
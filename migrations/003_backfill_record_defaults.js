@@ -0,0 +1,52 @@
+/**
+ * Fills in fields that routes used to patch onto records at read time: instances without a
+ * `suspended` flag or `State`, and users without an `accessTo` list.
+ */
+
+function backfill(sqlite, table, apply) {
+    const rows = sqlite.prepare(`SELECT id, data FROM ${table}`).all();
+    const update = sqlite.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+
+    let changed = 0;
+    for (const row of rows) {
+        const record = JSON.parse(row.data);
+        if (apply(record)) {
+            update.run(JSON.stringify(record), row.id);
+            changed++;
+        }
+    }
+    return changed;
+}
+
+module.exports = {
+    description: 'Backfill missing instance.suspended/State and user.accessTo fields',
+
+    up({ sqlite, log }) {
+        const changed = sqlite.transaction(() => ({
+            instances: backfill(sqlite, 'instances', (instance) => {
+                let changed = false;
+                if (typeof instance.suspended !== 'boolean') {
+                    instance.suspended = false;
+                    changed = true;
+                }
+                if (!instance.State) {
+                    instance.State = 'UNKNOWN';
+                    changed = true;
+                }
+                return changed;
+            }),
+            users: backfill(sqlite, 'users', (user) => {
+                if (Array.isArray(user.accessTo)) return false;
+                user.accessTo = [];
+                return true;
+            }),
+        }))();
+
+        if (changed.instances || changed.users) {
+            log.info(`backfilled defaults on ${changed.instances} instances and ${changed.users} users`);
+        }
+    },
+
+    // The added defaults are what the panel assumed for missing fields anyway.
+    down() {},
+};
@@ -0,0 +1,49 @@
+/**
+ * Gives audit entries a target resource, a change set and the id of the request that caused them,
+ * and links every entry to the one before it with a SHA-256 hash chain. Existing entries are
+ * chained in their current order.
+ */
+
+const { hashEntry } = require('../handlers/auditlog.js');
+
+const columns = ['resource_type', 'resource_id', 'request_id', 'changes', 'prev_hash', 'hash'];
+
+module.exports = {
+    description: 'Add resource, changes, request id and hash chain columns to audits',
+
+    up({ sqlite }) {
+        for (const column of columns) {
+            sqlite.exec(`ALTER TABLE audits ADD COLUMN ${column} TEXT`);
+        }
+        sqlite.exec(`
+            CREATE INDEX IF NOT EXISTS audits_action ON audits (action);
+            CREATE INDEX IF NOT EXISTS audits_user_id ON audits (user_id);
+            CREATE INDEX IF NOT EXISTS audits_resource ON audits (resource_type, resource_id);
+        `);
+
+        const rows = sqlite
+            .prepare('SELECT id, user_id AS userId, username, action, ip, timestamp FROM audits ORDER BY id')
+            .all();
+        const seal = sqlite.prepare('UPDATE audits SET prev_hash = ?, hash = ? WHERE id = ?');
+
+        sqlite.transaction(() => {
+            let prevHash = null;
+            for (const row of rows) {
+                const hash = hashEntry({ ...row, prevHash });
+                seal.run(prevHash, hash, row.id);
+                prevHash = hash;
+            }
+        })();
+    },
+
+    down({ sqlite }) {
+        sqlite.exec(`
+            DROP INDEX IF EXISTS audits_action;
+            DROP INDEX IF EXISTS audits_user_id;
+            DROP INDEX IF EXISTS audits_resource;
+        `);
+        for (const column of columns) {
+            sqlite.exec(`ALTER TABLE audits DROP COLUMN ${column}`);
+        }
+    },
+};
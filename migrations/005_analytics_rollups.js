@@ -0,0 +1,75 @@
+/**
+ * Replaces the raw 24h request list kept in the Keyv `analytics` value with per-minute and
+ * per-hour rollups by path, method and status, plus an hourly set of hashed visitor addresses.
+ * Existing entries are folded into the rollups and the Keyv value is removed.
+ */
+
+const { bucketStart, normalizePath, visitorHash } = require('../handlers/analytics.js');
+
+module.exports = {
+    description: 'Create analytics rollup tables and fold in the Keyv analytics list',
+
+    prepare({ kv }) {
+        return kv.get('analytics');
+    },
+
+    up({ sqlite, kv, log, prepared: legacy }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS analytics_rollups (
+                resolution TEXT NOT NULL,
+                bucket INTEGER NOT NULL,
+                path TEXT NOT NULL,
+                method TEXT NOT NULL,
+                status INTEGER NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                total_ms REAL NOT NULL DEFAULT 0,
+                max_ms REAL NOT NULL DEFAULT 0,
+                PRIMARY KEY (resolution, bucket, path, method, status)
+            );
+            CREATE INDEX IF NOT EXISTS analytics_rollups_bucket ON analytics_rollups (resolution, bucket);
+
+            CREATE TABLE IF NOT EXISTS analytics_visitors (
+                bucket INTEGER NOT NULL,
+                visitor TEXT NOT NULL,
+                PRIMARY KEY (bucket, visitor)
+            );
+        `);
+
+        if (!Array.isArray(legacy) || legacy.length === 0) {
+            if (legacy !== undefined) kv.delete('analytics');
+            return;
+        }
+
+        const upsert = sqlite.prepare(`
+            INSERT INTO analytics_rollups (resolution, bucket, path, method, status, count)
+            VALUES (?, ?, ?, ?, 0, 1)
+            ON CONFLICT (resolution, bucket, path, method, status) DO UPDATE SET count = count + 1
+        `);
+        const visit = sqlite.prepare('INSERT OR IGNORE INTO analytics_visitors (bucket, visitor) VALUES (?, ?)');
+
+        // The old list did not record status codes or response times, so they are stored as 0.
+        const folded = sqlite.transaction(() => {
+            let count = 0;
+            for (const item of legacy) {
+                if (!item || !item.timestamp || !item.path) continue;
+                const path = normalizePath(item.path);
+                const method = item.method || 'GET';
+                upsert.run('minute', bucketStart(item.timestamp, 'minute'), path, method);
+                upsert.run('hour', bucketStart(item.timestamp, 'hour'), path, method);
+                if (item.ip) visit.run(bucketStart(item.timestamp, 'hour'), visitorHash(item.ip));
+                count++;
+            }
+            return count;
+        })();
+
+        kv.delete('analytics');
+        log.info(`folded ${folded} analytics entries into rollups`);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec(`
+            DROP TABLE IF EXISTS analytics_rollups;
+            DROP TABLE IF EXISTS analytics_visitors;
+        `);
+    },
+};
@@ -0,0 +1,54 @@
+/**
+ * Gives API keys scopes, restrictions and a rate limit. Keys created before scopes existed had full
+ * access, so they are given every scope that existed at the time to keep integrations working;
+ * admins can narrow them down afterwards.
+ */
+
+const scopes = [
+    'users:read',
+    'users:write',
+    'instances:read',
+    'instances:deploy',
+    'instances:manage',
+    'instances:power',
+    'images:read',
+    'nodes:read',
+    'nodes:manage',
+    'panel:read',
+    'metrics:read',
+];
+
+module.exports = {
+    description: 'Add scopes, restrictions and rate limits to API keys',
+
+    up({ sqlite, log }) {
+        const rows = sqlite.prepare('SELECT id, data FROM api_keys').all();
+        const update = sqlite.prepare('UPDATE api_keys SET data = ? WHERE id = ?');
+
+        sqlite.transaction(() => {
+            for (const row of rows) {
+                const key = JSON.parse(row.data);
+                if (Array.isArray(key.scopes)) continue;
+                key.name = key.name || '';
+                key.scopes = [...scopes];
+                key.restrictions = { users: [], nodes: [], ips: [] };
+                key.rateLimit = { requests: 120, windowSeconds: 60 };
+                update.run(JSON.stringify(key), row.id);
+            }
+        })();
+
+        if (rows.length) log.info(`granted ${rows.length} existing API key(s) every scope`);
+    },
+
+    down({ sqlite }) {
+        const rows = sqlite.prepare('SELECT id, data FROM api_keys').all();
+        const update = sqlite.prepare('UPDATE api_keys SET data = ? WHERE id = ?');
+
+        sqlite.transaction(() => {
+            for (const row of rows) {
+                const { scopes, restrictions, rateLimit, lastUsedAt, lastUsedIp, ...key } = JSON.parse(row.data);
+                update.run(JSON.stringify(key), row.id);
+            }
+        })();
+    },
+};
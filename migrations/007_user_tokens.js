@@ -0,0 +1,24 @@
+/**
+ * Adds the table for personal API tokens, which users create on their account page to script
+ * their own instances through /api/client. Only a hash of each token is stored.
+ */
+
+module.exports = {
+    description: 'Create the user_tokens table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS user_tokens (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS user_tokens_user_id ON user_tokens (user_id);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS user_tokens;');
+    },
+};
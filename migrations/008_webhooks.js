@@ -0,0 +1,34 @@
+/**
+ * Adds the tables behind outgoing webhooks: the endpoints admins register and the deliveries made
+ * to them. Pending deliveries are kept in the database so retries survive a restart.
+ */
+
+module.exports = {
+    description: 'Create the webhooks and webhook_deliveries tables',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                next_attempt_at TEXT,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id);
+            CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec(`
+            DROP TABLE IF EXISTS webhook_deliveries;
+            DROP TABLE IF EXISTS webhooks;
+        `);
+    },
+};
@@ -0,0 +1,23 @@
+/**
+ * Adds the table behind per-instance chat notifications: the Discord and Slack incoming webhooks
+ * instance owners register on the instance page.
+ */
+
+module.exports = {
+    description: 'Create the notification_channels table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS notification_channels (
+                id TEXT PRIMARY KEY,
+                instance_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS notification_channels_instance_id ON notification_channels (instance_id);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS notification_channels;');
+    },
+};
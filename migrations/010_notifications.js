@@ -0,0 +1,25 @@
+/**
+ * Adds the table behind the in-panel notification center: messages for a user, shown in the bell
+ * menu of the panel header until they are read.
+ */
+
+module.exports = {
+    description: 'Create the notifications table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                read INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS notifications_user ON notifications (user_id, created_at);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS notifications;');
+    },
+};
@@ -0,0 +1,24 @@
+/**
+ * Adds the table behind admin announcements: banners shown to users on the server list and
+ * instance pages between their start and end times.
+ */
+
+module.exports = {
+    description: 'Create the announcements table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS announcements (
+                id TEXT PRIMARY KEY,
+                starts_at TEXT NOT NULL,
+                ends_at TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS announcements_window ON announcements (starts_at, ends_at);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS announcements;');
+    },
+};
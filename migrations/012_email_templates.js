@@ -0,0 +1,24 @@
+/**
+ * Adds the table behind customized email templates. A row overrides the default template files in
+ * views/emails for one template in one language.
+ */
+
+module.exports = {
+    description: 'Create the email_templates table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS email_templates (
+                id TEXT PRIMARY KEY,
+                template TEXT NOT NULL,
+                lang TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS email_templates_template ON email_templates (template);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS email_templates;');
+    },
+};
@@ -0,0 +1,26 @@
+/**
+ * Adds the email outbox. Emails are stored here when they are sent and delivered by a background
+ * worker, so a flaky SMTP server delays them instead of losing them.
+ */
+
+module.exports = {
+    description: 'Create the email_outbox table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS email_outbox (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                next_attempt_at TEXT,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS email_outbox_due ON email_outbox (status, next_attempt_at);
+            CREATE INDEX IF NOT EXISTS email_outbox_created_at ON email_outbox (created_at);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS email_outbox;');
+    },
+};
@@ -0,0 +1,33 @@
+/**
+ * Adds single sign-on. `sso_providers` holds the identity providers admins configure and
+ * `user_identities` links an account at one of them to a panel user.
+ */
+
+module.exports = {
+    description: 'Create the sso_providers and user_identities tables',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS sso_providers (
+                id TEXT PRIMARY KEY,
+                slug TEXT NOT NULL UNIQUE,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS user_identities (
+                id TEXT PRIMARY KEY,
+                provider_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS user_identities_provider_id ON user_identities (provider_id);
+            CREATE INDEX IF NOT EXISTS user_identities_user_id ON user_identities (user_id);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec(`
+            DROP TABLE IF EXISTS user_identities;
+            DROP TABLE IF EXISTS sso_providers;
+        `);
+    },
+};
@@ -0,0 +1,23 @@
+/**
+ * Adds WebAuthn. `webauthn_credentials` holds the security keys and passkeys users register, keyed
+ * by the credential id their authenticator gave them.
+ */
+
+module.exports = {
+    description: 'Create the webauthn_credentials table',
+
+    up({ sqlite }) {
+        sqlite.exec(`
+            CREATE TABLE IF NOT EXISTS webauthn_credentials (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS webauthn_credentials_user_id ON webauthn_credentials (user_id);
+        `);
+    },
+
+    down({ sqlite }) {
+        sqlite.exec('DROP TABLE IF EXISTS webauthn_credentials;');
+    },
+};
@@ -0,0 +1,28 @@
+/**
+ * Indexes the email verification and password reset tokens of users, so the links in those emails
+ * find their user without reading the whole users table.
+ */
+
+const columns = {
+    verification_token: 'verificationToken',
+    reset_token: 'resetToken',
+};
+
+module.exports = {
+    description: 'Add verification and reset token columns to users',
+
+    up({ sqlite }) {
+        for (const [column, field] of Object.entries(columns)) {
+            sqlite.exec(`ALTER TABLE users ADD COLUMN ${column} TEXT`);
+            sqlite.exec(`CREATE INDEX IF NOT EXISTS users_${column} ON users (${column})`);
+            sqlite.exec(`UPDATE users SET ${column} = json_extract(data, '$.${field}')`);
+        }
+    },
+
+    down({ sqlite }) {
+        for (const column of Object.keys(columns)) {
+            sqlite.exec(`DROP INDEX IF EXISTS users_${column}`);
+            sqlite.exec(`ALTER TABLE users DROP COLUMN ${column}`);
+        }
+    },
+};
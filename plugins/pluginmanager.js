@@ -3,6 +3,7 @@ const path = require('path');
 const express = require('express');
 const router = express.Router();
 const { db, userdb } = require('../handlers/db.js');
+const { isAdmin } = require('../utils/isAdmin.js');
 const CatLoggr = require('cat-loggr');
 const log = new CatLoggr();
 
@@ -10,6 +11,8 @@ let pluginList = [];
 let pluginNames = [];
 let pluginsidebar = {};
 let sidebar = {};
+// What the last (re)load did, for the /readyz check.
+let loadState = { loaded: false, failed: [], loadedAt: null };
 
 const pluginsDir = path.join(__dirname, '../plugins');
 const pluginsJsonPath = path.join(pluginsDir, 'plugins.json');
@@ -38,6 +41,7 @@ async function loadAndActivatePlugins() {
     pluginNames = [];
     pluginsidebar = {};
     sidebar = {};
+    const failed = [];
 
     Object.keys(require.cache).forEach(key => {
         if (key.startsWith(pluginsDir)) {
@@ -103,16 +107,12 @@ async function loadAndActivatePlugins() {
                 }
             } catch (error) {
                 log.error(`Error loading plugin ${pluginName}:`, error);
+                failed.push(pluginName);
             }
         }
     }
-}
 
-function isAdmin(req, res, next) {
-    if (!req.user || req.user.admin !== true) {
-        return res.redirect('../');
-    }
-    next();
+    loadState = { loaded: true, failed, loadedAt: new Date().toISOString() };
 }
 
 router.get('/admin/plugins', isAdmin, async (req, res) => {
@@ -180,4 +180,12 @@ router.post('/admin/plugins/reload', isAdmin, async (req, res) => {
 
 loadAndActivatePlugins();
 
+/**
+ * Whether the plugins have been loaded, which were enabled and which failed to load.
+ */
+function getPluginStatus() {
+    return { ...loadState, enabled: [...pluginNames] };
+}
+
 module.exports = router;
+module.exports.getPluginStatus = getPluginStatus;
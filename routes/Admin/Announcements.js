@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Admin pages for announcements: writing them, scheduling them, choosing who sees
+ * them and ending them early. Banners, notifications and emails are handled by
+ * handlers/announcements.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db, store } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const {
+  SEVERITIES,
+  AUDIENCES,
+  parseAnnouncement,
+  createAnnouncement,
+} = require("../../handlers/announcements.js");
+const { renderMarkdown } = require("../../utils/markdown.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+async function renderPage(req, res, view, data) {
+  res.render(view, {
+    req,
+    user: req.user,
+    severities: SEVERITIES,
+    audiences: AUDIENCES,
+    nodes: store.nodes.list(),
+    renderMarkdown,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    ...data,
+  });
+}
+
+function audit(req, action, id, change = {}) {
+  logAudit(req.user.userId, req.user.username, action, req.ip, {
+    resource: { type: "announcement", id },
+    ...change,
+    requestId: req.id,
+  });
+}
+
+/**
+ * Loads `:id` into `req.announcement`, or sends the admin back to the list.
+ */
+function loadAnnouncement(req, res, next) {
+  req.announcement = store.announcements.get(req.params.id);
+  if (!req.announcement) {
+    return res.redirect("/admin/announcements");
+  }
+  next();
+}
+
+router.get("/admin/announcements", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/announcements", {
+      announcements: store.announcements.newest(),
+      announcement: null,
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error retrieving announcements:", error);
+    res.status(500).json({ error: "Failed to retrieve announcements" });
+  }
+});
+
+router.post("/admin/announcements", isAdmin, async (req, res) => {
+  const { settings, error } = parseAnnouncement(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/announcements", {
+      announcements: store.announcements.newest(),
+      announcement: req.body,
+      error,
+    });
+  }
+
+  const announcement = createAnnouncement(settings, req.user);
+  audit(req, "announcement:create", announcement.id, { after: announcement });
+  res.redirect(`/admin/announcements/${announcement.id}?err=CREATED`);
+});
+
+/**
+ * GET /admin/announcements/:id
+ * Edit form and preview of an announcement, and how it was delivered.
+ */
+router.get("/admin/announcements/:id", isAdmin, loadAnnouncement, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/announcement", {
+      announcement: req.announcement,
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error rendering announcement:", error);
+    res.status(500).json({ error: "Failed to retrieve announcement" });
+  }
+});
+
+router.post("/admin/announcements/:id", isAdmin, loadAnnouncement, async (req, res) => {
+  const { settings, error } = parseAnnouncement(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/announcement", {
+      announcement: { ...req.announcement, ...req.body, startsAt: req.announcement.startsAt, endsAt: req.announcement.endsAt },
+      error,
+    });
+  }
+
+  const updated = store.announcements.update(req.announcement.id, (announcement) => {
+    Object.assign(announcement, settings);
+  });
+  audit(req, "announcement:edit", req.announcement.id, { before: req.announcement, after: updated });
+  res.redirect(`/admin/announcements/${req.announcement.id}?err=UPDATED`);
+});
+
+/**
+ * POST /admin/announcements/:id/end
+ * Takes the banner down now instead of at its end time.
+ */
+router.post("/admin/announcements/:id/end", isAdmin, loadAnnouncement, async (req, res) => {
+  const now = new Date().toISOString();
+  const updated = store.announcements.update(req.announcement.id, (announcement) => {
+    announcement.endsAt = now;
+    if (announcement.startsAt > now) announcement.startsAt = now;
+  });
+  audit(req, "announcement:end", req.announcement.id, { before: req.announcement, after: updated });
+  res.redirect(`/admin/announcements/${req.announcement.id}?err=ENDED`);
+});
+
+router.post("/admin/announcements/:id/delete", isAdmin, loadAnnouncement, async (req, res) => {
+  store.announcements.remove(req.announcement.id);
+  audit(req, "announcement:delete", req.announcement.id, { before: req.announcement });
+  res.redirect("/admin/announcements?err=DELETED");
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require("express");
+const router = express.Router();
+const { v4: uuidv4 } = require("uuid");
+const { db, store } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const { SCOPES, parseKeySettings } = require("../../handlers/apiKeys.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+async function renderPage(req, res, view, data) {
+  res.render(view, {
+    req,
+    user: req.user,
+    scopes: SCOPES,
+    users: store.users.list(),
+    nodes: store.nodes.list(),
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    ...data,
+  });
+}
+
+router.get("/admin/apikeys", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/apikeys", { apiKeys: store.apiKeys.list() });
+  } catch (error) {
+    log.error("Error retrieving API keys:", error);
+    res.status(500).json({ error: "Failed to retrieve API keys" });
+  }
+});
+
+/**
+ * POST /apikeys/create
+ * Creates a key from the JSON settings sent by the admin page (see parseKeySettings) and returns it,
+ * including the secret.
+ */
+router.post("/apikeys/create", isAdmin, async (req, res) => {
+  try {
+    const { settings, error } = parseKeySettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const newApiKey = {
+      id: uuidv4(),
+      key: "hpk_" + uuidv4(),
+      createdAt: new Date().toISOString(),
+      ...settings,
+      lastUsedAt: null,
+      lastUsedIp: null,
+    };
+
+    store.apiKeys.save(newApiKey);
+
+    logAudit(req.user.userId, req.user.username, "apikey:create", req.ip, {
+      resource: { type: "apikey", id: newApiKey.id },
+      after: newApiKey,
+      requestId: req.id,
+    });
+
+    res.status(201).json(newApiKey);
+  } catch (error) {
+    log.error("Error creating API key:", error);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+router.get("/admin/apikeys/edit/:id", isAdmin, async (req, res) => {
+  const apiKey = store.apiKeys.get(req.params.id);
+  if (!apiKey) {
+    return res.redirect("/admin/apikeys");
+  }
+
+  try {
+    await renderPage(req, res, "admin/edit-apikey", { apiKey, error: null });
+  } catch (error) {
+    log.error("Error rendering API key:", error);
+    res.status(500).json({ error: "Failed to retrieve API key" });
+  }
+});
+
+/**
+ * POST /admin/apikeys/edit/:id
+ * Replaces the name, scopes, restrictions and rate limit of a key. The secret stays the same, so
+ * integrations using the key keep working with the new permissions.
+ */
+router.post("/admin/apikeys/edit/:id", isAdmin, async (req, res) => {
+  const previous = store.apiKeys.get(req.params.id);
+  if (!previous) {
+    return res.redirect("/admin/apikeys");
+  }
+
+  const { settings, error } = parseKeySettings(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/edit-apikey", { apiKey: previous, error });
+  }
+
+  const updated = store.apiKeys.update(previous.id, (apiKey) => {
+    Object.assign(apiKey, settings);
+  });
+
+  logAudit(req.user.userId, req.user.username, "apikey:edit", req.ip, {
+    resource: { type: "apikey", id: previous.id },
+    before: previous,
+    after: updated,
+    requestId: req.id,
+  });
+
+  res.redirect("/admin/apikeys?err=UPDATED");
+});
+
+router.delete("/apikeys/delete", isAdmin, async (req, res) => {
+  try {
+    const { keyId } = req.body;
+    const apiKey = store.apiKeys.get(keyId);
+    store.apiKeys.remove(keyId);
+
+    if (apiKey) {
+      logAudit(req.user.userId, req.user.username, "apikey:delete", req.ip, {
+        resource: { type: "apikey", id: keyId },
+        before: apiKey,
+        requestId: req.id,
+      });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    log.error("Error deleting API key:", error);
+    res.status(500).json({ error: "Failed to delete API key" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require("express");
+const router = express.Router();
+const { db, store } = require("../../handlers/db.js");
+const { verifyAuditChain } = require("../../handlers/auditlog.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+const PAGE_SIZE = 25;
+
+const csvColumns = [
+  "id",
+  "timestamp",
+  "userId",
+  "username",
+  "action",
+  "ip",
+  "resourceType",
+  "resourceId",
+  "requestId",
+  "changes",
+  "prevHash",
+  "hash",
+];
+
+/**
+ * Reads the audit filters from the query string. Dates are `YYYY-MM-DD` as sent by date inputs.
+ */
+function readFilters(query) {
+  const date = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : "");
+  return {
+    actor: query.actor || "",
+    action: query.action || "",
+    resourceType: query.resourceType || "",
+    resourceId: (query.resourceId || "").trim(),
+    from: date(query.from),
+    to: date(query.to),
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Leading formula characters are neutralised so the export is safe to open in a spreadsheet.
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * GET /admin/auditlogs
+ * Lists audit entries newest first, filtered and paginated on the server, and reports whether the
+ * hash chain is intact.
+ */
+router.get("/admin/auditlogs", isAdmin, async (req, res) => {
+  try {
+    const filters = readFilters(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const { entries, total } = store.audits.query(filters, {
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE,
+    });
+
+    res.render("admin/auditlogs", {
+      req,
+      user: req.user,
+      name: (await db.get("name")) || "TeryxPanel",
+      logo: (await db.get("logo")) || false,
+      audits: entries,
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+      pageSize: PAGE_SIZE,
+      filters,
+      facets: store.audits.facets(),
+      chain: verifyAuditChain(),
+    });
+  } catch (err) {
+    log.error("Error fetching audits:", err);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+/**
+ * GET /admin/auditlogs/export
+ * Downloads every entry matching the current filters as CSV (`format=csv`) or JSON.
+ */
+router.get("/admin/auditlogs/export", isAdmin, async (req, res) => {
+  try {
+    const format = req.query.format === "csv" ? "csv" : "json";
+    const { entries } = store.audits.query(readFilters(req.query));
+    const filename = `audit_logs_${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "json") {
+      return res.type("application/json").send(JSON.stringify(entries, null, 2));
+    }
+
+    const lines = [csvColumns.join(",")];
+    for (const entry of entries) {
+      lines.push(csvColumns.map((column) => csvValue(entry[column])).join(","));
+    }
+    res.type("text/csv").send(lines.join("\n") + "\n");
+  } catch (err) {
+    log.error("Error exporting audits:", err);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+module.exports = router;
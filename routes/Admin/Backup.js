@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const { db } = require("../../handlers/db.js");
+const { createBackup, restoreBackup, collectionCounts, BackupError } = require("../../handlers/backup.js");
+const migrator = require("../../handlers/migrator.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+// Backups are verified in memory before anything is written, so keep the upload off disk.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 },
+});
+
+async function renderBackupPage(req, res, locals = {}) {
+  res.render("admin/settings/backup", {
+    req,
+    user: req.user,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    settings: (await db.get("settings")) || {},
+    schemaVersion: migrator.status().version,
+    counts: collectionCounts(),
+    report: null,
+    error: null,
+    ...locals,
+  });
+}
+
+/**
+ * GET /admin/settings/backup
+ * Shows what a backup contains and the forms to download or restore one.
+ */
+router.get("/admin/settings/backup", isAdmin, async (req, res) => {
+  try {
+    await renderBackupPage(req, res);
+  } catch (error) {
+    log.error("Error rendering backup page:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+/**
+ * GET /admin/settings/backup/download
+ * Streams a fresh backup archive to the admin.
+ */
+router.get("/admin/settings/backup/download", isAdmin, async (req, res) => {
+  try {
+    const { buffer, manifest } = await createBackup();
+    const filename = `teryxpanel-backup-${manifest.createdAt.replace(/[:.]/g, "-")}.zip`;
+
+    logAudit(req.user.userId, req.user.username, "backup:download", req.ip, {
+      resource: { type: "backup", id: manifest.createdAt },
+      requestId: req.id,
+    });
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(buffer);
+  } catch (error) {
+    log.error("Error creating backup:", error);
+    res.redirect("/admin/settings/backup?err=BackupFailed");
+  }
+});
+
+/**
+ * POST /admin/settings/backup/restore
+ * Verifies an uploaded backup and either reports what it would change (dry run) or restores it.
+ */
+router.post(
+  "/admin/settings/backup/restore",
+  isAdmin,
+  upload.single("backup"),
+  async (req, res) => {
+    if (!req.file) {
+      return renderBackupPage(req, res, { error: "Choose a backup archive to upload." });
+    }
+
+    const dryRun = req.body.dryRun === "on" || req.body.dryRun === "true";
+
+    try {
+      const report = await restoreBackup(req.file.buffer, { dryRun });
+      if (dryRun) {
+        return renderBackupPage(req, res, { report });
+      }
+
+      // The restore replaced the audit log, so record it afterwards.
+      logAudit(req.user.userId, req.user.username, "backup:restore", req.ip, {
+        resource: { type: "backup", id: report.manifest.createdAt },
+        requestId: req.id,
+      });
+      res.redirect("/admin/settings/backup?msg=BackupRestored");
+    } catch (error) {
+      if (error instanceof BackupError) {
+        return renderBackupPage(req, res, { error: error.message });
+      }
+      log.error("Error restoring backup:", error);
+      res.redirect("/admin/settings/backup?err=RestoreFailed");
+    }
+  },
+);
+
+module.exports = router;
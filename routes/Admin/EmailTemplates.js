@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Editor for the email templates, linked from /admin/settings/smtp. Admins change a
+ * template's subject, HTML and text per language and see a preview rendered with sample values
+ * while they type. Rendering and storage are handled by handlers/emailTemplates.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const {
+  TEMPLATES,
+  PARTS,
+  languages,
+  getSource,
+  renderPreview,
+  saveOverride,
+  removeOverride,
+} = require("../../handlers/emailTemplates.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+/**
+ * Checks `:template` and the language, from the query or the form, and stores them on the request.
+ */
+function loadTemplate(req, res, next) {
+  const lang = (req.body && req.body.lang) || req.query.lang || "en";
+  if (!TEMPLATES[req.params.template] || !languages().includes(lang)) {
+    return res.redirect("/admin/settings/smtp");
+  }
+  req.template = req.params.template;
+  req.templateLang = lang;
+  next();
+}
+
+function sourceFrom(body) {
+  const source = {};
+  for (const part of PARTS) {
+    source[part] = String(body[part] || "").replace(/\r\n/g, "\n");
+  }
+  return source;
+}
+
+async function renderEditor(req, res, source, error = null) {
+  let preview = null;
+  let previewError = error;
+  try {
+    preview = await renderPreview(req.template, req.templateLang, source);
+  } catch (err) {
+    previewError = previewError || err.message;
+  }
+
+  res.render("admin/settings/email_template", {
+    req,
+    user: req.user,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    settings: await db.get("settings"),
+    templateKey: req.template,
+    template: TEMPLATES[req.template],
+    lang: req.templateLang,
+    languages: languages(),
+    source,
+    preview,
+    error,
+    previewError,
+  });
+}
+
+router.get("/admin/settings/smtp/templates/:template", isAdmin, loadTemplate, async (req, res) => {
+  try {
+    await renderEditor(req, res, getSource(req.template, req.templateLang));
+  } catch (error) {
+    log.error("Error rendering email template editor:", error);
+    res.status(500).send("Failed to load the email template. Please try again later.");
+  }
+});
+
+/**
+ * POST /admin/settings/smtp/templates/:template/preview
+ * Renders the posted, unsaved source with sample values. Answers with the subject, HTML and text,
+ * or a 400 with the EJS error.
+ */
+router.post("/admin/settings/smtp/templates/:template/preview", isAdmin, loadTemplate, async (req, res) => {
+  try {
+    res.json(await renderPreview(req.template, req.templateLang, sourceFrom(req.body)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post("/admin/settings/smtp/templates/:template", isAdmin, loadTemplate, async (req, res) => {
+  const source = sourceFrom(req.body);
+  if (!source.subject.trim() || !source.html.trim() || !source.text.trim()) {
+    return renderEditor(req, res, { ...source, custom: true }, "The subject, HTML and text are all required.");
+  }
+
+  // Refuse templates that do not render, so a typo cannot stop password resets.
+  try {
+    await renderPreview(req.template, req.templateLang, source);
+  } catch (error) {
+    return renderEditor(req, res, { ...source, custom: true }, `The template does not render: ${error.message}`);
+  }
+
+  const before = getSource(req.template, req.templateLang);
+  saveOverride(req.template, req.templateLang, source, req.user);
+  logAudit(req.user.userId, req.user.username, "email_template:edit", req.ip, {
+    resource: { type: "email_template", id: `${req.template}:${req.templateLang}` },
+    before: before.custom ? before : null,
+    after: source,
+    requestId: req.id,
+  });
+  res.redirect(`/admin/settings/smtp/templates/${req.template}?lang=${req.templateLang}&msg=Saved`);
+});
+
+/**
+ * POST /admin/settings/smtp/templates/:template/reset
+ * Drops the admin's version of the template in this language and goes back to the default.
+ */
+router.post("/admin/settings/smtp/templates/:template/reset", isAdmin, loadTemplate, async (req, res) => {
+  const before = getSource(req.template, req.templateLang);
+  if (removeOverride(req.template, req.templateLang)) {
+    logAudit(req.user.userId, req.user.username, "email_template:reset", req.ip, {
+      resource: { type: "email_template", id: `${req.template}:${req.templateLang}` },
+      before,
+      requestId: req.id,
+    });
+  }
+  res.redirect(`/admin/settings/smtp/templates/${req.template}?lang=${req.templateLang}&msg=Reset`);
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview The email log: what the outbox sent, what it is still retrying and the dead
+ * letters it gave up on. Admins can send dead letters again and purge the log. The outbox itself
+ * is handlers/emailOutbox.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const emailOutbox = require("../../handlers/emailOutbox.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+const PAGE_SIZE = 50;
+
+function audit(req, action, id, change = {}) {
+  logAudit(req.user.userId, req.user.username, action, req.ip, {
+    resource: { type: "email", id },
+    ...change,
+    requestId: req.id,
+  });
+}
+
+router.get("/admin/emails", isAdmin, async (req, res) => {
+  try {
+    const status = emailOutbox.STATUSES[req.query.status] ? req.query.status : null;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    // One extra row tells whether there is a next page.
+    const emails = emailOutbox.listEmails({ status, limit: PAGE_SIZE + 1, offset: (page - 1) * PAGE_SIZE });
+
+    res.render("admin/emails", {
+      req,
+      user: req.user,
+      name: (await db.get("name")) || "TeryxPanel",
+      logo: (await db.get("logo")) || false,
+      emails: emails.slice(0, PAGE_SIZE),
+      hasNext: emails.length > PAGE_SIZE,
+      page,
+      status,
+      statuses: emailOutbox.STATUSES,
+      counts: emailOutbox.countByStatus(),
+      maxAttempts: emailOutbox.MAX_ATTEMPTS,
+      smtpConfigured: Boolean(await db.get("smtp_settings")),
+    });
+  } catch (error) {
+    log.error("Error retrieving the email log:", error);
+    res.status(500).json({ error: "Failed to retrieve the email log" });
+  }
+});
+
+/**
+ * POST /admin/emails/resend-dead
+ * Queues every dead letter again.
+ */
+router.post("/admin/emails/resend-dead", isAdmin, async (req, res) => {
+  const count = emailOutbox.resendDead(req.user);
+  audit(req, "email:resend_all", null, { after: { count } });
+  res.redirect(`/admin/emails?msg=RESENT&count=${count}`);
+});
+
+/**
+ * POST /admin/emails/purge
+ * Deletes the sent emails or the dead letters, as chosen by `status`.
+ */
+router.post("/admin/emails/purge", isAdmin, async (req, res) => {
+  const count = emailOutbox.purge(req.body.status);
+  audit(req, "email:purge", null, { before: { status: req.body.status, count } });
+  res.redirect(`/admin/emails?msg=PURGED&count=${count}`);
+});
+
+router.post("/admin/emails/:id/resend", isAdmin, async (req, res) => {
+  const email = emailOutbox.resend(req.params.id, req.user);
+  if (!email) {
+    return res.redirect("/admin/emails");
+  }
+  audit(req, "email:resend", email.id, { after: { to: email.to, kind: email.kind } });
+  res.redirect("/admin/emails?msg=RESENT&count=1");
+});
+
+module.exports = router;
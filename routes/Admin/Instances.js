@@ -1,8 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const axios = require("axios");
-const { db } = require("../../handlers/db.js");
+const { db, store } = require("../../handlers/db.js");
 const { logAudit } = require("../../handlers/auditlog.js");
+const { serializeInstance } = require("../../handlers/serializers.js");
+const webhooks = require("../../handlers/webhooks.js");
+const { notifyInstance } = require("../../handlers/chatNotifications.js");
+const { notifyInstanceSuspended } = require("../../handlers/notifications.js");
+const { emailInstanceEvent } = require("../../handlers/instanceEmails.js");
 const { isAdmin } = require("../../utils/isAdmin.js");
 const fs = require("fs").promises;
 const path = require("path");
@@ -80,8 +85,7 @@ async function checkNodeStatus(node) {
 
     const { versionFamily, versionRelease, online, remote, docker } = response.data;
 
-    const updatedNode = {
-      ...node,
+    const status = {
       status: online ? "Online" : "Offline",
       versionFamily,
       versionRelease,
@@ -91,24 +95,36 @@ async function checkNodeStatus(node) {
       error: null
     };
 
-    await db.set(`${node.id}_node`, updatedNode);
+    // Merge into the stored node so edits made while the node was being polled are kept
+    let previousStatus;
+    const storedNode = await db.update(`${node.id}_node`, (current) => {
+      previousStatus = current.status;
+      return { ...current, ...status };
+    });
+    if (storedNode) webhooks.emitNodeStatus(previousStatus, storedNode);
+    const updatedNode = storedNode || { ...node, ...status };
     nodeStatusCache.set(node.id, updatedNode);
     return updatedNode;
   } catch (error) {
     log.error(`Error checking status for node ${node.id}:`, error.message);
 
-    const offlineNode = {
-      ...node,
+    const status = (current) => ({
       status: "Offline",
       lastChecked: new Date().toISOString(),
       error: error.message,
-      versionFamily: node.versionFamily || "unknown",
-      versionRelease: node.versionRelease || "unknown",
-      remote: node.remote || false,
-      docker: node.docker || false
-    };
+      versionFamily: current.versionFamily || "unknown",
+      versionRelease: current.versionRelease || "unknown",
+      remote: current.remote || false,
+      docker: current.docker || false
+    });
 
-    await db.set(`${node.id}_node`, offlineNode);
+    let previousStatus;
+    const storedNode = await db.update(`${node.id}_node`, (current) => {
+      previousStatus = current.status;
+      return { ...current, ...status(current) };
+    });
+    if (storedNode) webhooks.emitNodeStatus(previousStatus, storedNode);
+    const offlineNode = storedNode || { ...node, ...status(node) };
     nodeStatusCache.set(node.id, offlineNode);
     return offlineNode;
   }
@@ -139,22 +155,8 @@ async function deleteInstance(instance) {
       }
     }
 
-    // Use transaction-like pattern for data consistency
-    const [userInstances, globalInstances] = await Promise.all([
-      db.get(`${instance.User}_instances`).catch(() => []),
-      db.get("instances").catch(() => [])
-    ]);
-
-    const updatedUserInstances = (userInstances || []).filter(
-      (obj) => obj.Id !== instance.Id
-    );
-    const updatedGlobalInstances = (globalInstances || []).filter(
-      (obj) => obj.Id !== instance.Id
-    );
-
+    // Removing the instance record also drops it from the user and global instance lists
     await Promise.all([
-      db.set(`${instance.User}_instances`, updatedUserInstances),
-      db.set("instances", updatedGlobalInstances),
       db.delete(`${instance.Id}_instance`).catch(() => {}),
       db.delete(`${instance.Id}_workflow`).catch(() => {}),
       deleteWorkflowFromFile(instance.Id)
@@ -214,14 +216,20 @@ function handleErrors(res, req, error, message = "An error occurred") {
   });
 }
 
+/**
+ * Users the instance forms let an admin pick as owner; only what the picker shows
+ */
+function userChoices() {
+  return store.users.list().map(({ userId, username }) => ({ userId, username }));
+}
+
 // Admin instances routes
 router.get("/admin/instances", isAdmin, async (req, res) => {
   try {
-    const [instances, images, rawNodes, users] = await Promise.all([
+    const [instances, images, rawNodes] = await Promise.all([
       db.get("instances").catch(() => []),
       db.get("images").catch(() => []),
       db.get("nodes").catch(() => []),
-      db.get("users").catch(() => []),
     ]);
 
     // Process nodes in parallel with error handling
@@ -271,7 +279,7 @@ router.get("/admin/instances", isAdmin, async (req, res) => {
       instances: processedInstances,
       images: images || [],
       nodes: validNodes,
-      users: users || [],
+      users: userChoices(),
     });
   } catch (error) {
     handleErrors(res, req, error, "Failed to load instances");
@@ -286,9 +294,8 @@ router.get("/admin/instances/:id/edit", isAdmin, async (req, res) => {
       return res.redirect("/admin/instances");
     }
 
-    const [instance, users, images] = await Promise.all([
+    const [instance, images] = await Promise.all([
       db.get(`${id}_instance`).catch(() => null),
-      db.get("users").catch(() => []),
       db.get("images").catch(() => []),
     ]);
 
@@ -302,7 +309,7 @@ router.get("/admin/instances/:id/edit", isAdmin, async (req, res) => {
       user: req.user,
       instance,
       images: images || [],
-      users: users || [],
+      users: userChoices(),
     });
   } catch (error) {
     handleErrors(res, req, error, "Failed to load instance edit page");
@@ -324,7 +331,11 @@ router.get("/admin/instance/delete/:id", isAdmin, async (req, res) => {
     }
 
     await deleteInstance(instance);
-    logAudit(req.user.userId, req.user.username, "instance:delete", req.ip);
+    logAudit(req.user.userId, req.user.username, "instance:delete", req.ip, {
+      resource: { type: "instance", id },
+      before: instance,
+      requestId: req.id,
+    });
     req.session.success = "Instance deleted successfully";
     res.redirect("/admin/instances");
   } catch (error) {
@@ -353,7 +364,12 @@ router.get("/admin/instances/purge/all", isAdmin, async (req, res) => {
     }
 
     await db.delete("instances");
-    logAudit(req.user.userId, req.user.username, "instances:purge_all", req.ip);
+    logAudit(req.user.userId, req.user.username, "instances:purge_all", req.ip, {
+      resource: { type: "instance", id: "*" },
+      before: { instances: instances.map((instance) => instance.Id) },
+      after: { instances: [] },
+      requestId: req.id,
+    });
     req.session.success = "All instances purged successfully";
     res.redirect("/admin/instances");
   } catch (error) {
@@ -371,27 +387,28 @@ router.post("/admin/instances/suspend/:id", isAdmin, async (req, res) => {
       return res.redirect("/admin/instances");
     }
 
-    const instance = await db.get(`${id}_instance`).catch(() => null);
+    let wasSuspended;
+    const instance = await db.update(`${id}_instance`, (current) => {
+      wasSuspended = current.suspended === true;
+      current.suspended = true;
+    });
     if (!instance) {
       req.session.error = "Instance not found";
       return res.redirect("/admin/instances");
     }
 
-    const updatedInstance = { ...instance, suspended: true };
-    await db.set(`${id}_instance`, updatedInstance);
-
-    // Update both the instance record and the global instances list
-    const [instances] = await Promise.all([
-      db.get("instances").catch(() => []),
-      db.set(`${id}_instance`, updatedInstance)
-    ]);
-
-    const updatedInstances = (instances || []).map((obj) =>
-      obj.Id === instance.Id ? { ...obj, suspended: true } : obj
-    );
-
-    await db.set("instances", updatedInstances);
-    logAudit(req.user.userId, req.user.username, "instance:suspend", req.ip);
+    logAudit(req.user.userId, req.user.username, "instance:suspend", req.ip, {
+      resource: { type: "instance", id },
+      before: { suspended: wasSuspended },
+      after: { suspended: true },
+      requestId: req.id,
+    });
+    if (!wasSuspended) {
+      webhooks.emit("instance.suspended", { instance: serializeInstance(instance) });
+      notifyInstance(instance, "suspended");
+      notifyInstanceSuspended(instance);
+      emailInstanceEvent(instance, "instance_suspended");
+    }
     req.session.success = "Instance suspended successfully";
     res.redirect("/admin/instances");
   } catch (error) {
@@ -409,34 +426,27 @@ router.post("/admin/instances/unsuspend/:id", isAdmin, async (req, res) => {
       return res.redirect("/admin/instances");
     }
 
-    const instance = await db.get(`${id}_instance`).catch(() => null);
+    let wasSuspended;
+    const instance = await db.update(`${id}_instance`, (current) => {
+      wasSuspended = current.suspended === true;
+      current.suspended = false;
+      delete current["suspended-flagg"];
+    });
     if (!instance) {
       req.session.error = "Instance not found";
       return res.redirect("/admin/instances");
     }
 
-    const updatedInstance = { ...instance, suspended: false };
-    if (updatedInstance["suspended-flagg"]) {
-      delete updatedInstance["suspended-flagg"];
-    }
-
-    // Update both the instance record and the global instances list
-    const [instances] = await Promise.all([
-      db.get("instances").catch(() => []),
-      db.set(`${id}_instance`, updatedInstance)
-    ]);
-
-    const updatedInstances = (instances || []).map((obj) => {
-      if (obj.Id === instance.Id) {
-        const newObj = { ...obj, suspended: false };
-        if (newObj["suspended-flagg"]) delete newObj["suspended-flagg"];
-        return newObj;
-      }
-      return obj;
+    logAudit(req.user.userId, req.user.username, "instance:unsuspend", req.ip, {
+      resource: { type: "instance", id },
+      before: { suspended: wasSuspended },
+      after: { suspended: false },
+      requestId: req.id,
     });
-
-    await db.set("instances", updatedInstances);
-    logAudit(req.user.userId, req.user.username, "instance:unsuspend", req.ip);
+    if (wasSuspended) {
+      webhooks.emit("instance.unsuspended", { instance: serializeInstance(instance) });
+      emailInstanceEvent(instance, "instance_unsuspended");
+    }
     req.session.success = "Instance unsuspended successfully";
     res.redirect("/admin/instances");
   } catch (error) {
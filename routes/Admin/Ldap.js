@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Admin settings for LDAP and Active Directory logins: the connection, how users and
+ * their groups are found, which groups make admins and how often users are synced. Admins can try
+ * the settings before saving them and start a sync by hand. The logins and the sync themselves are
+ * in handlers/ldap.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const ldap = require("../../handlers/ldap.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+async function renderPage(req, res, data) {
+  res.render("admin/settings/ldap", {
+    req,
+    user: req.user,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    settings: await db.get("settings"),
+    lastSync: await ldap.lastSync(),
+    error: null,
+    testResult: null,
+    ...data,
+  });
+}
+
+/**
+ * What the form showed, to show it again after an error or a test. Unchecked boxes are not posted.
+ */
+function formValues(saved, body) {
+  return {
+    ...ldap.redact(saved),
+    ...body,
+    bindPassword: undefined,
+    enabled: Boolean(body.enabled),
+    startTls: Boolean(body.startTls),
+    verifyCertificate: Boolean(body.verifyCertificate),
+    createUsers: Boolean(body.createUsers),
+  };
+}
+
+router.get("/admin/settings/ldap", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, { ldapSettings: ldap.redact(await ldap.getSettings()) });
+  } catch (error) {
+    log.error("Error fetching LDAP settings:", error);
+    res.status(500).send("Failed to fetch settings. Please try again later.");
+  }
+});
+
+router.post("/admin/settings/ldap", isAdmin, async (req, res) => {
+  const before = await ldap.getSettings();
+  const { settings, error } = ldap.parseLdapSettings(req.body, before);
+  if (error) {
+    return renderPage(req, res, { ldapSettings: formValues(before, req.body), error });
+  }
+
+  await ldap.saveSettings(settings);
+  logAudit(req.user.userId, req.user.username, "ldap_settings:edit", req.ip, {
+    resource: { type: "setting", id: "ldap_settings" },
+    before,
+    after: settings,
+    requestId: req.id,
+  });
+  res.redirect("/admin/settings/ldap?msg=Saved");
+});
+
+/**
+ * POST /admin/settings/ldap/test
+ * Tries the settings in the form without saving them, and looks up the test username if one is
+ * given.
+ */
+router.post("/admin/settings/ldap/test", isAdmin, async (req, res) => {
+  const before = await ldap.getSettings();
+  const { settings, error } = ldap.parseLdapSettings(req.body, before);
+  const ldapSettings = formValues(before, req.body);
+  if (error) {
+    return renderPage(req, res, { ldapSettings, error });
+  }
+
+  const testResult = await ldap.testConnection(settings, String(req.body.testUsername || "").trim());
+  await renderPage(req, res, { ldapSettings, testResult });
+});
+
+/**
+ * POST /admin/settings/ldap/sync
+ * Syncs the directory users now instead of waiting for the interval.
+ */
+router.post("/admin/settings/ldap/sync", isAdmin, async (req, res) => {
+  const result = await ldap.sync();
+  res.redirect(`/admin/settings/ldap?msg=${result.error ? "SyncFailed" : "Synced"}#sync`);
+});
+
+module.exports = router;
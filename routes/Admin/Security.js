@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Admin settings for panel-wide security policies: passkey logins, whether admin
+ * accounts must verify with a security key, the password policy, the lockout after wrong passwords
+ * and who must use two-factor authentication. The policies are kept by handlers/security.js and
+ * enforced at login, where passwords are set, by utils/isAdmin.js and by utils/securityPolicy.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db, store } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const security = require("../../handlers/security.js");
+const { hasCredentials } = require("../../handlers/webauthn.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+/**
+ * Admins who have not registered a security key yet. They are asked to add one on their next visit
+ * to the admin area while the hardware key policy is on.
+ */
+function adminsWithoutKey() {
+  return store.users
+    .list()
+    .filter((user) => user.admin === true && !hasCredentials(user.userId))
+    .map((user) => user.username);
+}
+
+async function renderPage(req, res, data) {
+  res.render("admin/settings/security", {
+    req,
+    user: req.user,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    settings: await db.get("settings"),
+    adminsWithoutKey: adminsWithoutKey(),
+    error: null,
+    ...data,
+  });
+}
+
+/**
+ * What the form showed, to show it again after an error. Unchecked boxes are not posted.
+ */
+function formValues(body) {
+  return {
+    ...body,
+    passkeyLogin: Boolean(body.passkeyLogin),
+    adminHardwareKey: Boolean(body.adminHardwareKey),
+    passwordMixedCase: Boolean(body.passwordMixedCase),
+    passwordNumber: Boolean(body.passwordNumber),
+    passwordSymbol: Boolean(body.passwordSymbol),
+    passwordBlockBreached: Boolean(body.passwordBlockBreached),
+  };
+}
+
+router.get("/admin/settings/security", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, { securitySettings: await security.getSettings() });
+  } catch (error) {
+    log.error("Error fetching security settings:", error);
+    res.status(500).send("Failed to fetch settings. Please try again later.");
+  }
+});
+
+router.post("/admin/settings/security", isAdmin, async (req, res) => {
+  const before = await security.getSettings();
+  const { settings, error } = security.parseSecuritySettings(req.body, before);
+  if (error) {
+    return renderPage(req, res, { securitySettings: formValues(req.body), error });
+  }
+
+  await security.saveSettings(settings);
+  logAudit(req.user.userId, req.user.username, "security_settings:edit", req.ip, {
+    resource: { type: "setting", id: "security_settings" },
+    before,
+    after: settings,
+    requestId: req.id,
+  });
+  res.redirect("/admin/settings/security?msg=Saved");
+});
+
+module.exports = router;
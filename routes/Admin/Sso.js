@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Admin settings for single sign-on: adding, editing and removing the OpenID Connect
+ * and OAuth2 providers users can sign in with. The logins themselves are handled by routes/sso.js
+ * and handlers/sso.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db, store } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const {
+  TYPES,
+  parseProviderSettings,
+  createProvider,
+  updateProvider,
+  redact,
+  redirectUri,
+} = require("../../handlers/sso.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+async function renderPage(req, res, view, data) {
+  res.render(view, {
+    req,
+    user: req.user,
+    types: TYPES,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    settings: await db.get("settings"),
+    ...data,
+  });
+}
+
+function audit(req, action, id, change = {}) {
+  logAudit(req.user.userId, req.user.username, action, req.ip, {
+    resource: { type: "sso_provider", id },
+    ...change,
+    requestId: req.id,
+  });
+}
+
+function listProviders() {
+  return store.ssoProviders.list().map((provider) => ({
+    ...redact(provider),
+    redirectUri: redirectUri(provider),
+    identities: store.userIdentities.findAll("provider_id", provider.id).length,
+  }));
+}
+
+/**
+ * Loads `:id` into `req.provider`, or sends the admin back to the list.
+ */
+function loadProvider(req, res, next) {
+  req.provider = store.ssoProviders.get(req.params.id);
+  if (!req.provider) {
+    return res.redirect("/admin/settings/sso");
+  }
+  next();
+}
+
+router.get("/admin/settings/sso", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/settings/sso", {
+      providers: listProviders(),
+      provider: null,
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error retrieving SSO providers:", error);
+    res.status(500).send("Failed to fetch settings. Please try again later.");
+  }
+});
+
+router.post("/admin/settings/sso", isAdmin, async (req, res) => {
+  const { settings, error } = parseProviderSettings(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/settings/sso", {
+      providers: listProviders(),
+      provider: { ...req.body, enabled: Boolean(req.body.enabled), trustEmail: Boolean(req.body.trustEmail) },
+      error,
+    });
+  }
+
+  const provider = createProvider(settings);
+  audit(req, "sso_provider:create", provider.id, { after: redact(provider) });
+  res.redirect(`/admin/settings/sso/${provider.id}?msg=Created`);
+});
+
+/**
+ * GET /admin/settings/sso/:id
+ * Settings of a provider and the redirect URI to register with it.
+ */
+router.get("/admin/settings/sso/:id", isAdmin, loadProvider, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/settings/sso_provider", {
+      provider: redact(req.provider),
+      redirectUri: redirectUri(req.provider),
+      identities: store.userIdentities.findAll("provider_id", req.provider.id).length,
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error rendering SSO provider:", error);
+    res.status(500).send("Failed to fetch settings. Please try again later.");
+  }
+});
+
+router.post("/admin/settings/sso/:id", isAdmin, loadProvider, async (req, res) => {
+  const { settings, error } = parseProviderSettings(req.body, req.provider);
+  if (error) {
+    return renderPage(req, res, "admin/settings/sso_provider", {
+      provider: {
+        ...redact(req.provider),
+        ...req.body,
+        enabled: Boolean(req.body.enabled),
+        trustEmail: Boolean(req.body.trustEmail),
+      },
+      redirectUri: redirectUri(req.provider),
+      identities: store.userIdentities.findAll("provider_id", req.provider.id).length,
+      error,
+    });
+  }
+
+  const updated = updateProvider(req.provider.id, settings);
+  audit(req, "sso_provider:edit", req.provider.id, { before: redact(req.provider), after: redact(updated) });
+  res.redirect(`/admin/settings/sso/${req.provider.id}?msg=Updated`);
+});
+
+/**
+ * POST /admin/settings/sso/:id/delete
+ * Removes a provider and disconnects every login made with it. Users keep their accounts.
+ */
+router.post("/admin/settings/sso/:id/delete", isAdmin, loadProvider, async (req, res) => {
+  store.ssoProviders.remove(req.provider.id);
+  audit(req, "sso_provider:delete", req.provider.id, { before: redact(req.provider) });
+  res.redirect("/admin/settings/sso?msg=Deleted");
+});
+
+module.exports = router;
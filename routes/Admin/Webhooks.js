@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Admin pages for outgoing webhooks: registering endpoints, choosing their events,
+ * sending test events, rotating secrets and browsing the delivery log. Delivery itself happens in
+ * handlers/webhooks.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { db, store } = require("../../handlers/db.js");
+const { logAudit } = require("../../handlers/auditlog.js");
+const {
+  EVENTS,
+  parseWebhookSettings,
+  createWebhook,
+  rotateSecret,
+  deleteWebhook,
+  sendTest,
+  redeliver,
+  listDeliveries,
+} = require("../../handlers/webhooks.js");
+const { isAdmin } = require("../../utils/isAdmin.js");
+const log = new (require("cat-loggr"))();
+
+async function renderPage(req, res, view, data) {
+  res.render(view, {
+    req,
+    user: req.user,
+    events: EVENTS,
+    name: (await db.get("name")) || "TeryxPanel",
+    logo: (await db.get("logo")) || false,
+    ...data,
+  });
+}
+
+function audit(req, action, id, change = {}) {
+  logAudit(req.user.userId, req.user.username, action, req.ip, {
+    resource: { type: "webhook", id },
+    ...change,
+    requestId: req.id,
+  });
+}
+
+/**
+ * Loads `:id` into `req.webhook`, or sends the admin back to the list.
+ */
+function loadWebhook(req, res, next) {
+  req.webhook = store.webhooks.get(req.params.id);
+  if (!req.webhook) {
+    return res.redirect("/admin/webhooks");
+  }
+  next();
+}
+
+router.get("/admin/webhooks", isAdmin, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/webhooks", {
+      webhooks: store.webhooks.list(),
+      webhook: null,
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error retrieving webhooks:", error);
+    res.status(500).json({ error: "Failed to retrieve webhooks" });
+  }
+});
+
+router.post("/admin/webhooks", isAdmin, async (req, res) => {
+  const { settings, error } = parseWebhookSettings(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/webhooks", {
+      webhooks: store.webhooks.list(),
+      webhook: req.body,
+      error,
+    });
+  }
+
+  const webhook = createWebhook(settings);
+  audit(req, "webhook:create", webhook.id, { after: webhook });
+  res.redirect(`/admin/webhooks/${webhook.id}?err=CREATED`);
+});
+
+/**
+ * GET /admin/webhooks/:id
+ * Settings, secret and the most recent deliveries of a webhook.
+ */
+router.get("/admin/webhooks/:id", isAdmin, loadWebhook, async (req, res) => {
+  try {
+    await renderPage(req, res, "admin/webhook", {
+      webhook: req.webhook,
+      deliveries: listDeliveries(req.webhook.id),
+      error: null,
+    });
+  } catch (error) {
+    log.error("Error rendering webhook:", error);
+    res.status(500).json({ error: "Failed to retrieve webhook" });
+  }
+});
+
+router.post("/admin/webhooks/:id", isAdmin, loadWebhook, async (req, res) => {
+  const { settings, error } = parseWebhookSettings(req.body);
+  if (error) {
+    return renderPage(req, res, "admin/webhook", {
+      webhook: { ...req.webhook, ...req.body, events: [].concat(req.body.events || []) },
+      deliveries: listDeliveries(req.webhook.id),
+      error,
+    });
+  }
+
+  const updated = store.webhooks.update(req.webhook.id, (webhook) => {
+    Object.assign(webhook, settings);
+  });
+  audit(req, "webhook:edit", req.webhook.id, { before: req.webhook, after: updated });
+  res.redirect(`/admin/webhooks/${req.webhook.id}?err=UPDATED`);
+});
+
+/**
+ * POST /admin/webhooks/:id/test
+ * Sends a webhook.test event right away and reports whether the endpoint accepted it.
+ */
+router.post("/admin/webhooks/:id/test", isAdmin, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await sendTest(req.webhook, req.user);
+    res.redirect(`/admin/webhooks/${req.webhook.id}?err=${delivery.status === "delivered" ? "TEST_DELIVERED" : "TEST_FAILED"}`);
+  } catch (error) {
+    log.error("Error sending test webhook:", error);
+    res.redirect(`/admin/webhooks/${req.webhook.id}?err=TEST_FAILED`);
+  }
+});
+
+router.post("/admin/webhooks/:id/deliveries/:deliveryId/redeliver", isAdmin, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await redeliver(req.webhook, req.params.deliveryId);
+    const outcome = !delivery ? "" : delivery.status === "delivered" ? "?err=REDELIVERED" : "?err=REDELIVERY_FAILED";
+    res.redirect(`/admin/webhooks/${req.webhook.id}${outcome}`);
+  } catch (error) {
+    log.error("Error redelivering webhook:", error);
+    res.redirect(`/admin/webhooks/${req.webhook.id}?err=REDELIVERY_FAILED`);
+  }
+});
+
+/**
+ * POST /admin/webhooks/:id/secret
+ * Replaces the signing secret; receivers must be given the new one.
+ */
+router.post("/admin/webhooks/:id/secret", isAdmin, loadWebhook, async (req, res) => {
+  const updated = rotateSecret(req.webhook.id);
+  audit(req, "webhook:rotate_secret", req.webhook.id, { before: req.webhook, after: updated });
+  res.redirect(`/admin/webhooks/${req.webhook.id}?err=SECRET_ROTATED`);
+});
+
+router.post("/admin/webhooks/:id/delete", isAdmin, loadWebhook, async (req, res) => {
+  deleteWebhook(req.webhook.id);
+  audit(req, "webhook:delete", req.webhook.id, { before: req.webhook });
+  res.redirect("/admin/webhooks?err=DELETED");
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { db, store } = require('../../handlers/db.js');
+const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+
+const { loadPlugins } = require('../../plugins/loadPls.js');
+const path = require('path');
+
+const plugins = loadPlugins(path.join(__dirname, '../../plugins'));
+
+const PAGE_SIZE = 25;
+
+/**
+ * GET /instance/:id/activity
+ * Lists what users and admins did to an instance, newest first. Entries come from the audit log,
+ * see logInstanceActivity() in handlers/auditlog.js.
+ */
+router.get("/instance/:id/activity", async (req, res) => {
+    if (!req.user) return res.redirect('/');
+
+    const { id } = req.params;
+    if (!id) return res.redirect('../instances');
+
+    const instance = await db.get(id + '_instance').catch(err => {
+        console.error('Failed to fetch instance:', err);
+        return null;
+    });
+
+    if (!instance) return res.status(404).send('Instance not found');
+
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
+    if (!isAuthorized) {
+        return res.status(403).send('Unauthorized access to this instance.');
+    }
+
+    if(instance.suspended === true) {
+        return res.redirect('../../instances?err=SUSPENDED');
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const { entries, total } = store.audits.query(
+        { resourceType: 'instance', resourceId: instance.Id },
+        { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE },
+    );
+    const allPluginData = Object.values(plugins).map(plugin => plugin.config);
+
+    res.render('instance/activity', {
+        req,
+        user: req.user,
+        name: await db.get('name') || 'HydraPanel',
+        logo: await db.get('logo') || false,
+        instance,
+        activity: entries,
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+        addons: {
+            plugins: allPluginData
+        }
+    });
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@ const router = express.Router();
 const axios = require('axios');
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
+const { serializeInstance } = require('../../handlers/serializers.js');
+const webhooks = require('../../handlers/webhooks.js');
+const { notifyArchiveCreated } = require('../../handlers/notifications.js');
+const { emailInstanceEvent } = require('../../handlers/instanceEmails.js');
 const { loadPlugins } = require('../../plugins/loadPls.js');
 const path = require('path');
 
@@ -33,7 +38,7 @@ router.get("/instance/:id/archives", async (req, res) => {
             return res.redirect('../../instances?err=SUSPENDED');
         }
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
@@ -102,7 +107,7 @@ router.get('/instance/:id/archives/download/:archiveName', async (req, res) => {
             return res.status(404).send('Instance not found');
         }
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
@@ -117,6 +122,8 @@ router.get('/instance/:id/archives/download/:archiveName', async (req, res) => {
 
         const downloadUrl = `http://Skyport:${instance.Node.apiKey}@${instance.Node.address}:${instance.Node.port}/archive/${instance.ContainerId}/archives/download/${archiveName}`;
 
+        logInstanceActivity(req, instance.Id, 'archive:download', { after: { archive: archiveName } });
+
         // Redirect to the node's download endpoint
         res.redirect(downloadUrl);
 
@@ -139,7 +146,7 @@ router.post('/instance/:id/archives/create', async (req, res) => {
             return res.redirect('/instances');
         }
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
@@ -158,6 +165,10 @@ router.post('/instance/:id/archives/create', async (req, res) => {
 
         const response = await axios(RequestData);
         if (response.status === 200) {
+            logInstanceActivity(req, instance.Id, 'archive:create');
+            webhooks.emit('archive.created', { instance: serializeInstance(instance) });
+            notifyArchiveCreated(instance);
+            emailInstanceEvent(instance, 'archive_created');
             res.redirect('/instance/' + id + '/archives');
         } else {
             res.status(500).send('Failed to create archive');
@@ -181,7 +192,7 @@ router.post('/instance/:id/archives/delete/:archiveName', async (req, res) => {
             return res.redirect('/instances');
         }
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
@@ -200,6 +211,9 @@ router.post('/instance/:id/archives/delete/:archiveName', async (req, res) => {
 
         const response = await axios(RequestData);
         if (response.status === 200) {
+            logInstanceActivity(req, instance.Id, 'archive:delete', {
+                before: { archive: archiveName },
+            });
             res.redirect('/instance/' + id + '/archives');
         } else {
             res.status(500).send('Failed to delete archive');
@@ -223,7 +237,7 @@ router.post('/instance/:id/archives/rollback/:archiveName', async (req, res) =>
             return res.redirect('/instances');
         }
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
@@ -242,6 +256,9 @@ router.post('/instance/:id/archives/rollback/:archiveName', async (req, res) =>
 
         const response = await axios(RequestData);
         if (response.status === 200) {
+            logInstanceActivity(req, instance.Id, 'archive:rollback', {
+                after: { archive: archiveName },
+            });
             res.redirect('/instance/' + id + '/archives');
         } else {
             res.status(500).json({
@@ -96,7 +96,7 @@ router.get("/instance/:id/automations", async (req, res) => {
 
         if (!instance) return res.status(404).send("Instance not found");
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) return res.status(403).send("Unauthorized access to this instance.");
 
         const suspended = await isInstanceSuspended(req.user.userId, instance, id);
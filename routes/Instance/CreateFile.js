@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const { createFile } = require('../../utils/fileHelper');
 
 const { loadPlugins } = require('../../plugins/loadPls.js');
@@ -18,16 +19,11 @@ router.post("/instance/:id/files/create/:filename", async (req, res) => {
     const instance = await db.get(id + '_instance');
     if (!instance) return res.status(404).send('Instance not found');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -37,6 +33,9 @@ router.post("/instance/:id/files/create/:filename", async (req, res) => {
 
     try {
         const result = await createFile(instance, filename, content, req.query.path);
+        logInstanceActivity(req, instance.Id, 'file:create', {
+            after: { file: filename, path: req.query.path || '/' },
+        });
         res.json(result);
     } catch (error) {
         if (error.response) {
@@ -62,16 +61,11 @@ router.get("/instance/:id/files/create", async (req, res) => {
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const axios = require('axios');
 
 const { loadPlugins } = require('../../plugins/loadPls.js');
@@ -24,16 +25,11 @@ router.get("/instance/:id/files/folder/create", async (req, res) => {
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
   if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -67,16 +63,11 @@ router.post("/instance/:id/files/folder/create/:foldername", async (req, res) =>
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
   if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -96,6 +87,9 @@ router.post("/instance/:id/files/folder/create/:foldername", async (req, res) =>
             },
             headers: { 'Content-Type': 'application/json' }
         });
+        logInstanceActivity(req, instance.Id, 'folder:create', {
+            after: { folder: foldername, path: req.query.path || '/' },
+        });
         res.json(response.data);
     } catch (error) {
         if (error.response) {
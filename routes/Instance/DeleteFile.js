@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const { deleteFile } = require('../../utils/fileHelper');
 
 router.get("/instance/:id/files/delete/:filename", async (req, res) => {
@@ -12,17 +13,12 @@ router.get("/instance/:id/files/delete/:filename", async (req, res) => {
     const instance = await db.get(id + '_instance');
     if (!instance) return res.status(404).send('Instance not found');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
@@ -33,6 +29,9 @@ router.get("/instance/:id/files/delete/:filename", async (req, res) => {
 
     try {
         await deleteFile(instance, filename, req.query.path);
+        logInstanceActivity(req, instance.Id, 'file:delete', {
+            before: { file: filename, path: req.query.path || '/' },
+        });
         res.redirect(`/instance/${id}/files${req.query.path ? '?path=' + req.query.path : ''}`);
     } catch (error) {
         if (error.response) {
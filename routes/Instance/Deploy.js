@@ -1,7 +1,10 @@
 const express = require('express');
 const axios = require('axios');
-const { db } = require('../../handlers/db.js');
+const { db, store } = require('../../handlers/db.js');
 const { logAudit } = require('../../handlers/auditlog');
+const { serializeInstance } = require('../../handlers/serializers.js');
+const webhooks = require('../../handlers/webhooks.js');
+const { isAdmin } = require('../../utils/isAdmin.js');
 const { v4: uuid } = require('uuid');
 
 const router = express.Router();
@@ -43,10 +46,10 @@ async function processInstances() {
         console.log(`State for instance ${instance.Id} updated to ${newState}`);
 
         // Get the instance database and update its state
-        const instanceDb = await db.get(`${instance.Id}_instance`);
+        const instanceDb = await db.update(`${instance.Id}_instance`, (current) => {
+          current.State = newState;
+        });
         if (instanceDb) {
-          instanceDb.State = newState;
-          await db.set(`${instance.Id}_instance`, instanceDb);
           console.log(`Database updated for instance ${instance.Id}`);
         } else {
           console.log(`No database found for instance ${instance.Id}`);
@@ -60,23 +63,6 @@ async function processInstances() {
   }
 }
 
-/**
- * Middleware to verify if the user is an administrator.
- * Checks if the user object exists and if the user has admin privileges. If not, redirects to the
- * home page. If the user is an admin, proceeds to the next middleware or route handler.
- *
- * @param {Object} req - The request object, containing user data.
- * @param {Object} res - The response object.
- * @param {Function} next - The next middleware or route handler to be executed.
- * @returns {void} Either redirects or proceeds by calling next().
- */
-function isAdmin(req, res, next) {
-  if (!req.user || req.user.admin !== true) {
-    return res.redirect('../');
-  }
-  next();
-}
-
 /**
  * GET /instances/deploy
  * Handles the deployment of a new instance based on the parameters provided via query strings.
@@ -89,7 +75,11 @@ router.get('/instances/deploy', isAdmin, async (req, res) => {
   }
 
   try {
-    const Id = uuid().split('-')[0];
+    // Short ids can collide; never hand out one that an existing instance already uses
+    let Id;
+    do {
+      Id = uuid().split('-')[0];
+    } while (store.instances.get(Id));
     const node = await db.get(`${nodeId}_node`);
     if (!node) {
       return res.status(400).json({ error: 'Invalid node' });
@@ -123,7 +113,13 @@ router.get('/instances/deploy', isAdmin, async (req, res) => {
       imagename,
     );
 
-    logAudit(req.user.userId, req.user.username, 'instance:create', req.ip);
+    const instance = await db.get(`${Id}_instance`);
+    logAudit(req.user.userId, req.user.username, 'instance:create', req.ip, {
+      resource: { type: 'instance', id: Id },
+      after: instance,
+      requestId: req.id,
+    });
+    webhooks.emit('instance.deployed', { instance: serializeInstance(instance) });
     res.status(201).json({
       message: "Container created successfully and added to user's servers",
       containerId: response.data.containerId,
@@ -236,17 +232,11 @@ async function updateDatabaseWithNewInstance(
     imageData,
     Env: responseData.Env,
     State: responseData.state,
+    suspended: false,
   };
 
-  const userInstances = (await db.get(`${userId}_instances`)) || [];
-  userInstances.push(instanceData);
-  await db.set(`${userId}_instances`, userInstances);
-
-  const globalInstances = (await db.get('instances')) || [];
-  globalInstances.push(instanceData);
-  await db.set('instances', globalInstances);
-
-  await db.set(`${Id}_instance`, instanceData);
+  // Saving the record also adds it to the user and global instance lists
+  store.instances.save(instanceData);
 }
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const axios = require("axios");
 const { db } = require("../../handlers/db.js");
 const { logAudit } = require("../../handlers/auditlog");
+const { hardwareKeyCheck } = require("../../utils/isAdmin.js");
 
 const router = express.Router();
 
@@ -11,18 +12,28 @@ const MAX_MEMORY = 1024 * 1024; // 1TB (in MB)
 const MAX_CPU = 1024; // Arbitrary high limit
 
 /**
- * Middleware to verify if the user is an administrator.
+ * Middleware to verify if the user is an administrator. Admins who still have to verify with a
+ * security key are refused, like on the admin pages (see utils/isAdmin.js).
  * @param {Object} req - The request object
  * @param {Object} res - The response object
  * @param {Function} next - The next middleware function
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function isAdmin(req, res, next) {
+async function isAdmin(req, res, next) {
     if (!req.user || req.user.admin !== true) {
         return res
             .status(403)
             .json({ message: "Forbidden: Admin access required" });
     }
+    try {
+        if (await hardwareKeyCheck(req)) {
+            return res
+                .status(403)
+                .json({ message: "Forbidden: Verify with your security key first" });
+        }
+    } catch (error) {
+        return next(error);
+    }
     next();
 }
 
@@ -141,13 +152,10 @@ router.put("/instances/edit/:id", isAdmin, async (req, res) => {
             "instance:edit",
             req.ip,
             {
-                oldContainerId: id,
-                newContainerId: response.data.newContainerId,
-                changes: { 
-                    Image: Image ? "updated" : "unchanged",
-                    Memory: Memory ? "updated" : "unchanged",
-                    Cpu: Cpu ? "updated" : "unchanged",
-                },
+                resource: { type: "instance", id: instance.Id },
+                before: instance,
+                after: updatedInstance,
+                requestId: req.id,
             },
         );
 
@@ -231,52 +239,15 @@ async function updateInstanceInDatabase(
     Cpu,
     newContainerId,
 ) {
-    const updatedInstance = {
-        ...instance,
-        Image: Image !== undefined ? Image : instance.Image,
-        Memory: Memory !== undefined ? Memory : instance.Memory,
-        Cpu: Cpu !== undefined ? Cpu : instance.Cpu,
+    // The user and global instance lists read the same record, so one atomic update covers them
+    const updatedInstance = await db.update(`${instance.Id}_instance`, (current) => ({
+        ...current,
+        Image: Image !== undefined ? Image : current.Image,
+        Memory: Memory !== undefined ? Memory : current.Memory,
+        Cpu: Cpu !== undefined ? Cpu : current.Cpu,
         ContainerId: newContainerId,
         updatedAt: new Date().toISOString(),
-    };
-
-    // Use transaction for atomic updates
-    const batch = db.batch()
-        .set(`${newContainerId}_instance`, updatedInstance)
-        .del(`${id}_instance`);
-
-    // Update user instances reference
-    const userInstances = (await db.get(`${instance.User}_instances`)) || [];
-    const userInstanceIndex = userInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    
-    if (userInstanceIndex !== -1) {
-        const updatedUserInstances = [...userInstances];
-        updatedUserInstances[userInstanceIndex] = {
-            ...updatedUserInstances[userInstanceIndex],
-            ...updatedInstance,
-        };
-        batch.set(`${instance.User}_instances`, updatedUserInstances);
-    }
-
-    // Update global instances reference
-    const globalInstances = (await db.get("instances")) || [];
-    const globalInstanceIndex = globalInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    
-    if (globalInstanceIndex !== -1) {
-        const updatedGlobalInstances = [...globalInstances];
-        updatedGlobalInstances[globalInstanceIndex] = {
-            ...updatedGlobalInstances[globalInstanceIndex],
-            ...updatedInstance,
-        };
-        batch.set("instances", updatedGlobalInstances);
-    }
-
-    // Execute all updates in a single transaction
-    await batch.write();
+    }));
 
     return updatedInstance;
 }
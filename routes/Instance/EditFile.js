@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const { editFile } = require('../../utils/fileHelper');
 
 router.post("/instance/:id/files/edit/:filename", async (req, res) => {
@@ -26,7 +27,7 @@ router.post("/instance/:id/files/edit/:filename", async (req, res) => {
         }
 
         // Authorization check
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).json({ error: 'Unauthorized access to this instance' });
         }
@@ -36,12 +37,6 @@ router.post("/instance/:id/files/edit/:filename", async (req, res) => {
             return res.status(403).redirect('../../instances?err=SUSPENDED');
         }
 
-        // Ensure suspended flag exists (backward compatibility)
-        if (instance.suspended === undefined) {
-            instance.suspended = false;
-            await db.set(`${id}_instance`, instance);
-        }
-
         // Node configuration validation
         if (!instance.Node?.address || !instance.Node?.port) {
             return res.status(500).json({ error: 'Invalid instance node configuration' });
@@ -55,6 +50,9 @@ router.post("/instance/:id/files/edit/:filename", async (req, res) => {
 
         // Edit file operation
         const result = await editFile(instance, filename, content, filePath);
+        logInstanceActivity(req, instance.Id, 'file:edit', {
+            after: { file: filename, path: filePath || '/' },
+        });
         return res.json(result);
 
     } catch (error) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require("axios");
 const { db } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
 const path = require("path");
 
 router.get("/instance/:id/files/unzip/:file", async (req, res) => {
@@ -25,7 +26,8 @@ router.get("/instance/:id/files/unzip/:file", async (req, res) => {
     // Check authorization
     const isAuthorized = await isUserAuthorizedForContainer(
       req.user.userId,
-      instance.Id
+      instance.Id,
+      req
     );
     if (!isAuthorized) {
       console.error(`User ${req.user.userId} unauthorized for instance ${id}`);
@@ -59,6 +61,10 @@ router.get("/instance/:id/files/unzip/:file", async (req, res) => {
         }
       );
       
+      logInstanceActivity(req, instance.Id, "file:unzip", {
+        after: { file, path: filePath || "/" },
+      });
+
       // Proper redirect with the original path
       const redirectQuery = filePath ? `&path=${encodeURIComponent(filePath)}` : '';
       return res.redirect(`/instance/${id}/files?success=UNZIPPED${redirectQuery}`);
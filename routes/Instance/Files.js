@@ -3,6 +3,7 @@ const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
 const { fetchFiles, FetchTotalContainerDisk } = require('../../utils/fileHelper');
+const { notifyInstance } = require('../../handlers/chatNotifications.js');
 
 const { loadPlugins } = require('../../plugins/loadPls.js');
 const path = require('path');
@@ -38,7 +39,7 @@ router.get("/instance/:id/files", async (req, res) => {
 
     if (!instance || !instance.VolumeId) return res.redirect('../instances');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
@@ -68,6 +69,7 @@ router.get("/instance/:id/files", async (req, res) => {
         if (totaldiskusage === 0) {}
 
         if (totaldiskusage > totalInstanceDiskMB) {
+            notifyInstance(instance, 'disk_quota', { usage: `${Math.round(totaldiskusage)} MB of ${totalInstanceDiskMB} MB` });
             return res.redirect(`../../instances?err=DISKLIMITEXCEEDED`);
         }
         res.render('instance/files', { 
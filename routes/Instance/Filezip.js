@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require("axios");
 const { db } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
 const path = require("path");
 
 router.get("/instance/:id/files/zip/:file", async (req, res) => {
@@ -26,6 +27,7 @@ router.get("/instance/:id/files/zip/:file", async (req, res) => {
     const isAuthorized = await isUserAuthorizedForContainer(
       req.user.userId,
       instance.Id,
+      req,
     );
     if (!isAuthorized) {
       console.error(`User ${req.user.userId} unauthorized for instance ${id}`);
@@ -67,6 +69,10 @@ router.get("/instance/:id/files/zip/:file", async (req, res) => {
         },
       );
 
+      logInstanceActivity(req, instance.Id, "file:zip", {
+        after: { file, path: filePath || "/" },
+      });
+
       // Proper redirect with the original path
       const redirectQuery = filePath
         ? `&path=${encodeURIComponent(filePath)}`
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const { createFile, fetchFiles } = require('../../utils/fileHelper');
 
 router.post("/instance/:id/imagefeatures/eula", async (req, res) => {
@@ -16,21 +17,17 @@ router.post("/instance/:id/imagefeatures/eula", async (req, res) => {
 
     if (!instance || !instance.VolumeId) return res.redirect('../instances');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
         createFile(instance, 'eula.txt', 'eula=true');
+        logInstanceActivity(req, instance.Id, 'eula:accept');
 
     res.status(200).send('OK');
 
@@ -48,17 +45,12 @@ router.get("/instance/:id/imagefeatures/cracked", async (req, res) => {
 
     if (!instance || !instance.VolumeId) return res.redirect('../instances');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -149,6 +141,7 @@ white-list=false
     `
 
     createFile(instance, 'server.properties', content);
+    logInstanceActivity(req, instance.Id, 'instance:offline-mode', { after: { onlineMode: false } });
 
     res.redirect('/instance/'+ id);
 });
@@ -1,8 +1,9 @@
 const axios = require("axios");
 const express = require("express");
 const router = express.Router();
-const { db } = require("../../handlers/db.js");
+const { db, store } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
 const { loadPlugins } = require("../../plugins/loadPls.js");
 const path = require("path");
 const { fetchFiles } = require("../../utils/fileHelper");
@@ -63,8 +64,9 @@ async function checkState(instanceId) {
         });
 
         // Update instance state
-        instance.State = newState;
-        await db.set(`${instanceId}_instance`, instance);
+        await db.update(`${instanceId}_instance`, (current) => {
+            current.State = newState;
+        });
 
         return newState;
     } catch (error) {
@@ -94,10 +96,7 @@ router.get("/instances", isAuthenticated, async (req, res) => {
             instances = (await db.get(`${userId}_instances`)) || [];
 
             // Get sub-user instances if any
-            const users = (await db.get("users")) || [];
-            const authenticatedUser = users.find(
-                (user) => user.userId === userId,
-            );
+            const authenticatedUser = store.users.get(userId);
             const subUserInstances = authenticatedUser?.accessTo || [];
 
             for (const instanceId of subUserInstances) {
@@ -152,6 +151,7 @@ router.get("/instance/:id", isAuthenticated, async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res.status(403).render("error", {
@@ -162,14 +162,6 @@ router.get("/instance/:id", isAuthenticated, async (req, res) => {
             });
         }
 
-        // Initialize instance properties if not set
-        instance.suspended =
-            typeof instance.suspended === "boolean"
-                ? instance.suspended
-                : false;
-        instance.State = instance.State || "UNKNOWN";
-        await db.set(`${id}_instance`, instance);
-
         if (instance.State === "INSTALLING") {
             return res.redirect(`../../instance/${id}/installing`);
         }
@@ -230,6 +222,7 @@ router.get("/instance/:id/installing", isAuthenticated, async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res.status(403).render("error", {
@@ -291,6 +284,7 @@ router.get(
             const isAuthorized = await isUserAuthorizedForContainer(
                 req.user.userId,
                 instance.Id,
+                req,
             );
             if (!isAuthorized) {
                 return res.status(403).json({
@@ -361,6 +355,7 @@ router.post("/instance/:id/rename", isAuthenticated, async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res.status(403).json({
@@ -369,32 +364,17 @@ router.post("/instance/:id/rename", isAuthenticated, async (req, res) => {
             });
         }
 
-        // Update instance name in all relevant locations
+        // The update runs in a single transaction and the user and global instance lists read
+        // the same record, so there is nothing to revert if it fails
         const oldName = instance.Name;
-        instance.Name = trimmedName;
-
-        // Save changes in transaction-like manner
         try {
-            await db.set(`${id}_instance`, instance);
-
-            // Update in main instances list
-            const allInstances = (await db.get("instances")) || [];
-            const instanceIndex = allInstances.findIndex((i) => i.Id === id);
-            if (instanceIndex !== -1) {
-                allInstances[instanceIndex].Name = trimmedName;
-                await db.set("instances", allInstances);
-            }
-
-            // Update in user's instances list
-            const userInstances =
-                (await db.get(`${req.user.userId}_instances`)) || [];
-            const userInstanceIndex = userInstances.findIndex(
-                (i) => i.Id === id,
-            );
-            if (userInstanceIndex !== -1) {
-                userInstances[userInstanceIndex].Name = trimmedName;
-                await db.set(`${req.user.userId}_instances`, userInstances);
-            }
+            await db.update(`${id}_instance`, (current) => {
+                current.Name = trimmedName;
+            });
+            logInstanceActivity(req, instance.Id, "instance:rename", {
+                before: { name: oldName },
+                after: { name: trimmedName },
+            });
 
             res.status(200).json({
                 success: true,
@@ -402,10 +382,6 @@ router.post("/instance/:id/rename", isAuthenticated, async (req, res) => {
                 oldName,
             });
         } catch (dbError) {
-            // Revert changes if any part fails
-            instance.Name = oldName;
-            await db.set(`${id}_instance`, instance);
-
             console.error("Database error during rename:", dbError);
             res.status(500).json({
                 success: false,
@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require('axios');
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 
 const { loadPlugins } = require('../../plugins/loadPls.js');
 const path = require('path');
@@ -28,17 +29,12 @@ router.get("/instance/:id/db", async (req, res) => {
         return res.redirect('../../../../instances');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -93,17 +89,12 @@ router.post("/instance/:id/db/create/:name", async (req, res) => {
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
       if(instance.suspended === true) {
          return res.redirect('../../instances?err=SUSPENDED');
     }
@@ -125,13 +116,13 @@ router.post("/instance/:id/db/create/:name", async (req, res) => {
             let response = await axios(requestData);
             
             if (response.status === 200) {
-                if (!Array.isArray(instance.Databases)) {
-                    instance.Databases = [];
-                }
-
-                instance.Databases.push(response.data.credentials);
-                
-                await db.set(id + '_instance', instance);
+                await db.update(id + '_instance', (current) => {
+                    if (!Array.isArray(current.Databases)) {
+                        current.Databases = [];
+                    }
+                    current.Databases.push(response.data.credentials);
+                });
+                logInstanceActivity(req, instance.Id, 'database:create', { after: { database: name } });
 
                 return res.redirect(`/instance/${id}/db`);
             } else {
@@ -36,7 +36,7 @@ router.get("/instance/:id/ftp", async (req, res) => {
         }
 
         // Authorization check
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) {
             return res.status(403).send('Unauthorized access to this instance.');
         }
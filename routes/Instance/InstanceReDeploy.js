@@ -1,6 +1,6 @@
 const express = require('express');
 const axios = require('axios');
-const { db } = require('../../handlers/db.js');
+const { db, store } = require('../../handlers/db.js');
 const { logAudit } = require('../../handlers/auditlog.js');
 const { isAdmin } = require('../../utils/isAdmin.js');
 const log = new (require('cat-loggr'))();
@@ -51,9 +51,14 @@ router.get('/instances/redeploy/:id', isAdmin, async (req, res) => {
         const requestData = await prepareRequestData(shortimage, memory, cpu, disk, ports, name, node, id, instance.ContainerId, instance.Env);
         const response = await axios(requestData);
 
-        await updateDatabaseWithNewInstance(response.data, user, node, shortimage, memory, cpu, disk, ports, primary, name, id, instance.Env, instance.imageData);
+        await updateDatabaseWithNewInstance(response.data, user, shortimage, memory, cpu, disk, ports, primary, name, id);
 
-        logAudit(req.user.userId, req.user.username, 'instance:redeploy', req.ip);
+        logAudit(req.user.userId, req.user.username, 'instance:redeploy', req.ip, {
+            resource: { type: 'instance', id },
+            before: instance,
+            after: await db.get(`${id}_instance`),
+            requestId: req.id,
+        });
         res.status(201).json({
             message: 'Container redeployed successfully and updated in user\'s servers',
             containerId: response.data.containerId,
@@ -108,41 +113,30 @@ async function prepareRequestData(image, memory, cpu, disk, ports, name, node, i
     return requestData;
 }
 
-async function updateDatabaseWithNewInstance(responseData, userId, node, image, memory, cpu, disk, ports, primary, name, id, Env, imagedata) {
+/**
+ * Records the redeployed container and the settings it was deployed with. Fields the redeploy does
+ * not set, such as a suspension, are kept.
+ */
+async function updateDatabaseWithNewInstance(responseData, userId, image, memory, cpu, disk, ports, primary, name, id) {
     const rawImages = await db.get('images');
     const imageData = rawImages.find(i => i.Image === image);
     const altImages = imageData ? imageData.AltImages : [];
 
-    const instanceData = {
-        Name: name,
-        Id: id,
-        Node: node,
-        User: userId,
-        ContainerId: responseData.containerId,
-        VolumeId: id,
-        Memory: parseInt(memory),
-        Cpu: parseInt(cpu),
-        Disk: parseInt(disk),
-        Ports: ports,
-        Primary: primary,
-        Env,
-        Image: image,
-        AltImages: altImages,
-        imageData: imagedata,
-        InternalState: 'READY'
-    };
-
-    let userInstances = await db.get(`${userId}_instances`) || [];
-    userInstances = userInstances.filter(instance => instance.Id !== id);
-    userInstances.push(instanceData);
-    await db.set(`${userId}_instances`, userInstances);
-
-    let globalInstances = await db.get('instances') || [];
-    globalInstances = globalInstances.filter(instance => instance.Id !== id);
-    globalInstances.push(instanceData);
-    await db.set('instances', globalInstances);
-
-    await db.set(`${id}_instance`, instanceData);
+    store.instances.update(id, (instance) => {
+        Object.assign(instance, {
+            Name: name,
+            User: userId,
+            ContainerId: responseData.containerId,
+            Memory: parseInt(memory),
+            Cpu: parseInt(cpu),
+            Disk: parseInt(disk),
+            Ports: ports,
+            Primary: primary,
+            Image: image,
+            AltImages: altImages,
+            InternalState: 'READY'
+        });
+    });
 }
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,10 @@
 const express = require("express");
 const axios = require("axios");
-const { db } = require("../../handlers/db.js");
+const { db, store } = require("../../handlers/db.js");
 const { logAudit } = require("../../handlers/auditlog.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { notifyInstanceReinstalled } = require("../../handlers/notifications.js");
+const { emailInstanceEvent } = require("../../handlers/instanceEmails.js");
 const { v4: uuid } = require("uuid");
 
 const router = express.Router();
@@ -37,7 +39,8 @@ router.post("/instance/reinstall/:id", async (req, res) => {
         // Verify user authorization
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
-            instance.Id
+            instance.Id,
+            req
         );
         if (!isAuthorized) {
             return res.status(403).render("error", {
@@ -73,8 +76,6 @@ router.post("/instance/reinstall/:id", async (req, res) => {
             Disk: disk = DEFAULT_DISK, // Added disk with default
             Ports: ports = "",
             Name: name,
-            User: user,
-            Primary: primary,
             ContainerId: containerId,
             Env = {},
         } = instance;
@@ -100,27 +101,24 @@ router.post("/instance/reinstall/:id", async (req, res) => {
         }
 
         // Update database with new instance
-        await updateDatabaseWithNewInstance(
-            response.data,
-            user,
-            node,
-            image,
-            memory,
-            cpu,
-            disk,
-            ports,
-            primary,
-            name,
-            id,
-            Env
-        );
+        await updateDatabaseWithNewInstance(response.data, image, id);
+
+        const reinstalled = await db.get(`${id}_instance`);
+        notifyInstanceReinstalled(reinstalled);
+        emailInstanceEvent(reinstalled, "instance_reinstalled");
 
         // Log the action
         await logAudit(
             req.user.userId,
-            `Reinstalled instance ${name} (${id})`,
-            "instance",
-            id
+            req.user.username,
+            "instance:reinstall",
+            req.ip,
+            {
+                resource: { type: "instance", id },
+                before: instance,
+                after: reinstalled,
+                requestId: req.id,
+            }
         );
 
         return res.status(201).redirect(`../../instance/${id}`);
@@ -257,22 +255,10 @@ async function prepareRequestData(
 }
 
 /**
- * Updates all relevant database records with the new instance information
+ * Records the reinstalled container on the instance. Only the fields the reinstall owns are
+ * written, so changes made meanwhile (a suspension, new limits) are kept.
  */
-async function updateDatabaseWithNewInstance(
-    responseData,
-    userId,
-    node,
-    image,
-    memory,
-    cpu,
-    disk,
-    ports,
-    primary,
-    name,
-    id,
-    Env
-) {
+async function updateDatabaseWithNewInstance(responseData, image, id) {
     const dbUpdateStart = Date.now();
     
     try {
@@ -280,77 +266,23 @@ async function updateDatabaseWithNewInstance(
         const imageData = rawImages.find((i) => i.Image === image);
 
         const now = new Date().toISOString();
-        const instanceData = {
-            Name: name,
-            Id: id,
-            Node: node,
-            User: userId,
-            ContainerId: responseData.containerId,
-            VolumeId: id,
-            Memory: parseInt(memory) || DEFAULT_MEMORY,
-            Cpu: parseInt(cpu) || DEFAULT_CPU,
-            Disk: parseInt(disk) || DEFAULT_DISK,
-            Ports: ports,
-            Primary: primary,
-            Image: image,
-            AltImages: imageData?.AltImages || [],
-            imageData: imageData || {},
-            Env: Env || {},
-            createdAt: now,
-            updatedAt: now,
-            status: "running", // Changed from "reinstalling" to "running" after successful reinstall
-            lastOperation: {
+        store.instances.update(id, (instance) => {
+            instance.ContainerId = responseData.containerId;
+            instance.AltImages = imageData?.AltImages || [];
+            instance.imageData = imageData || {};
+            instance.createdAt = instance.createdAt || now;
+            instance.updatedAt = now;
+            instance.status = "running"; // Changed from "reinstalling" to "running" after successful reinstall
+            instance.lastOperation = {
                 type: "reinstall",
                 timestamp: now,
                 status: "completed"
-            }
-        };
-
-        // Start a transaction-like operation
-        const batchUpdates = [];
-
-        // Update user instances
-        let userInstances = (await db.get(`${userId}_instances`)) || [];
-        userInstances = userInstances.filter((instance) => instance.Id !== id);
-        userInstances.push(instanceData);
-        batchUpdates.push(db.set(`${userId}_instances`, userInstances));
-
-        // Update global instances
-        let globalInstances = (await db.get("instances")) || [];
-        globalInstances = globalInstances.filter((instance) => instance.Id !== id);
-        globalInstances.push(instanceData);
-        batchUpdates.push(db.set("instances", globalInstances));
-
-        // Update individual instance record
-        batchUpdates.push(db.set(`${id}_instance`, instanceData));
-
-        // Execute all updates in parallel
-        await Promise.all(batchUpdates);
-
-        // Add audit log
-        await logAudit(
-            userId,
-            `Updated instance ${name} (${id}) in database`,
-            "database",
-            id
-        );
+            };
+        });
 
         console.log(`Database updates completed in ${Date.now() - dbUpdateStart}ms`);
     } catch (error) {
         console.error("Error updating database:", error);
-        
-        // Try to restore previous state if possible
-        try {
-            await logAudit(
-                userId,
-                `Failed to update database for instance ${name} (${id}): ${error.message}`,
-                "database_error",
-                id
-            );
-        } catch (auditError) {
-            console.error("Failed to log audit trail:", auditError);
-        }
-
         throw new Error(`Failed to update database: ${error.message}`);
     }
 }
@@ -21,16 +21,11 @@ router.get("/instance/:id/network", async (req, res) => {
 
     if (!instance) return res.status(404).send('Instance not found');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { db, store } = require('../../handlers/db.js');
+const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
+const {
+    EVENTS,
+    TYPES,
+    MAX_CHANNELS,
+    parseChannelSettings,
+    createChannel,
+    describeChannel,
+    sendTest,
+} = require('../../handlers/chatNotifications.js');
+
+const { loadPlugins } = require('../../plugins/loadPls.js');
+const path = require('path');
+
+const plugins = loadPlugins(path.join(__dirname, '../../plugins'));
+
+/**
+ * Loads `:id` into `req.instance` for users allowed to manage it.
+ */
+async function loadInstance(req, res, next) {
+    if (!req.user) return res.redirect('/');
+
+    const instance = await db.get(req.params.id + '_instance').catch(err => {
+        console.error('Failed to fetch instance:', err);
+        return null;
+    });
+
+    if (!instance) return res.status(404).send('Instance not found');
+
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
+    if (!isAuthorized) {
+        return res.status(403).send('Unauthorized access to this instance.');
+    }
+
+    if(instance.suspended === true) {
+        return res.redirect('/instances?err=SUSPENDED');
+    }
+
+    req.instance = instance;
+    next();
+}
+
+/**
+ * Loads `:channelId` into `req.channel`, if it belongs to the instance.
+ */
+function loadChannel(req, res, next) {
+    const channel = store.notificationChannels.get(req.params.channelId);
+    if (!channel || channel.instanceId !== req.instance.Id) {
+        return res.redirect(`/instance/${req.instance.Id}/notifications`);
+    }
+    req.channel = channel;
+    next();
+}
+
+async function renderPage(req, res, data) {
+    const allPluginData = Object.values(plugins).map(plugin => plugin.config);
+
+    res.render('instance/notifications', {
+        req,
+        user: req.user,
+        name: await db.get('name') || 'HydraPanel',
+        logo: await db.get('logo') || false,
+        instance: req.instance,
+        channels: store.notificationChannels.listByInstance(req.instance.Id),
+        events: EVENTS,
+        types: TYPES,
+        maxChannels: MAX_CHANNELS,
+        form: null,
+        error: null,
+        ...data,
+        addons: {
+            plugins: allPluginData
+        }
+    });
+}
+
+/**
+ * GET /instance/:id/notifications
+ * Discord and Slack channels that are told when the server crashes, finishes installing, is
+ * suspended or runs out of disk space. See handlers/chatNotifications.js.
+ */
+router.get("/instance/:id/notifications", loadInstance, async (req, res) => {
+    await renderPage(req, res);
+});
+
+router.post("/instance/:id/notifications", loadInstance, async (req, res) => {
+    const parsed = parseChannelSettings(req.body);
+    const { channel, error } = parsed.error ? parsed : createChannel(req.instance.Id, parsed.settings, req.user.userId);
+    if (error) {
+        return renderPage(req, res, { form: req.body, error });
+    }
+
+    logInstanceActivity(req, req.instance.Id, 'notifications:add_channel', { after: describeChannel(channel) });
+    res.redirect(`/instance/${req.instance.Id}/notifications?err=ADDED`);
+});
+
+/**
+ * POST /instance/:id/notifications/:channelId
+ * Changes a channel's events and whether it is active. The URL and type are fixed; to change
+ * them, remove the channel and add it again.
+ */
+router.post("/instance/:id/notifications/:channelId", loadInstance, loadChannel, async (req, res) => {
+    const { settings, error } = parseChannelSettings({ ...req.channel, events: req.body.events, enabled: req.body.enabled });
+    if (error) {
+        return res.redirect(`/instance/${req.instance.Id}/notifications?err=NO_EVENTS`);
+    }
+
+    const updated = store.notificationChannels.update(req.channel.id, (channel) => {
+        channel.events = settings.events;
+        channel.enabled = settings.enabled;
+    });
+    logInstanceActivity(req, req.instance.Id, 'notifications:edit_channel', {
+        before: describeChannel(req.channel),
+        after: describeChannel(updated),
+    });
+    res.redirect(`/instance/${req.instance.Id}/notifications?err=UPDATED`);
+});
+
+router.post("/instance/:id/notifications/:channelId/test", loadInstance, loadChannel, async (req, res) => {
+    const result = await sendTest(req.channel, req.instance);
+    res.redirect(`/instance/${req.instance.Id}/notifications?err=${result.ok ? 'TEST_SENT' : 'TEST_FAILED'}`);
+});
+
+router.post("/instance/:id/notifications/:channelId/delete", loadInstance, loadChannel, async (req, res) => {
+    store.notificationChannels.remove(req.channel.id);
+    logInstanceActivity(req, req.instance.Id, 'notifications:remove_channel', { before: describeChannel(req.channel) });
+    res.redirect(`/instance/${req.instance.Id}/notifications?err=REMOVED`);
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { db } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
 const { loadPlugins } = require("../../plugins/loadPls.js");
 const path = require("path");
 
@@ -30,16 +31,12 @@ router.get("/instance/:id/player", async (req, res) => {
     const isAuthorized = await isUserAuthorizedForContainer(
         req.user.userId,
         instance.Id,
+        req,
     );
     if (!isAuthorized) {
         return res.status(403).send("Unauthorized access to this instance.");
     }
 
-    if (!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + "_instance", instance);
-    }
-
     if (instance.suspended === true) {
         return res.redirect("../../instances?err=SUSPENDED");
     }
@@ -86,45 +83,26 @@ router.get("/instance/:id/change/name/:name", async (req, res) => {
     const isAuthorized = await isUserAuthorizedForContainer(
         req.user.userId,
         instance.Id,
+        req,
     );
     if (!isAuthorized) {
         return res.status(403).send("Unauthorized access to this instance.");
     }
 
-    if (!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + "_instance", instance);
-    }
-
     if (instance.suspended === true) {
         return res.redirect("../../instance/" + id + "/suspended");
     }
 
     const trimmedName = name.trim();
-    instance.Name = trimmedName;
-
-    // Update instance in userInstances
-    let userInstances = (await db.get(req.user.userId + "_instances")) || [];
-    const userInstanceIndex = userInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    if (userInstanceIndex !== -1) {
-        userInstances[userInstanceIndex].Name = trimmedName;
-        await db.set(req.user.userId + "_instances", userInstances);
-    }
 
-    // Update instance in globalInstances
-    let globalInstances = (await db.get("instances")) || [];
-    const globalInstanceIndex = globalInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    if (globalInstanceIndex !== -1) {
-        globalInstances[globalInstanceIndex].Name = trimmedName;
-        await db.set("instances", globalInstances);
-    }
-
-    // Save the updated instance
-    await db.set(id + "_instance", instance);
+    // The user and global instance lists read the same record, so renaming it updates them too
+    await db.update(id + "_instance", (current) => {
+        current.Name = trimmedName;
+    });
+    logInstanceActivity(req, instance.Id, "instance:rename", {
+        before: { name: instance.Name },
+        after: { name: trimmedName },
+    });
 
     res.redirect("/instance/" + id + "/startup");
 });
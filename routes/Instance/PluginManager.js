@@ -3,6 +3,7 @@ const axios = require("axios");
 const router = express.Router();
 const { db } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
 const { fetchFiles } = require("../../utils/fileHelper");
 
 const { loadPlugins } = require("../../plugins/loadPls.js");
@@ -91,16 +92,12 @@ router.get("/instance/:id/plugins", async (req, res) => {
   const isAuthorized = await isUserAuthorizedForContainer(
     req.user.userId,
     instance.Id,
+    req,
   );
   if (!isAuthorized) {
     return res.status(403).send("Unauthorized access to this instance.");
   }
 
-  if (!instance.suspended) {
-    instance.suspended = false;
-    db.set(id + "_instance", instance);
-  }
-
   if (instance.suspended === true) {
     return res.redirect("../../instances?err=SUSPENDED");
   }
@@ -139,15 +136,11 @@ router.get("/instance/:id/plugins/download", async (req, res) => {
   const isAuthorized = await isUserAuthorizedForContainer(
     req.user.userId,
     instance.Id,
+    req,
   );
   if (!isAuthorized) {
     return res.status(403).send("Unauthorized access to this instance.");
   }
-
-  if (!instance.suspended) {
-    instance.suspended = false;
-    db.set(id + "_instance", instance);
-  }
   if (instance.suspended === true) {
     return res.redirect("../../instances?err=SUSPENDED");
   }
@@ -177,6 +170,9 @@ router.get("/instance/:id/plugins/download", async (req, res) => {
 
     // Check the response and return appropriate status
     if (downloadResponse.status === 200) {
+      logInstanceActivity(req, instance.Id, "plugin:install", {
+        after: { plugin: plugin_name },
+      });
       return res.redirect(`/instance/${id}/plugins?success=true`);
     } else {
       return res
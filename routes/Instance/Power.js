@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const axios = require('axios');
+const { db } = require('../../handlers/db.js');
+const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
+const { notifyInstance } = require('../../handlers/chatNotifications.js');
 
+/**
+ * POST /instance/:id/power
+ * Asks the node to stop the server with its image's stop command. When the node answers with a
+ * server error the container is in a broken state, which is reported to the owner's chat channels
+ * as a crash.
+ */
 router.post("/instance/:id/power", async (req, res) => {
     if (!req.user) return res.redirect('/');
     const { id } = req.params;
@@ -8,40 +19,38 @@ router.post("/instance/:id/power", async (req, res) => {
 
     if (!instance || !id) return res.redirect('../instances');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
 
     try {
-        const response = await fetch(`http://${instance.Node.address}:${instance.Node.port}/instances/${instance.ContainerId}/stop`, {
-            method: 'POST',
-            auth: {
-                username: 'Skyport',
-                password: instance.Node.apiKey
-            },
-            headers: { 
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                command: instance.StopCommand
-            })
-        });
-        const data = await response.json();
-        res.send(data);
+        const response = await axios.post(
+            `http://${instance.Node.address}:${instance.Node.port}/instances/${instance.ContainerId}/stop`,
+            { command: instance.StopCommand },
+            {
+                auth: {
+                    username: 'Skyport',
+                    password: instance.Node.apiKey
+                },
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        logInstanceActivity(req, instance.Id, 'power:stop');
+        res.send(response.data);
     } catch (error) {
+        if (error.response && error.response.status >= 500) {
+            notifyInstance(instance, 'crashed', { reason: error.response.data && error.response.data.message });
+        }
         const errorMessage = error.response && error.response.data ? error.response.data.message : 'Connection to node failed.';
         res.status(500).send(errorMessage);
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
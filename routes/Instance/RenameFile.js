@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require('axios');
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 
 router.get("/instance/:id/files/rename/:file/:newfile", async (req, res) => {
     if (!req.user) {
@@ -19,17 +20,12 @@ router.get("/instance/:id/files/rename/:file/:newfile", async (req, res) => {
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
@@ -55,6 +51,10 @@ router.get("/instance/:id/files/rename/:file/:newfile", async (req, res) => {
 
         try {
             await axios(requestData);
+            logInstanceActivity(req, instance.Id, 'file:rename', {
+                before: { file },
+                after: { file: newfile },
+            });
             res.redirect(`/instance/${id}/files${query}`);
         } catch (error) {
             const errorMessage = error.response && error.response.data ? error.response.data.message : 'Connection to node failed.';
@@ -1,6 +1,6 @@
 const express = require("express");
 const axios = require("axios");
-const { db } = require("../../handlers/db.js");
+const { db, store } = require("../../handlers/db.js");
 const { logAudit } = require("../../handlers/auditlog");
 const { v4: uuid } = require("uuid");
 const { loadPlugins } = require("../../plugins/loadPls.js");
@@ -34,6 +34,7 @@ router.get("/instance/:id/startup", async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res
@@ -41,11 +42,6 @@ router.get("/instance/:id/startup", async (req, res) => {
                 .send("Unauthorized access to this instance.");
         }
 
-        if (typeof instance.suspended === "undefined") {
-            instance.suspended = false;
-            await db.set(`${id}_instance`, instance);
-        }
-
         if (instance.suspended === true) {
             return res.redirect("../../instances?err=SUSPENDED");
         }
@@ -92,6 +88,7 @@ router.post("/instances/startup/changevariable/:id", async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res
@@ -99,43 +96,42 @@ router.post("/instances/startup/changevariable/:id", async (req, res) => {
                 .send("Unauthorized access to this instance.");
         }
 
-        if (typeof instance.suspended === "undefined") {
-            instance.suspended = false;
-            await db.set(`${id}_instance`, instance);
-        }
-
         if (instance.suspended === true) {
             return res.status(403).json({ error: "Instance is suspended" });
         }
 
-        // Handle environment variables more robustly
-        let envUpdated = false;
-        const updatedEnv = instance.Env.map((envVar) => {
-            const [key] = envVar.split("=");
-            if (key === variable) {
-                envUpdated = true;
-                return `${key}=${value || ""}`;
+        // Handle environment variables more robustly, starting from the stored Env so a
+        // concurrent change to another variable is not lost
+        const updated = await db.update(`${id}_instance`, (current) => {
+            let envUpdated = false;
+            const updatedEnv = (current.Env || []).map((envVar) => {
+                const [key] = envVar.split("=");
+                if (key === variable) {
+                    envUpdated = true;
+                    return `${key}=${value || ""}`;
+                }
+                return envVar;
+            });
+
+            // Add new variable if it didn't exist
+            if (!envUpdated) {
+                updatedEnv.push(`${variable}=${value || ""}`);
             }
-            return envVar;
-        });
 
-        // Add new variable if it didn't exist
-        if (!envUpdated) {
-            updatedEnv.push(`${variable}=${value || ""}`);
-        }
-
-        const updatedInstance = { ...instance, Env: updatedEnv };
-        await db.set(`${id}_instance`, updatedInstance);
-
-        // Update in all instances arrays
-        await updateInstanceInUserAndGlobalArrays(updatedInstance);
+            current.Env = updatedEnv;
+        });
 
         logAudit(
             req.user.userId,
             req.user.username,
             "instance:variableChange",
             req.ip,
-            { variable, value },
+            {
+                resource: { type: "instance", id },
+                before: { Env: instance.Env },
+                after: { Env: updated.Env },
+                requestId: req.id,
+            },
         );
         res.json({ success: true });
     } catch (error) {
@@ -180,6 +176,7 @@ router.get("/instance/:id/change/name/:name", async (req, res) => {
     const isAuthorized = await isUserAuthorizedForContainer(
         req.user.userId,
         instance.Id,
+        req,
     );
     if (!isAuthorized) {
         return res.status(403).send("Unauthorized access to this instance.");
@@ -191,30 +188,11 @@ router.get("/instance/:id/change/name/:name", async (req, res) => {
     }
 
     const trimmedName = name.trim();
-    instance.Name = trimmedName;
 
-    // Update instance in userInstances
-    let userInstances = (await db.get(req.user.userId + "_instances")) || [];
-    const userInstanceIndex = userInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    if (userInstanceIndex !== -1) {
-        userInstances[userInstanceIndex].Name = trimmedName;
-        await db.set(req.user.userId + "_instances", userInstances);
-    }
-
-    // Update instance in globalInstances
-    let globalInstances = (await db.get("instances")) || [];
-    const globalInstanceIndex = globalInstances.findIndex(
-        (inst) => inst.ContainerId === id,
-    );
-    if (globalInstanceIndex !== -1) {
-        globalInstances[globalInstanceIndex].Name = trimmedName;
-        await db.set("instances", globalInstances);
-    }
-
-    // Save the updated instance
-    await db.set(id + "_instance", instance);
+    // The user and global instance lists read the same record, so renaming it updates them too
+    await db.update(id + "_instance", (current) => {
+        current.Name = trimmedName;
+    });
 
     res.redirect("/instance/" + id + "/settings");
 });
@@ -241,6 +219,7 @@ router.get("/instances/startup/changeimage/:id", async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res
@@ -248,19 +227,14 @@ router.get("/instances/startup/changeimage/:id", async (req, res) => {
                 .send("Unauthorized access to this instance.");
         }
 
-        if (typeof instance.suspended === "undefined") {
-            instance.suspended = false;
-            await db.set(`${id}_instance`, instance);
-        }
-
         if (instance.suspended === true) {
             return res.redirect("../../instance/" + id + "/suspended");
         }
 
         const nodeId = instance.Node.id;
-        const { image, user } = req.query;
+        const { image } = req.query;
 
-        if (!image || !user || !nodeId) {
+        if (!image || !nodeId) {
             return res.status(400).json({ error: "Missing parameters" });
         }
 
@@ -285,19 +259,9 @@ router.get("/instances/startup/changeimage/:id", async (req, res) => {
 
         await updateDatabaseWithNewInstance(
             response.data,
-            user,
-            node,
-            instance.imageData.Image,
-            instance.Memory,
-            instance.Cpu,
-            instance.Disk,
-            instance.Ports,
-            instance.Primary,
-            instance.Name,
             id,
+            instance.imageData.Image,
             image,
-            instance.imageData,
-            instance.Env,
         );
 
         logAudit(
@@ -305,7 +269,12 @@ router.get("/instances/startup/changeimage/:id", async (req, res) => {
             req.user.username,
             "instance:imageChange",
             req.ip,
-            { oldImage: instance.Image, newImage: image },
+            {
+                resource: { type: "instance", id },
+                before: { Image: instance.Image },
+                after: { Image: image },
+                requestId: req.id,
+            },
         );
         res.status(201).redirect(`/instance/${id}/startup`);
     } catch (error) {
@@ -373,66 +342,20 @@ async function prepareRequestData(
     return requestData;
 }
 
-async function updateDatabaseWithNewInstance(
-    responseData,
-    userId,
-    node,
-    image,
-    memory,
-    cpu,
-    disk,
-    ports,
-    primary,
-    name,
-    id,
-    currentimage,
-    imagedata,
-    Env,
-) {
+/**
+ * Records the container the node created with the new image. Only the fields the image change owns
+ * are written, so changes made meanwhile (a suspension, new limits) are kept.
+ */
+async function updateDatabaseWithNewInstance(responseData, id, image, currentimage) {
     const rawImages = (await db.get("images")) || [];
     const imageData = rawImages.find((i) => i.Image === image);
-    const altImages = imageData ? imageData.AltImages : [];
-
-    const instanceData = {
-        Name: name,
-        Id: id,
-        Node: node,
-        User: userId,
-        ContainerId: responseData.containerId,
-        VolumeId: id,
-        Memory: parseInt(memory) || 0,
-        Cpu: parseInt(cpu) || 0,
-        Disk: parseInt(disk) || 0,
-        Ports: ports,
-        Primary: primary,
-        currentimage: currentimage,
-        Env: Array.isArray(Env) ? Env : [],
-        Image: image,
-        AltImages: altImages,
-        imageData: imagedata,
-        suspended: false,
-    };
-
-    await updateInstanceInUserAndGlobalArrays(instanceData);
-    await db.set(`${id}_instance`, instanceData);
-}
 
-async function updateInstanceInUserAndGlobalArrays(instanceData) {
-    // Update user instances
-    let userInstances = (await db.get(`${instanceData.User}_instances`)) || [];
-    userInstances = userInstances.filter(
-        (instance) => instance.Id !== instanceData.Id,
-    );
-    userInstances.push(instanceData);
-    await db.set(`${instanceData.User}_instances`, userInstances);
-
-    // Update global instances
-    let globalInstances = (await db.get("instances")) || [];
-    globalInstances = globalInstances.filter(
-        (instance) => instance.Id !== instanceData.Id,
-    );
-    globalInstances.push(instanceData);
-    await db.set("instances", globalInstances);
+    store.instances.update(id, (instance) => {
+        instance.ContainerId = responseData.containerId;
+        instance.Image = image;
+        instance.AltImages = imageData ? imageData.AltImages : [];
+        instance.currentimage = currentimage;
+    });
 }
 
 module.exports = router;
@@ -7,6 +7,7 @@ const fs = require('node:fs');
 const axios = require('axios');
 const { db } = require('../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 
 router.post("/instance/:id/files/upload", upload.array('files'), async (req, res) => {
     if (!req.user) {
@@ -26,17 +27,12 @@ router.post("/instance/:id/files/upload", upload.array('files'), async (req, res
         return res.status(404).send('Instance not found');
     }
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
@@ -55,6 +51,9 @@ router.post("/instance/:id/files/upload", upload.array('files'), async (req, res
                 'Authorization': `Basic ${Buffer.from('Skyport:' + instance.Node.apiKey).toString('base64')}`,
             }
         });
+        logInstanceActivity(req, instance.Id, 'file:upload', {
+            after: { files: files.map(file => file.originalname), path: subPath || '/' },
+        });
         res.json({ message: 'Files uploaded successfully', details: response.data });
     } catch (error) {
         console.error(error);
@@ -1,7 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const { db } = require("../../handlers/db.js");
+const { db, store } = require("../../handlers/db.js");
 const { isUserAuthorizedForContainer } = require("../../utils/authHelper");
+const { logInstanceActivity } = require("../../handlers/auditlog.js");
+const { notifySubUserAdded } = require("../../handlers/notifications.js");
 const { loadPlugins } = require("../../plugins/loadPls.js");
 const path = require("path");
 
@@ -19,6 +21,7 @@ router.get("/instance/:id/users", async (req, res) => {
         const isAuthorized = await isUserAuthorizedForContainer(
             req.user.userId,
             instance.Id,
+            req,
         );
         if (!isAuthorized) {
             return res
@@ -26,8 +29,7 @@ router.get("/instance/:id/users", async (req, res) => {
                 .send("Unauthorized access to this instance.");
         }
 
-        let users = (await db.get("users")) || [];
-        users = users.filter(
+        const users = store.users.list().filter(
             (user) =>
                 user && user.accessTo && user.accessTo.includes(instance.Id),
         );
@@ -54,21 +56,44 @@ router.get("/instance/:id/users", async (req, res) => {
 router.post("/instance/:id/users/add", async (req, res) => {
     const { id } = req.params;
     const { username } = req.body;
+    if (!req.user) return res.redirect("/");
 
     try {
-        let usersData = await db.get("users");
-        if (typeof usersData !== "object") {
-            throw new Error("Users data is not in the expected format.");
+        const instance = await db.get(`${id}_instance`);
+        if (!instance) {
+            return res.status(404).send("Instance not found.");
+        }
+
+        const isAuthorized = await isUserAuthorizedForContainer(
+            req.user.userId,
+            instance.Id,
+            req,
+        );
+        if (!isAuthorized) {
+            return res
+                .status(403)
+                .send("Unauthorized access to this instance.");
         }
-        let user = usersData.find((user) => user.username === username);
+
+        const found = store.users.findOne("username", username);
+        let added = false;
+        const user =
+            found &&
+            store.users.update(found.userId, (user) => {
+                user.accessTo = user.accessTo || [];
+                if (!user.accessTo.includes(id)) {
+                    user.accessTo.push(id);
+                    added = true;
+                }
+            });
 
         if (!user) {
             return res.redirect("/instance/" + id + "/users?err=usernotfound.");
         }
-        if (!user.accessTo.includes(id)) {
-            user.accessTo.push(id);
+        logInstanceActivity(req, instance.Id, "subuser:add", { after: { username } });
+        if (added) {
+            notifySubUserAdded(user.userId, instance, req.user.username);
         }
-        await db.set("users", usersData);
         return res.redirect("/instance/" + id + "/users");
     } catch (error) {
         console.error("Error updating user access:", error);
@@ -79,21 +104,37 @@ router.post("/instance/:id/users/add", async (req, res) => {
 router.get("/instance/:id/users/remove/:username", async (req, res) => {
     const { id } = req.params;
     const { username } = req.params;
+    if (!req.user) return res.redirect("/");
 
     try {
-        let usersData = await db.get("users");
-        if (typeof usersData !== "object") {
-            throw new Error("Users data is not in the expected format.");
+        const instance = await db.get(`${id}_instance`);
+        if (!instance) {
+            return res.status(404).send("Instance not found.");
+        }
+
+        const isAuthorized = await isUserAuthorizedForContainer(
+            req.user.userId,
+            instance.Id,
+            req,
+        );
+        if (!isAuthorized) {
+            return res
+                .status(403)
+                .send("Unauthorized access to this instance.");
         }
-        let user = usersData.find((user) => user.username === username);
+
+        const found = store.users.findOne("username", username);
+        const user =
+            found &&
+            store.users.update(found.userId, (user) => {
+                user.accessTo = (user.accessTo || []).filter((accessId) => accessId !== id);
+            });
 
         if (!user) {
             return res.redirect(`/instance/${id}/users?err=usernotfound.`);
         }
-        user.accessTo = user.accessTo.filter((accessId) => accessId !== id);
-
-        await db.set("users", usersData);
 
+        logInstanceActivity(req, instance.Id, "subuser:remove", { before: { username } });
         return res.redirect(`/instance/${id}/users`);
     } catch (error) {
         console.error("Error updating user access:", error);
@@ -22,17 +22,12 @@ router.get("/instance/:id/files/view/:file", async (req, res) => {
 
     if (!instance || !instance.VolumeId) return res.redirect('../instances');
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return res.status(403).send('Unauthorized access to this instance.');
     }
 
 
-    if(!instance.suspended) {
-        instance.suspended = false;
-        db.set(id + '_instance', instance);
-    }
-
     if(instance.suspended === true) {
         return res.redirect('../../instances?err=SUSPENDED');
    }
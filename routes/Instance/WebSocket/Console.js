@@ -3,6 +3,8 @@ const router = express.Router();
 const WebSocket = require('ws');
 const { db } = require('../../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../../utils/authHelper');
+const { trackWebSocket } = require('../../../handlers/metrics.js');
+const { logInstanceActivity } = require('../../../handlers/auditlog.js');
 
 router.ws("/console/:id", async (ws, req) => {
     if (!req.user) return ws.close(1008, "Authorization required");
@@ -12,11 +14,13 @@ router.ws("/console/:id", async (ws, req) => {
 
     if (!instance || !id) return ws.close(1008, "Invalid instance or ID");
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return ws.close(1008, "Unauthorized access");
     }
 
+    trackWebSocket('console', ws);
+
     const node = instance.Node;
     const socket = new WebSocket(`ws://${node.address}:${node.port}/exec/${instance.ContainerId}`);
 
@@ -36,6 +40,17 @@ router.ws("/console/:id", async (ws, req) => {
 
     ws.onmessage = msg => {
         socket.send(msg.data);
+
+        // Power buttons go through the console socket, so this is where they get recorded.
+        let message;
+        try {
+            message = JSON.parse(msg.data);
+        } catch {
+            return;
+        }
+        if (typeof message?.event === 'string' && /^power:(start|stop|restart|kill)$/.test(message.event)) {
+            logInstanceActivity(req, instance.Id, message.event);
+        }
     };
 
     ws.on('close', () => {
@@ -3,6 +3,7 @@ const router = express.Router();
 const WebSocket = require('ws');
 const { db } = require('../../../handlers/db.js');
 const { isUserAuthorizedForContainer } = require('../../../utils/authHelper');
+const { trackWebSocket } = require('../../../handlers/metrics.js');
 
 router.ws("/stats/:id", async (ws, req) => {
     if (!req.user) return ws.close(1008, "Authorization required");
@@ -12,11 +13,13 @@ router.ws("/stats/:id", async (ws, req) => {
 
     if (!instance || !id) return ws.close(1008, "Invalid instance or ID");
 
-    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+    const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
     if (!isAuthorized) {
         return ws.close(1008, "Unauthorized access");
     }
 
+    trackWebSocket('stats', ws);
+
     const node = instance.Node;
     const volume = instance.VolumeId;
     const socket = new WebSocket(`ws://${node.address}:${node.port}/stats/${instance.ContainerId}/${volume}`);
@@ -3,6 +3,7 @@ const axios = require('axios');
 const router = express.Router();
 const { db } = require('../../handlers/db');
 const { isUserAuthorizedForContainer } = require('../../utils/authHelper');
+const { logInstanceActivity } = require('../../handlers/auditlog.js');
 const { fetchFiles } = require('../../utils/fileHelper');
 
 const MODRINTH_API = 'https://api.modrinth.com/v2';
@@ -108,7 +109,7 @@ router.get('/instance/:id/modpacks', async (req, res) => {
         const instance = await db.get(`${id}_instance`);
         if (!instance) return res.redirect('../instances');
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) return res.status(403).send('Unauthorized');
 
         if (instance.suspended) return res.redirect('../../instances?err=SUSPENDED');
@@ -229,7 +230,7 @@ router.get('/instance/:id/modpacks/download', async (req, res) => {
         const instance = await db.get(`${id}_instance`);
         if (!instance) return res.redirect('../instances');
 
-        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id);
+        const isAuthorized = await isUserAuthorizedForContainer(req.user.userId, instance.Id, req);
         if (!isAuthorized) return res.status(403).send('Unauthorized');
 
         if (instance.suspended) return res.redirect('../../instances?err=SUSPENDED');
@@ -267,6 +268,9 @@ router.get('/instance/:id/modpacks/download', async (req, res) => {
         // Execute download
         const response = await axios(request);
         if (response.status === 200) {
+            logInstanceActivity(req, instance.Id, 'modpack:install', {
+                after: { modpack: modpackName, platform, version: versionId },
+            });
             return res.redirect(`/instance/${id}/modpacks?success=true`);
         } else {
             throw new Error('Server returned non-200 status');
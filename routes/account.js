@@ -9,35 +9,285 @@ const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
 const axios = require("axios");
-const { db } = require("../handlers/db.js");
+const { db, store } = require("../handlers/db.js");
 const config = require("../config.json");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
 const speakeasy = require("speakeasy");
 const qrcode = require("qrcode");
+const { logAudit } = require("../handlers/auditlog.js");
+const {
+    EXPIRY_OPTIONS,
+    listUserTokens,
+    createUserToken,
+    revokeUserToken,
+} = require("../handlers/userTokens.js");
+const { EVENTS: EMAIL_EVENTS, getPreferences, savePreferences } = require("../handlers/instanceEmails.js");
+const { LOGIN_ERRORS, loginProviders, listIdentities, unlinkIdentity } = require("../handlers/sso.js");
+const webauthn = require("../handlers/webauthn.js");
+const {
+    getSettings: getSecuritySettings,
+    requiresHardwareKey,
+    passwordRules,
+    checkPassword,
+} = require("../handlers/security.js");
+const {
+    remainingRecoveryCodes,
+    generateRecoveryCodes,
+    clearRecoveryCodes,
+} = require("../handlers/twoFactor.js");
 const saltRounds = process.env.SALT_ROUNDS || 10;
 
 async function doesUserExist(username) {
-    const users = await db.get("users");
-    if (users) {
-        return users.some((user) => user.username === username);
-    } else {
-        return false; // If no users found, return false
-    }
+    return Boolean(store.users.findOne("username", username));
 }
 
 router.get("/account", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    // A new token is only shown once, on the page the creation redirects to.
+    const newToken = req.session.newToken || null;
+    delete req.session.newToken;
+    const tokenError = req.session.tokenError || null;
+    delete req.session.tokenError;
+    const securityKeyError = req.session.securityKeyError || null;
+    delete req.session.securityKeyError;
+    const passwordError = req.session.passwordError || null;
+    delete req.session.passwordError;
+    const securitySettings = await getSecuritySettings();
+
     res.render("account", {
         req,
         user: req.user,
-        users: (await db.get("users")) || [],
+        tokens: listUserTokens(req.user.userId),
+        expiryOptions: EXPIRY_OPTIONS,
+        newToken,
+        tokenError,
+        emailEvents: EMAIL_EVENTS,
+        emailPreferences: getPreferences(req.user),
+        smtpConfigured: Boolean(await db.get("smtp_settings")),
+        identities: listIdentities(req.user.userId),
+        ssoProviders: loginProviders(),
+        ssoError: LOGIN_ERRORS[req.query.sso] || null,
+        securityKeys: webauthn.listCredentials(req.user.userId),
+        securityKeyError,
+        hardwareKeyRequired: await requiresHardwareKey(req.user),
+        hasSecondFactor: webauthn.needsSecondFactor(req.user),
+        recoveryCodesLeft: remainingRecoveryCodes(req.user),
+        passwordRules: passwordRules(securitySettings),
+        passwordError,
+        passwordExpired: Boolean(req.session.passwordExpired),
+        name: (await db.get("name")) || "TeryxPanel",
+        logo: (await db.get("logo")) || false,
+    });
+});
+
+/**
+ * POST /account/tokens
+ * Creates a personal API token for /api/client. The token is put in the session and shown once on
+ * the account page.
+ */
+router.post("/account/tokens", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const { token, record, error } = createUserToken(req.user.userId, req.body);
+    if (error) {
+        req.session.tokenError = error;
+        return res.redirect("/account#api-tokens");
+    }
+
+    logAudit(req.user.userId, req.user.username, "token:create", req.ip, {
+        resource: { type: "user_token", id: record.id },
+        after: record,
+        requestId: req.id,
+    });
+
+    req.session.newToken = { name: record.name, token };
+    res.redirect("/account#api-tokens");
+});
+
+router.post("/account/tokens/:id/delete", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const token = revokeUserToken(req.user.userId, req.params.id);
+    if (token) {
+        logAudit(req.user.userId, req.user.username, "token:delete", req.ip, {
+            resource: { type: "user_token", id: token.id },
+            before: token,
+            requestId: req.id,
+        });
+    }
+
+    res.redirect("/account#api-tokens");
+});
+
+/**
+ * POST /account/email-notifications
+ * Saves which server events the user is emailed about. Events not in the form are turned off.
+ */
+router.post("/account/email-notifications", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const change = savePreferences(req.user.userId, req.body.events);
+    if (change) {
+        logAudit(req.user.userId, req.user.username, "email_notifications:edit", req.ip, {
+            resource: { type: "user", id: req.user.userId },
+            before: { events: change.before },
+            after: { events: change.after },
+            requestId: req.id,
+        });
+    }
+
+    res.redirect("/account?msg=EmailNotificationsSaved#email-notifications");
+});
+
+/**
+ * POST /account/identities/:id/unlink
+ * Disconnects a single sign-on login from the account. The user can still sign in with their
+ * password.
+ */
+router.post("/account/identities/:id/unlink", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const identity = unlinkIdentity(req.user.userId, req.params.id);
+    if (identity) {
+        logAudit(req.user.userId, req.user.username, "sso_identity:unlink", req.ip, {
+            resource: { type: "sso_identity", id: req.params.id },
+            before: identity,
+            requestId: req.id,
+        });
+    }
+
+    res.redirect("/account?sso=unlinked#sign-in-methods");
+});
+
+/**
+ * Gives the signed-in user a new set of recovery codes and keeps them in the session, so
+ * /account/recovery-codes can show them once.
+ */
+function newRecoveryCodes(req) {
+    req.session.recoveryCodes = generateRecoveryCodes(req.user.userId);
+    logAudit(req.user.userId, req.user.username, "recovery_codes:create", req.ip, {
+        resource: { type: "user", id: req.user.userId },
+        after: { count: req.session.recoveryCodes.length },
+        requestId: req.id,
+    });
+}
+
+/**
+ * GET /account/recovery-codes
+ * Shows a new set of recovery codes once, or how many codes are left and a way to get new ones.
+ */
+router.get("/account/recovery-codes", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+    if (!webauthn.needsSecondFactor(req.user)) return res.redirect("/account");
+
+    const codes = req.session.recoveryCodes || null;
+    delete req.session.recoveryCodes;
+
+    res.set("Cache-Control", "no-store");
+    res.render("recovery-codes", {
+        req,
+        user: req.user,
+        codes,
+        remaining: remainingRecoveryCodes(req.user),
         name: (await db.get("name")) || "TeryxPanel",
         logo: (await db.get("logo")) || false,
     });
 });
 
+/**
+ * POST /account/recovery-codes
+ * Replaces the user's recovery codes with a new set.
+ */
+router.post("/account/recovery-codes", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+    if (!webauthn.needsSecondFactor(req.user)) return res.redirect("/account");
+
+    newRecoveryCodes(req);
+    res.redirect("/account/recovery-codes");
+});
+
+function auditSecurityKey(req, action, id, change) {
+    logAudit(req.user.userId, req.user.username, action, req.ip, {
+        resource: { type: "webauthn_credential", id },
+        ...change,
+        requestId: req.id,
+    });
+}
+
+/**
+ * POST /account/webauthn/register/options
+ * Starts registering a security key or passkey for the signed-in user.
+ */
+router.post("/account/webauthn/register/options", async (req, res) => {
+    if (!req.user) return res.status(401).json({ error: "Please sign in again." });
+
+    const options = await webauthn.registrationOptions(req.user, (await db.get("name")) || "TeryxPanel");
+    webauthn.saveChallenge(req.session, "register", options);
+    res.json(options);
+});
+
+/**
+ * POST /account/webauthn/register
+ * Saves the key the browser just created. From now on the key is asked for after the password.
+ */
+router.post("/account/webauthn/register", async (req, res) => {
+    if (!req.user) return res.status(401).json({ error: "Please sign in again." });
+
+    const challenge = webauthn.takeChallenge(req.session, "register");
+    if (!challenge) {
+        return res.status(400).json({ error: "The request expired. Please try again." });
+    }
+
+    const { credential, error } = await webauthn.verifyRegistration(req.user, req.body.response, challenge, req.body.name);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    auditSecurityKey(req, "webauthn_credential:create", credential.id, { after: credential });
+    // Creating the key proved the user holds it.
+    req.session.secondFactor = "webauthn";
+    if (remainingRecoveryCodes(req.user) === 0 && !req.user.twoFAEnabled) {
+        newRecoveryCodes(req);
+        return res.json({ redirect: "/account/recovery-codes" });
+    }
+    res.json({ redirect: "/account?webauthn=added#security-keys" });
+});
+
+router.post("/account/webauthn/:id/rename", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const change = webauthn.renameCredential(req.user.userId, req.params.id, req.body.name);
+    if (change && change.error) {
+        req.session.securityKeyError = change.error;
+    } else if (change) {
+        auditSecurityKey(req, "webauthn_credential:edit", req.params.id, change);
+    }
+
+    res.redirect("/account#security-keys");
+});
+
+/**
+ * POST /account/webauthn/:id/delete
+ * Revokes a security key. It can no longer be used to sign in.
+ */
+router.post("/account/webauthn/:id/delete", async (req, res) => {
+    if (!req.user) return res.redirect("/");
+
+    const credential = webauthn.removeCredential(req.user.userId, req.params.id);
+    if (credential) {
+        auditSecurityKey(req, "webauthn_credential:delete", req.params.id, { before: credential });
+        if (!webauthn.needsSecondFactor(req.user)) {
+            clearRecoveryCodes(req.user.userId);
+        }
+    }
+
+    res.redirect("/account?webauthn=removed#security-keys");
+});
+
 router.get("/accounts", async (req, res) => {
-    let users = (await db.get("users")) || [];
+    let users = store.users.list();
 
     res.send(users);
 });
@@ -92,15 +342,10 @@ router.post("/update-username", async (req, res) => {
             }
 
             // Update the username in the database
-            const users = await db.get("users");
-            const updatedUsers = users.map((user) => {
-                if (user.username === currentUsername) {
-                    return { ...user, username: newUsername };
-                } else {
-                    return user;
-                }
+            const { userId } = store.users.findOne("username", currentUsername);
+            store.users.update(userId, (user) => {
+                user.username = newUsername;
             });
-            await db.set("users", updatedUsers);
 
             // Send updated user data back to the client
             res.status(200).json({ success: true, username: newUsername });
@@ -116,35 +361,23 @@ router.get("/enable-2fa", async (req, res) => {
         if (!req.isAuthenticated()) {
             return res.status(401).send("User is not authenticated.");
         }
-        const users = await db.get("users");
-        const currentUser = users.find(
-            (user) => user.username === req.user.username,
-        );
+        const currentUser = store.users.get(req.user.userId);
         const secret = speakeasy.generateSecret({
             length: 20,
             name: `HydraPanel (${currentUser.username})`,
             issuer: "TeryxPanel",
         });
 
-        const updatedUsers = users.map((user) => {
-            if (user.username === req.user.username) {
-                return {
-                    ...user,
-                    twoFASecret: secret.base32,
-                    twoFAEnabled: false,
-                };
-            } else {
-                return user;
-            }
+        store.users.update(req.user.userId, (user) => {
+            user.twoFASecret = secret.base32;
+            user.twoFAEnabled = false;
         });
-        await db.set("users", updatedUsers);
 
         qrcode.toDataURL(secret.otpauth_url, async (err, data_url) => {
             if (err) return res.status(500).send("Error generating QR Code");
             res.render("enable-2fa", {
                 req,
                 user: req.user,
-                users,
                 name: (await db.get("name")) || "TeryxPanel",
                 logo: (await db.get("logo")) || false,
                 qrCode: data_url,
@@ -163,10 +396,7 @@ router.post("/verify-2fa", async (req, res) => {
         }
 
         const { token } = req.body;
-        const users = await db.get("users");
-        const currentUser = users.find(
-            (user) => user.username === req.user.username,
-        );
+        const currentUser = store.users.get(req.user.userId);
 
         const verified = speakeasy.totp.verify({
             secret: currentUser.twoFASecret,
@@ -175,15 +405,15 @@ router.post("/verify-2fa", async (req, res) => {
         });
 
         if (verified) {
-            const updatedUsers = users.map((user) => {
-                if (user.username === req.user.username) {
-                    return { ...user, twoFAEnabled: true };
-                } else {
-                    return user;
-                }
+            store.users.update(req.user.userId, (user) => {
+                user.twoFAEnabled = true;
             });
-            await db.set("users", updatedUsers);
 
+            // Recovery codes are shown once, on the page the user is sent to next.
+            if (remainingRecoveryCodes(currentUser) === 0) {
+                newRecoveryCodes(req);
+                return res.redirect("/account/recovery-codes");
+            }
             res.redirect("/account?msg=2FAEnabled");
         } else {
             res.status(400).send("Invalid token");
@@ -200,19 +430,14 @@ router.post("/disable-2fa", async (req, res) => {
             return res.status(401).send("User is not authenticated.");
         }
 
-        const users = await db.get("users");
-        const currentUser = users.find(
-            (user) => user.username === req.user.username,
-        );
-
-        const updatedUsers = users.map((user) => {
-            if (user.username === req.user.username) {
-                return { ...user, twoFAEnabled: false, twoFASecret: null };
-            } else {
-                return user;
-            }
+        const currentUser = store.users.update(req.user.userId, (user) => {
+            user.twoFAEnabled = false;
+            user.twoFASecret = null;
         });
-        await db.set("users", updatedUsers);
+        // Recovery codes stand in for a second factor, so they go with the last one.
+        if (!webauthn.hasCredentials(currentUser.userId)) {
+            clearRecoveryCodes(currentUser.userId);
+        }
 
         res.redirect("/account");
     } catch (error) {
@@ -237,10 +462,7 @@ router.post("/change-password", async (req, res) => {
         }
 
         // Get the user's information from the database
-        const users = await db.get("users");
-        const currentUser = users.find(
-            (user) => user.username === req.user.username,
-        );
+        const currentUser = store.users.get(req.user.userId);
 
         // Check if the current password matches the user's password in the database
         const passwordMatch = await bcrypt.compare(
@@ -251,18 +473,24 @@ router.post("/change-password", async (req, res) => {
             return res.status(401).send("Current password is incorrect.");
         }
 
+        const passwordError = checkPassword(newPassword, await getSecuritySettings());
+        if (passwordError) {
+            req.session.passwordError = passwordError;
+            return res.redirect("/account#change-password");
+        }
+        if (await bcrypt.compare(newPassword, currentUser.password)) {
+            req.session.passwordError = "Choose a password different from your current one.";
+            return res.redirect("/account#change-password");
+        }
+
         // Hash the new password
         const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
 
         // Update the user's password in the database
-        const updatedUsers = users.map((user) => {
-            if (user.username === req.user.username) {
-                return { ...user, password: hashedNewPassword };
-            } else {
-                return user;
-            }
+        store.users.update(req.user.userId, (user) => {
+            user.password = hashedNewPassword;
+            user.passwordChangedAt = new Date().toISOString();
         });
-        await db.set("users", updatedUsers);
 
         // Log the user out
         req.logout(async (err) => {
@@ -294,10 +522,7 @@ router.post("/validate-password", async (req, res) => {
         }
 
         // Get the user's information from the database
-        const users = await db.get("users");
-        const currentUser = users.find(
-            (user) => user.username === req.user.username,
-        );
+        const currentUser = store.users.get(req.user.userId);
 
         // Check if currentUser exists and contains the hashed password
         if (currentUser && currentUser.password) {
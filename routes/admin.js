@@ -9,7 +9,7 @@ const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
 const axios = require("axios");
-const { db } = require("../handlers/db.js");
+const { db, store } = require("../handlers/db.js");
 const config = require("../config.json");
 const bcrypt = require("bcrypt");
 const saltRounds = 10;
@@ -19,40 +19,27 @@ const fs = require("node:fs");
 const { logAudit } = require("../handlers/auditlog.js");
 const nodemailer = require("nodemailer");
 const { sendTestEmail } = require("../handlers/email.js");
-
-/**
- * Middleware to verify if the user is an administrator.
- * Checks if the user object exists and if the user has admin privileges. If not, redirects to the
- * home page. If the user is an admin, proceeds to the next middleware or route handler.
- *
- * @param {Object} req - The request object, containing user data.
- * @param {Object} res - The response object.
- * @param {Function} next - The next middleware or route handler to be executed.
- * @returns {void} Either redirects or proceeds by calling next().
- */
-function isAdmin(req, res, next) {
-  if (!req.user || req.user.admin !== true) {
-    return res.redirect("../");
-  }
-  next();
-}
+const { TEMPLATES, languages, listOverrides } = require("../handlers/emailTemplates.js");
+const { serializeUser, serializeInstance } = require("../handlers/serializers.js");
+const webhooks = require("../handlers/webhooks.js");
+const { notifyInstance } = require("../handlers/chatNotifications.js");
+const { notifyInstanceSuspended } = require("../handlers/notifications.js");
+const { emailInstanceEvent } = require("../handlers/instanceEmails.js");
+const { isAdmin } = require("../utils/isAdmin.js");
+const { describeSecondFactors, resetSecondFactors } = require("../handlers/twoFactor.js");
+const {
+  getSettings: getSecuritySettings,
+  checkPassword,
+  lockedUntil,
+  clearFailedLogins,
+} = require("../handlers/security.js");
 
 async function doesUserExist(username) {
-  const users = await db.get("users");
-  if (users) {
-    return users.some((user) => user.username === username);
-  } else {
-    return false; // If no users found, return false
-  }
+  return Boolean(store.users.findOne("username", username));
 }
 
 async function doesEmailExist(email) {
-  const users = await db.get("users");
-  if (users) {
-    return users.some((user) => user.email === email);
-  } else {
-    return false; // If no users found, return false
-  }
+  return Boolean(store.users.findOne("email", email));
 }
 
 /**
@@ -64,6 +51,7 @@ async function doesEmailExist(email) {
  * @returns {Promise<Object>} Returns the updated node object after attempting to verify its status.
  */
 async function checkNodeStatus(node) {
+  const previousStatus = node.status;
   try {
     const RequestData = {
       method: "get",
@@ -85,59 +73,17 @@ async function checkNodeStatus(node) {
     node.versionRelease = versionRelease;
     node.remote = remote;
 
-    await db.set(node.id + "_node", node); // Update node info with new details
+    store.nodes.save(node); // Update node info with new details
+    webhooks.emitNodeStatus(previousStatus, node);
     return node;
   } catch (error) {
     node.status = "Offline";
-    await db.set(node.id + "_node", node); // Update node as offline if there's an error
+    store.nodes.save(node); // Update node as offline if there's an error
+    webhooks.emitNodeStatus(previousStatus, node);
     return node;
   }
 }
 
-router.get("/admin/apikeys", isAdmin, async (req, res) => {
-  try {
-    res.render("admin/apikeys", {
-      req,
-      user: req.user,
-      apiKeys: (await db.get("apiKeys")) || [],
-      name: (await db.get("name")) || "TeryxPanel",
-      logo: (await db.get("logo")) || false,
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to retrieve API keys" });
-  }
-});
-
-router.post("/apikeys/create", isAdmin, async (req, res) => {
-  try {
-    const newApiKey = {
-      id: uuidv4(),
-      key: "hpk_" + uuidv4(),
-      createdAt: new Date().toISOString(),
-    };
-
-    let apiKeys = (await db.get("apiKeys")) || [];
-    apiKeys.push(newApiKey);
-    await db.set("apiKeys", apiKeys);
-
-    res.status(201).json(newApiKey);
-  } catch (error) {
-    res.status(500).json({ error: "Failed to create API key" });
-  }
-});
-
-router.delete("/apikeys/delete", isAdmin, async (req, res) => {
-  try {
-    const { keyId } = req.body;
-    let apiKeys = (await db.get("apiKeys")) || [];
-    apiKeys = apiKeys.filter((key) => key.id !== keyId);
-    await db.set("apiKeys", apiKeys);
-    res.status(204).send();
-  } catch (error) {
-    res.status(500).json({ error: "Failed to delete API key" });
-  }
-});
-
 /**
  * GET /nodes/debug
  * Asynchronously retrieves and updates the status of all nodes registered in the database.
@@ -147,10 +93,7 @@ router.delete("/apikeys/delete", isAdmin, async (req, res) => {
  * @returns {Response} Returns a JSON array of all nodes with their updated statuses.
  */
 router.get("/nodes/debug", isAdmin, async (req, res) => {
-  const nodeIds = (await db.get("nodes")) || [];
-  const nodes = await Promise.all(
-    nodeIds.map((id) => db.get(id + "_node").then(checkNodeStatus)),
-  );
+  const nodes = await Promise.all(store.nodes.list().map(checkNodeStatus));
   res.json(nodes);
 });
 
@@ -174,19 +117,17 @@ router.get("/admin/node/:id/configure-command", isAdmin, async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Fetch the node from the database
-    const node = await db.get(id + "_node");
-
-    if (!node) {
-      return res.status(404).json({ error: "Node not found" });
-    }
-
     // Generate a new configure key
     const configureKey = uuidv4();
 
     // Update the node with the new configure key
-    node.configureKey = configureKey;
-    await db.set(id + "_node", node);
+    const node = store.nodes.update(id, (record) => {
+      record.configureKey = configureKey;
+    });
+
+    if (!node) {
+      return res.status(404).json({ error: "Node not found" });
+    }
 
     // Construct the configuration command
     const panelUrl = `${req.protocol}://${req.get("host")}`;
@@ -212,16 +153,11 @@ router.get("/admin/node/:id/configure-command", isAdmin, async (req, res) => {
  */
 router.get("/admin/overview", isAdmin, async (req, res) => {
   try {
-    const users = (await db.get("users")) || [];
-    const nodes = (await db.get("nodes")) || [];
-    const images = (await db.get("images")) || [];
-    const instances = (await db.get("instances")) || [];
-
     // Calculate totals
-    const usersTotal = users.length;
-    const nodesTotal = nodes.length;
-    const imagesTotal = images.length;
-    const instancesTotal = instances.length;
+    const usersTotal = store.users.count();
+    const nodesTotal = store.nodes.count();
+    const imagesTotal = store.images.count();
+    const instancesTotal = store.instances.count();
 
     // Check first visit
     const firstVisitKey = `firstVisit_${req.user.userId}`;
@@ -252,113 +188,6 @@ router.get("/admin/overview", isAdmin, async (req, res) => {
   }
 });
 
-router.get("/admin/analytics", isAdmin, async (req, res) => {
-  try {
-    const analytics = (await db.get("analytics")) || [];
-
-    const pageViews = analytics.reduce((acc, item) => {
-      if (item?.path) {
-        acc[item.path] = (acc[item.path] || 0) + 1;
-      }
-      return acc;
-    }, {});
-
-    const methodCounts = analytics.reduce((acc, item) => {
-      if (item?.method) {
-        acc[item.method] = (acc[item.method] || 0) + 1;
-      }
-      return acc;
-    }, {});
-
-    const timeSeriesData = analytics
-      .filter((item) => item?.timestamp && item?.path)
-      .map((item) => ({
-        timestamp: item.timestamp,
-        path: item.path,
-      }));
-
-    res.render("admin/analytics", {
-      req,
-      user: req.user,
-      pageViews,
-      methodCounts,
-      timeSeriesData,
-      name: "Analytics",
-      logo: true,
-    });
-  } catch (error) {
-    console.error("Error in /admin/analytics:", error);
-    res.status(500).render("error", { error: "Failed to load analytics data" });
-  }
-});
-
-router.get("/api/analytics", isAdmin, async (req, res) => {
-  try {
-    // Check if user is authenticated and has admin rights
-    if (!req.user || !req.user.admin) {
-      return res.status(403).json({ error: "Unauthorized" });
-    }
-
-    const analytics = (await db.get("analytics")) || [];
-
-    // Process analytics data
-    const totalRequests = analytics.length;
-    const uniqueVisitors = new Set(
-      analytics.map((item) => item?.ip).filter(Boolean),
-    ).size;
-    const avgRequestsPerHour = totalRequests > 0 ? totalRequests / 24 : 0; // Avoid division by zero
-
-    // Get page counts with safety checks
-    const pageCounts = analytics.reduce((acc, item) => {
-      if (item?.path) {
-        acc[item.path] = (acc[item.path] || 0) + 1;
-      }
-      return acc;
-    }, {});
-
-    // Safely get top page
-    const sortedPages = Object.entries(pageCounts).sort((a, b) => b[1] - a[1]);
-    const topPage =
-      sortedPages.length > 0 ? sortedPages[0][0] : "No pages visited";
-
-    // Traffic over time (hourly)
-    const trafficOverTime = Array(24).fill(0);
-    analytics.forEach((item) => {
-      if (item?.timestamp) {
-        try {
-          const hour = new Date(item.timestamp).getHours();
-          if (!isNaN(hour) && hour >= 0 && hour < 24) {
-            trafficOverTime[hour]++;
-          }
-        } catch (e) {
-          console.error("Invalid timestamp:", item.timestamp);
-        }
-      }
-    });
-
-    // Top 5 pages
-    const topPages = sortedPages.slice(0, 5);
-
-    res.json({
-      totalRequests,
-      uniqueVisitors,
-      avgRequestsPerHour,
-      topPage,
-      trafficOverTime: {
-        labels: Array.from({ length: 24 }, (_, i) => `${i}:00`),
-        data: trafficOverTime,
-      },
-      topPages: {
-        labels: topPages.map(([page]) => page),
-        data: topPages.map(([, count]) => count),
-      },
-    });
-  } catch (error) {
-    console.error("Error in /api/analytics:", error);
-    res.status(500).json({ error: "Failed to process analytics data" });
-  }
-});
-
 /**
  * POST /nodes/create
  * Creates a new node with a unique configureKey for secure configuration.
@@ -391,14 +220,14 @@ router.post("/nodes/create", isAdmin, async (req, res) => {
     return res.status(400).send("Form validation failure.");
   }
 
-  await db.set(node.id + "_node", node);
-
-  const nodes = (await db.get("nodes")) || [];
-  nodes.push(node.id);
-  await db.set("nodes", nodes);
+  store.nodes.save(node);
 
   // Return the node object including the configureKey
-  logAudit(req.user.userId, req.user.username, "node:create", req.ip);
+  logAudit(req.user.userId, req.user.username, "node:create", req.ip, {
+    resource: { type: "node", id: node.id },
+    after: node,
+    requestId: req.id,
+  });
   res.status(201).json({
     ...node,
     configureKey: configureKey, // Include configureKey in the response
@@ -410,7 +239,7 @@ router.get("/admin/node/:id/stats", isAdmin, async (req, res) => {
 
   try {
     // 1. Get node from database
-    const node = await db.get(`${id}_node`);
+    const node = store.nodes.get(id);
     if (!node) {
       return res.status(404).render('admin/error', {
         error: "Node not found",
@@ -419,8 +248,7 @@ router.get("/admin/node/:id/stats", isAdmin, async (req, res) => {
     }
 
     // 2. Count instances on this node
-    const instances = (await db.get("instances")) || [];
-    const instanceCount = instances.filter(i => i.Node?.id === id).length;
+    const instanceCount = store.instances.listByNode(id).length;
 
     // 3. Default stats (shown when node is offline)
     let stats = {
@@ -497,48 +325,49 @@ router.get("/admin/node/:id/stats", isAdmin, async (req, res) => {
 
 router.post("/admin/nodes/radar/check", isAdmin, async (req, res) => {
   try {
-    const nodes = (await db.get("nodes")) || [];
-    let instances = (await db.get("instances")) || [];
-
-    for (const nodeid of nodes) {
-      const node = await db.get(`${nodeid}_node`);
-      if (node) {
-        const nodestatus = await checkNodeStatus(node);
-        if (nodestatus) {
-          try {
-            const response = await axios.get(
-              `http://${node.address}:${node.port}/check/all`,
-              {
-                auth: {
-                  username: "Skyport",
-                  password: node.apiKey,
-                },
+    for (const node of store.nodes.list()) {
+      const nodestatus = await checkNodeStatus(node);
+      if (nodestatus) {
+        try {
+          const response = await axios.get(
+            `http://${node.address}:${node.port}/check/all`,
+            {
+              auth: {
+                username: "Skyport",
+                password: node.apiKey,
               },
-            );
-
-            if (response.data.flaggedMessages.length > 0) {
-              for (const message of response.data.flaggedMessages) {
-                const { containerId, message: flaggedMessage } = message;
-                for (let instance of instances) {
-                  if (instance.ContainerId === containerId) {
-                    instance.suspended = true;
-                    instance["suspended-flagg"] = flaggedMessage;
-                  }
+            },
+          );
+
+          if (response.data.flaggedMessages.length > 0) {
+            for (const message of response.data.flaggedMessages) {
+              const { containerId, message: flaggedMessage } = message;
+              for (const instance of store.instances.findAll("container_id", containerId)) {
+                const flagged = store.instances.update(instance.Id, (record) => {
+                  record.suspended = true;
+                  record["suspended-flagg"] = flaggedMessage;
+                });
+                if (flagged && instance.suspended !== true) {
+                  webhooks.emit("instance.suspended", {
+                    instance: serializeInstance(flagged),
+                    reason: flaggedMessage,
+                  });
+                  notifyInstance(flagged, "suspended", { reason: flaggedMessage });
+                  notifyInstanceSuspended(flagged);
+                  emailInstanceEvent(flagged, "instance_suspended");
                 }
               }
             }
-          } catch (error) {
-            if (error.response && error.response.status === 401) {
-            } else {
-              console.error(`Error checking node ${nodeid}:`, error.message);
-            }
+          }
+        } catch (error) {
+          if (error.response && error.response.status === 401) {
+          } else {
+            console.error(`Error checking node ${node.id}:`, error.message);
           }
         }
       }
     }
 
-    await db.set("instances", instances);
-
     res.status(200).send("Node checks completed.");
   } catch (error) {
     console.error("Error during node check:", error.message);
@@ -558,35 +387,15 @@ router.post("/nodes/delete", async (req, res) => {
   }
 
   try {
-    const nodes = (await db.get("nodes")) || [];
-    let foundNode = null;
-
-    for (const id of nodes) {
-      const node = await db.get(id + "_node");
-      if (node && node.id === nodeId) {
-        foundNode = node;
-        break;
-      }
-    }
+    const node = store.nodes.get(nodeId);
 
-    if (!foundNode) {
+    if (!node) {
       return res.status(404).json({ error: "Node not found" });
     }
 
-    const node = foundNode;
-    let instances = (await db.get("instances")) || [];
-    let set = {};
-
-    nodes.forEach(function (id) {
-      set[id] = 0;
-      instances.forEach(function (instance) {
-        if (instance.Node.id === id) {
-          set[id]++;
-        }
-      });
-    });
+    const nodeInstances = store.instances.listByNode(node.id);
 
-    if (set[node.id] > 0) {
+    if (nodeInstances.length > 0) {
       if (!req.query.deleteinstances || req.query.deleteinstances === "false") {
         return res
           .status(400)
@@ -594,28 +403,11 @@ router.post("/nodes/delete", async (req, res) => {
       }
 
       if (req.query.deleteinstances === "true") {
-        let delinstances = instances.filter(function (instance) {
-          return instance.Node.id === node.id;
-        });
-
-        instances = instances.filter(function (instance) {
-          return instance.Node.id !== node.id;
-        });
-
-        await db.set("instances", instances);
-
-        for (const instance of delinstances) {
-          await db.delete(instance.Id + "_instance");
-        }
-
-        for (const instance of delinstances) {
-          let userInstances =
-            (await db.get(instance.User + "_instances")) || [];
-          userInstances = userInstances.filter(
-            (inst) => inst.Id !== instance.Id,
-          );
-          await db.set(instance.User + "_instances", userInstances);
-        }
+        store.transaction(() => {
+          for (const instance of nodeInstances) {
+            store.instances.remove(instance.Id);
+          }
+        })();
 
         try {
           await axios.get(
@@ -627,11 +419,13 @@ router.post("/nodes/delete", async (req, res) => {
       }
     }
 
-    await db.delete(node.id + "_node");
-    nodes.splice(nodes.indexOf(node.id), 1);
-    await db.set("nodes", nodes);
+    store.nodes.remove(node.id);
 
-    logAudit(req.user.userId, req.user.username, "node:delete", req.ip);
+    logAudit(req.user.userId, req.user.username, "node:delete", req.ip, {
+      resource: { type: "node", id: node.id },
+      before: node,
+      requestId: req.id,
+    });
     res.status(200).json({ success: true });
   } catch (error) {
     console.error("Error deleting node:", error);
@@ -653,15 +447,9 @@ router.post("/nodes/configure", async (req, res) => {
 
   try {
     // Find the node with the matching configureKey
-    const nodes = (await db.get("nodes")) || [];
-    let foundNode = null;
-    for (const nodeId of nodes) {
-      const node = await db.get(nodeId + "_node");
-      if (node && node.configureKey === configureKey) {
-        foundNode = node;
-        break;
-      }
-    }
+    const foundNode = store.nodes
+      .list()
+      .find((node) => node.configureKey === configureKey);
 
     if (!foundNode) {
       return res.status(404).json({ error: "Node not found" });
@@ -672,7 +460,7 @@ router.post("/nodes/configure", async (req, res) => {
     foundNode.status = "Configured";
     foundNode.configureKey = null; // Remove the configureKey after successful configuration
 
-    await db.set(foundNode.id + "_node", foundNode);
+    store.nodes.save(foundNode);
 
     res.status(200).json({ message: "Node configured successfully" });
   } catch (error) {
@@ -702,6 +490,11 @@ router.post("/users/create", isAdmin, async (req, res) => {
     return res.status(400).send("Email already exists.");
   }
 
+  const passwordError = checkPassword(password, await getSecuritySettings());
+  if (passwordError) {
+    return res.status(400).send(passwordError);
+  }
+
   const userId = uuidv4();
   const hashedPassword = await bcrypt.hash(password, saltRounds);
 
@@ -713,37 +506,44 @@ router.post("/users/create", isAdmin, async (req, res) => {
     accessTo: [],
     admin,
     verified: verified || false,
+    passwordChangedAt: new Date().toISOString(),
   };
 
-  let users = (await db.get("users")) || [];
-  users.push(newUser);
-  await db.set("users", users);
+  store.users.save(newUser);
 
-  logAudit(req.user.userId, req.user.username, "user:create", req.ip);
+  logAudit(req.user.userId, req.user.username, "user:create", req.ip, {
+    resource: { type: "user", id: userId },
+    after: newUser,
+    requestId: req.id,
+  });
+  webhooks.emit("user.created", { user: serializeUser(newUser) });
 
   res.status(201).send(newUser);
 });
 
 router.delete("/user/delete", isAdmin, async (req, res) => {
   const userId = req.body.userId;
-  const users = (await db.get("users")) || [];
+  const deletedUser = store.users.get(userId);
 
-  const userIndex = users.findIndex((user) => user.userId === userId);
-
-  if (userIndex === -1) {
+  if (!store.users.remove(userId)) {
     return res.status(400).send("The specified user does not exist");
   }
 
-  users.splice(userIndex, 1);
-  await db.set("users", users);
-  logAudit(req.user.userId, req.user.username, "user:delete", req.ip);
+  for (const token of store.userTokens.findAll("user_id", userId)) {
+    store.userTokens.remove(token.id);
+  }
+
+  logAudit(req.user.userId, req.user.username, "user:delete", req.ip, {
+    resource: { type: "user", id: userId },
+    before: deletedUser,
+    requestId: req.id,
+  });
   res.status(204).send();
 });
 
 router.get("/admin/users/edit/:userId", isAdmin, async (req, res) => {
   const userId = req.params.userId;
-  const users = (await db.get("users")) || [];
-  const user = users.find((user) => user.userId === userId);
+  const user = store.users.get(userId);
 
   if (!user) {
     return res.status(404).send("User not found");
@@ -753,6 +553,8 @@ router.get("/admin/users/edit/:userId", isAdmin, async (req, res) => {
     req,
     user: req.user,
     editUser: user,
+    secondFactors: describeSecondFactors(user),
+    lockedUntil: lockedUntil(user),
     name: (await db.get("name")) || "TeryxPanel",
     logo: (await db.get("logo")) || false,
   });
@@ -760,25 +562,21 @@ router.get("/admin/users/edit/:userId", isAdmin, async (req, res) => {
 
 router.post("/admin/users/edit/:userId", isAdmin, async (req, res, next) => {
   const userId = req.params.userId;
-  const { username, email, password, admin, verified } = req.body;
+  const { username, email, password, admin, verified, disabled } = req.body;
 
   if (!username || !email) {
     return res.status(400).send("Username and email are required.");
   }
 
-  const users = (await db.get("users")) || [];
-  const userIndex = users.findIndex((user) => user.userId === userId);
-
-  if (userIndex === -1) {
+  const previousUser = store.users.get(userId);
+  if (!previousUser) {
     return res.status(404).send("User not found");
   }
 
-  const userExists = users.some(
-    (user) => user.username === username && user.userId !== userId,
-  );
-  const emailExists = users.some(
-    (user) => user.email === email && user.userId !== userId,
-  );
+  const sameUsername = store.users.findOne("username", username);
+  const sameEmail = store.users.findOne("email", email);
+  const userExists = sameUsername && sameUsername.userId !== userId;
+  const emailExists = sameEmail && sameEmail.userId !== userId;
 
   if (userExists) {
     return res.status(400).send("Username already exists.");
@@ -788,20 +586,39 @@ router.post("/admin/users/edit/:userId", isAdmin, async (req, res, next) => {
     return res.status(400).send("Email already exists.");
   }
 
-  users[userIndex].username = username;
-  users[userIndex].email = email;
-  users[userIndex].admin = admin === "true";
-  users[userIndex].verified = verified === "true";
-
+  let hashedPassword;
   if (password) {
+    const passwordError = checkPassword(password, await getSecuritySettings());
+    if (passwordError) {
+      return res.status(400).send(passwordError);
+    }
     const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-    users[userIndex].password = hashedPassword;
+    hashedPassword = await bcrypt.hash(password, salt);
   }
 
-  await db.set("users", users);
+  const updatedUser = store.users.update(userId, (user) => {
+    user.username = username;
+    user.email = email;
+    user.admin = admin === "true";
+    user.verified = verified === "true";
+    if (disabled !== undefined && (disabled === "true") !== Boolean(user.disabled)) {
+      user.disabled = disabled === "true";
+      // A user disabled by hand stays disabled; the LDAP sync only enables users it disabled.
+      user.disabledBy = user.disabled ? "admin" : undefined;
+      user.disabledReason = user.disabled ? `Disabled by ${req.user.username}` : undefined;
+    }
+    if (hashedPassword) {
+      user.password = hashedPassword;
+      user.passwordChangedAt = new Date().toISOString();
+    }
+  });
 
-  logAudit(req.user.userId, req.user.username, "user:edit", req.ip);
+  logAudit(req.user.userId, req.user.username, "user:edit", req.ip, {
+    resource: { type: "user", id: userId },
+    before: previousUser,
+    after: updatedUser,
+    requestId: req.id,
+  });
 
   if (req.user.userId === userId) {
     return req.logout((err) => {
@@ -813,6 +630,47 @@ router.post("/admin/users/edit/:userId", isAdmin, async (req, res, next) => {
   res.redirect("/admin/users");
 });
 
+/**
+ * POST /admin/users/edit/:userId/reset-2fa
+ * Turns off the authenticator app, security keys and recovery codes of a user who lost them, so they
+ * can sign in with their password and set up a second factor again.
+ */
+router.post("/admin/users/edit/:userId/reset-2fa", isAdmin, async (req, res) => {
+  const userId = req.params.userId;
+  const change = resetSecondFactors(userId);
+  if (!change) {
+    return res.status(404).send("User not found");
+  }
+
+  logAudit(req.user.userId, req.user.username, "two_factor:reset", req.ip, {
+    resource: { type: "user", id: userId },
+    ...change,
+    requestId: req.id,
+  });
+  res.redirect(`/admin/users/edit/${userId}?msg=2FAReset`);
+});
+
+/**
+ * POST /admin/users/edit/:userId/unlock
+ * Lifts the lockout of a user who entered too many wrong passwords.
+ */
+router.post("/admin/users/edit/:userId/unlock", isAdmin, async (req, res) => {
+  const userId = req.params.userId;
+  const user = store.users.get(userId);
+  if (!user) {
+    return res.status(404).send("User not found");
+  }
+
+  clearFailedLogins(userId);
+  logAudit(req.user.userId, req.user.username, "user:unlock", req.ip, {
+    resource: { type: "user", id: userId },
+    before: { lockedUntil: user.lockedUntil || null },
+    after: { lockedUntil: null },
+    requestId: req.id,
+  });
+  res.redirect(`/admin/users/edit/${userId}?msg=Unlocked`);
+});
+
 /**
  * DELETE /nodes/delete
  * Deletes a node from the database based on its identifier provided in the request body. Updates the list of
@@ -822,14 +680,16 @@ router.post("/admin/users/edit/:userId", isAdmin, async (req, res, next) => {
  */
 router.delete("/nodes/delete", isAdmin, async (req, res) => {
   const nodeId = req.body.nodeId;
-  const nodes = (await db.get("nodes")) || [];
-  const newNodes = nodes.filter((id) => id !== nodeId);
 
   if (!nodeId) return res.send("Invalid node");
 
-  await db.set("nodes", newNodes);
-  await db.delete(nodeId + "_node");
-  logAudit(req.user.userId, req.user.username, "node:delete", req.ip);
+  const node = store.nodes.get(nodeId);
+  store.nodes.remove(nodeId);
+  logAudit(req.user.userId, req.user.username, "node:delete", req.ip, {
+    resource: { type: "node", id: nodeId },
+    before: node,
+    requestId: req.id,
+  });
   res.status(204).send();
 });
 
@@ -842,19 +702,12 @@ router.delete("/nodes/delete", isAdmin, async (req, res) => {
  */
 
 router.get("/admin/nodes", isAdmin, async (req, res) => {
-  let nodes = (await db.get("nodes")) || [];
-  let instances = (await db.get("instances")) || [];
   let set = {};
-  nodes.forEach(function (node) {
-    set[node] = 0;
-    instances.forEach(function (instance) {
-      if (instance.Node.id == node) {
-        set[node]++;
-      }
-    });
-  });
-  nodes = await Promise.all(
-    nodes.map((id) => db.get(id + "_node").then(checkNodeStatus)),
+  const nodes = await Promise.all(
+    store.nodes.list().map((node) => {
+      set[node.id] = store.instances.listByNode(node.id).length;
+      return checkNodeStatus(node);
+    }),
   );
 
   res.render("admin/nodes", {
@@ -895,6 +748,9 @@ router.get("/admin/settings/smtp", isAdmin, async (req, res) => {
       logo: (await db.get("logo")) || false,
       settings,
       smtpSettings,
+      emailTemplates: TEMPLATES,
+      languages: languages(),
+      overrides: listOverrides(),
     });
   } catch (error) {
     console.error("Error fetching settings:", error);
@@ -918,10 +774,16 @@ router.post(
   async (req, res) => {
     try {
       const settings = (await db.get("settings")) || {};
+      const before = { forceVerify: settings.forceVerify };
       settings.forceVerify = !settings.forceVerify;
 
       await db.set("settings", settings);
-      logAudit(req.user.userId, req.user.username, "force-verify:edit", req.ip); // Adjust as per your logging needs
+      logAudit(req.user.userId, req.user.username, "force-verify:edit", req.ip, {
+        resource: { type: "setting", id: "settings" },
+        before,
+        after: { forceVerify: settings.forceVerify },
+        requestId: req.id,
+      });
 
       res.redirect("/admin/settings");
     } catch (err) {
@@ -934,8 +796,14 @@ router.post(
 router.post("/admin/settings/change/name", isAdmin, async (req, res) => {
   const name = req.body.name;
   try {
+    const before = await db.get("name");
     await db.set("name", [name]);
-    logAudit(req.user.userId, req.user.username, "name:edit", req.ip);
+    logAudit(req.user.userId, req.user.username, "name:edit", req.ip, {
+      resource: { type: "setting", id: "name" },
+      before: { name: before },
+      after: { name: [name] },
+      requestId: req.id,
+    });
     res.redirect("/admin/settings?changednameto=" + name);
   } catch (err) {
     console.error(err);
@@ -950,12 +818,18 @@ router.post(
     const buttoncolor = req.body.buttoncolor;
     let theme = require("../storage/theme.json");
     try {
+      const before = { "button-color": theme["button-color"] };
       theme["button-color"] = buttoncolor;
       await fs.writeFileSync(
         "./storage/theme.json",
         JSON.stringify(theme, null, 2),
       );
-      logAudit(req.user.userId, req.user.username, "name:edit", req.ip);
+      logAudit(req.user.userId, req.user.username, "name:edit", req.ip, {
+        resource: { type: "setting", id: "theme" },
+        before,
+        after: { "button-color": buttoncolor },
+        requestId: req.id,
+      });
       res.redirect("/admin/settings/theme?changedbuttoncolorto=" + buttoncolor);
     } catch (err) {
       console.error(err);
@@ -971,12 +845,18 @@ router.post(
     const paneltheme = req.body.paneltheme;
     let theme = require("../storage/theme.json");
     try {
+      const before = { "paneltheme-color": theme["paneltheme-color"] };
       theme["paneltheme-color"] = paneltheme;
       await fs.writeFileSync(
         "./storage/theme.json",
         JSON.stringify(theme, null, 2),
       );
-      logAudit(req.user.userId, req.user.username, "name:edit", req.ip);
+      logAudit(req.user.userId, req.user.username, "name:edit", req.ip, {
+        resource: { type: "setting", id: "theme" },
+        before,
+        after: { "paneltheme-color": paneltheme },
+        requestId: req.id,
+      });
       res.redirect("/admin/settings/theme?changedpanelcolorto=" + paneltheme);
     } catch (err) {
       console.error(err);
@@ -995,7 +875,12 @@ router.post(
 
       await db.set("settings", settings);
       const action = settings.footer ? "enabled" : "disabled";
-      logAudit(req.user.userId, req.user.username, "footer:" + action, req.ip);
+      logAudit(req.user.userId, req.user.username, "footer:" + action, req.ip, {
+        resource: { type: "setting", id: "settings" },
+        before: { footer: !settings.footer },
+        after: { footer: settings.footer },
+        requestId: req.id,
+      });
 
       res.redirect("/admin/settings/theme");
     } catch (err) {
@@ -1016,16 +901,23 @@ router.post("/admin/settings/saveSmtpSettings", async (req, res) => {
   } = req.body;
 
   try {
-    await db.set("smtp_settings", {
+    const before = await db.get("smtp_settings");
+    const smtpSettings = {
       server: smtpServer,
       port: smtpPort,
       username: smtpUser,
       password: smtpPass,
       fromName: smtpFromName,
       fromAddress: smtpFromAddress,
-    });
+    };
+    await db.set("smtp_settings", smtpSettings);
 
-    logAudit(req.user.userId, req.user.username, "SMTP:edit", req.ip);
+    logAudit(req.user.userId, req.user.username, "SMTP:edit", req.ip, {
+      resource: { type: "setting", id: "smtp_settings" },
+      before: before || null,
+      after: smtpSettings,
+      requestId: req.id,
+    });
     res.redirect("/admin/settings/smtp?msg=SmtpSaveSuccess");
   } catch (error) {
     console.error("Error saving SMTP settings:", error);
@@ -1037,7 +929,7 @@ router.post("/sendTestEmail", async (req, res) => {
   try {
     const { recipientEmail } = req.body;
 
-    const emailSent = await sendTestEmail(recipientEmail);
+    const emailSent = await sendTestEmail(recipientEmail, { lang: req.lang });
 
     if (emailSent) {
       res.redirect("/admin/settings/smtp?msg=TestemailSentsuccess");
@@ -1096,7 +988,11 @@ router.post(
           fs.unlinkSync(logoPath);
         }
         await db.set("logo", false);
-        logAudit(req.user.userId, req.user.username, "logo:edit", req.ip);
+        logAudit(req.user.userId, req.user.username, "logo:edit", req.ip, {
+          resource: { type: "setting", id: "logo" },
+          after: { logo: false },
+          requestId: req.id,
+        });
         res.redirect("/admin/settings");
       } else {
         res.status(400).send("Invalid request");
@@ -1116,7 +1012,12 @@ router.post(
     let settings = await db.get("settings");
     settings.register = !settings.register;
     await db.set("settings", settings);
-    logAudit(req.user.userId, req.user.username, "register:edit", req.ip);
+    logAudit(req.user.userId, req.user.username, "register:edit", req.ip, {
+      resource: { type: "setting", id: "settings" },
+      before: { register: !settings.register },
+      after: { register: settings.register },
+      requestId: req.id,
+    });
     res.redirect("/admin/settings");
   },
 );
@@ -1129,10 +1030,10 @@ router.post(
  */
 async function processInstances() {
   try {
-    // Get all instances from the "instances" database
-    const instances = await db.get("instances");
+    // Get all instances from the database
+    const instances = store.instances.list();
 
-    if (!instances || instances.length === 0) {
+    if (instances.length === 0) {
       console.log("No instances found.");
       return;
     }
@@ -1160,25 +1061,10 @@ async function processInstances() {
           },
         });
 
-        // Ensure the instance in the "instances" database has the "State" property
-        if (!instance.hasOwnProperty("State")) {
-        }
-        instance.State = newState;
-
-        // Get the instance-specific database and ensure it has the "State" property
-        const instanceDbKey = `${instance.Id}_instance`;
-        let instanceDb = await db.get(instanceDbKey);
-
-        if (!instanceDb) {
-          instanceDb = {};
-        }
-
-        if (!instanceDb.hasOwnProperty("State")) {
-        }
-        instanceDb.State = newState;
-
-        // Save the updated instance-specific database
-        await db.set(instanceDbKey, instanceDb);
+        // Save the new state on the instance record
+        store.instances.update(instance.Id, (record) => {
+          record.State = newState;
+        });
       } catch (instanceError) {
         console.error(
           `Error processing instance ${instance.Id}:`,
@@ -1186,25 +1072,19 @@ async function processInstances() {
         );
       }
     }
-
-    // Save the updated "instances" array back to the database
-    await db.set("instances", instances);
   } catch (error) {
     console.error("Error processing instances:", error.message);
   }
 }
 router.get("/admin/instances", isAdmin, async (req, res) => {
   try {
-    let instances = (await db.get("instances")) || [];
-    let images = (await db.get("images")) || [];
-    let nodes = (await db.get("nodes")) || [];
-    let users = (await db.get("users")) || [];
-
-    nodes = await Promise.all(
-      nodes.map((id) => db.get(id + "_node").then(checkNodeStatus)),
-    );
+    const nodes = await Promise.all(store.nodes.list().map(checkNodeStatus));
     await processInstances();
 
+    const instances = store.instances.list();
+    const images = store.images.list();
+    const users = store.users.list();
+
     res.render("admin/instances", {
       req,
       user: req.user,
@@ -1223,9 +1103,9 @@ router.get("/admin/instances", isAdmin, async (req, res) => {
 
 router.get("/admin/instances/:id/edit", isAdmin, async (req, res) => {
   const { id } = req.params;
-  const instance = await db.get(id + "_instance");
-  let users = (await db.get("users")) || [];
-  let images = (await db.get("images")) || [];
+  const instance = store.instances.get(id);
+  const users = store.users.list();
+  const images = store.images.list();
 
   if (!instance) return res.redirect("/admin/instances");
   res.render("admin/instance_edit", {
@@ -1245,7 +1125,7 @@ router.get("/admin/users", isAdmin, async (req, res) => {
     user: req.user,
     name: (await db.get("name")) || "TeryxPanel",
     logo: (await db.get("logo")) || false,
-    users: (await db.get("users")) || [],
+    users: store.users.list(),
   });
 });
 
@@ -1262,7 +1142,7 @@ router.get("/admin/users", isAdmin, async (req, res) => {
 
 router.get("/admin/node/:id", async (req, res) => {
   const { id } = req.params;
-  const node = await db.get(id + "_node");
+  const node = store.nodes.get(id);
 
   if (!node || !id) return res.redirect("../nodes");
 
@@ -1284,7 +1164,7 @@ router.get("/admin/node/:id", async (req, res) => {
 
 router.post("/admin/node/:id", async (req, res) => {
   const { id } = req.params;
-  const cnode = await db.get(id + "_node");
+  const cnode = store.nodes.get(id);
 
   if (!cnode || !id) return res.status(400).send();
 
@@ -1301,7 +1181,7 @@ router.post("/admin/node/:id", async (req, res) => {
     status: "Unknown", // Default status
   };
 
-  await db.set(node.id + "_node", node);
+  store.nodes.save(node);
   const updatedNode = await checkNodeStatus(node);
   res.status(201).send(updatedNode);
 });
@@ -1317,7 +1197,7 @@ router.get("/admin/images", isAdmin, async (req, res) => {
     user: req.user,
     name: (await db.get("name")) || "TeryxPanel",
     logo: (await db.get("logo")) || false,
-    images: (await db.get("images")) || [],
+    images: store.images.list(),
   });
 });
 
@@ -1325,9 +1205,7 @@ router.post("/admin/images/upload", isAdmin, async (req, res) => {
   try {
     let jsonData = req.body;
     jsonData.Id = uuidv4();
-    let images = (await db.get("images")) || [];
-    images.push(jsonData);
-    await db.set("images", images);
+    store.images.save(jsonData);
     res.status(200).send("image uploaded successfully.");
   } catch (err) {
     console.error("Error uploading image:", err);
@@ -1338,9 +1216,7 @@ router.post("/admin/images/upload", isAdmin, async (req, res) => {
 router.post("/admin/images/delete", isAdmin, async (req, res) => {
   try {
     let { id } = req.body;
-    let images = (await db.get("images")) || [];
-    images = images.filter((image) => image.Id !== id);
-    await db.set("images", images);
+    store.images.remove(id);
     res.status(200).send("image deleted successfully.");
   } catch (err) {
     console.error("Error deleting image:", err);
@@ -1357,13 +1233,17 @@ router.get("/admin/instance/delete/:id", isAdmin, async (req, res) => {
       return res.redirect("/admin/instances");
     }
 
-    const instance = await db.get(id + "_instance");
+    const instance = store.instances.get(id);
     if (!instance) {
       return res.status(404).send("Instance not found");
     }
 
     await deleteInstance(instance);
-    logAudit(req.user.userId, req.user.username, "instance:delete", req.ip);
+    logAudit(req.user.userId, req.user.username, "instance:delete", req.ip, {
+      resource: { type: "instance", id },
+      before: instance,
+      requestId: req.id,
+    });
     res.redirect("/admin/instances");
   } catch (error) {
     console.error("Error in delete instance endpoint:", error);
@@ -1374,13 +1254,10 @@ router.get("/admin/instance/delete/:id", isAdmin, async (req, res) => {
 // Endpoint to purge all instances
 router.get("/admin/instances/purge/all", isAdmin, async (req, res) => {
   try {
-    const instances = (await db.get("instances")) || [];
-
-    for (const instance of instances) {
+    for (const instance of store.instances.list()) {
       await deleteInstance(instance);
     }
 
-    await db.delete("instances");
     res.redirect("/admin/instances");
   } catch (error) {
     console.error("Error in purge all instances endpoint:", error);
@@ -1395,25 +1272,27 @@ router.post("/admin/instances/suspend/:id", isAdmin, async (req, res) => {
     if (!id) {
       return res.redirect("/admin/instances");
     }
-    const instance = await db.get(id + "_instance");
+    let wasSuspended;
+    const instance = store.instances.update(id, (record) => {
+      wasSuspended = record.suspended === true;
+      record.suspended = true;
+    });
     if (!instance) {
       return res.status(404).send("Instance not found");
     }
 
-    instance.suspended = true;
-    await db.set(id + "_instance", instance);
-    let instances = (await db.get("instances")) || [];
-
-    let instanceToSuspend = instances.find(
-      (obj) => obj.ContainerId === instance.ContainerId,
-    );
-    if (instanceToSuspend) {
-      instanceToSuspend.suspended = true;
+    logAudit(req.user.userId, req.user.username, "instance:suspend", req.ip, {
+      resource: { type: "instance", id },
+      before: { suspended: wasSuspended },
+      after: { suspended: true },
+      requestId: req.id,
+    });
+    if (!wasSuspended) {
+      webhooks.emit("instance.suspended", { instance: serializeInstance(instance) });
+      notifyInstance(instance, "suspended");
+      notifyInstanceSuspended(instance);
+      emailInstanceEvent(instance, "instance_suspended");
     }
-
-    await db.set("instances", instances);
-
-    logAudit(req.user.userId, req.user.username, "instance:suspend", req.ip);
     res.redirect("/admin/instances");
   } catch (error) {
     console.error("Error in suspend instance endpoint:", error);
@@ -1428,28 +1307,26 @@ router.post("/admin/instances/unsuspend/:id", isAdmin, async (req, res) => {
     if (!id) {
       return res.redirect("/admin/instances");
     }
-    const instance = await db.get(id + "_instance");
+    let wasSuspended;
+    const instance = store.instances.update(id, (record) => {
+      wasSuspended = record.suspended === true;
+      record.suspended = false;
+    });
     if (!instance) {
       return res.status(404).send("Instance not found");
     }
 
-    instance.suspended = false;
-
-    await db.set(id + "_instance", instance);
-
-    let instances = (await db.get("instances")) || [];
-
-    let instanceToUnsuspend = instances.find(
-      (obj) => obj.ContainerId === instance.ContainerId,
-    );
-    if (instanceToUnsuspend) {
-      instanceToUnsuspend.suspended = false;
+    logAudit(req.user.userId, req.user.username, "instance:unsuspend", req.ip, {
+      resource: { type: "instance", id },
+      before: { suspended: wasSuspended },
+      after: { suspended: false },
+      requestId: req.id,
+    });
+    if (wasSuspended) {
+      webhooks.emit("instance.unsuspended", { instance: serializeInstance(instance) });
+      emailInstanceEvent(instance, "instance_unsuspended");
     }
 
-    await db.set("instances", instances);
-
-    logAudit(req.user.userId, req.user.username, "instance:unsuspend", req.ip);
-
     res.redirect("/admin/instances");
   } catch (error) {
     console.error("Error in unsuspend instance endpoint:", error);
@@ -1465,19 +1342,7 @@ async function deleteInstance(instance) {
       `http://Skyport:${instance.Node.apiKey}@${instance.Node.address}:${instance.Node.port}/instances/${instance.ContainerId}/delete`,
     );
 
-    let userInstances = (await db.get(instance.User + "_instances")) || [];
-    userInstances = userInstances.filter(
-      (obj) => obj.ContainerId !== instance.ContainerId,
-    );
-    await db.set(instance.User + "_instances", userInstances);
-
-    let globalInstances = (await db.get("instances")) || [];
-    globalInstances = globalInstances.filter(
-      (obj) => obj.ContainerId !== instance.ContainerId,
-    );
-    await db.set("instances", globalInstances);
-
-    await db.delete(instance.ContainerId + "_instance");
+    store.instances.remove(instance.Id);
     await deleteWorkflowFromFile(instance.Id);
   } catch (error) {
     console.error(`Error deleting instance ${instance.ContainerId}:`, error);
@@ -1514,21 +1379,4 @@ function deleteWorkflowFromFile(instanceId) {
   }
 }
 
-router.get("/admin/auditlogs", isAdmin, async (req, res) => {
-  try {
-    let audits = await db.get("audits");
-    audits = audits ? JSON.parse(audits) : [];
-    res.render("admin/auditlogs", {
-      req,
-      user: req.user,
-      name: (await db.get("name")) || "TeryxPanel",
-      logo: (await db.get("logo")) || false,
-      audits,
-    });
-  } catch (err) {
-    console.error("Error fetching audits:", err);
-    res.status(500).send("Internal Server Error");
-  }
-});
-
 module.exports = router;
@@ -6,61 +6,41 @@ const WebSocket = require('ws');
 const axios = require('axios');
 const { sendPasswordResetEmail } = require('../handlers/email.js');
 const { logAudit } = require('../handlers/auditlog');
-const { db } = require('../handlers/db.js');
+const { db, store } = require('../handlers/db.js');
+const { requireApiKey, authenticateApiKey, keyAllows, keyAllowsInstance } = require('../handlers/apiKeys.js');
+const { deployInstance, deleteInstance } = require('../handlers/deployment.js');
+const { serializeUser, serializeInstance } = require('../handlers/serializers.js');
+const webhooks = require('../handlers/webhooks.js');
+const { notifyInstance } = require('../handlers/chatNotifications.js');
+const { notifyInstanceSuspended } = require('../handlers/notifications.js');
+const { emailInstanceEvent } = require('../handlers/instanceEmails.js');
 
 const saltRounds = 10;
 
-// Improved API key validation middleware
-async function validateApiKey(req, res, next) {
-    const apiKey = req.headers['x-api-key'];
-
-    if (!apiKey) {
-        return res.status(401).json({ error: 'API key is required' });
-    }
-
-    try {
-        const apiKeys = await db.get('apiKeys') || [];
-        const validKey = apiKeys.find(key => key.key === apiKey);
-
-        if (!validKey) {
-            return res.status(401).json({ error: 'Invalid API key' });
-        }
-
-        // Check if API key is expired
-        if (validKey.expiresAt && new Date(validKey.expiresAt) < new Date()) {
-            return res.status(401).json({ error: 'API key has expired' });
-        }
-
-        req.apiKey = validKey;
-        next();
-    } catch (error) {
-        console.error('API key validation error:', error);
-        res.status(500).json({ error: 'Failed to validate API key' });
-    }
-}
-
 // Utility function for error responses
 function errorResponse(res, status, message, error = null) {
     if (error) console.error(message, error);
     return res.status(status).json({ error: message });
 }
 
+// API requests act through a key rather than a signed-in user.
+function audit(req, action, resource, { before, after } = {}) {
+    logAudit(req.apiKey.id, 'API key', action, req.ip, { resource, before, after, requestId: req.id });
+}
+
 // Users endpoints
-router.get('/api/users', validateApiKey, async (req, res) => {
+router.get('/api/users', requireApiKey('users:read'), async (req, res) => {
     try {
-        const users = await db.get('users') || [];
-        // Don't return password hashes
-        const sanitizedUsers = users.map(user => {
-            const { password, ...userData } = user;
-            return userData;
-        });
-        res.json(sanitizedUsers);
+        const users = store.users.list()
+            .filter(user => keyAllows(req.apiKey, 'users', user.userId))
+            .map(serializeUser);
+        res.json(users);
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve users', error);
     }
 });
 
-router.post('/api/getUser', validateApiKey, async (req, res) => {
+router.post('/api/getUser', requireApiKey('users:read'), async (req, res) => {
     try {
         const { type, value } = req.body;
 
@@ -68,30 +48,27 @@ router.post('/api/getUser', validateApiKey, async (req, res) => {
             return errorResponse(res, 400, 'Type and value are required');
         }
 
-        const users = await db.get('users') || [];
         let user;
 
         if (type === 'email') {
-            user = users.find(user => user.email === value);
+            user = store.users.findOne('email', value);
         } else if (type === 'username') {
-            user = users.find(user => user.username === value);
+            user = store.users.findOne('username', value);
         } else {
             return errorResponse(res, 400, 'Invalid search type. Use "email" or "username".');
         }
 
-        if (!user) {
+        if (!user || !keyAllows(req.apiKey, 'users', user.userId)) {
             return errorResponse(res, 404, 'User not found');
         }
 
-        // Don't return password hash
-        const { password, ...userData } = user;
-        res.status(200).json(userData);
+        res.status(200).json(serializeUser(user));
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve user', error);
     }
 });
 
-router.post('/api/auth/create-user', validateApiKey, async (req, res) => {
+router.post('/api/auth/create-user', requireApiKey('users:write'), async (req, res) => {
     try {
         const { username, email, password, userId, admin } = req.body;
 
@@ -99,6 +76,16 @@ router.post('/api/auth/create-user', validateApiKey, async (req, res) => {
             return errorResponse(res, 400, 'Username, email and password are required');
         }
 
+        // A key limited to specific users cannot add more.
+        if (req.apiKey.restrictions?.users?.length) {
+            return errorResponse(res, 403, 'API key is restricted to specific users');
+        }
+
+        const makeAdmin = admin === true || admin === 'true';
+        if (makeAdmin && !(req.apiKey.scopes || []).includes('users:admin')) {
+            return errorResponse(res, 403, 'API key is missing the users:admin scope');
+        }
+
         // Validate email format
         if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
             return errorResponse(res, 400, 'Invalid email format');
@@ -109,10 +96,8 @@ router.post('/api/auth/create-user', validateApiKey, async (req, res) => {
             return errorResponse(res, 400, 'Password must be at least 8 characters');
         }
 
-        const users = await db.get('users') || [];
-        const userExists = users.some(user =>
-            user.username === username || user.email === email
-        );
+        const userExists = store.users.findOne('username', username) || store.users.findOne('email', email) ||
+            (userId && store.users.get(userId));
 
         if (userExists) {
             return errorResponse(res, 409, 'User already exists');
@@ -127,22 +112,21 @@ router.post('/api/auth/create-user', validateApiKey, async (req, res) => {
             email,
             password: hashedPassword,
             accessTo: [],
-            admin: admin === true || admin === 'true',
+            admin: makeAdmin,
             createdAt: new Date().toISOString()
         };
 
-        users.push(user);
-        await db.set('users', users);
+        store.users.save(user);
+        audit(req, 'user:create', { type: 'user', id: user.userId }, { after: user });
+        webhooks.emit('user.created', { user: serializeUser(user) });
 
-        // Don't return password hash
-        const { password: _, ...userData } = user;
-        res.status(201).json(userData);
+        res.status(201).json(serializeUser(user));
     } catch (error) {
         errorResponse(res, 500, 'Failed to create user', error);
     }
 });
 
-router.post('/api/auth/reset-password', validateApiKey, async (req, res) => {
+router.post('/api/auth/reset-password', requireApiKey('users:write'), async (req, res) => {
     const { email } = req.body;
 
     if (!email) {
@@ -150,29 +134,43 @@ router.post('/api/auth/reset-password', validateApiKey, async (req, res) => {
     }
 
     try {
-        const users = await db.get('users') || [];
-        const user = users.find(u => u.email === email);
+        // Without SMTP the token has to be handed back, which only a users:admin key may be given.
+        const adminScope = (req.apiKey.scopes || []).includes('users:admin');
+        const smtpSettings = await db.get('smtp_settings');
+        if (!smtpSettings && !adminScope) {
+            return errorResponse(res, 503, 'SMTP is not configured, so no reset email can be sent');
+        }
+
+        const user = store.users.findOne('email', email);
 
-        if (!user) {
+        if (!user || !keyAllows(req.apiKey, 'users', user.userId)) {
             // Don't reveal whether email exists for security
             return res.status(200).json({ message: 'If the email exists, a reset link has been sent' });
         }
 
+        if (user.admin === true && !adminScope) {
+            return errorResponse(res, 403, 'API key is missing the users:admin scope');
+        }
+
         const resetToken = generateRandomCode(30);
         const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour expiry
 
-        user.resetToken = resetToken;
-        user.resetTokenExpiry = resetTokenExpiry.toISOString();
-        await db.set('users', users);
+        const updated = store.users.update(user.userId, (record) => {
+            record.resetToken = resetToken;
+            record.resetTokenExpiry = resetTokenExpiry.toISOString();
+        });
+        audit(req, 'user:passwordReset', { type: 'user', id: user.userId }, {
+            before: { resetToken: user.resetToken, resetTokenExpiry: user.resetTokenExpiry },
+            after: { resetToken: updated.resetToken, resetTokenExpiry: updated.resetTokenExpiry },
+        });
 
-        const smtpSettings = await db.get('smtp_settings');
         if (smtpSettings) {
-            await sendPasswordResetEmail(email, resetToken);
+            await sendPasswordResetEmail(email, resetToken, { username: user.username, lang: user.lang });
             res.status(200).json({ message: 'Password reset email sent successfully' });
         } else {
-            // In development, return the token for testing
+            audit(req, 'user:passwordResetTokenIssued', { type: 'user', id: user.userId });
             res.status(200).json({
-                message: 'SMTP not configured - here is the reset token for testing',
+                message: 'SMTP not configured - here is the reset token',
                 token: resetToken
             });
         }
@@ -182,19 +180,24 @@ router.post('/api/auth/reset-password', validateApiKey, async (req, res) => {
 });
 
 // Instance endpoints
-router.get('/api/instances', validateApiKey, async (req, res) => {
+router.get('/api/instances', requireApiKey('instances:read'), async (req, res) => {
     try {
-        const instances = await db.get('instances') || [];
-        res.status(200).json(instances);
+        res.status(200).json(store.instances.list().filter(instance => keyAllowsInstance(req.apiKey, instance)));
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve instances', error);
     }
 });
 
 router.ws("/api/instance/console/:id", async (ws, req) => {
+    // Signed-in users connect with their session; integrations with an instances:power key.
+    let apiKey;
     if (!req.user) {
-        ws.close(1008, "Authorization required");
-        return;
+        const auth = authenticateApiKey(req, 'instances:power');
+        if (!auth.apiKey) {
+            ws.close(1008, auth.error);
+            return;
+        }
+        apiKey = auth.apiKey;
     }
 
     const { id } = req.params;
@@ -204,8 +207,8 @@ router.ws("/api/instance/console/:id", async (ws, req) => {
     }
 
     try {
-        const instance = await db.get(id + '_instance');
-        if (!instance) {
+        const instance = store.instances.get(id);
+        if (!instance || (apiKey && !keyAllowsInstance(apiKey, instance))) {
             ws.close(1008, "Instance not found");
             return;
         }
@@ -257,7 +260,7 @@ router.ws("/api/instance/console/:id", async (ws, req) => {
     }
 });
 
-router.post('/api/instances/deploy', validateApiKey, async (req, res) => {
+router.post('/api/instances/deploy', requireApiKey('instances:deploy'), async (req, res) => {
     const { image, imagename, memory, cpu, disk, ports, nodeId, name, user, primary, variables } = req.body;
 
     // Validate required parameters
@@ -271,8 +274,11 @@ router.post('/api/instances/deploy', validateApiKey, async (req, res) => {
     }
 
     try {
-        const Id = uuidv4().split('-')[0];
-        const node = await db.get(`${nodeId}_node`);
+        if (!keyAllows(req.apiKey, 'users', user) || !keyAllows(req.apiKey, 'nodes', nodeId)) {
+            return errorResponse(res, 403, 'API key may not deploy for this user or on this node');
+        }
+
+        const node = store.nodes.get(nodeId);
         if (!node) {
             return errorResponse(res, 400, 'Invalid node');
         }
@@ -281,36 +287,21 @@ router.post('/api/instances/deploy', validateApiKey, async (req, res) => {
             return errorResponse(res, 400, 'Node is not properly configured');
         }
 
-        const requestData = await prepareRequestData(
+        const { response } = await deployInstance({
             image,
+            imagename,
             memory,
             cpu,
+            disk,
             ports,
-            name,
             node,
-            Id,
+            name,
+            user,
+            primary,
             variables,
-            imagename
-        );
-
-        const response = await axios(requestData);
+        });
 
         if (response.status === 201) {
-            await updateDatabaseWithNewInstance(
-                response.data,
-                user,
-                node,
-                image,
-                memory,
-                disk,
-                cpu,
-                ports,
-                primary,
-                name,
-                Id,
-                imagename
-            );
-
             return res.status(201).json({
                 message: "Deployment successful",
                 containerId: response.data.containerId,
@@ -333,7 +324,7 @@ router.post('/api/instances/deploy', validateApiKey, async (req, res) => {
     }
 });
 
-router.delete('/api/instance/delete', validateApiKey, async (req, res) => {
+router.delete('/api/instance/delete', requireApiKey('instances:manage'), async (req, res) => {
     const { id } = req.body;
 
     if (!id) {
@@ -341,19 +332,20 @@ router.delete('/api/instance/delete', validateApiKey, async (req, res) => {
     }
 
     try {
-        const instance = await db.get(id + '_instance');
-        if (!instance) {
+        const instance = store.instances.get(id);
+        if (!instance || !keyAllowsInstance(req.apiKey, instance)) {
             return errorResponse(res, 404, 'Instance not found');
         }
 
         await deleteInstance(instance);
+        audit(req, 'instance:delete', { type: 'instance', id }, { before: instance });
         res.status(200).json({ message: 'Instance successfully deleted' });
     } catch (error) {
         errorResponse(res, 500, 'Failed to delete instance', error);
     }
 });
 
-router.post('/api/instances/suspend', validateApiKey, async (req, res) => {
+router.post('/api/instances/suspend', requireApiKey('instances:manage'), async (req, res) => {
     const { id } = req.body;
 
     if (!id) {
@@ -361,23 +353,29 @@ router.post('/api/instances/suspend', validateApiKey, async (req, res) => {
     }
 
     try {
-        const instance = await db.get(id + '_instance');
-        if (!instance) {
+        const current = store.instances.get(id);
+        if (!current || !keyAllowsInstance(req.apiKey, current)) {
             return errorResponse(res, 404, 'Instance not found');
         }
 
-        instance.suspended = true;
-        instance.suspendedAt = new Date().toISOString();
-        await db.set(id + '_instance', instance);
-
-        let instances = await db.get('instances') || [];
-        const instanceToSuspend = instances.find(obj => obj.ContainerId === instance.ContainerId);
-        if (instanceToSuspend) {
-            instanceToSuspend.suspended = true;
-            instanceToSuspend.suspendedAt = new Date().toISOString();
+        const instance = store.instances.update(id, (record) => {
+            record.suspended = true;
+            record.suspendedAt = new Date().toISOString();
+        });
+        if (!instance) {
+            return errorResponse(res, 404, 'Instance not found');
         }
 
-        await db.set('instances', instances);
+        audit(req, 'instance:suspend', { type: 'instance', id }, {
+            before: { suspended: current.suspended === true },
+            after: { suspended: true },
+        });
+        if (current.suspended !== true) {
+            webhooks.emit('instance.suspended', { instance: serializeInstance(instance) });
+            notifyInstance(instance, 'suspended');
+            notifyInstanceSuspended(instance);
+            emailInstanceEvent(instance, 'instance_suspended');
+        }
 
         res.status(200).json({
             success: true,
@@ -388,7 +386,7 @@ router.post('/api/instances/suspend', validateApiKey, async (req, res) => {
     }
 });
 
-router.post('/api/instances/unsuspend', validateApiKey, async (req, res) => {
+router.post('/api/instances/unsuspend', requireApiKey('instances:manage'), async (req, res) => {
     const { id } = req.body;
 
     if (!id) {
@@ -396,25 +394,27 @@ router.post('/api/instances/unsuspend', validateApiKey, async (req, res) => {
     }
 
     try {
-        const instance = await db.get(id + '_instance');
-        if (!instance) {
+        const current = store.instances.get(id);
+        if (!current || !keyAllowsInstance(req.apiKey, current)) {
             return errorResponse(res, 404, 'Instance not found');
         }
 
-        instance.suspended = false;
-        instance.unsuspendedAt = new Date().toISOString();
-        await db.set(id + '_instance', instance);
-
-        let instances = await db.get('instances') || [];
-        const instanceToUnsuspend = instances.find(obj => obj.ContainerId === instance.ContainerId);
-        if (instanceToUnsuspend) {
-            instanceToUnsuspend.suspended = false;
-            instanceToUnsuspend.unsuspendedAt = new Date().toISOString();
+        const instance = store.instances.update(id, (record) => {
+            record.suspended = false;
+            record.unsuspendedAt = new Date().toISOString();
+        });
+        if (!instance) {
+            return errorResponse(res, 404, 'Instance not found');
         }
 
-        await db.set('instances', instances);
-
-        logAudit(req.user.userId, req.user.username, 'instance:unsuspend', req.ip);
+        audit(req, 'instance:unsuspend', { type: 'instance', id }, {
+            before: { suspended: current.suspended === true },
+            after: { suspended: false },
+        });
+        if (current.suspended === true) {
+            webhooks.emit('instance.unsuspended', { instance: serializeInstance(instance) });
+            emailInstanceEvent(instance, 'instance_unsuspended');
+        }
 
         res.status(200).json({
             success: true,
@@ -425,7 +425,7 @@ router.post('/api/instances/unsuspend', validateApiKey, async (req, res) => {
     }
 });
 
-router.post('/api/getUserInstance', validateApiKey, async (req, res) => {
+router.post('/api/getUserInstance', requireApiKey('instances:read'), async (req, res) => {
     const { userId } = req.body;
 
     if (!userId) {
@@ -433,22 +433,17 @@ router.post('/api/getUserInstance', validateApiKey, async (req, res) => {
     }
 
     try {
-        const userExists = await db.get('users').then(users =>
-            users && users.some(user => user.userId === userId)
-        );
-
-        if (!userExists) {
+        if (!store.users.get(userId) || !keyAllows(req.apiKey, 'users', userId)) {
             return errorResponse(res, 404, 'User not found');
         }
 
-        const userInstances = await db.get(`${userId}_instances`) || [];
-        res.json(userInstances);
+        res.json(store.instances.listByUser(userId).filter(instance => keyAllowsInstance(req.apiKey, instance)));
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve user instances', error);
     }
 });
 
-router.post('/api/getInstance', validateApiKey, async (req, res) => {
+router.post('/api/getInstance', requireApiKey('instances:read'), async (req, res) => {
     const { id } = req.body;
 
     if (!id) {
@@ -456,8 +451,8 @@ router.post('/api/getInstance', validateApiKey, async (req, res) => {
     }
 
     try {
-        const instance = await db.get(`${id}_instance`);
-        if (!instance) {
+        const instance = store.instances.get(id);
+        if (!instance || !keyAllowsInstance(req.apiKey, instance)) {
             return errorResponse(res, 404, 'Instance not found');
         }
 
@@ -468,17 +463,16 @@ router.post('/api/getInstance', validateApiKey, async (req, res) => {
 });
 
 // Images endpoints
-router.get('/api/images', validateApiKey, async (req, res) => {
+router.get('/api/images', requireApiKey('images:read'), async (req, res) => {
     try {
-        const images = await db.get('images') || [];
-        res.json(images);
+        res.json(store.images.list());
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve images', error);
     }
 });
 
 // System endpoints
-router.get('/api/name', validateApiKey, async (req, res) => {
+router.get('/api/name', requireApiKey('panel:read'), async (req, res) => {
     try {
         const name = await db.get('name') || 'HydraPanel';
         res.json({ name });
@@ -488,35 +482,40 @@ router.get('/api/name', validateApiKey, async (req, res) => {
 });
 
 // Nodes endpoints
-router.get('/api/nodes', validateApiKey, async (req, res) => {
+router.get('/api/nodes', requireApiKey('nodes:read'), async (req, res) => {
     try {
-        const nodes = await db.get('nodes') || [];
-        const nodeDetails = await Promise.all(nodes.map(async id => {
-            const node = await db.get(id + '_node');
-            return {
-                id: node.id,
-                name: node.name,
-                status: node.status,
-                tags: node.tags,
-                address: node.address,
-                port: node.port,
-                versionFamily: node.versionFamily,
-                versionRelease: node.versionRelease
-            };
-        }));
+        const nodeDetails = store.nodes.list()
+            .filter(node => keyAllows(req.apiKey, 'nodes', node.id))
+            .map(node => {
+                return {
+                    id: node.id,
+                    name: node.name,
+                    status: node.status,
+                    tags: node.tags,
+                    address: node.address,
+                    port: node.port,
+                    versionFamily: node.versionFamily,
+                    versionRelease: node.versionRelease
+                };
+            });
         res.json(nodeDetails);
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve nodes', error);
     }
 });
 
-router.post('/api/nodes/create', validateApiKey, async (req, res) => {
+router.post('/api/nodes/create', requireApiKey('nodes:manage'), async (req, res) => {
     const { name, tags, ram, disk, processor, address, port } = req.body;
 
     if (!name || !tags || !ram || !disk || !processor || !address || !port) {
         return errorResponse(res, 400, 'All node parameters are required');
     }
 
+    // A key limited to specific nodes cannot add more.
+    if (req.apiKey.restrictions?.nodes?.length) {
+        return errorResponse(res, 403, 'API key is restricted to specific nodes');
+    }
+
     try {
         const configureKey = uuidv4();
         const node = {
@@ -534,11 +533,8 @@ router.post('/api/nodes/create', validateApiKey, async (req, res) => {
             createdAt: new Date().toISOString()
         };
 
-        await db.set(node.id + '_node', node);
-
-        const nodes = await db.get('nodes') || [];
-        nodes.push(node.id);
-        await db.set('nodes', nodes);
+        store.nodes.save(node);
+        audit(req, 'node:create', { type: 'node', id: node.id }, { after: node });
 
         res.status(201).json({
             success: true,
@@ -550,28 +546,30 @@ router.post('/api/nodes/create', validateApiKey, async (req, res) => {
     }
 });
 
-router.delete('/api/nodes/delete/:id', validateApiKey, async (req, res) => {
+router.delete('/api/nodes/delete/:id', requireApiKey('nodes:manage'), async (req, res) => {
     const nodeId = req.params.id;
 
     if (!nodeId) {
         return errorResponse(res, 400, 'Node ID is required');
     }
 
+    if (!keyAllows(req.apiKey, 'nodes', nodeId)) {
+        return errorResponse(res, 404, 'Node not found');
+    }
+
     try {
-        // Check if node has instances
-        const instances = await db.get('instances') || [];
-        const nodeInstances = instances.filter(instance =>
-            instance.Node && instance.Node.id === nodeId
-        );
+        const node = store.nodes.get(nodeId);
+        if (!node) {
+            return errorResponse(res, 404, 'Node not found');
+        }
 
-        if (nodeInstances.length > 0) {
+        // Check if node has instances
+        if (store.instances.listByNode(nodeId).length > 0) {
             return errorResponse(res, 400, 'Cannot delete node with active instances');
         }
 
-        const nodes = await db.get('nodes') || [];
-        const newNodes = nodes.filter(id => id !== nodeId);
-        await db.set('nodes', newNodes);
-        await db.delete(nodeId + '_node');
+        store.nodes.remove(nodeId);
+        audit(req, 'node:delete', { type: 'node', id: nodeId }, { before: node });
 
         res.status(200).json({
             success: true,
@@ -582,24 +580,27 @@ router.delete('/api/nodes/delete/:id', validateApiKey, async (req, res) => {
     }
 });
 
-router.get('/api/nodes/configure-command', validateApiKey, async (req, res) => {
+router.get('/api/nodes/configure-command', requireApiKey('nodes:manage'), async (req, res) => {
     const { id } = req.query;
 
     if (!id) {
         return errorResponse(res, 400, 'Node ID is required');
     }
 
+    if (!keyAllows(req.apiKey, 'nodes', id)) {
+        return errorResponse(res, 404, 'Node not found');
+    }
+
     try {
-        const node = await db.get(id + '_node');
+        // Generate a new configure key
+        const configureKey = uuidv4();
+        const node = store.nodes.update(id, (record) => {
+            record.configureKey = configureKey;
+        });
         if (!node) {
             return errorResponse(res, 404, 'Node not found');
         }
 
-        // Generate a new configure key
-        const configureKey = uuidv4();
-        node.configureKey = configureKey;
-        await db.set(id + '_node', node);
-
         const panelUrl = `${req.protocol}://${req.get('host')}`;
         const configureCommand = `npm run configure -- --panel ${panelUrl} --key ${configureKey}`;
 
@@ -625,162 +626,6 @@ function generateRandomCode(length) {
     return result;
 }
 
-async function deleteInstance(instance) {
-    try {
-        // First try to delete the instance from the node
-        await axios.delete(
-            `http://${instance.Node.address}:${instance.Node.port}/instances/${instance.ContainerId}`,
-            {
-                auth: {
-                    username: 'Skyport',
-                    password: instance.Node.apiKey
-                }
-            }
-        );
-
-        // Update user's instances
-        let userInstances = await db.get(instance.User + '_instances') || [];
-        userInstances = userInstances.filter(obj => obj.ContainerId !== instance.ContainerId);
-        await db.set(instance.User + '_instances', userInstances);
-
-        // Update global instances
-        let globalInstances = await db.get('instances') || [];
-        globalInstances = globalInstances.filter(obj => obj.ContainerId !== instance.ContainerId);
-        await db.set('instances', globalInstances);
-
-        // Delete instance-specific data
-        await db.delete(instance.Id + '_instance');
-
-    } catch (error) {
-        console.error(`Error deleting instance ${instance.ContainerId}:`, error);
-        // Even if the node is down, we should clean up our records
-        throw error;
-    }
-}
-
-async function updateDatabaseWithNewInstance(
-    responseData,
-    userId,
-    node,
-    image,
-    memory,
-    disk,
-    cpu,
-    ports,
-    primary,
-    name,
-    Id,
-    imagename
-) {
-    try {
-        const rawImages = await db.get('images') || [];
-        const imageData = rawImages.find(i => i.Name === imagename);
-
-        const instanceData = {
-            Name: name,
-            Id,
-            Node: {
-                id: node.id,
-                name: node.name,
-                address: node.address,
-                port: node.port,
-                apiKey: node.apiKey // Note: Consider if you really want to store the API key here
-            },
-            User: userId,
-            ContainerId: responseData.containerId,
-            VolumeId: responseData.volumeId || Id,
-            Memory: parseInt(memory),
-            Disk: parseInt(disk) || 0,
-            Cpu: parseInt(cpu),
-            Ports: ports,
-            Primary: primary,
-            Image: image,
-            AltImages: imageData ? imageData.AltImages : [],
-            StopCommand: imageData ? imageData.StopCommand : undefined,
-            imageData,
-            Env: responseData.Env || [],
-            State: responseData.state || 'running',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        // Update user's instances
-        let userInstances = await db.get(`${userId}_instances`) || [];
-        userInstances.push(instanceData);
-        await db.set(`${userId}_instances`, userInstances);
-
-        // Update global instances
-        let globalInstances = await db.get('instances') || [];
-        globalInstances.push(instanceData);
-        await db.set('instances', globalInstances);
-
-        // Store instance data
-        await db.set(`${Id}_instance`, instanceData);
-
-    } catch (error) {
-        console.error('Error updating database with new instance:', error);
-        throw error;
-    }
-}
-
-async function prepareRequestData(image, memory, cpu, ports, name, node, Id, variables, imagename) {
-    const rawImages = await db.get('images') || [];
-    const imageData = rawImages.find(i => i.Name === imagename);
-
-    const requestData = {
-        method: 'post',
-        url: `http://${node.address}:${node.port}/instances/create`,
-        auth: {
-            username: 'Skyport',
-            password: node.apiKey,
-        },
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        data: {
-            Name: name,
-            Id,
-            Image: image,
-            Env: imageData ? imageData.Env : [],
-            Scripts: imageData ? imageData.Scripts : [],
-            Memory: parseInt(memory),
-            Cpu: parseInt(cpu),
-            ExposedPorts: {},
-            PortBindings: {},
-            variables: variables || {},
-            AltImages: imageData ? imageData.AltImages : [],
-            StopCommand: imageData ? imageData.StopCommand : '',
-            imageData: imageData || {},
-        },
-        timeout: 30000 // 30 seconds timeout
-    };
-
-    if (ports) {
-        const portMappings = typeof ports === 'string' ? ports.split(',') : Array.isArray(ports) ? ports : [];
-
-        portMappings.forEach(portMapping => {
-            if (typeof portMapping !== 'string') return;
-
-            const [containerPort, hostPort] = portMapping.split(':').map(p => p.trim());
-            if (!containerPort) return;
-
-            // Handle TCP ports
-            const tcpKey = `${containerPort}/tcp`;
-            requestData.data.ExposedPorts[tcpKey] = {};
-            requestData.data.PortBindings[tcpKey] = [{ HostPort: hostPort || containerPort }];
-
-            // Handle UDP ports if specified
-            if (containerPort.includes('/udp')) {
-                const udpKey = containerPort;
-                requestData.data.ExposedPorts[udpKey] = {};
-                requestData.data.PortBindings[udpKey] = [{ HostPort: hostPort || containerPort.split('/')[0] }];
-            }
-        });
-    }
-
-    return requestData;
-}
-
 async function checkNodeStatus(node) {
     try {
         const response = await axios({
@@ -808,7 +653,8 @@ async function checkNodeStatus(node) {
             lastSeen: new Date().toISOString()
         };
 
-        await db.set(node.id + '_node', updatedNode);
+        store.nodes.save(updatedNode);
+        webhooks.emitNodeStatus(node.status, updatedNode);
         return updatedNode;
 
     } catch (error) {
@@ -818,7 +664,8 @@ async function checkNodeStatus(node) {
             lastChecked: new Date().toISOString()
         };
 
-        await db.set(node.id + '_node', updatedNode);
+        store.nodes.save(updatedNode);
+        webhooks.emitNodeStatus(node.status, updatedNode);
         return updatedNode;
     }
 }
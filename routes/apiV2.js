@@ -0,0 +1,654 @@
+/**
+ * @fileoverview REST API v2. Resource-oriented routes for users, instances, nodes, images and
+ * audits under /api/v2, with cursor pagination (`limit`, `cursor`), sparse fieldsets (`fields`), a
+ * uniform error envelope and an OpenAPI 3 document at /api/v2/openapi.json generated from the route
+ * definitions below. Requests authenticate with a scoped API key, see handlers/apiKeys.js. The v1
+ * routes in routes/api.js stay as they are for existing integrations.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcrypt');
+const config = require('../config.json');
+const { db, store } = require('../handlers/db.js');
+const { logAudit } = require('../handlers/auditlog.js');
+const { keyAllows, keyAllowsInstance } = require('../handlers/apiKeys.js');
+const { deployInstance, deleteInstance } = require('../handlers/deployment.js');
+const { serializeUser, serializeInstance, serializeNode, serializeImage } = require('../handlers/serializers.js');
+const webhooks = require('../handlers/webhooks.js');
+const { notifyInstance } = require('../handlers/chatNotifications.js');
+const { notifyInstanceSuspended } = require('../handlers/notifications.js');
+const { emailInstanceEvent } = require('../handlers/instanceEmails.js');
+const {
+    BASE_PATH,
+    ApiError,
+    sendError,
+    encodeCursor,
+    decodeCursor,
+    readLimit,
+    paginate,
+    selectFields,
+    readBoolean,
+    createApi,
+} = require('../handlers/apiV2.js');
+
+const saltRounds = 10;
+
+const api = createApi(router);
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time', nullable: true };
+
+const resources = {
+    User: {
+        id: string,
+        username: string,
+        email: string,
+        admin: boolean,
+        verified: boolean,
+        twoFactorEnabled: boolean,
+        accessTo: { type: 'array', items: string },
+        createdAt: dateTime,
+    },
+    Instance: {
+        id: string,
+        name: string,
+        userId: string,
+        nodeId: string,
+        containerId: string,
+        image: string,
+        memory: integer,
+        cpu: integer,
+        disk: integer,
+        ports: string,
+        primary: string,
+        state: string,
+        suspended: boolean,
+        createdAt: dateTime,
+    },
+    Node: {
+        id: string,
+        name: string,
+        status: string,
+        tags: string,
+        address: string,
+        port: integer,
+        ram: integer,
+        disk: integer,
+        processor: string,
+        versionFamily: string,
+        versionRelease: string,
+        createdAt: dateTime,
+    },
+    Image: {
+        id: string,
+        name: string,
+        image: string,
+        altImages: { type: 'array', items: string },
+        stopCommand: string,
+        variables: { type: 'object' },
+    },
+    Audit: {
+        id: integer,
+        timestamp: dateTime,
+        userId: { type: 'string', nullable: true },
+        username: { type: 'string', nullable: true },
+        action: string,
+        ip: { type: 'string', nullable: true },
+        resourceType: { type: 'string', nullable: true },
+        resourceId: { type: 'string', nullable: true },
+        requestId: { type: 'string', nullable: true },
+        changes: { type: 'object', nullable: true },
+        hash: string,
+    },
+};
+
+for (const [name, properties] of Object.entries(resources)) {
+    api.schema(name, { type: 'object', properties });
+}
+
+api.schema('NodeCreated', {
+    type: 'object',
+    properties: { ...resources.Node, configureKey: string },
+});
+
+api.schema('UserCreate', {
+    type: 'object',
+    required: ['username', 'email', 'password'],
+    properties: { username: string, email: string, password: string, admin: boolean, verified: boolean },
+});
+
+api.schema('UserUpdate', {
+    type: 'object',
+    properties: { username: string, email: string, password: string, admin: boolean, verified: boolean },
+});
+
+api.schema('InstanceCreate', {
+    type: 'object',
+    required: ['name', 'userId', 'nodeId', 'imageId', 'memory', 'cpu', 'ports', 'primary'],
+    properties: {
+        name: string,
+        userId: string,
+        nodeId: string,
+        imageId: string,
+        memory: integer,
+        cpu: integer,
+        disk: integer,
+        ports: { type: 'string', description: 'Comma separated container:host port mappings.' },
+        primary: string,
+        variables: { type: 'object' },
+    },
+});
+
+api.schema('NodeCreate', {
+    type: 'object',
+    required: ['name', 'address', 'port'],
+    properties: {
+        name: string,
+        tags: string,
+        ram: integer,
+        disk: integer,
+        processor: string,
+        address: string,
+        port: integer,
+    },
+});
+
+const fieldsOf = (resource) => Object.keys(resources[resource]);
+
+function serializeAudit(entry) {
+    const { prevHash, ...audit } = entry;
+    return audit;
+}
+
+function list(req, res, records, key, serialize, resource) {
+    const { items, pagination } = paginate(records, req.query, key);
+    res.json({ data: selectFields(items.map(serialize), req.query, fieldsOf(resource)), pagination });
+}
+
+function one(req, res, record, serialize, resource, status = 200) {
+    res.status(status).json({ data: selectFields(serialize(record), req.query, fieldsOf(resource)) });
+}
+
+/**
+ * Records a change made through the API. The key stands in for the user, as in the v1 API.
+ */
+function audit(req, action, resource, { before, after } = {}) {
+    logAudit(req.apiKey.id, 'API key', action, req.ip, { resource, before, after, requestId: req.id });
+}
+
+function findUser(req) {
+    const user = store.users.get(req.params.id);
+    if (!user || !keyAllows(req.apiKey, 'users', user.userId)) {
+        throw new ApiError(404, 'User not found');
+    }
+    return user;
+}
+
+function findInstance(req) {
+    const instance = store.instances.get(req.params.id);
+    if (!instance || !keyAllowsInstance(req.apiKey, instance)) {
+        throw new ApiError(404, 'Instance not found');
+    }
+    return instance;
+}
+
+function findNode(req) {
+    const node = store.nodes.get(req.params.id);
+    if (!node || !keyAllows(req.apiKey, 'nodes', node.id)) {
+        throw new ApiError(404, 'Node not found');
+    }
+    return node;
+}
+
+function checkUserDetails({ email, password }) {
+    if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new ApiError(422, 'Request body is invalid', [{ field: 'email', message: 'is not an email address' }]);
+    }
+    if (password !== undefined && password.length < 8) {
+        throw new ApiError(422, 'Request body is invalid', [{ field: 'password', message: 'must be at least 8 characters' }]);
+    }
+}
+
+function checkUserUnique({ username, email }, userId) {
+    const taken = (field, value) => {
+        const existing = value !== undefined && store.users.findOne(field, value);
+        return existing && existing.userId !== userId;
+    };
+    if (taken('username', username) || taken('email', email)) {
+        throw new ApiError(409, 'A user with this username or email already exists');
+    }
+}
+
+// Admins, and who is one, take their own scope on top of users:write.
+function checkAdminScope(req) {
+    if (!(req.apiKey.scopes || []).includes('users:admin')) {
+        throw new ApiError(403, 'API key is missing the users:admin scope');
+    }
+}
+
+function checkAdminChange(req, admin, current = false) {
+    if (admin !== undefined && admin !== current) checkAdminScope(req);
+}
+
+// Users
+
+api.define('get', '/users', {
+    summary: 'List users',
+    tag: 'Users',
+    scope: 'users:read',
+    list: true,
+    response: 'User',
+    query: [
+        { name: 'admin', type: 'boolean', description: 'Only admins, or only non-admins.' },
+        { name: 'search', type: 'string', description: 'Part of the username or email.' },
+    ],
+}, (req, res) => {
+    const admin = readBoolean(req.query, 'admin');
+    const search = String(req.query.search || '').toLowerCase();
+
+    const users = store.users.list().filter((user) =>
+        keyAllows(req.apiKey, 'users', user.userId) &&
+        (admin === undefined || (user.admin === true) === admin) &&
+        (!search || `${user.username} ${user.email}`.toLowerCase().includes(search))
+    );
+    list(req, res, users, (user) => user.userId, serializeUser, 'User');
+});
+
+api.define('post', '/users', {
+    summary: 'Create a user',
+    tag: 'Users',
+    scope: 'users:write',
+    body: 'UserCreate',
+    response: 'User',
+    status: 201,
+}, async (req, res) => {
+    if (req.apiKey.restrictions?.users?.length) {
+        throw new ApiError(403, 'API key is restricted to specific users');
+    }
+    checkUserDetails(req.body);
+    checkUserUnique(req.body);
+    checkAdminChange(req, req.body.admin === true);
+
+    const user = {
+        userId: uuidv4(),
+        username: req.body.username,
+        email: req.body.email,
+        password: await bcrypt.hash(req.body.password, saltRounds),
+        accessTo: [],
+        admin: req.body.admin === true,
+        verified: req.body.verified === true,
+        createdAt: new Date().toISOString(),
+    };
+    store.users.save(user);
+    audit(req, 'user:create', { type: 'user', id: user.userId }, { after: user });
+    webhooks.emit('user.created', { user: serializeUser(user) });
+
+    one(req, res, user, serializeUser, 'User', 201);
+});
+
+api.define('get', '/users/:id', {
+    summary: 'Get a user',
+    tag: 'Users',
+    scope: 'users:read',
+    response: 'User',
+}, (req, res) => {
+    one(req, res, findUser(req), serializeUser, 'User');
+});
+
+api.define('patch', '/users/:id', {
+    summary: 'Update a user',
+    tag: 'Users',
+    scope: 'users:write',
+    body: 'UserUpdate',
+    response: 'User',
+}, async (req, res) => {
+    const previous = findUser(req);
+    if (previous.admin === true) checkAdminScope(req);
+    checkUserDetails(req.body);
+    checkUserUnique(req.body, previous.userId);
+    checkAdminChange(req, req.body.admin, previous.admin === true);
+
+    const { username, email, password, admin, verified } = req.body;
+    const hashedPassword = password !== undefined ? await bcrypt.hash(password, saltRounds) : undefined;
+
+    const updated = store.users.update(previous.userId, (user) => {
+        if (username !== undefined) user.username = username;
+        if (email !== undefined) user.email = email;
+        if (admin !== undefined) user.admin = admin;
+        if (verified !== undefined) user.verified = verified;
+        if (hashedPassword) user.password = hashedPassword;
+    });
+    audit(req, 'user:edit', { type: 'user', id: previous.userId }, { before: previous, after: updated });
+
+    one(req, res, updated, serializeUser, 'User');
+});
+
+api.define('delete', '/users/:id', {
+    summary: 'Delete a user',
+    tag: 'Users',
+    scope: 'users:write',
+    status: 204,
+}, (req, res) => {
+    const user = findUser(req);
+    if (user.admin === true) checkAdminScope(req);
+    store.users.remove(user.userId);
+    for (const token of store.userTokens.findAll('user_id', user.userId)) {
+        store.userTokens.remove(token.id);
+    }
+    audit(req, 'user:delete', { type: 'user', id: user.userId }, { before: user });
+
+    res.status(204).send();
+});
+
+// Instances
+
+api.define('get', '/instances', {
+    summary: 'List instances',
+    tag: 'Instances',
+    scope: 'instances:read',
+    list: true,
+    response: 'Instance',
+    query: [
+        { name: 'userId', type: 'string', description: 'Only instances owned by this user.' },
+        { name: 'nodeId', type: 'string', description: 'Only instances on this node.' },
+        { name: 'suspended', type: 'boolean', description: 'Only suspended, or only active, instances.' },
+    ],
+}, (req, res) => {
+    const { userId, nodeId } = req.query;
+    const suspended = readBoolean(req.query, 'suspended');
+
+    const instances = (userId ? store.instances.findAll('user_id', userId) : store.instances.list()).filter((instance) =>
+        keyAllowsInstance(req.apiKey, instance) &&
+        (!nodeId || (instance.Node && instance.Node.id === nodeId)) &&
+        (suspended === undefined || (instance.suspended === true) === suspended)
+    );
+    list(req, res, instances, (instance) => instance.Id, serializeInstance, 'Instance');
+});
+
+api.define('post', '/instances', {
+    summary: 'Deploy an instance',
+    tag: 'Instances',
+    scope: 'instances:deploy',
+    body: 'InstanceCreate',
+    response: 'Instance',
+    status: 201,
+}, async (req, res) => {
+    const { name, userId, nodeId, imageId, memory, cpu, disk, ports, primary, variables } = req.body;
+
+    if (!keyAllows(req.apiKey, 'users', userId) || !keyAllows(req.apiKey, 'nodes', nodeId)) {
+        throw new ApiError(403, 'API key may not deploy for this user or on this node');
+    }
+
+    const problems = [];
+    if (!store.users.get(userId)) problems.push({ field: 'userId', message: 'does not exist' });
+    const node = store.nodes.get(nodeId);
+    if (!node) problems.push({ field: 'nodeId', message: 'does not exist' });
+    else if (!node.apiKey) problems.push({ field: 'nodeId', message: 'node is not configured yet' });
+    const image = store.images.get(imageId);
+    if (!image) problems.push({ field: 'imageId', message: 'does not exist' });
+    if (problems.length) {
+        throw new ApiError(422, 'Request body is invalid', problems);
+    }
+
+    let result;
+    try {
+        result = await deployInstance({
+            image: image.Image,
+            imagename: image.Name,
+            memory,
+            cpu,
+            disk,
+            ports,
+            node,
+            name,
+            user: userId,
+            primary,
+            variables,
+        });
+    } catch (error) {
+        console.error('Deployment error:', error.message);
+        throw new ApiError(502, 'The node could not create the container', error.response ? error.response.data : undefined);
+    }
+
+    if (!result.instance) {
+        throw new ApiError(502, 'The node could not create the container', result.response.data);
+    }
+    audit(req, 'instance:deploy', { type: 'instance', id: result.instance.Id }, { after: result.instance });
+
+    one(req, res, result.instance, serializeInstance, 'Instance', 201);
+});
+
+api.define('get', '/instances/:id', {
+    summary: 'Get an instance',
+    tag: 'Instances',
+    scope: 'instances:read',
+    response: 'Instance',
+}, (req, res) => {
+    one(req, res, findInstance(req), serializeInstance, 'Instance');
+});
+
+api.define('delete', '/instances/:id', {
+    summary: 'Delete an instance',
+    tag: 'Instances',
+    scope: 'instances:manage',
+    status: 204,
+}, async (req, res) => {
+    const instance = findInstance(req);
+    try {
+        await deleteInstance(instance);
+    } catch (error) {
+        throw new ApiError(502, 'The node could not delete the container');
+    }
+    audit(req, 'instance:delete', { type: 'instance', id: instance.Id }, { before: instance });
+
+    res.status(204).send();
+});
+
+for (const [action, suspended] of [['suspend', true], ['unsuspend', false]]) {
+    api.define('post', `/instances/:id/${action}`, {
+        summary: `${action.charAt(0).toUpperCase() + action.slice(1)} an instance`,
+        tag: 'Instances',
+        scope: 'instances:manage',
+        response: 'Instance',
+    }, (req, res) => {
+        const previous = findInstance(req);
+        const updated = store.instances.update(previous.Id, (instance) => {
+            instance.suspended = suspended;
+            instance[suspended ? 'suspendedAt' : 'unsuspendedAt'] = new Date().toISOString();
+        });
+        audit(req, `instance:${action}`, { type: 'instance', id: previous.Id }, {
+            before: { suspended: previous.suspended === true },
+            after: { suspended },
+        });
+        if ((previous.suspended === true) !== suspended) {
+            webhooks.emit(suspended ? 'instance.suspended' : 'instance.unsuspended', { instance: serializeInstance(updated) });
+            if (suspended) {
+                notifyInstance(updated, 'suspended');
+                notifyInstanceSuspended(updated);
+            }
+            emailInstanceEvent(updated, suspended ? 'instance_suspended' : 'instance_unsuspended');
+        }
+
+        one(req, res, updated, serializeInstance, 'Instance');
+    });
+}
+
+// Nodes
+
+api.define('get', '/nodes', {
+    summary: 'List nodes',
+    tag: 'Nodes',
+    scope: 'nodes:read',
+    list: true,
+    response: 'Node',
+    query: [{ name: 'status', type: 'string', description: 'Only nodes with this status, e.g. Online.' }],
+}, (req, res) => {
+    const nodes = store.nodes.list().filter((node) =>
+        keyAllows(req.apiKey, 'nodes', node.id) && (!req.query.status || node.status === req.query.status)
+    );
+    list(req, res, nodes, (node) => node.id, serializeNode, 'Node');
+});
+
+api.define('post', '/nodes', {
+    summary: 'Create a node',
+    tag: 'Nodes',
+    scope: 'nodes:manage',
+    body: 'NodeCreate',
+    response: 'NodeCreated',
+    status: 201,
+}, (req, res) => {
+    if (req.apiKey.restrictions?.nodes?.length) {
+        throw new ApiError(403, 'API key is restricted to specific nodes');
+    }
+
+    const { name, tags, ram, disk, processor, address, port } = req.body;
+    const node = {
+        id: uuidv4(),
+        name,
+        tags,
+        ram,
+        disk,
+        processor,
+        address,
+        port,
+        apiKey: null,
+        configureKey: uuidv4(),
+        status: 'Unconfigured',
+        createdAt: new Date().toISOString(),
+    };
+    store.nodes.save(node);
+    audit(req, 'node:create', { type: 'node', id: node.id }, { after: node });
+
+    res.status(201).json({ data: { ...serializeNode(node), configureKey: node.configureKey } });
+});
+
+api.define('get', '/nodes/:id', {
+    summary: 'Get a node',
+    tag: 'Nodes',
+    scope: 'nodes:read',
+    response: 'Node',
+}, (req, res) => {
+    one(req, res, findNode(req), serializeNode, 'Node');
+});
+
+api.define('delete', '/nodes/:id', {
+    summary: 'Delete a node without instances',
+    tag: 'Nodes',
+    scope: 'nodes:manage',
+    status: 204,
+}, (req, res) => {
+    const node = findNode(req);
+    if (store.instances.listByNode(node.id).length > 0) {
+        throw new ApiError(409, 'The node still has instances');
+    }
+    store.nodes.remove(node.id);
+    audit(req, 'node:delete', { type: 'node', id: node.id }, { before: node });
+
+    res.status(204).send();
+});
+
+// Images
+
+api.define('get', '/images', {
+    summary: 'List images',
+    tag: 'Images',
+    scope: 'images:read',
+    list: true,
+    response: 'Image',
+}, (req, res) => {
+    list(req, res, store.images.list(), (image) => image.Id, serializeImage, 'Image');
+});
+
+api.define('get', '/images/:id', {
+    summary: 'Get an image',
+    tag: 'Images',
+    scope: 'images:read',
+    response: 'Image',
+}, (req, res) => {
+    const image = store.images.get(req.params.id);
+    if (!image) {
+        throw new ApiError(404, 'Image not found');
+    }
+    one(req, res, image, serializeImage, 'Image');
+});
+
+// Audits
+
+api.define('get', '/audits', {
+    summary: 'List audit entries, newest first',
+    tag: 'Audits',
+    scope: 'audits:read',
+    list: true,
+    response: 'Audit',
+    query: [
+        { name: 'actor', type: 'string', description: 'User id or username.' },
+        { name: 'action', type: 'string', description: 'e.g. instance:delete.' },
+        { name: 'resourceType', type: 'string' },
+        { name: 'resourceId', type: 'string' },
+        { name: 'from', type: 'string', description: 'ISO date or date-time, inclusive.' },
+        { name: 'to', type: 'string', description: 'ISO date or date-time; a date includes the whole day.' },
+    ],
+}, (req, res) => {
+    const { actor, action, resourceType, resourceId, from, to, cursor } = req.query;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(new Date(value).getTime())) {
+            throw new ApiError(400, `${name} must be an ISO date`);
+        }
+    }
+
+    // Entry ids only grow, so the cursor is the id of the last entry returned.
+    const limit = readLimit(req.query);
+    const beforeId = cursor ? Number(decodeCursor(cursor)) : undefined;
+    if (cursor && !Number.isInteger(beforeId)) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+
+    const { entries, total } = store.audits.query(
+        { actor, action, resourceType, resourceId, from, to, beforeId },
+        { limit },
+    );
+    const hasMore = total > entries.length;
+    res.json({
+        data: selectFields(entries.map(serializeAudit), req.query, fieldsOf('Audit')),
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(entries[entries.length - 1].id) : null,
+        },
+    });
+});
+
+api.define('get', '/audits/:id', {
+    summary: 'Get an audit entry',
+    tag: 'Audits',
+    scope: 'audits:read',
+    response: 'Audit',
+}, (req, res) => {
+    const entry = /^\d+$/.test(req.params.id) && store.audits.get(req.params.id);
+    if (!entry) {
+        throw new ApiError(404, 'Audit entry not found');
+    }
+    one(req, res, entry, serializeAudit, 'Audit');
+});
+
+/**
+ * GET /api/v2/openapi.json
+ * The OpenAPI 3 document for every route above. It is public so API tooling can fetch it.
+ */
+router.get(`${BASE_PATH}/openapi.json`, async (req, res) => {
+    const name = (await db.get('name')) || 'TeryxPanel';
+    res.json(api.document(
+        { title: `${name} API`, version: '2.0.0', description: `Served by panel version ${config.version}.` },
+        `${req.protocol}://${req.get('host')}`,
+    ));
+});
+
+router.all(`${BASE_PATH}/*`, (req, res) => {
+    sendError(res, 404, `No route for ${req.method} ${req.path}`);
+});
+
+module.exports = router;
@@ -2,7 +2,11 @@
  * @fileoverview This module sets up the authentication routes using Passport for user
  * authentication with a local strategy. It handles user login, logout, and registration processes.
  * User credentials are verified against a custom database handler, and sessions are managed
- * through Passport's session handling.
+ * through Passport's session handling. When LDAP is set up, logins that do not match a local user
+ * are checked against the directory by the `ldap` strategy, see handlers/ldap.js.
+ *
+ * Users with an authenticator app or a security key confirm the login on /2fa. Passkeys can also
+ * sign users in without a password, see handlers/webauthn.js.
  */
 
 const express = require("express");
@@ -10,7 +14,23 @@ const passport = require("passport");
 const config = require("../config.json");
 const LocalStrategy = require("passport-local").Strategy;
 const { v4: uuidv4 } = require("uuid");
-const { db } = require("../handlers/db.js");
+const { db, store } = require("../handlers/db.js");
+const { serializeUser } = require("../handlers/serializers.js");
+const webhooks = require("../handlers/webhooks.js");
+const ldap = require("../handlers/ldap.js");
+const webauthn = require("../handlers/webauthn.js");
+const {
+  getSettings: getSecuritySettings,
+  requiresHardwareKey,
+  checkPassword,
+  passwordRules,
+  lockedUntil,
+  recordFailedLogin,
+  clearFailedLogins,
+  passwordExpired,
+} = require("../handlers/security.js");
+const { remainingRecoveryCodes, useRecoveryCode } = require("../handlers/twoFactor.js");
+const { logAudit } = require("../handlers/auditlog.js");
 const {
   sendWelcomeEmail,
   sendPasswordResetEmail,
@@ -26,48 +46,102 @@ const router = express.Router();
 router.use(passport.initialize());
 router.use(passport.session());
 
+/**
+ * Why a user who proved who they are may still not sign in: the account is disabled or locked, or
+ * its email address has to be verified first. Directory users are left to the directory's lockout.
+ *
+ * @returns {Promise<Object|null>} The reason in the form passport failures take, or null.
+ */
+async function loginRefusal(user) {
+  const settings = (await db.get("settings")) || {};
+  if (user.disabled) {
+    return { message: "This account is disabled." };
+  }
+  if (!user.verified && (settings.emailVerification || false)) {
+    return { message: "Email not verified. Please verify your email.", userNotVerified: true };
+  }
+  if (!user.ldap && lockedUntil(user)) {
+    return { message: "This account is locked.", locked: true };
+  }
+  return null;
+}
+
 /**
  * Configures Passport's local strategy for user authentication. It checks the provided
  * username (or email) and password against stored credentials in the database. If the credentials
  * match, the user is authenticated; otherwise, appropriate error messages are returned.
  *
+ * Wrong passwords count towards the lockout of the security policy. A locked account is refused
+ * without checking the password until the lockout ends. Directory users are left to the directory.
+ *
  * @returns {void} No return value but configures the local authentication strategy.
  */
 passport.use(
-  new LocalStrategy(async (username, password, done) => {
+  new LocalStrategy({ passReqToCallback: true }, async (req, username, password, done) => {
     try {
-      const settings = (await db.get("settings")) || {};
-      const users = await db.get("users");
-      if (!users) {
-        return done(null, false, { message: "No users found." });
+      const policy = await getSecuritySettings();
+      const user = store.users.findByLogin(username);
+      if (!user) {
+        return done(null, false, { message: "Incorrect username or email." });
       }
 
-      const isEmail = username.includes("@");
+      const refusal = await loginRefusal(user);
+      if (refusal) {
+        return done(null, false, refusal);
+      }
 
-      let user;
-      if (isEmail) {
-        user = users.find((user) => user.email === username);
-      } else {
-        user = users.find((user) => user.username === username);
+      const match = await bcrypt.compare(password, user.password);
+      if (match) {
+        return done(null, user);
       }
 
+      if (!user.ldap) {
+        const locked = recordFailedLogin(user.userId, policy);
+        if (locked) {
+          logAudit(null, "system", "user:lock", req.ip, {
+            resource: { type: "user", id: user.userId },
+            after: { lockedUntil: locked.toISOString(), attempts: policy.lockoutAttempts },
+            requestId: req.id,
+          });
+          return done(null, false, { message: "This account is locked.", locked: true });
+        }
+      }
+      return done(null, false, { message: "Incorrect password." });
+    } catch (error) {
+      return done(error);
+    }
+  }),
+);
+
+/**
+ * Configures the `ldap` strategy, which checks the username and password against the directory
+ * set up on /admin/settings/ldap. It is tried after the local strategy on POST /auth/login.
+ */
+passport.use(
+  "ldap",
+  new LocalStrategy({ passReqToCallback: true }, async (req, username, password, done) => {
+    try {
+      const { user, created, adminChange, error } = await ldap.authenticate(username, password);
       if (!user) {
-        return done(null, false, { message: "Incorrect username or email." });
+        return done(null, false, { message: error });
       }
 
-      if (!user.verified && (settings.emailVerification || false)) {
-        return done(null, false, {
-          message: "Email not verified. Please verify your email.",
-          userNotVerified: true,
+      if (created) {
+        logAudit(user.userId, user.username, "user:create", req.ip, {
+          resource: { type: "user", id: user.userId },
+          after: { username: user.username, email: user.email, ldap: user.ldap.dn },
+          requestId: req.id,
         });
       }
-
-      const match = await bcrypt.compare(password, user.password);
-      if (match) {
-        return done(null, user);
-      } else {
-        return done(null, false, { message: "Incorrect password." });
+      if (adminChange) {
+        logAudit(user.userId, user.username, "user:edit", req.ip, {
+          resource: { type: "user", id: user.userId },
+          before: { admin: adminChange.before },
+          after: { admin: adminChange.after, ldap: user.ldap.dn },
+          requestId: req.id,
+        });
       }
+      return done(null, user);
     } catch (error) {
       return done(error);
     }
@@ -75,40 +149,29 @@ passport.use(
 );
 
 async function doesUserExist(username) {
-  const users = await db.get("users");
-  if (users) {
-    return users.some((user) => user.username === username);
-  } else {
-    return false; // If no users found, return false
-  }
+  return Boolean(store.users.findOne("username", username));
 }
 
 async function doesEmailExist(email) {
-  const users = await db.get("users");
-  if (users) {
-    return users.some((user) => user.email === email);
-  } else {
-    return false; // If no users found, return false
-  }
+  return Boolean(store.users.findOne("email", email));
 }
 
-async function createUser(username, email, password) {
+async function createUser(username, email, password, lang) {
   const settings = (await db.get("settings")) || {};
   const emailVerificationEnabled = settings.emailVerification || false;
 
   if (emailVerificationEnabled) {
-    return addUserToUsersTable(username, email, password, false);
+    return addUserToUsersTable(username, email, password, false, lang);
   } else {
-    return addUserToUsersTable(username, email, password, true);
+    return addUserToUsersTable(username, email, password, true, lang);
   }
 }
 
-async function addUserToUsersTable(username, email, password, verified) {
+async function addUserToUsersTable(username, email, password, verified, lang = "en") {
   try {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     const userId = uuidv4();
     const verificationToken = verified ? null : generateRandomCode(30);
-    let users = (await db.get("users")) || [];
     const newUser = {
       userId,
       username,
@@ -119,26 +182,25 @@ async function addUserToUsersTable(username, email, password, verified) {
       welcomeEmailSent: false,
       verified,
       verificationToken,
+      lang,
+      passwordChangedAt: new Date().toISOString(),
     };
-    users.push(newUser);
-    await db.set("users", users);
+    store.users.save(newUser);
+    webhooks.emit("user.created", { user: serializeUser(newUser) });
 
     if (!newUser.welcomeEmailSent) {
-      await sendWelcomeEmail(email, username, password);
+      await sendWelcomeEmail(email, username, password, { lang });
       newUser.welcomeEmailSent = true;
 
       if (!verified) {
-        await sendVerificationEmail(email, verificationToken);
-        users = (await db.get("users")) || [];
-        const index = users.findIndex((u) => u.userId === newUser.userId);
-        if (index !== -1) {
-          users[index] = newUser;
-          await db.set("users", users);
-        }
+        await sendVerificationEmail(email, verificationToken, { username, lang });
+        store.users.update(userId, (user) => {
+          user.welcomeEmailSent = true;
+        });
       }
     }
 
-    return users;
+    return newUser;
   } catch (error) {
     console.error("Error adding user to database:", error);
     throw error;
@@ -162,24 +224,97 @@ passport.serializeUser((user, done) => {
  */
 passport.deserializeUser(async (username, done) => {
   try {
-    const users = await db.get("users");
-    if (!users) {
-      throw new Error("User not found");
-    }
-
-    // Search for the user with the provided username in the users array
-    const foundUser = users.find((user) => user.username === username);
+    const foundUser = store.users.findOne("username", username);
 
     if (!foundUser) {
       throw new Error("User not found");
     }
 
+    // Disabled users are signed out of the sessions they still have.
+    if (foundUser.disabled) {
+      return done(null, false);
+    }
+
     done(null, foundUser); // Deserialize user by retrieving full user details from the database
   } catch (error) {
     done(error);
   }
 });
 
+// Where users whose password expired are sent; they can use little else until they change it.
+const CHANGE_PASSWORD_PAGE = "/account?password=expired#change-password";
+
+/**
+ * Sends a signed-in user to /2fa when they have a second factor, or on to `/instances`. Passport
+ * regenerates the session on logout, so the pending user is stored once the logout is done. A user
+ * whose password expired is sent to change it once they are signed in.
+ */
+function continueLogin(req, res, next, { expired = false } = {}) {
+  const user = req.user;
+  if (!webauthn.needsSecondFactor(user)) {
+    if (expired) {
+      req.session.passwordExpired = true;
+      return res.redirect(CHANGE_PASSWORD_PAGE);
+    }
+    return res.redirect("/instances");
+  }
+  req.logout((err) => {
+    if (err) {
+      return next(err);
+    }
+    req.session.tempUser = { userId: user.userId, username: user.username, passwordExpired: expired };
+    res.redirect("/2fa");
+  });
+}
+
+/**
+ * Whether a user who just signed in with their local password has to change it first.
+ */
+async function loginPasswordExpired(user) {
+  return !user.ldap && passwordExpired(user, await getSecuritySettings());
+}
+
+/**
+ * Signs in the user waiting at /2fa and records which factor they used. `returnTo` is read first,
+ * since logging in regenerates the session.
+ */
+function finishSecondFactor(req, user, factor, done) {
+  const tempUser = req.session.tempUser || {};
+  const returnTo = tempUser.passwordExpired ? CHANGE_PASSWORD_PAGE : req.session.returnTo || "/instances";
+  req.login(user, (err) => {
+    if (err) {
+      return done(err);
+    }
+    req.session.secondFactor = factor;
+    if (tempUser.passwordExpired) {
+      req.session.passwordExpired = true;
+    }
+    done(null, returnTo);
+  });
+}
+
+/**
+ * The user waiting at /2fa, loaded fresh so a key removed in the meantime is not offered.
+ */
+function pendingUser(req) {
+  const tempUser = req.session.tempUser;
+  const user = tempUser ? store.users.findOne("username", tempUser.username) : undefined;
+  return user && !user.disabled ? user : null;
+}
+
+/**
+ * Which second factors /2fa accepts for the user. Admins who must use a security key cannot fall
+ * back to their authenticator app once they have a key.
+ */
+async function acceptedFactors(user) {
+  const factors = webauthn.secondFactors(user);
+  if (factors.webauthn && (await requiresHardwareKey(user))) {
+    factors.totp = false;
+  }
+  factors.recovery = remainingRecoveryCodes(user) > 0;
+  return factors;
+}
+
 /**
  * GET /auth/login
  * Authenticates a user using Passport's local strategy. If authentication is successful, the user
@@ -193,107 +328,212 @@ router.get("/auth/login", async (req, res, next) => {
       return next(err);
     }
     if (!user) {
-      if (info.userNotVerified) {
-        return res.redirect("/login?err=UserNotVerified");
-      }
-      return res.redirect("/login?err=InvalidCredentials&state=failed");
+      return res.redirect(loginFailure(info));
     }
-    req.logIn(user, async (err) => {
-      if (err) {
-        return next(err);
-      }
-
-      const users = await db.get("users");
-      const dbUser = users.find((u) => u.username === user.username);
-
-      if (dbUser && dbUser.twoFAEnabled) {
-        req.session.tempUser = user;
-        req.user = null;
-        return res.redirect("/2fa");
-      } else {
-        return res.redirect("/instances");
-      }
-    });
+    loginWithPassword(req, res, next, user);
   })(req, res, next);
 });
 
-router.post(
-  "/auth/login",
-  passport.authenticate("local", {
-    failureRedirect: "/login?err=InvalidCredentials&state=failed",
-  }),
-  async (req, res, next) => {
-    try {
-      if (req.user) {
-        const users = await db.get("users");
-        const user = users.find((u) => u.username === req.user.username);
-
-        if (user && user.verified) {
-          return res.redirect("/instances");
-        }
+/**
+ * Where a failed password login is sent. With several strategies, passport passes what each of
+ * them answered.
+ */
+function loginFailure(info) {
+  const answers = [].concat(info || []);
+  if (answers.some((answer) => answer && answer.locked)) {
+    return "/login?err=AccountLocked&state=failed";
+  }
+  if (answers.some((answer) => answer && answer.userNotVerified)) {
+    return "/login?err=UserNotVerified";
+  }
+  return "/login?err=InvalidCredentials&state=failed";
+}
 
-        if (user && user.twoFAEnabled) {
-          req.session.tempUser = req.user;
-          req.logout((err) => {
-            if (err) {
-              return next(err);
-            }
-            return res.redirect("/2fa");
-          });
-        } else {
-          return res.redirect("/instances");
-        }
-      } else {
-        return res.redirect("/login?err=InvalidCredentials&state=failed");
-      }
+/**
+ * Signs in a user whose password was accepted by either strategy. Wrong passwords they entered
+ * before no longer count towards a lockout.
+ */
+function loginWithPassword(req, res, next, user) {
+  if (user.failedLogins || user.lockedUntil) {
+    clearFailedLogins(user.userId);
+  }
+  req.logIn(user, async (err) => {
+    if (err) {
+      return next(err);
+    }
+    try {
+      continueLogin(req, res, next, { expired: await loginPasswordExpired(user) });
     } catch (error) {
-      console.error("Error during login:", error);
-      return res.status(500).send("Internal Server Error");
+      next(error);
     }
-  },
-);
+  });
+}
+
+router.post("/auth/login", (req, res, next) => {
+  passport.authenticate(["local", "ldap"], (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      return res.redirect(loginFailure(info));
+    }
+    loginWithPassword(req, res, next, user);
+  })(req, res, next);
+});
 
 router.get("/2fa", async (req, res) => {
-  if (!req.session.tempUser) {
+  const user = pendingUser(req);
+  if (!user) {
     return res.redirect("/login");
   }
   res.render("auth/2fa", {
     req,
+    factors: await acceptedFactors(user),
     name: (await db.get("name")) || "TeryxPanel",
     logo: (await db.get("logo")) || false,
   });
 });
 
-router.post("/2fa", async (req, res) => {
+router.post("/2fa", async (req, res, next) => {
   const { token } = req.body;
-  const tempUser = req.session.tempUser;
+  const user = pendingUser(req);
 
-  if (!tempUser) {
+  if (!user) {
     return res.redirect("/login");
   }
-
-  const users = await db.get("users");
-  const currentUser = users.find((user) => user.username === tempUser.username);
+  if (!(await acceptedFactors(user)).totp) {
+    return res.redirect("/2fa");
+  }
 
   const verified = speakeasy.totp.verify({
-    secret: currentUser.twoFASecret,
+    secret: user.twoFASecret,
     encoding: "base32",
     token,
   });
 
   if (verified) {
-    req.login(tempUser, (err) => {
+    finishSecondFactor(req, user, "totp", (err, returnTo) => {
       if (err) {
         return next(err);
       }
-      req.session.tempUser = null;
-      return res.redirect("/instances");
+      res.redirect(returnTo);
     });
   } else {
     return res.status(400).redirect("/2fa?err=InvalidAuthCode");
   }
 });
 
+/**
+ * POST /2fa/recovery
+ * Signs in the user waiting at /2fa with one of their recovery codes, which is used up. They are
+ * shown how many codes are left.
+ */
+router.post("/2fa/recovery", async (req, res, next) => {
+  const user = pendingUser(req);
+  if (!user) {
+    return res.redirect("/login");
+  }
+
+  const remaining = useRecoveryCode(user.userId, req.body.code);
+  if (remaining === null) {
+    return res.status(400).redirect("/2fa?err=InvalidRecoveryCode");
+  }
+
+  logAudit(user.userId, user.username, "recovery_code:use", req.ip, {
+    resource: { type: "user", id: user.userId },
+    after: { remaining },
+    requestId: req.id,
+  });
+  finishSecondFactor(req, user, "recovery", (err) => {
+    if (err) {
+      return next(err);
+    }
+    res.redirect("/account/recovery-codes?used=1");
+  });
+});
+
+/**
+ * POST /2fa/webauthn/options
+ * Starts verifying the user waiting at /2fa with one of their security keys.
+ */
+router.post("/2fa/webauthn/options", async (req, res) => {
+  const user = pendingUser(req);
+  if (!user || !webauthn.hasCredentials(user.userId)) {
+    return res.status(401).json({ error: "Please sign in again." });
+  }
+
+  const options = await webauthn.authenticationOptions(user);
+  webauthn.saveChallenge(req.session, "verify", options);
+  res.json(options);
+});
+
+router.post("/2fa/webauthn", async (req, res, next) => {
+  const user = pendingUser(req);
+  if (!user) {
+    return res.status(401).json({ error: "Please sign in again." });
+  }
+  const challenge = webauthn.takeChallenge(req.session, "verify");
+  if (!challenge) {
+    return res.status(400).json({ error: "The request expired. Please try again." });
+  }
+
+  const { error } = await webauthn.verifyAuthentication(req.body.response, challenge, user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  finishSecondFactor(req, user, "webauthn", (err, returnTo) => {
+    if (err) {
+      return next(err);
+    }
+    res.json({ redirect: returnTo });
+  });
+});
+
+/**
+ * POST /auth/passkey/options
+ * Starts a passwordless login: the browser offers the passkeys it has for the panel.
+ */
+router.post("/auth/passkey/options", async (req, res) => {
+  if (!(await getSecuritySettings()).passkeyLogin) {
+    return res.status(403).json({ error: "Passkey logins are turned off." });
+  }
+
+  const options = await webauthn.authenticationOptions();
+  webauthn.saveChallenge(req.session, "login", options);
+  res.json(options);
+});
+
+/**
+ * POST /auth/passkey
+ * Signs in the owner of the passkey, if their account passes the same checks as a password login.
+ * It counts as the security key factor, so no second step is needed.
+ */
+router.post("/auth/passkey", async (req, res, next) => {
+  if (!(await getSecuritySettings()).passkeyLogin) {
+    return res.status(403).json({ error: "Passkey logins are turned off." });
+  }
+  const challenge = webauthn.takeChallenge(req.session, "login");
+  if (!challenge) {
+    return res.status(400).json({ error: "The request expired. Please try again." });
+  }
+
+  const { userId, error } = await webauthn.verifyAuthentication(req.body.response, challenge);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const user = store.users.get(userId);
+  const refusal = user ? await loginRefusal(user) : { message: "This account is disabled." };
+  if (refusal) {
+    return res.status(403).json({ error: refusal.message });
+  }
+  finishSecondFactor(req, user, "webauthn", (err, returnTo) => {
+    if (err) {
+      return next(err);
+    }
+    res.json({ redirect: returnTo });
+  });
+});
+
 router.get(
   "/auth/login",
   passport.authenticate("local", {
@@ -305,12 +545,14 @@ router.get(
 router.get("/verify/:token", async (req, res) => {
   const { token } = req.params;
   try {
-    let users = (await db.get("users")) || [];
-    const user = users.find((u) => u.verificationToken === token);
+    const found = store.users.findOne("verification_token", token);
+    const user =
+      found &&
+      store.users.update(found.userId, (user) => {
+        user.verified = true;
+        user.verificationToken = null;
+      });
     if (user) {
-      user.verified = true;
-      user.verificationToken = null;
-      await db.set("users", users);
       res.redirect("/login?msg=EmailVerified");
     } else {
       res.redirect("/login?msg=InvalidVerificationToken");
@@ -338,27 +580,30 @@ router.post("/resend-verification", async (req, res) => {
   const { email } = req.body;
 
   try {
-    let users = (await db.get("users")) || [];
-    const userIndex = users.findIndex((u) => u.email === email);
+    const newVerificationToken = generateRandomCode(30);
+    const found = store.users.findOne("email", email);
+    const user =
+      found &&
+      store.users.update(found.userId, (user) => {
+        if (!user.verified) {
+          user.verificationToken = newVerificationToken;
+        }
+      });
 
-    if (userIndex === -1) {
+    if (!user) {
       res.redirect("/login?msg=UserNotFound");
       return;
     }
 
-    const user = users[userIndex];
-
     if (user.verified) {
       res.redirect("/login?msg=UserAlreadyVerified");
       return;
     }
-    const newVerificationToken = generateRandomCode(30);
-    user.verificationToken = newVerificationToken;
 
-    users[userIndex] = user;
-    await db.set("users", users);
-
-    await sendVerificationEmail(email, newVerificationToken);
+    await sendVerificationEmail(email, newVerificationToken, {
+      username: user.username,
+      lang: user.lang || req.lang,
+    });
 
     res.redirect("/login?msg=VerificationEmailResent");
   } catch (error) {
@@ -402,15 +647,21 @@ async function initializeRoutes() {
                 return;
               }
 
+              const passwordError = checkPassword(password, await getSecuritySettings());
+              if (passwordError) {
+                res.status(400).send(passwordError);
+                return;
+              }
+
               const settings = (await db.get("settings")) || {};
               const emailVerificationEnabled =
                 settings.emailVerification || false;
 
               if (emailVerificationEnabled) {
-                await createUser(username, email, password);
+                await createUser(username, email, password, req.lang);
                 res.redirect("/login?msg=AccountcreateEmailSent");
               } else {
-                await addUserToUsersTable(username, email, password, true);
+                await addUserToUsersTable(username, email, password, true, req.lang);
                 res.redirect("/login?msg=AccountCreated");
               }
             } catch (error) {
@@ -456,19 +707,23 @@ router.post("/auth/reset-password", async (req, res) => {
   const { email } = req.body;
 
   try {
-    const users = (await db.get("users")) || [];
-    const user = users.find((u) => u.email === email);
+    const resetToken = generateRandomCode(30);
+    const found = store.users.findOne("email", email);
+    const user =
+      found &&
+      store.users.update(found.userId, (user) => {
+        user.resetToken = resetToken;
+      });
 
     if (!user) {
       res.redirect("/auth/reset-password?err=EmailNotFound");
       return;
     }
 
-    const resetToken = generateRandomCode(30);
-    user.resetToken = resetToken;
-    await db.set("users", users);
-
-    await sendPasswordResetEmail(email, resetToken);
+    await sendPasswordResetEmail(email, resetToken, {
+      username: user.username,
+      lang: user.lang || req.lang,
+    });
 
     res.redirect("/auth/reset-password?msg=PasswordSent");
   } catch (error) {
@@ -481,19 +736,23 @@ router.get("/auth/reset/:token", async (req, res) => {
   const { token } = req.params;
 
   try {
-    const users = (await db.get("users")) || [];
-    const user = users.find((u) => u.resetToken === token);
+    const user = store.users.findOne("reset_token", token);
 
     if (!user) {
       res.send("Invalid or expired token.");
       return;
     }
 
+    const passwordError = req.session.passwordError || null;
+    delete req.session.passwordError;
+
     res.render("auth/password-reset-form", {
       req,
       name: (await db.get("name")) || "TeryxPanel",
       logo: (await db.get("logo")) || false,
       token: token,
+      passwordRules: passwordRules(await getSecuritySettings()),
+      passwordError,
     });
   } catch (error) {
     console.error("Error rendering password reset form:", error);
@@ -506,22 +765,38 @@ router.post("/auth/reset/:token", async (req, res) => {
   const { password } = req.body;
 
   try {
-    const users = (await db.get("users")) || [];
-    if (!users) {
-      throw new Error("No users found");
-    }
-
-    const user = users.find((user) => user.resetToken === token);
+    const user = store.users.findOne("reset_token", token);
 
     if (!user) {
       res.redirect("/login?msg=PasswordReset&state=failed");
       return;
     }
 
+    const passwordError = checkPassword(password, await getSecuritySettings());
+    if (passwordError) {
+      req.session.passwordError = passwordError;
+      res.redirect(`/auth/reset/${encodeURIComponent(token)}`);
+      return;
+    }
+
     const hashedPassword = await bcrypt.hash(password, saltRounds);
-    user.password = hashedPassword;
-    delete user.resetToken;
-    await db.set("users", users);
+    let updated = false;
+    store.users.update(user.userId, (current) => {
+      // The token may have been used meanwhile.
+      if (current.resetToken === token) {
+        current.password = hashedPassword;
+        current.passwordChangedAt = new Date().toISOString();
+        delete current.resetToken;
+        updated = true;
+      }
+    });
+
+    if (!updated) {
+      res.redirect("/login?msg=PasswordReset&state=failed");
+      return;
+    }
+    // The reset proves the user owns the account, so a lockout ends with it.
+    clearFailedLogins(user.userId);
 
     res.redirect("/login?msg=PasswordReset&state=success");
   } catch (error) {
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Client API for scripting your own servers with a personal API token (created on
+ * /account, see handlers/userTokens.js). Requests act as the token's owner and reach the instances
+ * the owner's session can: their own, the ones they are a sub-user of, and every instance for admins.
+ * Tokens are sent as `Authorization: Bearer <token>`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const axios = require('axios');
+const multer = require('multer');
+const FormData = require('form-data');
+const fs = require('node:fs');
+const { store } = require('../handlers/db.js');
+const { requireUserToken } = require('../handlers/userTokens.js');
+const { logInstanceActivity } = require('../handlers/auditlog.js');
+const { isUserAuthorizedForContainer } = require('../utils/authHelper');
+const { fetchFiles, deleteFile } = require('../utils/fileHelper');
+const { sendConsoleEvent } = require('../utils/nodeConsole.js');
+const serializers = require('../handlers/serializers.js');
+const webhooks = require('../handlers/webhooks.js');
+const { notifyArchiveCreated } = require('../handlers/notifications.js');
+const { emailInstanceEvent } = require('../handlers/instanceEmails.js');
+
+const upload = multer({ dest: 'tmp/' });
+
+const POWER_ACTIONS = ['start', 'stop', 'restart', 'kill'];
+
+function errorResponse(res, status, message, error = null) {
+    if (error) console.error(message, error);
+    return res.status(status).json({ error: message });
+}
+
+/**
+ * The fields of an instance a client may see; node credentials and image internals stay out.
+ */
+function serializeInstance(instance, user) {
+    return {
+        id: instance.Id,
+        name: instance.Name,
+        owner: instance.User === user.userId,
+        node: instance.Node ? { id: instance.Node.id, address: instance.Node.address } : null,
+        image: instance.Image,
+        memory: instance.Memory,
+        cpu: instance.Cpu,
+        disk: instance.Disk,
+        ports: instance.Ports,
+        primary: instance.Primary,
+        state: instance.InternalState || instance.State || null,
+        suspended: instance.suspended === true,
+    };
+}
+
+/**
+ * Loads `:id` into `req.instance` if the token's owner may use it. Instances the owner cannot see
+ * answer 404 rather than 403, so tokens cannot probe for instance ids.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.allowSuspended=false] - Whether the route also works on suspended instances.
+ */
+function instanceAccess({ allowSuspended = false } = {}) {
+    return async (req, res, next) => {
+        const instance = store.instances.get(req.params.id);
+        if (!instance || !(await isUserAuthorizedForContainer(req.user.userId, instance.Id, req))) {
+            return errorResponse(res, 404, 'Instance not found');
+        }
+        if (!allowSuspended && instance.suspended === true) {
+            return errorResponse(res, 409, 'Instance is suspended');
+        }
+        if (!instance.Node || !instance.Node.address || !instance.Node.port) {
+            return errorResponse(res, 500, 'Invalid instance node configuration');
+        }
+        req.instance = instance;
+        next();
+    };
+}
+
+function nodeRequest(instance, method, path, options = {}) {
+    return axios({
+        method,
+        url: `http://${instance.Node.address}:${instance.Node.port}${path}`,
+        auth: { username: 'Skyport', password: instance.Node.apiKey },
+        ...options,
+    });
+}
+
+function nodeError(res, message, error) {
+    const status = error.response && error.response.status >= 400 && error.response.status < 500 ? error.response.status : 502;
+    const detail = error.response?.data?.message || error.response?.data?.error;
+    return errorResponse(res, status, detail || message, status === 502 ? error : null);
+}
+
+router.use('/api/client', requireUserToken);
+
+/**
+ * GET /api/client
+ * The account the token belongs to.
+ */
+router.get('/api/client', (req, res) => {
+    const { userId, username, email, admin, accessTo } = req.user;
+    res.json({ userId, username, email, admin: admin === true, accessTo: accessTo || [] });
+});
+
+/**
+ * GET /api/client/instances
+ * The owner's instances followed by the ones they are a sub-user of.
+ */
+router.get('/api/client/instances', (req, res) => {
+    const owned = store.instances.findAll('user_id', req.user.userId);
+    const shared = (req.user.accessTo || [])
+        .filter((id) => !owned.some((instance) => instance.Id === id))
+        .map((id) => store.instances.get(id))
+        .filter(Boolean);
+
+    res.json([...owned, ...shared].map((instance) => serializeInstance(instance, req.user)));
+});
+
+router.get('/api/client/instances/:id', instanceAccess({ allowSuspended: true }), (req, res) => {
+    res.json(serializeInstance(req.instance, req.user));
+});
+
+/**
+ * POST /api/client/instances/:id/power
+ * Body: `{ "action": "start" | "stop" | "restart" | "kill" }`.
+ */
+router.post('/api/client/instances/:id/power', instanceAccess(), async (req, res) => {
+    const { action } = req.body;
+    if (!POWER_ACTIONS.includes(action)) {
+        return errorResponse(res, 400, `Action must be one of ${POWER_ACTIONS.join(', ')}`);
+    }
+
+    try {
+        await sendConsoleEvent(req.instance, { event: `power:${action}` });
+        logInstanceActivity(req, req.instance.Id, `power:${action}`);
+        res.status(202).json({ message: `${action} sent` });
+    } catch (error) {
+        errorResponse(res, 502, 'Connection to node failed', error);
+    }
+});
+
+/**
+ * POST /api/client/instances/:id/command
+ * Body: `{ "command": "say hello" }`. Runs the command in the server console.
+ */
+router.post('/api/client/instances/:id/command', instanceAccess(), async (req, res) => {
+    const command = typeof req.body.command === 'string' ? req.body.command.trim() : '';
+    if (!command) {
+        return errorResponse(res, 400, 'Command is required');
+    }
+
+    try {
+        await sendConsoleEvent(req.instance, { event: 'cmd', command });
+        res.status(202).json({ message: 'Command sent' });
+    } catch (error) {
+        errorResponse(res, 502, 'Connection to node failed', error);
+    }
+});
+
+/**
+ * GET /api/client/instances/:id/files?path=
+ * Lists a directory of the server's files.
+ */
+router.get('/api/client/instances/:id/files', instanceAccess(), async (req, res) => {
+    const files = await fetchFiles(req.instance, encodeURIComponent(req.query.path || ''));
+    res.json(files);
+});
+
+/**
+ * POST /api/client/instances/:id/files/upload?path=
+ * Uploads the multipart `files` fields into a directory.
+ */
+router.post('/api/client/instances/:id/files/upload', instanceAccess(), upload.array('files'), async (req, res) => {
+    const files = req.files || [];
+    const subPath = req.query.path || '';
+    if (files.length === 0) {
+        return errorResponse(res, 400, 'No files uploaded');
+    }
+
+    const formData = new FormData();
+    files.forEach((file) => {
+        formData.append('files', fs.createReadStream(file.path), file.originalname);
+    });
+
+    try {
+        const response = await nodeRequest(req.instance, 'post', `/fs/${req.instance.VolumeId}/files/upload?path=${encodeURIComponent(subPath)}`, {
+            data: formData,
+            headers: formData.getHeaders(),
+        });
+        logInstanceActivity(req, req.instance.Id, 'file:upload', {
+            after: { files: files.map((file) => file.originalname), path: subPath || '/' },
+        });
+        res.status(201).json({ message: 'Files uploaded', details: response.data });
+    } catch (error) {
+        nodeError(res, 'Failed to upload files to node', error);
+    } finally {
+        files.forEach((file) => fs.unlink(file.path, (err) => {
+            if (err) console.error(`Failed to delete temporary file: ${file.path}`, err);
+        }));
+    }
+});
+
+/**
+ * DELETE /api/client/instances/:id/files?file=&path=
+ */
+router.delete('/api/client/instances/:id/files', instanceAccess(), async (req, res) => {
+    const { file, path = '' } = req.query;
+    if (!file) {
+        return errorResponse(res, 400, 'File is required');
+    }
+
+    try {
+        await deleteFile(req.instance, encodeURIComponent(file), encodeURIComponent(path));
+        logInstanceActivity(req, req.instance.Id, 'file:delete', {
+            before: { file, path: path || '/' },
+        });
+        res.status(204).send();
+    } catch (error) {
+        nodeError(res, 'Failed to delete file', error);
+    }
+});
+
+/**
+ * GET /api/client/instances/:id/backups
+ * Lists the instance's archives.
+ */
+router.get('/api/client/instances/:id/backups', instanceAccess(), async (req, res) => {
+    try {
+        const response = await nodeRequest(req.instance, 'get', `/archive/${req.instance.ContainerId}/archives`);
+        res.json(response.data.archives || []);
+    } catch (error) {
+        nodeError(res, 'Failed to list backups', error);
+    }
+});
+
+router.post('/api/client/instances/:id/backups', instanceAccess(), async (req, res) => {
+    try {
+        const response = await nodeRequest(req.instance, 'post', `/archive/${req.instance.ContainerId}/archives/${req.instance.VolumeId}/create`);
+        logInstanceActivity(req, req.instance.Id, 'archive:create');
+        webhooks.emit('archive.created', { instance: serializers.serializeInstance(req.instance) });
+        notifyArchiveCreated(req.instance);
+        emailInstanceEvent(req.instance, 'archive_created');
+        res.status(201).json(response.data);
+    } catch (error) {
+        nodeError(res, 'Failed to create backup', error);
+    }
+});
+
+/**
+ * POST /api/client/instances/:id/backups/:name/restore
+ * Rolls the server's files back to the archive.
+ */
+router.post('/api/client/instances/:id/backups/:name/restore', instanceAccess(), async (req, res) => {
+    const name = encodeURIComponent(req.params.name);
+    try {
+        const response = await nodeRequest(req.instance, 'post', `/archive/${req.instance.ContainerId}/archives/rollback/${req.instance.VolumeId}/${name}`);
+        logInstanceActivity(req, req.instance.Id, 'archive:rollback', { after: { archive: req.params.name } });
+        res.json(response.data);
+    } catch (error) {
+        nodeError(res, 'Failed to restore backup', error);
+    }
+});
+
+/**
+ * GET /api/client/instances/:id/backups/:name/download
+ * Streams the archive through the panel, so the node's credentials are never handed out.
+ */
+router.get('/api/client/instances/:id/backups/:name/download', instanceAccess(), async (req, res) => {
+    const name = encodeURIComponent(req.params.name);
+    try {
+        const response = await nodeRequest(req.instance, 'get', `/archive/${req.instance.ContainerId}/archives/download/${name}`, {
+            responseType: 'stream',
+        });
+        logInstanceActivity(req, req.instance.Id, 'archive:download', { after: { archive: req.params.name } });
+        res.set('Content-Type', response.headers['content-type'] || 'application/octet-stream');
+        res.attachment(req.params.name);
+        response.data.pipe(res);
+    } catch (error) {
+        nodeError(res, 'Failed to download backup', error);
+    }
+});
+
+router.delete('/api/client/instances/:id/backups/:name', instanceAccess(), async (req, res) => {
+    const name = encodeURIComponent(req.params.name);
+    try {
+        await nodeRequest(req.instance, 'post', `/archive/${req.instance.ContainerId}/archives/delete/${name}`);
+        logInstanceActivity(req, req.instance.Id, 'archive:delete', { before: { archive: req.params.name } });
+        res.status(204).send();
+    } catch (error) {
+        nodeError(res, 'Failed to delete backup', error);
+    }
+});
+
+module.exports = router;
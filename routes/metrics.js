@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateApiKey } = require('../handlers/apiKeys.js');
+const { hardwareKeyCheck } = require('../utils/isAdmin.js');
+const { registry } = require('../handlers/metrics.js');
+const log = new (require('cat-loggr'))();
+
+/**
+ * Lets the request through for a signed-in admin or an API key with the metrics:read scope. Scrapers
+ * send the key as `Authorization: Bearer <key>` (Prometheus' `authorization` setting) or in `x-api-key`.
+ * Admins who still have to confirm with a security key need the key, like on the admin pages.
+ */
+async function metricsAuth(req, res, next) {
+    try {
+        if (req.user && req.user.admin === true && !(await hardwareKeyCheck(req))) return next();
+    } catch (error) {
+        return next(error);
+    }
+
+    const { apiKey, status, error } = authenticateApiKey(req, 'metrics:read', res);
+    if (!apiKey) {
+        if (status === 401) res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(status).type('text/plain').send(error);
+    }
+
+    req.apiKey = apiKey;
+    next();
+}
+
+/**
+ * GET /metrics
+ * Prometheus exposition of the panel's metrics, see handlers/metrics.js.
+ */
+router.get('/metrics', metricsAuth, async (req, res) => {
+    try {
+        res.set('Content-Type', registry.contentType);
+        res.send(await registry.metrics());
+    } catch (error) {
+        log.error('Error collecting metrics:', error);
+        res.status(500).type('text/plain').send('Failed to collect metrics');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview JSON endpoints behind the notification bell in the panel header. The menu polls
+ * GET /notifications for the unread count and the latest entries and marks them read when opened.
+ * Notifications are created by handlers/notifications.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { store } = require("../handlers/db.js");
+const { listNotifications, markRead } = require("../handlers/notifications.js");
+
+const MAX_LIMIT = 50;
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Not logged in" });
+  }
+  next();
+}
+
+/**
+ * GET /notifications
+ * The latest notifications of the logged-in user and their unread count. `?limit=` takes up to 50.
+ */
+router.get("/notifications", requireUser, (req, res) => {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  res.json(listNotifications(req.user.userId, limit));
+});
+
+/**
+ * POST /notifications/read
+ * Body: `{ "ids": [...] }` to mark some notifications read, or nothing to mark all of them.
+ */
+router.post("/notifications/read", requireUser, (req, res) => {
+  const ids = req.body && req.body.ids !== undefined ? [].concat(req.body.ids).map(String) : undefined;
+  const marked = markRead(req.user.userId, ids);
+  res.json({ marked, unread: store.notifications.unreadCount(req.user.userId) });
+});
+
+router.post("/notifications/:id/read", requireUser, (req, res) => {
+  const marked = markRead(req.user.userId, [req.params.id]);
+  res.json({ marked, unread: store.notifications.unreadCount(req.user.userId) });
+});
+
+module.exports = router;
@@ -10,7 +10,7 @@ const router = express.Router();
 const config = require('../config.json')
 
 const { isAuthenticated } = require('../handlers/auth.js');
-const { db } = require('../handlers/db.js');
+const { db, store } = require('../handlers/db.js');
 
 /**
  * Dynamically reads the page configurations from a JSON file and sets up express routes accordingly.
@@ -40,9 +40,7 @@ async function setupRoutes() {
                             adminInstances = allInstances.filter(instance => instance.User == userId);
                         }
                 
-                        const users = await db.get('users') || [];
-                
-                        const authenticatedUser = users.find(user => user.userId === userId);
+                        const authenticatedUser = store.users.get(userId);
                         if (!authenticatedUser) {
                             throw new Error('Authenticated user not found in database.');
                         }
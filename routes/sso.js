@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Single sign-on logins. GET /auth/sso/:slug sends the user to the identity provider
+ * and GET /auth/sso/:slug/callback signs them in when they come back. Signed-in users go through
+ * the same routes with `?link=1` to connect a login to their account from /account. The protocol
+ * side lives in handlers/sso.js.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { store } = require("../handlers/db.js");
+const { logAudit } = require("../handlers/auditlog.js");
+const sso = require("../handlers/sso.js");
+const webauthn = require("../handlers/webauthn.js");
+const log = new (require("cat-loggr"))();
+
+// How long a user has to sign in at the provider before the login is dropped.
+const LOGIN_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Loads the enabled provider named by `:slug` into `req.provider`.
+ */
+function loadProvider(req, res, next) {
+  const provider = store.ssoProviders.findOne("slug", req.params.slug);
+  if (!provider || !provider.enabled) {
+    return res.redirect("/login?sso=unavailable");
+  }
+  req.provider = provider;
+  next();
+}
+
+/**
+ * Where to report a failed login: the login page, or the account page when connecting a login.
+ */
+function failureUrl(link, reason) {
+  return link ? `/account?sso=${reason}#sign-in-methods` : `/login?sso=${reason}`;
+}
+
+function audit(req, user, action, resource, change) {
+  logAudit(user.userId, user.username, action, req.ip, { resource, ...change, requestId: req.id });
+}
+
+router.get("/auth/sso/:slug", loadProvider, async (req, res) => {
+  const link = req.query.link === "1" && Boolean(req.user);
+  try {
+    const login = await sso.beginLogin(req.provider);
+    req.session.sso = {
+      providerId: req.provider.id,
+      state: login.state,
+      nonce: login.nonce,
+      codeVerifier: login.codeVerifier,
+      link,
+      startedAt: Date.now(),
+    };
+    res.redirect(login.url);
+  } catch (error) {
+    log.error(`Could not start a login with ${req.provider.name}: ${error.message}`);
+    res.redirect(failureUrl(link, "failed"));
+  }
+});
+
+router.get("/auth/sso/:slug/callback", loadProvider, async (req, res, next) => {
+  const pending = req.session.sso;
+  delete req.session.sso;
+  const link = Boolean(pending && pending.link && req.user);
+
+  if (
+    !pending ||
+    pending.providerId !== req.provider.id ||
+    pending.state !== req.query.state ||
+    Date.now() - pending.startedAt > LOGIN_TIMEOUT
+  ) {
+    return res.redirect(failureUrl(link, "expired"));
+  }
+  if (req.query.error) {
+    return res.redirect(failureUrl(link, req.query.error === "access_denied" ? "denied" : "failed"));
+  }
+
+  let result;
+  try {
+    const profile = await sso.completeLogin(req.provider, {
+      code: String(req.query.code || ""),
+      nonce: pending.nonce,
+      codeVerifier: pending.codeVerifier,
+    });
+    result = await sso.resolveUser(req.provider, profile, { linkTo: link ? req.user : null, lang: req.lang });
+  } catch (error) {
+    log.error(`Login with ${req.provider.name} failed: ${error.message}`);
+    return res.redirect(failureUrl(link, "failed"));
+  }
+  if (result.error) {
+    return res.redirect(failureUrl(link, result.error));
+  }
+
+  const { user, identity } = result;
+  if (result.created) {
+    audit(req, user, "user:create", { type: "user", id: user.userId }, {
+      after: { username: user.username, email: user.email, provider: req.provider.name },
+    });
+  }
+  if (result.linked || result.created) {
+    audit(req, user, "sso_identity:link", { type: "sso_identity", id: `${identity.providerId}:${identity.subject}` }, {
+      after: identity,
+    });
+  }
+  if (result.adminChange) {
+    audit(req, user, "user:edit", { type: "user", id: user.userId }, {
+      before: { admin: result.adminChange.before },
+      after: { admin: result.adminChange.after, provider: req.provider.name },
+    });
+  }
+
+  if (link) {
+    return res.redirect("/account?sso=linked#sign-in-methods");
+  }
+  if (webauthn.needsSecondFactor(user)) {
+    req.session.tempUser = { userId: user.userId, username: user.username };
+    return res.redirect("/2fa");
+  }
+  req.login(user, (err) => {
+    if (err) {
+      return next(err);
+    }
+    res.redirect("/instances");
+  });
+});
+
+module.exports = router;
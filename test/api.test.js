@@ -0,0 +1,60 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir, startApp, createApiKey, createUser } = require('./helpers.js');
+
+useDataDir();
+
+const { db, store } = require('../handlers/db.js');
+
+let app;
+let writeKey;
+let adminKey;
+
+before(async () => {
+    app = await startApp('api.js');
+    writeKey = createApiKey(['users:write']);
+    adminKey = createApiKey(['users:write', 'users:admin']);
+});
+
+after(() => app.close());
+
+beforeEach(() => db.delete('smtp_settings'));
+
+function resetPassword(key, email) {
+    return fetch(app.url + '/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'x-api-key': key, 'content-type': 'application/json' },
+        body: JSON.stringify({ email }),
+    });
+}
+
+test('a users:write key cannot reset the password of an admin', async () => {
+    await db.set('smtp_settings', { server: 'smtp.example.com', port: 587 });
+    const admin = createUser({ username: 'admin1', email: 'admin1@example.com', admin: true });
+
+    const res = await resetPassword(writeKey, admin.email);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(store.users.get(admin.userId).resetToken, undefined);
+});
+
+test('a users:write key is not given the reset token when SMTP is not set up', async () => {
+    const user = createUser({ username: 'user1', email: 'user1@example.com' });
+
+    const res = await resetPassword(writeKey, user.email);
+    const body = await res.json();
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(body.token, undefined);
+    assert.strictEqual(store.users.get(user.userId).resetToken, undefined);
+});
+
+test('a users:admin key is given the reset token, and that is audited', async () => {
+    const admin = createUser({ username: 'admin2', email: 'admin2@example.com', admin: true });
+
+    const res = await resetPassword(adminKey, admin.email);
+    const body = await res.json();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(body.token, store.users.get(admin.userId).resetToken);
+
+    const actions = store.audits.list().filter((entry) => entry.resourceId === admin.userId).map((entry) => entry.action);
+    assert.ok(actions.includes('user:passwordResetTokenIssued'));
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { useDataDir, startApp, createApiKey, createUser } = require('./helpers.js');
+
+useDataDir();
+
+const { store } = require('../handlers/db.js');
+
+let app;
+let writeKey;
+let adminKey;
+
+before(async () => {
+    app = await startApp('apiV2.js');
+    writeKey = createApiKey(['users:read', 'users:write']);
+    adminKey = createApiKey(['users:read', 'users:write', 'users:admin']);
+});
+
+after(() => app.close());
+
+function request(method, path, key, body) {
+    return fetch(app.url + '/api/v2' + path, {
+        method,
+        headers: { 'x-api-key': key, 'content-type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+}
+
+test('a users:write key cannot change the password of an admin', async () => {
+    const admin = createUser({ username: 'admin1', email: 'admin1@example.com', admin: true });
+
+    const res = await request('PATCH', `/users/${admin.userId}`, writeKey, { password: 'a new password' });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(store.users.get(admin.userId).password, admin.password);
+});
+
+test('a users:write key cannot change the email of an admin', async () => {
+    const admin = createUser({ username: 'admin2', email: 'admin2@example.com', admin: true });
+
+    const res = await request('PATCH', `/users/${admin.userId}`, writeKey, { email: 'taken@example.com' });
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(store.users.get(admin.userId).email, 'admin2@example.com');
+});
+
+test('a users:write key cannot delete an admin', async () => {
+    const admin = createUser({ username: 'admin3', email: 'admin3@example.com', admin: true });
+
+    const res = await request('DELETE', `/users/${admin.userId}`, writeKey);
+    assert.strictEqual(res.status, 403);
+    assert.ok(store.users.get(admin.userId));
+});
+
+test('a users:write key can still change and delete other users', async () => {
+    const user = createUser({ username: 'user1', email: 'user1@example.com' });
+
+    const patched = await request('PATCH', `/users/${user.userId}`, writeKey, { email: 'changed@example.com' });
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(store.users.get(user.userId).email, 'changed@example.com');
+
+    const deleted = await request('DELETE', `/users/${user.userId}`, writeKey);
+    assert.strictEqual(deleted.status, 204);
+    assert.strictEqual(store.users.get(user.userId), undefined);
+});
+
+test('a users:admin key can change and delete admins', async () => {
+    const admin = createUser({ username: 'admin4', email: 'admin4@example.com', admin: true });
+
+    const patched = await request('PATCH', `/users/${admin.userId}`, adminKey, { email: 'admin4@example.org' });
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(store.users.get(admin.userId).email, 'admin4@example.org');
+
+    const deleted = await request('DELETE', `/users/${admin.userId}`, adminKey);
+    assert.strictEqual(deleted.status, 204);
+    assert.strictEqual(store.users.get(admin.userId), undefined);
+});
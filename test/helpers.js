@@ -0,0 +1,72 @@
+/**
+ * Shared setup for the tests. The panel keeps its databases in the working directory, so a test
+ * file moves into a fresh one with useDataDir before it loads anything from handlers/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useDataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teryx-test-'));
+    process.chdir(dir);
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Runs the migrations and serves the given routes the way index.js mounts them.
+ *
+ * @param {...string} routes - File names in routes/. They are loaded once express-ws is set up,
+ *   as some of them declare websocket routes.
+ * @returns {Promise<{ url: string, close: Function }>} The address to send requests to.
+ */
+async function startApp(...routes) {
+    const express = require('express');
+    const bodyParser = require('body-parser');
+    const { requestId } = require('../utils/requestId.js');
+
+    await require('../handlers/migrator.js').up();
+
+    const app = express();
+    require('express-ws')(app);
+    app.use(requestId);
+    app.use(bodyParser.json());
+    for (const route of routes) app.use('/', require(path.join('../routes', route)));
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+function createApiKey(scopes) {
+    const { v4: uuidv4 } = require('uuid');
+    const { store } = require('../handlers/db.js');
+    const { settings } = require('../handlers/apiKeys.js').parseKeySettings({ name: 'test', scopes });
+
+    const apiKey = { id: uuidv4(), key: 'hpk_' + uuidv4(), createdAt: new Date().toISOString(), ...settings };
+    store.apiKeys.save(apiKey);
+    return apiKey.key;
+}
+
+function createUser(fields) {
+    const { v4: uuidv4 } = require('uuid');
+    const { store } = require('../handlers/db.js');
+
+    const user = {
+        userId: uuidv4(),
+        password: 'not a hash',
+        accessTo: [],
+        admin: false,
+        verified: true,
+        ...fields,
+    };
+    store.users.save(user);
+    return user;
+}
+
+module.exports = { useDataDir, startApp, createApiKey, createUser };
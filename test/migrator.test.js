@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+// The panel keeps its databases in the working directory, so each run gets its own.
+function inDataDir(script) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teryx-migrator-'));
+    try {
+        const output = execFileSync(process.execPath, ['-e', script], {
+            cwd: dir,
+            env: { ...process.env, TERYX_ROOT: root },
+            encoding: 'utf8',
+            timeout: 60000,
+        });
+        return JSON.parse(output.trim().split('\n').pop());
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const migrator = "require(require('path').join(process.env.TERYX_ROOT, 'handlers/migrator.js'))";
+
+test('up applies every migration to an empty data directory', () => {
+    const result = inDataDir(`
+        const migrator = ${migrator};
+        migrator.up().then((applied) => {
+            console.log(JSON.stringify({ applied, status: migrator.status() }));
+            process.exit(0);
+        }, (error) => {
+            console.log(JSON.stringify({ error: error.message }));
+            process.exit(0);
+        });
+    `);
+
+    assert.strictEqual(result.error, undefined);
+    const versions = result.status.migrations.map((migration) => migration.version);
+    assert.deepStrictEqual(result.applied, versions);
+    assert.ok(result.status.migrations.every((migration) => migration.appliedAt));
+    assert.strictEqual(result.status.version, Math.max(...versions));
+});
+
+test('up imports the legacy Keyv collections and removes the analytics list', () => {
+    const result = inDataDir(`
+        const { db } = require(require('path').join(process.env.TERYX_ROOT, 'handlers/db.js'));
+        (async () => {
+            await db.kv.set('users', [{ userId: 'u1', username: 'alice', email: 'alice@example.com', admin: true }]);
+            await db.kv.set('analytics', [{ timestamp: Date.now(), path: '/dashboard', method: 'GET', ip: '127.0.0.1' }]);
+            const migrator = ${migrator};
+            await migrator.up();
+            const { store } = require(require('path').join(process.env.TERYX_ROOT, 'handlers/db.js'));
+            console.log(JSON.stringify({
+                user: store.users.get('u1'),
+                analytics: await db.kv.get('analytics'),
+                rollups: store.sqlite.prepare('SELECT COUNT(*) AS count FROM analytics_rollups').get().count,
+            }));
+            process.exit(0);
+        })().catch((error) => {
+            console.log(JSON.stringify({ error: error.message }));
+            process.exit(0);
+        });
+    `);
+
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.user.username, 'alice');
+    assert.strictEqual(result.analytics, undefined);
+    assert.strictEqual(result.rollups, 2);
+});
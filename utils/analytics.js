@@ -1,33 +1,33 @@
-const { db } = require('../handlers/db.js');
+const { record } = require('../handlers/analytics.js');
 
-// Analytics middleware
-const analyticsMiddleware = async (req, res, next) => {
-  const timestamp = Date.now();
-  const path = req.path;
-  const method = req.method;
-  const ip = req.ip;
-  const userAgent = req.get('User-Agent');
-
-  // Fetch existing analytics data
-  let analytics = await db.get('analytics') || [];
+// Static files, favicons and the like are not page views.
+const assetPattern = /\.[a-z0-9]+$/i;
 
-  // Push new data
-  analytics.push({
-    timestamp,
-    path,
-    method,
-    ip,
-    userAgent
-  });
+/**
+ * Analytics middleware. Counts each request once its response has finished, with the status code
+ * and how long it took; see handlers/analytics.js for how the counts are stored.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware or route handler to be executed.
+ */
+function analyticsMiddleware(req, res, next) {
+  if (req.ws || assetPattern.test(req.path)) return next();
 
-  // Clean up old data (older than 24 hours)
-  const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
-  analytics = analytics.filter(item => item.timestamp >= oneDayAgo);
+  const started = process.hrtime.bigint();
+  const path = req.path;
 
-  // Save updated analytics data
-  await db.set('analytics', analytics);
+  res.on('finish', () => {
+    record({
+      path,
+      method: req.method,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      ip: req.ip,
+    });
+  });
 
   next();
-};
+}
 
-module.exports = analyticsMiddleware;
\ No newline at end of file
+module.exports = analyticsMiddleware;
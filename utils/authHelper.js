@@ -1,4 +1,5 @@
-const { db } = require("../handlers/db.js");
+const { store } = require("../handlers/db.js");
+const { hardwareKeyCheck } = require("./isAdmin.js");
 const CatLoggr = require("cat-loggr");
 const log = new CatLoggr();
 
@@ -6,36 +7,32 @@ const log = new CatLoggr();
  * Checks if the user is authorized to access the specified container ID.
  * @param {string} userId - The unique identifier of the user.
  * @param {string} containerId - The container ID to check authorization for.
+ * @param {Object} [req] - The request; admins only reach every instance once its session passed
+ *   the security key check of isAdmin.
  * @returns {Promise<boolean>} True if the user is authorized, otherwise false.
  */
-async function isUserAuthorizedForContainer(userId, containerId) {
+async function isUserAuthorizedForContainer(userId, containerId, req) {
     if (!userId || !containerId) {
         log.error("Missing required parameters:", { userId, containerId });
         return false;
     }
 
     try {
-        const [userInstances, users] = await Promise.all([
-            db.get(`${userId}_instances`) || [],
-            db.get("users") || [],
-        ]);
-
-        const user = users.find((user) => user.userId === userId);
+        const user = store.users.get(userId);
         if (!user) {
             log.error("User not found:", userId);
             return false;
         }
 
         // Admins have access to everything
-        if (user.admin) {
+        if (user.admin && req && req.user && req.user.userId === userId && !(await hardwareKeyCheck(req))) {
             return true;
         }
 
         const subUserInstances = user.accessTo || [];
         const isInSubUserInstances = subUserInstances.includes(containerId);
-        const isInUserInstances = userInstances.some(
-            (instance) => instance.Id === containerId,
-        );
+        const instance = store.instances.get(containerId);
+        const isInUserInstances = Boolean(instance && instance.User === userId);
 
         return isInSubUserInstances || isInUserInstances;
     } catch (error) {
@@ -56,28 +53,8 @@ async function isInstanceSuspended(instanceId) {
     }
 
     try {
-        const instanceKey = `${instanceId}_instance`;
-        let instance = await db.get(instanceKey);
-
-        // Initialize if instance doesn't exist
-        if (!instance) {
-            instance = {
-                suspended: false,
-                createdAt: new Date().toISOString(),
-                lastUpdated: new Date().toISOString(),
-            };
-            await db.set(instanceKey, instance);
-            return false;
-        }
-
-        // Ensure required fields exist
-        if (typeof instance.suspended === "undefined") {
-            instance.suspended = false;
-            instance.lastUpdated = new Date().toISOString();
-            await db.set(instanceKey, instance);
-        }
-
-        return instance.suspended === true;
+        const instance = store.instances.get(instanceId);
+        return Boolean(instance && instance.suspended === true);
     } catch (error) {
         log.error("Error checking instance suspension status:", error);
         return false;
@@ -1,7 +1,28 @@
 const axios = require('axios');
 const { db } = require('../handlers/db.js');
+const { containerStateChecks } = require('../handlers/metrics.js');
+const { serializeInstance } = require('../handlers/serializers.js');
+const webhooks = require('../handlers/webhooks.js');
+const { notifyInstance } = require('../handlers/chatNotifications.js');
+const { emailInstanceEvent } = require('../handlers/instanceEmails.js');
 const log = new (require('cat-loggr'))();
 
+/**
+ * Marks an instance as failed to become ready.
+ * @param {string} volumeId - The ID of the volume.
+ * @returns {Promise<void>}
+ */
+async function markFailed(volumeId) {
+  const instance = await db.update(`${volumeId}_instance`, (instance) => {
+    instance.InternalState = 'FAILED';
+  });
+  if (instance) {
+    webhooks.emit('instance.failed', { instance: serializeInstance(instance) });
+    notifyInstance(instance, 'install_failed');
+    emailInstanceEvent(instance, 'instance_failed');
+  }
+}
+
 /**
  * Checks the state of a container and updates the database accordingly.
  * @param {string} volumeId - The ID of the volume.
@@ -29,62 +50,43 @@ async function checkContainerState(volumeId, nodeAddress, nodePort, apiKey, user
   
         const { state, containerId } = response.data;
   
-        // Update the database with the new state and containerId
-        const instance = await db.get(`${volumeId}_instance`);
-        instance.InternalState = state;
-        instance.ContainerId = containerId;
-        await db.set(`${volumeId}_instance`, instance);
-  
-        // Update user instances
-        const userInstances = await db.get(`${userId}_instances`);
-        const updatedUserInstances = userInstances.map(i => 
-          i.Id === volumeId ? { ...i, InternalState: state, ContainerId: containerId } : i
-        );
-        await db.set(`${userId}_instances`, updatedUserInstances);
-  
-        // Update global instances
-        const globalInstances = await db.get('instances');
-        const updatedGlobalInstances = globalInstances.map(i => 
-          i.Id === volumeId ? { ...i, InternalState: state, ContainerId: containerId } : i
-        );
-        await db.set('instances', updatedGlobalInstances);
+        // Update the database with the new state and containerId. The user and global instance
+        // lists read the same record, so one atomic update keeps them all in step without
+        // overwriting changes (such as a suspension) made while the request was in flight.
+        let previousState;
+        const instance = await db.update(`${volumeId}_instance`, (instance) => {
+          previousState = instance.InternalState;
+          instance.InternalState = state;
+          instance.ContainerId = containerId;
+        });
   
         if (state === 'READY') {
+          containerStateChecks.inc({ outcome: 'ready' });
+          if (instance && previousState !== 'READY') {
+            webhooks.emit('instance.ready', { instance: serializeInstance(instance) });
+            notifyInstance(instance, 'installed');
+            emailInstanceEvent(instance, 'instance_deployed');
+          }
           return;
         }
+        containerStateChecks.inc({ outcome: 'pending' });
   
         if (++attempts < maxAttempts) {
           setTimeout(checkState, delay);
         } else {
+          containerStateChecks.inc({ outcome: 'gave_up' });
           log.error(`Container ${volumeId} failed to become active after ${maxAttempts} attempts.`);
-          // Update state to FAILED in all relevant places
-          instance.InternalState = 'FAILED';
-          await db.set(`${volumeId}_instance`, instance);
-          await db.set(`${userId}_instances`, updatedUserInstances.map(i => 
-            i.Id === volumeId ? { ...i, InternalState: 'FAILED' } : i
-          ));
-          await db.set('instances', updatedGlobalInstances.map(i => 
-            i.Id === volumeId ? { ...i, InternalState: 'FAILED' } : i
-          ));
+          await markFailed(volumeId);
         }
       } catch (error) {
         log.error(`Error checking state for container ${volumeId}:`, error);
+        containerStateChecks.inc({ outcome: 'error' });
         if (++attempts < maxAttempts) {
           setTimeout(checkState, delay);
         } else {
+          containerStateChecks.inc({ outcome: 'gave_up' });
           log.info(`Container ${volumeId} state check failed after ${maxAttempts} attempts.`);
-          // Update state to FAILED in all relevant places (same as above)
-          const instance = await db.get(`${volumeId}_instance`);
-          instance.InternalState = 'FAILED';
-          await db.set(`${volumeId}_instance`, instance);
-          const userInstances = await db.get(`${userId}_instances`);
-          await db.set(`${userId}_instances`, userInstances.map(i => 
-            i.Id === volumeId ? { ...i, InternalState: 'FAILED' } : i
-          ));
-          const globalInstances = await db.get('instances');
-          await db.set('instances', globalInstances.map(i => 
-            i.Id === volumeId ? { ...i, InternalState: 'FAILED' } : i
-          ));
+          await markFailed(volumeId);
         }
       }
     };
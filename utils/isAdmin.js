@@ -1,18 +1,60 @@
+const { requiresHardwareKey } = require('../handlers/security.js');
+const { hasCredentials } = require('../handlers/webauthn.js');
+
+/**
+ * Checks whether an admin still has to verify with a security key before using admin pages, which
+ * is the case when /admin/settings/security requires one and this session was not verified with a
+ * key.
+ *
+ * @param {Object} req - The request object of a signed-in admin.
+ * @returns {Promise<null|'register'|'verify'>} Null when the admin may continue, `register` when
+ *   they have no key yet and `verify` when they have to confirm with one.
+ */
+async function hardwareKeyCheck(req) {
+  if (req.session?.secondFactor === 'webauthn' || !(await requiresHardwareKey(req.user))) {
+    return null;
+  }
+  return hasCredentials(req.user.userId) ? 'verify' : 'register';
+}
+
 /**
  * Middleware to verify if the user is an administrator.
  * Checks if the user object exists and if the user has admin privileges. If not, redirects to the
- * home page. If the user is an admin, proceeds to the next middleware or route handler.
+ * home page. Admins who must use a security key are sent to add one on /account, or through /2fa
+ * to confirm with theirs and come back. Otherwise proceeds to the next middleware or route handler.
  *
  * @param {Object} req - The request object, containing user data.
  * @param {Object} res - The response object.
  * @param {Function} next - The next middleware or route handler to be executed.
- * @returns {void} Either redirects or proceeds by calling next().
+ * @returns {Promise<void>} Either redirects or proceeds by calling next().
  */
-function isAdmin(req, res, next) {
+async function isAdmin(req, res, next) {
   if (!req.user || req.user.admin !== true) {
     return res.redirect('../');
   }
+
+  let check;
+  try {
+    check = await hardwareKeyCheck(req);
+  } catch (error) {
+    return next(error);
+  }
+  if (check === 'register') {
+    return res.redirect('/account?webauthn=required#security-keys');
+  }
+  if (check === 'verify') {
+    const { userId, username } = req.user;
+    const returnTo = req.method === 'GET' ? req.originalUrl : null;
+    return req.logout((err) => {
+      if (err) {
+        return next(err);
+      }
+      req.session.tempUser = { userId, username };
+      req.session.returnTo = returnTo;
+      res.redirect('/2fa');
+    });
+  }
   next();
 }
 
-module.exports = { isAdmin };
\ No newline at end of file
+module.exports = { isAdmin, hardwareKeyCheck };
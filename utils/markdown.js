@@ -0,0 +1,65 @@
+const { Marked } = require('marked');
+
+// Links may only point to web pages, mail addresses or paths in the panel.
+const SAFE_URL = /^(https?:\/\/|mailto:|\/(?!\/)|#)/i;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: {
+        // Raw HTML in the source is shown as text rather than rendered.
+        html(html) {
+            return escapeHtml(html);
+        },
+        link(href, title, text) {
+            if (!SAFE_URL.test(String(href || '').trim())) return text;
+            const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<a href="${escapeHtml(href)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${text}</a>`;
+        },
+        image(href, title, text) {
+            return escapeHtml(text || '');
+        },
+    },
+});
+
+/**
+ * Renders Markdown written by admins to HTML that is safe to put on a page or in an email. Raw
+ * HTML and images are not rendered, and links other than http(s), mailto and panel paths are
+ * reduced to their text.
+ *
+ * @param {string} source - The Markdown.
+ * @returns {string} The HTML.
+ */
+function renderMarkdown(source) {
+    return marked.parse(String(source || ''));
+}
+
+/**
+ * The text of a Markdown document without its formatting, for places that cannot show HTML.
+ *
+ * @param {string} source - The Markdown.
+ * @returns {string}
+ */
+function markdownToText(source) {
+    return renderMarkdown(source)
+        .replace(/<br\s*\/?>|<\/(p|li|h[1-6]|blockquote|pre)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = { renderMarkdown, markdownToText, escapeHtml };
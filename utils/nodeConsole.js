@@ -0,0 +1,41 @@
+const WebSocket = require('ws');
+
+const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Sends a single message to an instance's console on its node, the same way the console page does
+ * over its WebSocket: power actions as `{ event: 'power:start' }`, commands as
+ * `{ event: 'cmd', command }`. The connection is closed once the message is written.
+ *
+ * @param {Object} instance - The instance, including its Node.
+ * @param {Object} message - The console event to send.
+ * @returns {Promise<void>} Rejects if the node cannot be reached.
+ */
+function sendConsoleEvent(instance, message) {
+    const node = instance.Node;
+
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(`ws://${node.address}:${node.port}/exec/${instance.ContainerId}`);
+        const timer = setTimeout(() => {
+            socket.terminate();
+            reject(new Error('Timed out connecting to the node'));
+        }, CONNECT_TIMEOUT);
+
+        socket.on('open', () => {
+            socket.send(JSON.stringify({ event: 'auth', args: [node.apiKey] }));
+            socket.send(JSON.stringify({ ...message, containerId: instance.Id }), (error) => {
+                clearTimeout(timer);
+                socket.close();
+                if (error) reject(error);
+                else resolve();
+            });
+        });
+
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+module.exports = { sendConsoleEvent };
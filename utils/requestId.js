@@ -0,0 +1,19 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Middleware that gives every request an id, taken from a valid incoming X-Request-Id header or
+ * generated, and echoes it back in the response. Audit entries store it so everything a single
+ * request did can be found together.
+ *
+ * @param {Object} req - The request object; receives `req.id`.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware or route handler to be executed.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = { requestId };
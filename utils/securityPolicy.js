@@ -0,0 +1,52 @@
+const { getSettings, twoFactorStatus } = require('../handlers/security.js');
+
+// What a user can still reach while the security policy holds them back: their account page, the
+// routes that set up a second factor or change the password, and signing out.
+const OPEN_PATHS = ['/account', '/enable-2fa', '/verify-2fa', '/change-password', '/validate-password', '/auth/logout'];
+
+function isOpen(path) {
+  return OPEN_PATHS.some((open) => path === open || path.startsWith(`${open}/`));
+}
+
+function holdBack(req, res, location, error) {
+  if (req.xhr || !req.accepts('html')) {
+    return res.status(403).json({ error });
+  }
+  res.redirect(location);
+}
+
+/**
+ * Middleware that applies the security policy to signed-in users. Users whose password expired
+ * when they signed in must change it first. Users who must use two-factor authentication see a
+ * notice (`res.locals.twoFactorRequired`) during the grace period, and afterwards can only reach
+ * the pages that set it up.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware or route handler to be executed.
+ * @returns {Promise<void>} Either redirects or proceeds by calling next().
+ */
+async function securityPolicy(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    if (req.session.passwordExpired && !isOpen(req.path)) {
+      return holdBack(req, res, '/account?password=expired#change-password', 'Your password expired. Change it on your account page.');
+    }
+
+    const status = twoFactorStatus(req.user, await getSettings());
+    if (status) {
+      res.locals.twoFactorRequired = status;
+      if (status.overdue && !isOpen(req.path)) {
+        return holdBack(req, res, '/account#security-keys', 'Set up two-factor authentication on your account page first.');
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { securityPolicy };
@@ -0,0 +1,159 @@
+/**
+ * Reads the table data out of a MySQL/MariaDB dump as produced by mysqldump. Only CREATE TABLE
+ * column lists and INSERT statements are looked at; everything else in the dump is skipped.
+ */
+
+const escapes = { '0': '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+
+/**
+ * Parses the VALUES list of an INSERT statement starting at `start`.
+ *
+ * @param {string} sql - The dump text.
+ * @param {number} start - Index just after the VALUES keyword.
+ * @returns {{ rows: Array<Array>, end: number }} The parsed rows and the index after the statement.
+ */
+function parseValues(sql, start) {
+    const rows = [];
+    let row = null;
+    let token = '';
+    let quoted = false;
+    let i = start;
+
+    const pushValue = () => {
+        if (quoted) {
+            row.push(token);
+        } else {
+            const raw = token.trim();
+            if (/^NULL$/i.test(raw)) {
+                row.push(null);
+            } else if (/^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(raw)) {
+                row.push(Number(raw));
+            } else {
+                row.push(raw);
+            }
+        }
+        token = '';
+        quoted = false;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+
+        if (char === "'") {
+            // Quoted string: backslash escapes and doubled quotes.
+            quoted = true;
+            i++;
+            while (i < sql.length) {
+                const c = sql[i];
+                if (c === '\\') {
+                    const next = sql[i + 1];
+                    token += escapes[next] !== undefined ? escapes[next] : next;
+                    i += 2;
+                } else if (c === "'" && sql[i + 1] === "'") {
+                    token += "'";
+                    i += 2;
+                } else if (c === "'") {
+                    i++;
+                    break;
+                } else {
+                    token += c;
+                    i++;
+                }
+            }
+            continue;
+        }
+
+        if (row === null) {
+            if (char === '(') {
+                row = [];
+            } else if (char === ';') {
+                return { rows, end: i + 1 };
+            }
+            i++;
+            continue;
+        }
+
+        if (char === ',') {
+            pushValue();
+        } else if (char === ')') {
+            pushValue();
+            rows.push(row);
+            row = null;
+        } else if (!quoted) {
+            // Unquoted values; prefixes such as _binary before a string are dropped.
+            token = /\s/.test(char) && token.trim() === '_binary' ? '' : token + char;
+        }
+        i++;
+    }
+
+    return { rows, end: i };
+}
+
+function parseColumnList(list) {
+    return list.split(',').map((column) => column.trim().replace(/`/g, ''));
+}
+
+/**
+ * Reads the column names from the body of a CREATE TABLE statement, skipping keys and constraints.
+ */
+function parseTableColumns(body) {
+    const definitions = [];
+    let depth = 0;
+    let current = '';
+    for (const char of body) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth < 0) break;
+        if (char === ',' && depth === 0) {
+            definitions.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    definitions.push(current);
+
+    return definitions
+        .map((definition) => /^\s*`(\w+)`/.exec(definition))
+        .filter(Boolean)
+        .map((found) => found[1]);
+}
+
+/**
+ * Extracts every table's rows from a dump.
+ *
+ * @param {string} sql - The dump text.
+ * @returns {Object<string, Object[]>} Rows keyed by table name, each row keyed by column name.
+ */
+function parseSqlDump(sql) {
+    const columns = {};
+    const tables = {};
+    const statement = /CREATE TABLE (?:IF NOT EXISTS )?`(\w+)` \(|INSERT INTO `(\w+)`\s*(?:\(([^)]*)\))?\s*VALUES\s*/g;
+
+    let match;
+    while ((match = statement.exec(sql)) !== null) {
+        if (match[1]) {
+            columns[match[1]] = parseTableColumns(sql.slice(statement.lastIndex, sql.indexOf(';', statement.lastIndex)));
+            continue;
+        }
+
+        const table = match[2];
+        const names = match[3] ? parseColumnList(match[3]) : columns[table];
+        const { rows, end } = parseValues(sql, statement.lastIndex);
+        statement.lastIndex = end;
+
+        if (!names) continue;
+        tables[table] = tables[table] || [];
+        for (const values of rows) {
+            const record = {};
+            names.forEach((name, index) => {
+                record[name] = values[index];
+            });
+            tables[table].push(record);
+        }
+    }
+
+    return tables;
+}
+
+module.exports = { parseSqlDump };